@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+const { runCli, EXIT_CODES } = require('../src/cli');
+
+let interrupted = false;
+process.on('SIGINT', () => {
+  if (interrupted) {
+    process.exit(EXIT_CODES.CANCELLED);
+  }
+  interrupted = true;
+  process.stderr.write('Cancelling sync... (press Ctrl+C again to quit immediately)\n');
+});
+
+runCli(process.argv.slice(2), {
+  shouldCancel: () => interrupted,
+}).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -0,0 +1,569 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { buildComparePlan, syncPlan, resumeSyncFromJournal, TreeSyncError } = require('./core/sync');
+const { ARCHIVE_DIR_NAME } = require('./core/archive');
+const { BYTES_PER_MEGABYTE, parseScheduleRule } = require('./core/throttle');
+const { METADATA_KINDS, normalizeMetadataOptions, parseMetadataList } = require('./core/metadata');
+const { BUILTIN_VERSION_PATTERNS, normalizeVersioningConfig } = require('./core/versioning');
+const { HASH_ALGORITHMS } = require('./core/content-hash');
+const { loadState, normalizeState } = require('./main/state-store');
+
+const EXIT_CODES = Object.freeze({
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID: 2,
+  PARTIAL: 3,
+  CANCELLED: 130,
+});
+
+const VALIDATION_ERROR_CODES = new Set([
+  'INVALID_ARGUMENTS',
+  'INVALID_DIRECTORY',
+  'UNSAFE_DIRECTORY',
+  'INVALID_PLAN',
+  'INVALID_VERSION_PATTERN',
+  'NO_RECOVERY_JOURNAL',
+  'ARCHIVE_LOCATION_CONFLICT',
+]);
+
+const PROGRESS_LINE_INTERVAL_MS = 5000;
+
+const USAGE = `Usage:
+  lempicka-sync compare <source> <destination> [options]
+  lempicka-sync sync <source> <destination> [options]
+  lempicka-sync resume --journal <file> [options]
+
+Compare options (compare and sync):
+  --settings <file>       Reuse naming, filters and compare options from the app's state.json
+  --naming <id>           Enable a naming pattern (repeatable or comma-separated): ${BUILTIN_VERSION_PATTERNS.map((pattern) => pattern.id).join(', ')}
+  --filter <rule>         Add an include/exclude glob rule (repeatable), e.g. "*.tmp" or "!*.psd"
+  --compare-mode <mode>   size or content
+  --hash <algorithm>      ${HASH_ALGORITHMS.join(' or ')} (content compare)
+
+Sync options (sync and resume):
+  --retries <n>           Retries per file for transient errors (default 2)
+  --parallel <n>          Most files copied at once with --continue-on-error (default 3); the
+                          worker count adapts to the destination between --parallel-min and this
+  --parallel-min <n>      Fewest files copied at once (default 1)
+  --parallel-large <n>    Most large files copied at once (default 1)
+  --small-file-mb <n>     Files up to this size count as small and go first (default 4)
+  --continue-on-error     Skip failed files instead of stopping
+  --verify                Re-read and hash each copy before it replaces the destination
+  --verify-hash <alg>     ${HASH_ALGORITHMS.join(' or ')} (default sha256)
+  --mirror                Move destination files without a source to .lempicka-trash
+  --overwrite-newer       Replace destination files that are newer than their source (held back by default)
+  --archive               Keep replaced destination files in <destination>/${ARCHIVE_DIR_NAME}/<time>/
+  --archive-dir <dir>     Archive replaced files under <dir> instead (implies --archive)
+  --archive-keep <n>      Keep only the newest n archived syncs (default: no limit)
+  --archive-max-age <d>   Remove archived syncs older than d days (default: no limit)
+  --limit-rate <MB/s>     Cap the combined transfer rate of all copies (default: unlimited)
+  --limit-schedule <w>    Time-of-day limit overriding --limit-rate (repeatable), e.g. "09:00-18:00=2"
+  --preserve <list>       Metadata to copy: any of times,mode,xattrs, or none (default times,mode)
+  --journal <file>        Recovery journal to write (sync) or resume from (resume)
+  --quiet                 Do not print progress to stderr
+
+Output:
+  --json                  Print the result as JSON on stdout
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 error, 2 invalid arguments or directories, 3 some files failed, 130 cancelled.`;
+
+const OPTION_SPEC = {
+  settings: { type: 'string' },
+  naming: { type: 'string', multiple: true },
+  filter: { type: 'string', multiple: true },
+  'compare-mode': { type: 'string' },
+  hash: { type: 'string' },
+  retries: { type: 'string' },
+  parallel: { type: 'string' },
+  'parallel-min': { type: 'string' },
+  'parallel-large': { type: 'string' },
+  'small-file-mb': { type: 'string' },
+  'continue-on-error': { type: 'boolean' },
+  verify: { type: 'boolean' },
+  'verify-hash': { type: 'string' },
+  mirror: { type: 'boolean' },
+  'overwrite-newer': { type: 'boolean' },
+  archive: { type: 'boolean' },
+  'archive-dir': { type: 'string' },
+  'archive-keep': { type: 'string' },
+  'archive-max-age': { type: 'string' },
+  'limit-rate': { type: 'string' },
+  'limit-schedule': { type: 'string', multiple: true },
+  preserve: { type: 'string' },
+  journal: { type: 'string' },
+  quiet: { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function isValidationError(error) {
+  if (!error) {
+    return false;
+  }
+  // Unreadable or missing root folders surface as filesystem errors labelled with the root they concern.
+  const rootAccessError = error.code === 'FILESYSTEM_ERROR' && Boolean(error.details && error.details.label);
+  return rootAccessError || VALIDATION_ERROR_CODES.has(error.code);
+}
+
+function invalidArguments(message) {
+  return new TreeSyncError('INVALID_ARGUMENTS', message);
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTION_SPEC,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw invalidArguments(error.message);
+  }
+  const [command = '', ...operands] = parsed.positionals;
+  return { command, operands, values: parsed.values };
+}
+
+function parseCount(value, flag, fallback, minimum) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < minimum) {
+    throw invalidArguments(`${flag} must be a whole number of at least ${minimum}.`);
+  }
+  return number;
+}
+
+function parseRateLimit(values) {
+  let bytesPerSecond = 0;
+  if (values['limit-rate'] !== undefined) {
+    const megabytes = Number(values['limit-rate']);
+    if (!Number.isFinite(megabytes) || megabytes < 0) {
+      throw invalidArguments('--limit-rate must be a number of MB/s (0 for unlimited).');
+    }
+    bytesPerSecond = Math.round(megabytes * BYTES_PER_MEGABYTE);
+  }
+  const schedule = (values['limit-schedule'] || []).map((window) => {
+    const rule = parseScheduleRule(window);
+    if (!rule) {
+      throw invalidArguments(`--limit-schedule "${window}" should look like 09:00-18:00=2.`);
+    }
+    return rule;
+  });
+  return { bytesPerSecond, schedule };
+}
+
+function parseChoice(value, flag, choices) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!choices.includes(value)) {
+    throw invalidArguments(`${flag} must be one of: ${choices.join(', ')}.`);
+  }
+  return value;
+}
+
+async function loadSettings(settingsPath) {
+  if (!settingsPath) {
+    return normalizeState({});
+  }
+  const resolved = path.resolve(settingsPath);
+  try {
+    await fs.access(resolved);
+  } catch (error) {
+    throw invalidArguments(`Settings file not found: "${resolved}".`);
+  }
+  try {
+    return await loadState(resolved);
+  } catch (error) {
+    throw invalidArguments(`Settings file could not be read: ${error.message}`);
+  }
+}
+
+async function resolveCompareOptions(values) {
+  const settings = await loadSettings(values.settings);
+
+  let versioning = settings.versioning;
+  if (values.naming) {
+    const ids = values.naming.flatMap((value) => value.split(',')).map((id) => id.trim()).filter(Boolean);
+    const knownIds = new Set([
+      ...BUILTIN_VERSION_PATTERNS.map((pattern) => pattern.id),
+      ...versioning.customPatterns.map((pattern) => pattern.id),
+    ]);
+    const unknown = ids.filter((id) => !knownIds.has(id));
+    if (unknown.length > 0) {
+      throw invalidArguments(`Unknown naming pattern: ${unknown.join(', ')}.`);
+    }
+    versioning = normalizeVersioningConfig({ ...versioning, enabledPatternIds: ids });
+  }
+
+  return {
+    versioning,
+    filters: {
+      rules: [...settings.filters.rules, ...(values.filter || [])],
+    },
+    compareMode: parseChoice(values['compare-mode'], '--compare-mode', ['size', 'content'])
+      || settings.compareOptions.mode,
+    hashAlgorithm: parseChoice(values.hash, '--hash', HASH_ALGORITHMS) || settings.compareOptions.hashAlgorithm,
+  };
+}
+
+function parsePreserve(value) {
+  if (value === undefined) {
+    return normalizeMetadataOptions({});
+  }
+  const preserve = parseMetadataList(value);
+  if (!preserve) {
+    throw invalidArguments(`--preserve takes a comma-separated list of ${METADATA_KINDS.join(', ')}, or none.`);
+  }
+  return preserve;
+}
+
+function resolveSyncOptions(values, shouldCancel) {
+  return {
+    retryCount: parseCount(values.retries, '--retries', 2, 0),
+    concurrency: {
+      minWorkers: parseCount(values['parallel-min'], '--parallel-min', 1, 1),
+      maxWorkers: parseCount(values.parallel, '--parallel', 3, 1),
+      maxLargeWorkers: parseCount(values['parallel-large'], '--parallel-large', 1, 1),
+    },
+    smallFileThresholdBytes: parseCount(values['small-file-mb'], '--small-file-mb', 4, 1) * 1024 * 1024,
+    continueOnError: Boolean(values['continue-on-error']),
+    verify: Boolean(values.verify),
+    verifyAlgorithm: parseChoice(values['verify-hash'], '--verify-hash', HASH_ALGORITHMS) || 'sha256',
+    journalPath: values.journal ? path.resolve(values.journal) : '',
+    archive: values.archive || values['archive-dir']
+      ? {
+          location: values['archive-dir'] ? path.resolve(values['archive-dir']) : '',
+          keepRuns: parseCount(values['archive-keep'], '--archive-keep', 0, 1),
+          maxAgeDays: parseCount(values['archive-max-age'], '--archive-max-age', 0, 1),
+        }
+      : null,
+    rateLimit: parseRateLimit(values),
+    preserveMetadata: parsePreserve(values.preserve),
+    shouldCancel,
+  };
+}
+
+function formatBytes(bytes) {
+  const value = Number(bytes) || 0;
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let scaled = value;
+  let unitIndex = 0;
+  while (scaled >= 1024 && unitIndex < units.length - 1) {
+    scaled /= 1024;
+    unitIndex += 1;
+  }
+  return unitIndex === 0 ? `${value} B` : `${scaled.toFixed(1)} ${units[unitIndex]}`;
+}
+
+function formatCollisionLines(collisions) {
+  return (collisions || []).map((collision) => (
+    collision.severity === 'error'
+      ? `Collision (held back): ${collision.message}`
+      : `Warning: ${collision.message}`
+  ));
+}
+
+function formatCompareTable(result) {
+  const rows = [
+    ...result.plan.map((item) => [
+      item.reason,
+      String(item.version),
+      String(item.sourceSize),
+      `${item.sourceRelativePath} -> ${item.targetRelativePath}`,
+    ]),
+    ...result.orphans.map((orphan) => ['orphan', '', String(orphan.size), `(no source) -> ${orphan.relativePath}`]),
+  ];
+  const header = ['REASON', 'VERSION', 'BYTES', 'SOURCE -> DESTINATION'];
+  const widths = header.slice(0, 3).map((title, column) => rows.reduce(
+    (width, row) => Math.max(width, row[column].length),
+    title.length
+  ));
+
+  const formatRow = (row) => [
+    row[0].padEnd(widths[0]),
+    row[1].padStart(widths[1]),
+    row[2].padStart(widths[2]),
+    row[3],
+  ].join('  ');
+
+  const totalBytes = result.plan.reduce((sum, item) => sum + (Number(item.sourceSize) || 0), 0);
+  const lines = rows.length > 0 ? [formatRow(header), ...rows.map(formatRow), ''] : [];
+  lines.push(
+    `${result.plan.length} file(s) to copy (${formatBytes(totalBytes)}), ` +
+    `${result.orphans.length} orphan(s), ${result.directoriesToCreate.length} folder(s) to create.`
+  );
+  lines.push(...formatCollisionLines(result.collisions));
+  return lines.join('\n');
+}
+
+function formatConcurrency(concurrency) {
+  const overlap = concurrency.largeOverlapped > 0
+    ? `, ${concurrency.largeOverlapped} large file(s) alongside small ones`
+    : '';
+  return `Workers ${concurrency.minWorkers}-${concurrency.maxWorkers}: started at ${concurrency.initialWorkers}, ` +
+    `ended at ${concurrency.finalWorkers}, averaged ${concurrency.averageWorkers} ` +
+    `(peak ${concurrency.peakActive} active${overlap}).`;
+}
+
+function formatCopyStrategies(files) {
+  const counts = {};
+  for (const file of files) {
+    if (file.copyStrategy) {
+      counts[file.copyStrategy] = (counts[file.copyStrategy] || 0) + 1;
+    }
+  }
+  return Object.entries(counts).map(([strategy, count]) => `${count} ${strategy}`).join(', ');
+}
+
+function formatSyncReport(status, result, errorMessage) {
+  const lines = [];
+  if (status === 'cancelled') {
+    lines.push(`Cancelled: ${errorMessage}`);
+  } else if (status === 'error') {
+    lines.push(`Error: ${errorMessage}`);
+  }
+  lines.push(
+    `Copied ${result.copied}/${result.total} file(s), ${formatBytes(result.bytesCopied)} ` +
+    `in ${(result.durationMs / 1000).toFixed(1)}s.`
+  );
+  if (result.copied > 0) {
+    lines.push(`Verified ${result.verifiedCount}, unverified ${result.unverifiedCount}.`);
+  }
+  if (result.copied > 0 && result.concurrency) {
+    lines.push(formatConcurrency(result.concurrency));
+  }
+  if (result.succeededFiles.length > 0) {
+    lines.push(`Copy methods: ${formatCopyStrategies(result.succeededFiles)}.`);
+  }
+  const metadataIssues = result.succeededFiles.filter((file) => file.metadataWarnings.length > 0);
+  if (metadataIssues.length > 0) {
+    lines.push(`Copied ${metadataIssues.length} file(s) without some metadata:`);
+    for (const file of metadataIssues) {
+      const missing = file.metadataWarnings.map((warning) => `${warning.kind} (${warning.message})`).join(', ');
+      lines.push(`  ${file.targetRelativePath}: ${missing}`);
+    }
+  }
+  for (const item of result.resumedCopies) {
+    lines.push(`Resumed ${item.targetRelativePath} from ${formatBytes(item.resumedFromBytes)}.`);
+  }
+  if (result.trashed.length > 0) {
+    lines.push(`Moved ${result.trashed.length} orphan(s) to ${result.trashDir}.`);
+  }
+  if (result.archived.length > 0) {
+    lines.push(`Archived ${result.archived.length} replaced file(s) in ${result.archiveDir}.`);
+  }
+  if (result.archiveWarning) {
+    lines.push(`Warning: ${result.archiveWarning}`);
+  }
+  if (result.heldBack.length > 0) {
+    lines.push(
+      `Held back ${result.heldBack.length} file(s) whose destination is newer (use --overwrite-newer to replace):`
+    );
+    for (const item of result.heldBack) {
+      lines.push(`  ${item.targetRelativePath}`);
+    }
+  }
+  if (result.failed.length > 0) {
+    lines.push(`Failed ${result.failed.length} file(s):`);
+    for (const failure of result.failed) {
+      lines.push(`  ${failure.targetRelativePath || failure.targetPath}: ${failure.message}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function createProgressReporter(stderr) {
+  let lastLineAt = Date.now();
+  return (progress) => {
+    const counter = `[${progress.completed + progress.failed}/${progress.total}]`;
+    const target = progress.targetRelativePath;
+    switch (progress.phase) {
+      case 'copied':
+        stderr.write(`${counter} copied ${target}\n`);
+        break;
+      case 'failed':
+        stderr.write(`${counter} failed ${target}: ${progress.message}\n`);
+        break;
+      case 'retrying':
+        stderr.write(`retrying ${target}: ${progress.message}\n`);
+        break;
+      case 'trashed':
+        stderr.write(`trashed ${target}\n`);
+        break;
+      case 'copying': {
+        const now = Date.now();
+        if (now - lastLineAt < PROGRESS_LINE_INTERVAL_MS || progress.totalBytes <= 0) {
+          return;
+        }
+        const percent = Math.floor((progress.bytesTransferred / progress.totalBytes) * 100);
+        stderr.write(
+          `${counter} ${percent}% ${formatBytes(progress.bytesTransferred)}/${formatBytes(progress.totalBytes)} ` +
+          `@ ${formatBytes(progress.throughputBps)}/s` +
+          `${progress.rateLimitBps > 0 ? ` (limit ${formatBytes(progress.rateLimitBps)}/s)` : ''}\n`
+        );
+        break;
+      }
+      default:
+        return;
+    }
+    lastLineAt = Date.now();
+  };
+}
+
+const EMPTY_SYNC_RESULT = Object.freeze({
+  copied: 0,
+  total: 0,
+  bytesCopied: 0,
+  failed: [],
+  trashed: [],
+  trashDir: '',
+  archived: [],
+  archiveDir: '',
+  archiveWarning: '',
+  heldBack: [],
+  succeededFiles: [],
+  resumedCopies: [],
+  verifiedCount: 0,
+  unverifiedCount: 0,
+  durationMs: 0,
+});
+
+async function runSyncAndReport(io, values, runSync) {
+  let status = 'completed';
+  let errorCode = '';
+  let errorMessage = '';
+  let result;
+  try {
+    result = await runSync(values.quiet ? undefined : createProgressReporter(io.stderr));
+  } catch (error) {
+    if (isValidationError(error)) {
+      throw error;
+    }
+    status = error && error.code === 'SYNC_CANCELLED' ? 'cancelled' : 'error';
+    errorCode = error && error.code ? error.code : 'SYNC_ERROR';
+    errorMessage = error && error.message ? error.message : 'Sync failed.';
+    result = error && error.details && error.details.partialResult;
+  }
+  result = { ...EMPTY_SYNC_RESULT, ...(result || {}) };
+
+  let exitCode = EXIT_CODES.SUCCESS;
+  if (status === 'cancelled') {
+    exitCode = EXIT_CODES.CANCELLED;
+  } else if (status === 'error') {
+    exitCode = EXIT_CODES.ERROR;
+  } else if (result.failed.length > 0) {
+    exitCode = EXIT_CODES.PARTIAL;
+  }
+
+  if (values.json) {
+    io.stdout.write(`${JSON.stringify({ ...result, status, errorCode, errorMessage, exitCode }, null, 2)}\n`);
+  } else {
+    io.stdout.write(`${formatSyncReport(status, result, errorMessage)}\n`);
+  }
+  return exitCode;
+}
+
+function requireRoots(command, operands) {
+  if (operands.length !== 2) {
+    throw invalidArguments(`${command} needs a source and a destination directory.`);
+  }
+  return operands.map((operand) => path.resolve(operand));
+}
+
+async function runCompareCommand(io, operands, values) {
+  const [leftRoot, rightRoot] = requireRoots('compare', operands);
+  const result = await buildComparePlan(leftRoot, rightRoot, await resolveCompareOptions(values));
+  io.stdout.write(values.json ? `${JSON.stringify(result, null, 2)}\n` : `${formatCompareTable(result)}\n`);
+  return EXIT_CODES.SUCCESS;
+}
+
+async function runSyncCommand(io, operands, values) {
+  const [leftRoot, rightRoot] = requireRoots('sync', operands);
+  const compareOptions = await resolveCompareOptions(values);
+  const syncOptions = resolveSyncOptions(values, io.shouldCancel);
+  const compare = await buildComparePlan(leftRoot, rightRoot, compareOptions);
+
+  if (!values.quiet) {
+    io.stderr.write(
+      `${compare.plan.length} file(s) to copy` +
+      (values.mirror ? `, ${compare.orphans.length} orphan(s) to trash` : '') +
+      '.\n'
+    );
+    for (const line of formatCollisionLines(compare.collisions)) {
+      io.stderr.write(`${line}\n`);
+    }
+  }
+
+  const plan = values['overwrite-newer']
+    ? compare.plan.map((item) => ({ ...item, overwriteNewer: true }))
+    : compare.plan;
+
+  return runSyncAndReport(io, values, (onProgress) => syncPlan(plan, onProgress, {
+    ...syncOptions,
+    leftRoot: compare.leftRoot,
+    rightRoot: compare.rightRoot,
+    directoriesToCreate: compare.directoriesToCreate,
+    orphansToTrash: values.mirror ? compare.orphans : [],
+  }));
+}
+
+async function runResumeCommand(io, operands, values) {
+  if (operands.length > 0) {
+    throw invalidArguments('resume takes no directories; they are read from the journal.');
+  }
+  if (!values.journal) {
+    throw invalidArguments('resume needs --journal <file>.');
+  }
+  const syncOptions = resolveSyncOptions(values, io.shouldCancel);
+  return runSyncAndReport(io, values, (onProgress) => resumeSyncFromJournal(
+    syncOptions.journalPath,
+    onProgress,
+    syncOptions
+  ));
+}
+
+const COMMANDS = {
+  compare: runCompareCommand,
+  sync: runSyncCommand,
+  resume: runResumeCommand,
+};
+
+async function runCli(argv, io = {}) {
+  const streams = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    shouldCancel: typeof io.shouldCancel === 'function' ? io.shouldCancel : () => false,
+  };
+
+  try {
+    const { command, operands, values } = parseCommandLine(argv);
+    if (values.help || command === 'help') {
+      streams.stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.SUCCESS;
+    }
+    const run = COMMANDS[command];
+    if (!run) {
+      throw invalidArguments(command ? `Unknown command "${command}".` : 'A command is required.');
+    }
+    return await run(streams, operands, values);
+  } catch (error) {
+    const message = error && error.message ? error.message : String(error);
+    streams.stderr.write(`lempicka-sync: ${message}\n`);
+    if (error && error.code === 'INVALID_ARGUMENTS') {
+      streams.stderr.write(`Run "lempicka-sync --help" for usage.\n`);
+    }
+    return isValidationError(error) ? EXIT_CODES.INVALID : EXIT_CODES.ERROR;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  runCli,
+};
@@ -0,0 +1,313 @@
+const fs = require('fs/promises');
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+
+const { TreeSyncError, filesystemHint, wrapFilesystemError } = require('./errors');
+
+const ARCHIVE_DIR_NAME = '_lempicka_archive';
+const ARCHIVE_MANIFEST_NAME = '.lempicka-archive.json';
+const MAX_ARCHIVE_KEEP_RUNS = 1000;
+const MAX_ARCHIVE_AGE_DAYS = 3650;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function archiveRunDirName(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function boundedCount(value, max) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number > 0 ? Math.min(number, max) : 0;
+}
+
+// Returns null when archiving is off. A count or age of 0 means "no limit".
+function normalizeArchiveOptions(archive) {
+  if (!archive || typeof archive !== 'object') {
+    return null;
+  }
+  return {
+    location: typeof archive.location === 'string' ? archive.location.trim() : '',
+    keepRuns: boundedCount(archive.keepRuns, MAX_ARCHIVE_KEEP_RUNS),
+    maxAgeDays: boundedCount(archive.maxAgeDays, MAX_ARCHIVE_AGE_DAYS),
+  };
+}
+
+function resolveArchiveRoot(rightRoot, location) {
+  return location ? path.resolve(location) : path.join(rightRoot, ARCHIVE_DIR_NAME);
+}
+
+function isSamePath(left, right) {
+  const a = path.resolve(String(left || ''));
+  const b = path.resolve(String(right || ''));
+  if (process.platform === 'win32' || process.platform === 'darwin') {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  return a === b;
+}
+
+function isSafeRelativePath(relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath || path.isAbsolute(relativePath)) {
+    return false;
+  }
+  return !relativePath.split(/[\\/]+/).some((segment) => segment === '..' || segment === '');
+}
+
+function normalizeArchivedFile(file) {
+  if (!file || typeof file !== 'object' || !isSafeRelativePath(file.relativePath)) {
+    return null;
+  }
+  return {
+    relativePath: file.relativePath,
+    sourceRelativePath: typeof file.sourceRelativePath === 'string' ? file.sourceRelativePath : '',
+    size: Number(file.size) || 0,
+    mtimeMs: Number(file.mtimeMs) || 0,
+  };
+}
+
+function normalizeArchiveManifest(manifest, id) {
+  if (!manifest || typeof manifest !== 'object' || typeof manifest.rightRoot !== 'string' || !manifest.rightRoot) {
+    return null;
+  }
+  const archivedAt = typeof manifest.archivedAt === 'string' && Number.isFinite(Date.parse(manifest.archivedAt))
+    ? manifest.archivedAt
+    : '';
+  if (!archivedAt) {
+    return null;
+  }
+  return {
+    id,
+    archivedAt,
+    reason: manifest.reason === 'restore' ? 'restore' : 'sync',
+    leftRoot: typeof manifest.leftRoot === 'string' ? manifest.leftRoot : '',
+    rightRoot: manifest.rightRoot,
+    files: Array.isArray(manifest.files) ? manifest.files.map(normalizeArchivedFile).filter(Boolean) : [],
+  };
+}
+
+async function readArchiveManifest(runDir) {
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(runDir, ARCHIVE_MANIFEST_NAME), 'utf8');
+  } catch (error) {
+    if (error && (error.code === 'ENOENT' || error.code === 'ENOTDIR')) {
+      return null;
+    }
+    throw wrapFilesystemError('Reading archive manifest', runDir, error);
+  }
+  try {
+    return normalizeArchiveManifest(JSON.parse(raw), path.basename(runDir));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function writeArchiveManifest(runDir, manifest) {
+  const manifestPath = path.join(runDir, ARCHIVE_MANIFEST_NAME);
+  const tempPath = `${manifestPath}.tmp-${process.pid}`;
+  await fs.mkdir(runDir, { recursive: true });
+  await fs.writeFile(tempPath, `${JSON.stringify({
+    version: 1,
+    archivedAt: manifest.archivedAt,
+    reason: manifest.reason,
+    leftRoot: manifest.leftRoot,
+    rightRoot: manifest.rightRoot,
+    files: manifest.files,
+  }, null, 2)}\n`, 'utf8');
+  await fs.rename(tempPath, manifestPath);
+}
+
+// Renames when it can; a configured archive folder may live on another volume.
+async function moveIntoArchive(filePath, archivePath) {
+  await fs.mkdir(path.dirname(archivePath), { recursive: true });
+  try {
+    await fs.rename(filePath, archivePath);
+    return;
+  } catch (error) {
+    if (!error || error.code !== 'EXDEV') {
+      throw error;
+    }
+  }
+  const stat = await fs.stat(filePath);
+  await fs.copyFile(filePath, archivePath);
+  await fs.utimes(archivePath, stat.atime, stat.mtime);
+  await fs.unlink(filePath);
+}
+
+// Newest first. With `rightRoot`, only runs taken from that destination are listed.
+async function listArchive(archiveRoot, options = {}) {
+  let entries;
+  try {
+    entries = await fs.readdir(archiveRoot, { withFileTypes: true });
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return [];
+    }
+    throw wrapFilesystemError('Reading archive folder', archiveRoot, error);
+  }
+
+  const runs = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+    const run = await readArchiveManifest(path.join(archiveRoot, entry.name));
+    if (!run || (options.rightRoot && !isSamePath(run.rightRoot, options.rightRoot))) {
+      continue;
+    }
+    runs.push(run);
+  }
+  return runs.sort((left, right) => Date.parse(right.archivedAt) - Date.parse(left.archivedAt)
+    || right.id.localeCompare(left.id));
+}
+
+async function pruneArchive(archiveRoot, options = {}) {
+  const keepRuns = boundedCount(options.keepRuns, MAX_ARCHIVE_KEEP_RUNS);
+  const maxAgeDays = boundedCount(options.maxAgeDays, MAX_ARCHIVE_AGE_DAYS);
+  if (keepRuns === 0 && maxAgeDays === 0) {
+    return [];
+  }
+
+  const now = Number.isFinite(Number(options.now)) ? Number(options.now) : Date.now();
+  const runs = await listArchive(archiveRoot, { rightRoot: options.rightRoot });
+  const removed = [];
+  for (const [index, run] of runs.entries()) {
+    const tooMany = keepRuns > 0 && index >= keepRuns;
+    const tooOld = maxAgeDays > 0 && now - Date.parse(run.archivedAt) > maxAgeDays * MS_PER_DAY;
+    if (!tooMany && !tooOld) {
+      continue;
+    }
+    await fs.rm(path.join(archiveRoot, run.id), { recursive: true, force: true });
+    removed.push(run.id);
+  }
+  return removed;
+}
+
+function makeRestoreWritePath(targetPath) {
+  const unique = `${Date.now()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+  return path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.lempicka-write-${unique}`);
+}
+
+// Copies an archived file next to its destination under a hidden name, ready to be renamed into place.
+async function stageArchivedCopy(archivedPath, targetPath) {
+  const writePath = makeRestoreWritePath(targetPath);
+  try {
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    const archivedStat = await fs.stat(archivedPath);
+    await fs.copyFile(archivedPath, writePath, fsConstants.COPYFILE_EXCL);
+    await fs.utimes(writePath, archivedStat.atime, archivedStat.mtime);
+  } catch (error) {
+    await fs.rm(writePath, { force: true });
+    throw error;
+  }
+  return writePath;
+}
+
+// Copies an archived file back over its destination. Whatever sits there now is archived first,
+// so a restore can itself be undone from the browser. With `options.rightRoot`, runs archived
+// from another destination are refused.
+async function restoreArchivedFile(archiveRoot, runId, relativePath, options = {}) {
+  if (typeof runId !== 'string' || !runId || runId !== path.basename(runId) || runId.startsWith('.')) {
+    throw new TreeSyncError('ARCHIVE_RUN_MISSING', 'Choose an archived sync to restore from.');
+  }
+  const run = await readArchiveManifest(path.join(archiveRoot, runId));
+  if (!run) {
+    throw new TreeSyncError('ARCHIVE_RUN_MISSING', `Archived sync "${runId}" no longer exists.`, { runId });
+  }
+  if (options.rightRoot && !isSamePath(run.rightRoot, options.rightRoot)) {
+    throw new TreeSyncError(
+      'ARCHIVE_DESTINATION_MISMATCH',
+      `Archived sync "${runId}" belongs to "${run.rightRoot}", not the selected destination.`,
+      { runId, rightRoot: run.rightRoot, selectedRightRoot: options.rightRoot }
+    );
+  }
+  const file = run.files.find((candidate) => candidate.relativePath === relativePath);
+  if (!file) {
+    throw new TreeSyncError(
+      'ARCHIVE_FILE_MISSING',
+      `"${relativePath}" is not part of archived sync "${runId}".`,
+      { runId, relativePath }
+    );
+  }
+
+  const archivedPath = path.join(archiveRoot, runId, file.relativePath);
+  const targetPath = path.join(run.rightRoot, file.relativePath);
+  let currentStat = null;
+  try {
+    currentStat = await fs.lstat(targetPath);
+  } catch (error) {
+    if (!error || error.code !== 'ENOENT') {
+      throw wrapFilesystemError('Reading file metadata', targetPath, error);
+    }
+  }
+  if (currentStat && !currentStat.isFile()) {
+    throw new TreeSyncError(
+      'DESTINATION_PATH_CONFLICT',
+      `Destination exists but is not a regular file "${targetPath}".`,
+      { targetPath }
+    );
+  }
+
+  let writePath;
+  try {
+    writePath = await stageArchivedCopy(archivedPath, targetPath);
+  } catch (error) {
+    throw new TreeSyncError(
+      'ARCHIVE_RESTORE_FAILED',
+      `Restoring "${file.relativePath}" failed (${filesystemHint(error)}).`,
+      { runId, relativePath, targetPath, fsCode: error && error.code ? error.code : 'UNKNOWN' }
+    );
+  }
+
+  let replacedRunId = '';
+  try {
+    if (currentStat) {
+      const date = options.now instanceof Date ? options.now : new Date();
+      replacedRunId = archiveRunDirName(date);
+      const replacedRunDir = path.join(archiveRoot, replacedRunId);
+      await moveIntoArchive(targetPath, path.join(replacedRunDir, file.relativePath));
+      await writeArchiveManifest(replacedRunDir, {
+        archivedAt: date.toISOString(),
+        reason: 'restore',
+        leftRoot: run.leftRoot,
+        rightRoot: run.rightRoot,
+        files: [{
+          relativePath: file.relativePath,
+          sourceRelativePath: '',
+          size: currentStat.size,
+          mtimeMs: currentStat.mtimeMs,
+        }],
+      });
+    }
+    await fs.rename(writePath, targetPath);
+  } catch (error) {
+    await fs.rm(writePath, { force: true });
+    throw new TreeSyncError(
+      'ARCHIVE_RESTORE_FAILED',
+      `Restoring "${file.relativePath}" failed (${filesystemHint(error)}).`,
+      { runId, relativePath, targetPath, fsCode: error && error.code ? error.code : 'UNKNOWN' }
+    );
+  }
+
+  return {
+    runId,
+    relativePath: file.relativePath,
+    targetPath,
+    replacedRunId,
+  };
+}
+
+module.exports = {
+  ARCHIVE_DIR_NAME,
+  MAX_ARCHIVE_KEEP_RUNS,
+  MAX_ARCHIVE_AGE_DAYS,
+  archiveRunDirName,
+  normalizeArchiveOptions,
+  resolveArchiveRoot,
+  isSafeRelativePath,
+  readArchiveManifest,
+  writeArchiveManifest,
+  moveIntoArchive,
+  stageArchivedCopy,
+  listArchive,
+  pruneArchive,
+  restoreArchivedFile,
+};
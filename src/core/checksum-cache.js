@@ -0,0 +1,149 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const CHECKSUM_CACHE_VERSION = 1;
+const DEFAULT_MAX_CACHE_ENTRIES = 200000;
+const DEFAULT_MAX_CACHE_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+function cacheKey(algorithm, realPath) {
+  return `${algorithm}\0${realPath}`;
+}
+
+function isValidEntry(entry) {
+  return Boolean(entry)
+    && typeof entry === 'object'
+    && typeof entry.hash === 'string'
+    && Number.isFinite(entry.size)
+    && Number.isFinite(entry.mtimeMs)
+    && Number.isFinite(entry.lastUsedAt);
+}
+
+function createChecksumCache(options = {}) {
+  const now = typeof options.now === 'function' ? options.now : Date.now;
+  const entries = new Map();
+  const stats = {
+    hits: 0,
+    misses: 0,
+    invalidated: 0,
+  };
+
+  if (Array.isArray(options.entries)) {
+    for (const pair of options.entries) {
+      if (Array.isArray(pair) && typeof pair[0] === 'string' && isValidEntry(pair[1])) {
+        entries.set(pair[0], pair[1]);
+      }
+    }
+  }
+
+  const maxEntries = Math.max(
+    1,
+    Number.isFinite(Number(options.maxEntries)) ? Number(options.maxEntries) : DEFAULT_MAX_CACHE_ENTRIES
+  );
+  const maxAgeMs = Math.max(
+    0,
+    Number.isFinite(Number(options.maxAgeMs)) ? Number(options.maxAgeMs) : DEFAULT_MAX_CACHE_AGE_MS
+  );
+
+  // `file` is a walkFiles record: the cached hash is reused only while its size, mtime and inode still match.
+  const get = (file, algorithm) => {
+    const key = cacheKey(algorithm, file.fullPath);
+    const entry = entries.get(key);
+    if (!entry) {
+      stats.misses += 1;
+      return null;
+    }
+
+    const inodeMatches = !Number.isFinite(file.ino) || !Number.isFinite(entry.ino) || entry.ino === file.ino;
+    if (entry.size !== file.size || entry.mtimeMs !== file.mtimeMs || !inodeMatches) {
+      entries.delete(key);
+      stats.invalidated += 1;
+      stats.misses += 1;
+      return null;
+    }
+
+    entry.lastUsedAt = now();
+    stats.hits += 1;
+    return entry.hash;
+  };
+
+  const set = (file, algorithm, hash) => {
+    entries.set(cacheKey(algorithm, file.fullPath), {
+      size: file.size,
+      mtimeMs: file.mtimeMs,
+      ino: Number.isFinite(file.ino) ? file.ino : null,
+      hash,
+      lastUsedAt: now(),
+    });
+  };
+
+  const prune = (at = now()) => {
+    for (const [key, entry] of entries) {
+      if (maxAgeMs > 0 && at - entry.lastUsedAt > maxAgeMs) {
+        entries.delete(key);
+      }
+    }
+
+    if (entries.size > maxEntries) {
+      const byAge = Array.from(entries.entries()).sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+      for (const [key] of byAge.slice(0, entries.size - maxEntries)) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  return {
+    get,
+    set,
+    prune,
+    clear: () => entries.clear(),
+    size: () => entries.size,
+    stats,
+    toJSON: () => ({
+      version: CHECKSUM_CACHE_VERSION,
+      entries: Array.from(entries.entries()),
+    }),
+  };
+}
+
+async function loadChecksumCache(filePath, options = {}) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error && error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+      throw error;
+    }
+  }
+
+  const usable = parsed && parsed.version === CHECKSUM_CACHE_VERSION;
+  return createChecksumCache({
+    ...options,
+    entries: usable ? parsed.entries : [],
+  });
+}
+
+async function saveChecksumCache(filePath, cache) {
+  cache.prune();
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(cache.toJSON()), 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+async function removeChecksumCache(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (!error || error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_CACHE_ENTRIES,
+  createChecksumCache,
+  loadChecksumCache,
+  saveChecksumCache,
+  removeChecksumCache,
+};
@@ -0,0 +1,180 @@
+const MAX_WORKERS = 16;
+const MAX_LARGE_WORKERS = 8;
+const DEFAULT_MIN_WORKERS = 1;
+const DEFAULT_MAX_WORKERS = 3;
+const DEFAULT_MAX_LARGE_WORKERS = 1;
+const DEFAULT_INITIAL_WORKERS = 2;
+const WINDOW_MS = 1000;
+// A window stretched by a pause or a long stall says nothing about the current worker count.
+const STALE_WINDOW_MS = 5000;
+// Each finished file is worth this many bytes, so a run of tiny files still shows up as progress.
+const FILE_COST_BYTES = 256 * 1024;
+const MIN_GAIN = 0.05;
+const LATENCY_BACKOFF_RATIO = 4;
+const HOLD_WINDOWS = 5;
+const MAX_RECORDED_ADJUSTMENTS = 50;
+
+function boundedWorkers(value, fallback, max) {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) && number >= 1 ? Math.min(number, max) : fallback;
+}
+
+function normalizeConcurrencyOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  const maxWorkers = boundedWorkers(source.maxWorkers, DEFAULT_MAX_WORKERS, MAX_WORKERS);
+  const minWorkers = Math.min(maxWorkers, boundedWorkers(source.minWorkers, DEFAULT_MIN_WORKERS, MAX_WORKERS));
+  const initialWorkers = boundedWorkers(source.initialWorkers, DEFAULT_INITIAL_WORKERS, MAX_WORKERS);
+  return {
+    minWorkers,
+    maxWorkers,
+    maxLargeWorkers: Math.min(
+      maxWorkers,
+      boundedWorkers(source.maxLargeWorkers, DEFAULT_MAX_LARGE_WORKERS, MAX_LARGE_WORKERS)
+    ),
+    initialWorkers: Math.max(minWorkers, Math.min(maxWorkers, initialWorkers)),
+  };
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((left, right) => left - right);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Hill-climbs the worker count one step per window: keep probing upward while throughput grows,
+// step back when a probe did not pay off, retries pile up or small-file latency balloons, then
+// hold for a few windows before probing again.
+function createConcurrencyController(options = {}) {
+  const bounds = normalizeConcurrencyOptions(options);
+  const now = typeof options.now === 'function' ? options.now : Date.now;
+  const startedAt = now();
+
+  let workers = bounds.initialWorkers;
+  let peakWorkers = workers;
+  let lastStep = 0;
+  let holdWindows = 0;
+  let previousScore = null;
+  let baselineLatencyMs = null;
+  let windowStartedAt = startedAt;
+  let windowBytes = 0;
+  let windowFiles = 0;
+  let windowLatencies = [];
+  let windowRetries = 0;
+  let workerTimeMs = 0;
+  let workersSince = startedAt;
+  let peakActive = 0;
+  let largeOverlapped = 0;
+  const adjustments = [];
+
+  const setWorkers = (next, reason) => {
+    const at = now();
+    workerTimeMs += workers * (at - workersSince);
+    workersSince = at;
+    lastStep = next - workers;
+    if (next === workers) {
+      return;
+    }
+    workers = next;
+    peakWorkers = Math.max(peakWorkers, workers);
+    if (adjustments.length < MAX_RECORDED_ADJUSTMENTS) {
+      adjustments.push({ atMs: at - startedAt, workers, reason });
+    }
+  };
+
+  const resetWindow = (at) => {
+    windowStartedAt = at;
+    windowBytes = 0;
+    windowFiles = 0;
+    windowLatencies = [];
+    windowRetries = 0;
+  };
+
+  const evaluate = () => {
+    const at = now();
+    const elapsed = at - windowStartedAt;
+    if (elapsed < WINDOW_MS) {
+      return;
+    }
+    if (elapsed > STALE_WINDOW_MS || (windowBytes === 0 && windowFiles === 0)) {
+      resetWindow(at);
+      return;
+    }
+
+    const score = ((windowBytes + windowFiles * FILE_COST_BYTES) * 1000) / elapsed;
+    const latencyMs = median(windowLatencies);
+    if (latencyMs !== null) {
+      baselineLatencyMs = baselineLatencyMs === null ? latencyMs : Math.min(baselineLatencyMs, latencyMs);
+    }
+    const latencyTooHigh = latencyMs !== null && baselineLatencyMs !== null
+      && latencyMs > baselineLatencyMs * LATENCY_BACKOFF_RATIO;
+    const improved = previousScore === null || score > previousScore * (1 + MIN_GAIN);
+    const dropped = previousScore !== null && score < previousScore * (1 - MIN_GAIN);
+
+    if (windowRetries > 0 || latencyTooHigh || (lastStep > 0 && !improved) || dropped) {
+      const reason = windowRetries > 0
+        ? 'retries'
+        : (latencyTooHigh ? 'latency' : (lastStep > 0 ? 'no gain' : 'throughput drop'));
+      setWorkers(Math.max(bounds.minWorkers, workers - 1), reason);
+      holdWindows = HOLD_WINDOWS;
+    } else if (holdWindows > 0) {
+      holdWindows -= 1;
+      setWorkers(workers, '');
+    } else {
+      setWorkers(Math.min(bounds.maxWorkers, workers + 1), 'probe');
+    }
+    previousScore = score;
+    resetWindow(at);
+  };
+
+  return {
+    workers: () => workers,
+    // Large files may only use the slots that are left once one is kept back for small files.
+    largeSlots: (smallFilesWaiting) => Math.min(bounds.maxLargeWorkers, smallFilesWaiting ? workers - 1 : workers),
+    noteStarted(activeCount, overlapsSmallFiles) {
+      peakActive = Math.max(peakActive, activeCount);
+      if (overlapsSmallFiles) {
+        largeOverlapped += 1;
+      }
+    },
+    recordBytes(bytes) {
+      windowBytes += bytes;
+      evaluate();
+    },
+    recordFile({ durationMs, large }) {
+      windowFiles += 1;
+      if (!large) {
+        windowLatencies.push(durationMs);
+      }
+      evaluate();
+    },
+    recordRetry() {
+      windowRetries += 1;
+    },
+    telemetry() {
+      const at = now();
+      const elapsed = at - startedAt;
+      const totalWorkerTimeMs = workerTimeMs + workers * (at - workersSince);
+      return {
+        minWorkers: bounds.minWorkers,
+        maxWorkers: bounds.maxWorkers,
+        maxLargeWorkers: bounds.maxLargeWorkers,
+        initialWorkers: bounds.initialWorkers,
+        finalWorkers: workers,
+        peakWorkers,
+        averageWorkers: elapsed > 0 ? Math.round((totalWorkerTimeMs / elapsed) * 10) / 10 : workers,
+        peakActive,
+        largeOverlapped,
+        adjustments: [...adjustments],
+      };
+    },
+  };
+}
+
+module.exports = {
+  MAX_WORKERS,
+  MAX_LARGE_WORKERS,
+  normalizeConcurrencyOptions,
+  createConcurrencyController,
+};
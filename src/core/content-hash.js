@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { TreeSyncError } = require('./errors');
+
+const HASH_ALGORITHMS = Object.freeze(['sha256', 'crc32']);
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+const HASH_READ_CHUNK_BYTES = 1024 * 1024;
+
+function normalizeHashAlgorithm(value) {
+  return HASH_ALGORITHMS.includes(value) ? value : DEFAULT_HASH_ALGORITHM;
+}
+
+function createContentHasher(algorithm) {
+  const normalized = normalizeHashAlgorithm(algorithm);
+
+  if (normalized === 'crc32') {
+    // Non-cryptographic: only used to tell a source apart from the destination it replaces.
+    let value = 0;
+    return {
+      algorithm: normalized,
+      update(chunk) {
+        value = zlib.crc32(chunk, value);
+      },
+      digest() {
+        return (value >>> 0).toString(16).padStart(8, '0');
+      },
+    };
+  }
+
+  const hash = crypto.createHash(normalized);
+  return {
+    algorithm: normalized,
+    update(chunk) {
+      hash.update(chunk);
+    },
+    digest() {
+      return hash.digest('hex');
+    },
+  };
+}
+
+async function hashFile(filePath, options = {}) {
+  const hasher = createContentHasher(options.algorithm);
+  const shouldCancel = typeof options.shouldCancel === 'function' ? options.shouldCancel : null;
+  const stream = fs.createReadStream(filePath, { highWaterMark: HASH_READ_CHUNK_BYTES });
+
+  try {
+    for await (const chunk of stream) {
+      if (shouldCancel && shouldCancel()) {
+        throw new TreeSyncError('HASH_CANCELLED', `Hashing cancelled for "${filePath}".`, { filePath });
+      }
+      hasher.update(chunk);
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  return hasher.digest();
+}
+
+module.exports = {
+  HASH_ALGORITHMS,
+  DEFAULT_HASH_ALGORITHM,
+  normalizeHashAlgorithm,
+  createContentHasher,
+  hashFile,
+};
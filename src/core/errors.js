@@ -0,0 +1,47 @@
+class TreeSyncError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TreeSyncError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function filesystemHint(error) {
+  switch (error && error.code) {
+    case 'ENOENT':
+      return 'Path is unavailable (missing or disconnected).';
+    case 'ENOSPC':
+      return 'No space left on destination device.';
+    case 'EACCES':
+    case 'EPERM':
+      return 'Permission denied.';
+    case 'EROFS':
+      return 'Destination is read-only.';
+    case 'ENOTDIR':
+      return 'A path component is not a directory.';
+    case 'EMFILE':
+    case 'ENFILE':
+      return 'Too many open files.';
+    default:
+      return error && error.message ? error.message : 'Unknown filesystem error.';
+  }
+}
+
+function wrapFilesystemError(action, targetPath, error, details = {}) {
+  return new TreeSyncError(
+    'FILESYSTEM_ERROR',
+    `${action} failed for "${targetPath}": ${filesystemHint(error)}`,
+    {
+      ...details,
+      targetPath,
+      fsCode: error && error.code ? error.code : 'UNKNOWN',
+    }
+  );
+}
+
+module.exports = {
+  TreeSyncError,
+  filesystemHint,
+  wrapFilesystemError,
+};
@@ -0,0 +1,111 @@
+const fs = require('fs/promises');
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+
+const COPY_STRATEGY = Object.freeze({
+  REFLINK: 'reflink',
+  KERNEL: 'kernel',
+  BUFFERED: 'buffered',
+});
+
+// How often a kernel copy, which runs as one call, is polled for the size written so far.
+const KERNEL_PROGRESS_POLL_MS = 250;
+
+// What the kernel reports when a volume pair cannot clone or copy in place, as opposed to a real failure.
+const UNSUPPORTED_COPY_CODES = new Set([
+  'ENOTSUP',
+  'EOPNOTSUPP',
+  'ENOTTY',
+  'ENOSYS',
+  'EXDEV',
+  'EINVAL',
+  'EBADF',
+]);
+
+function isUnsupportedCopyError(error) {
+  return Boolean(error && UNSUPPORTED_COPY_CODES.has(error.code));
+}
+
+// Remembers, per source and destination device, which kernel copy paths have failed there so each file
+// after the first goes straight to one that works.
+function createCopyStrategyCache({ platform = process.platform } = {}) {
+  const unsupported = new Map();
+
+  const pairKey = async (sourcePath, targetPath) => {
+    const [sourceStat, targetDirStat] = await Promise.all([
+      fs.stat(sourcePath),
+      fs.stat(path.dirname(targetPath)),
+    ]);
+    return {
+      key: `${sourceStat.dev}:${targetDirStat.dev}`,
+      sameDevice: sourceStat.dev === targetDirStat.dev,
+    };
+  };
+
+  return {
+    // `throttled` rules out the kernel copy, which would move the data without passing the rate limiter,
+    // and `checkpointed` does too: one uninterruptible call leaves no checkpoints to resume from.
+    async candidates(sourcePath, targetPath, { throttled = false, checkpointed = false } = {}) {
+      const { key, sameDevice } = await pairKey(sourcePath, targetPath);
+      const failed = unsupported.get(key) || new Set();
+      const strategies = [COPY_STRATEGY.REFLINK];
+      if (platform === 'linux' && sameDevice && !throttled && !checkpointed) {
+        strategies.push(COPY_STRATEGY.KERNEL);
+      }
+      return {
+        key,
+        strategies: strategies.filter((strategy) => !failed.has(strategy)),
+      };
+    },
+    markUnsupported(key, strategy) {
+      const failed = unsupported.get(key) || new Set();
+      failed.add(strategy);
+      unsupported.set(key, failed);
+    },
+  };
+}
+
+// Clones the file when the volume supports it; fails instead of falling back to a plain copy.
+async function reflinkCopy(sourcePath, targetPath) {
+  await fs.copyFile(sourcePath, targetPath, fsConstants.COPYFILE_EXCL | fsConstants.COPYFILE_FICLONE_FORCE);
+}
+
+// libuv serves copyFile with copy_file_range or sendfile, so the data never passes through this process.
+async function kernelCopy(sourcePath, targetPath, onProgress, pollMs = KERNEL_PROGRESS_POLL_MS) {
+  let finished = false;
+  const copying = fs.copyFile(sourcePath, targetPath, fsConstants.COPYFILE_EXCL);
+  copying.then(() => {
+    finished = true;
+  }, () => {
+    finished = true;
+  });
+
+  let reported = 0;
+  const report = async () => {
+    const stat = await fs.stat(targetPath).catch(() => null);
+    if (stat && stat.size > reported) {
+      onProgress(stat.size - reported);
+      reported = stat.size;
+    }
+  };
+
+  while (!finished) {
+    await Promise.race([
+      copying.catch(() => undefined),
+      new Promise((resolve) => setTimeout(resolve, pollMs)),
+    ]);
+    if (!finished) {
+      await report();
+    }
+  }
+  await copying;
+  await report();
+}
+
+module.exports = {
+  COPY_STRATEGY,
+  isUnsupportedCopyError,
+  createCopyStrategyCache,
+  reflinkCopy,
+  kernelCopy,
+};
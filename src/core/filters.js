@@ -0,0 +1,217 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const IGNORE_FILE_NAME = '.lempickaignore';
+const MAX_FILTER_RULES = 200;
+const FILTER_ORIGINS = Object.freeze({
+  SETTINGS: 'settings',
+  SOURCE_IGNORE_FILE: 'source-ignore-file',
+  DESTINATION_IGNORE_FILE: 'destination-ignore-file',
+});
+
+function normalizeFilterConfig(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const rules = [];
+  const seen = new Set();
+  const rawRules = Array.isArray(source.rules) ? source.rules : [];
+  for (const value of rawRules) {
+    const rule = typeof value === 'string' ? value.trim() : '';
+    if (!rule || rule === '!' || rule.startsWith('#') || seen.has(rule)) {
+      continue;
+    }
+    seen.add(rule);
+    rules.push(rule);
+    if (rules.length >= MAX_FILTER_RULES) {
+      break;
+    }
+  }
+  return { rules };
+}
+
+function parseIgnoreFileRules(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && line !== '!' && !line.startsWith('#'));
+}
+
+async function readIgnoreFileRules(root) {
+  try {
+    return parseIgnoreFileRules(await fs.readFile(path.join(root, IGNORE_FILE_NAME), 'utf8'));
+  } catch (error) {
+    if (error && (error.code === 'ENOENT' || error.code === 'EISDIR')) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function escapeRegExpChar(char) {
+  return /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char;
+}
+
+function globToRegExpSource(glob) {
+  let source = '';
+  let index = 0;
+  while (index < glob.length) {
+    const char = glob[index];
+
+    if (char === '*') {
+      if (glob[index + 1] === '*') {
+        const atSegmentStart = index === 0 || glob[index - 1] === '/';
+        const next = glob[index + 2];
+        if (atSegmentStart && next === '/') {
+          source += '(?:.*/)?';
+          index += 3;
+          continue;
+        }
+        if (atSegmentStart && next === undefined) {
+          source += '.*';
+          index += 2;
+          continue;
+        }
+      }
+      source += '[^/]*';
+      index += 1;
+      continue;
+    }
+
+    if (char === '?') {
+      source += '[^/]';
+      index += 1;
+      continue;
+    }
+
+    if (char === '[') {
+      const close = glob.indexOf(']', index + 2);
+      if (close !== -1) {
+        let body = glob.slice(index + 1, close);
+        const negated = body.startsWith('!') || body.startsWith('^');
+        if (negated) {
+          body = body.slice(1);
+        }
+        source += `[${negated ? '^' : ''}${body.replace(/\\/g, '\\\\')}]`;
+        index = close + 1;
+        continue;
+      }
+    }
+
+    if (char === '\\' && index + 1 < glob.length) {
+      source += escapeRegExpChar(glob[index + 1]);
+      index += 2;
+      continue;
+    }
+
+    source += escapeRegExpChar(char);
+    index += 1;
+  }
+  return source;
+}
+
+// Gitignore-style: a rule without a slash matches a name at any depth, a rule with one is anchored
+// to the root, a trailing slash limits the rule to folders and a leading "!" re-includes.
+function compileFilterRule(rule, origin) {
+  let body = rule;
+  const negated = body.startsWith('!');
+  if (negated) {
+    body = body.slice(1);
+  }
+  const directoryOnly = body.endsWith('/');
+  if (directoryOnly) {
+    body = body.replace(/\/+$/, '');
+  }
+  const anchored = body.includes('/');
+  body = body.replace(/^\/+/, '');
+
+  const prefix = anchored ? '^' : '(?:^|/)';
+  return {
+    pattern: rule,
+    origin,
+    negated,
+    directoryOnly,
+    regex: new RegExp(`${prefix}${globToRegExpSource(body)}$`, 'i'),
+  };
+}
+
+function ruleMatchesPath(rule, segments) {
+  // A rule also applies to everything below a folder it matches.
+  const lastIndex = rule.directoryOnly ? segments.length - 1 : segments.length;
+  for (let length = 1; length <= lastIndex; length += 1) {
+    if (rule.regex.test(segments.slice(0, length).join('/'))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function createPathFilter(ruleSets) {
+  const rules = [];
+  for (const ruleSet of Array.isArray(ruleSets) ? ruleSets : []) {
+    const origin = ruleSet && typeof ruleSet.origin === 'string' ? ruleSet.origin : FILTER_ORIGINS.SETTINGS;
+    const patterns = ruleSet && Array.isArray(ruleSet.rules) ? ruleSet.rules : [];
+    for (const pattern of patterns) {
+      rules.push(compileFilterRule(pattern, origin));
+    }
+  }
+
+  // Returns the exclude rule that decides the path, or null when the path is kept. Later rules win.
+  const excludedBy = (relativePath) => {
+    if (rules.length === 0) {
+      return null;
+    }
+    const segments = String(relativePath || '').split(/[\\/]+/).filter(Boolean);
+    for (let index = rules.length - 1; index >= 0; index -= 1) {
+      const rule = rules[index];
+      if (ruleMatchesPath(rule, segments)) {
+        return rule.negated ? null : rule;
+      }
+    }
+    return null;
+  };
+
+  // Returns the rule that excludes a whole folder, so a walk can skip it without reading it. A "!" rule
+  // after it could re-include something inside, so the folder is only skipped when none follows.
+  const excludedDirectory = (relativePath) => {
+    const segments = String(relativePath || '').split(/[\\/]+/).filter(Boolean);
+    if (segments.length === 0) {
+      return null;
+    }
+    const withChildren = `${segments.join('/')}/`;
+    for (let index = rules.length - 1; index >= 0; index -= 1) {
+      const rule = rules[index];
+      if (rule.negated) {
+        return null;
+      }
+      // A pattern that matches "folder/" with nothing after it matches every name inside the folder too.
+      if (ruleMatchesPath(rule, [...segments, '']) || rule.regex.test(withChildren)) {
+        return rule;
+      }
+    }
+    return null;
+  };
+
+  return {
+    rules,
+    excludedBy,
+    excludedDirectory,
+  };
+}
+
+async function buildRootFilter(root, filterConfig, ignoreFileOrigin) {
+  const normalized = normalizeFilterConfig(filterConfig);
+  return createPathFilter([
+    { origin: FILTER_ORIGINS.SETTINGS, rules: normalized.rules },
+    { origin: ignoreFileOrigin, rules: await readIgnoreFileRules(root) },
+  ]);
+}
+
+module.exports = {
+  IGNORE_FILE_NAME,
+  MAX_FILTER_RULES,
+  FILTER_ORIGINS,
+  normalizeFilterConfig,
+  parseIgnoreFileRules,
+  readIgnoreFileRules,
+  createPathFilter,
+  buildRootFilter,
+};
@@ -0,0 +1,176 @@
+const fs = require('fs/promises');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const { filesystemHint } = require('./errors');
+
+const execFileAsync = promisify(execFile);
+
+const METADATA_KINDS = ['times', 'mode', 'xattrs'];
+const DEFAULT_METADATA_OPTIONS = Object.freeze({ times: true, mode: true, xattrs: false });
+const MAX_XATTR_OUTPUT_BYTES = 16 * 1024 * 1024;
+
+function normalizeMetadataOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  const normalized = {};
+  for (const kind of METADATA_KINDS) {
+    normalized[kind] = typeof source[kind] === 'boolean' ? source[kind] : DEFAULT_METADATA_OPTIONS[kind];
+  }
+  return normalized;
+}
+
+// Reads a list such as "times,mode" or "none". Returns null when it names something unknown.
+function parseMetadataList(value) {
+  const names = String(value || '').split(',').map((name) => name.trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') {
+    return { times: false, mode: false, xattrs: false };
+  }
+  if (names.length === 0 || names.some((name) => !METADATA_KINDS.includes(name))) {
+    return null;
+  }
+  return {
+    times: names.includes('times'),
+    mode: names.includes('mode'),
+    xattrs: names.includes('xattrs'),
+  };
+}
+
+// Node has no extended attribute API, so they go through the platform's command line tools:
+// getfattr/setfattr from the attr package on Linux (user namespace only) and xattr on macOS.
+const xattrToolAvailability = new Map();
+
+async function commandAvailable(command, args) {
+  if (!xattrToolAvailability.has(command)) {
+    const probe = execFileAsync(command, args).then(() => true, (error) => Boolean(error) && error.code !== 'ENOENT');
+    xattrToolAvailability.set(command, probe);
+  }
+  return xattrToolAvailability.get(command);
+}
+
+function createXattrBackend(platform = process.platform) {
+  if (platform === 'linux') {
+    return {
+      label: 'getfattr and setfattr',
+      available: async () => (await commandAvailable('getfattr', ['--version']))
+        && commandAvailable('setfattr', ['--version']),
+      async read(filePath) {
+        const { stdout } = await execFileAsync(
+          'getfattr',
+          ['--absolute-names', '--dump', '--encoding=base64', filePath],
+          { maxBuffer: MAX_XATTR_OUTPUT_BYTES }
+        );
+        return parseGetfattrDump(stdout);
+      },
+      async write(filePath, attribute) {
+        const value = `0s${attribute.value.toString('base64')}`;
+        await execFileAsync('setfattr', ['-n', attribute.name, '-v', value, filePath]);
+      },
+    };
+  }
+  if (platform === 'darwin') {
+    return {
+      label: '/usr/bin/xattr',
+      available: () => commandAvailable('/usr/bin/xattr', ['-h']),
+      async read(filePath) {
+        const { stdout } = await execFileAsync('/usr/bin/xattr', [filePath], { maxBuffer: MAX_XATTR_OUTPUT_BYTES });
+        const attributes = [];
+        for (const name of stdout.split('\n').filter(Boolean)) {
+          const { stdout: hex } = await execFileAsync('/usr/bin/xattr', ['-px', name, filePath], {
+            maxBuffer: MAX_XATTR_OUTPUT_BYTES,
+          });
+          attributes.push({ name, value: Buffer.from(hex.replace(/\s+/g, ''), 'hex') });
+        }
+        return attributes;
+      },
+      async write(filePath, attribute) {
+        await execFileAsync('/usr/bin/xattr', ['-wx', attribute.name, attribute.value.toString('hex'), filePath]);
+      },
+    };
+  }
+  return null;
+}
+
+// Lines look like `user.comment=0sSGVsbG8=`; values without the 0s prefix are quoted text or 0x hex.
+function parseGetfattrDump(output) {
+  const attributes = [];
+  for (const line of String(output || '').split('\n')) {
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+    const separator = line.indexOf('=');
+    const name = separator === -1 ? line : line.slice(0, separator);
+    const raw = separator === -1 ? '' : line.slice(separator + 1);
+    let value;
+    if (raw.startsWith('0s')) {
+      value = Buffer.from(raw.slice(2), 'base64');
+    } else if (raw.startsWith('0x')) {
+      value = Buffer.from(raw.slice(2), 'hex');
+    } else {
+      value = Buffer.from(raw.replace(/^"|"$/g, ''), 'utf8');
+    }
+    attributes.push({ name, value });
+  }
+  return attributes;
+}
+
+// Copies the requested metadata from `sourceStat` and the source file onto `targetPath`. Nothing here
+// fails the copy; each part that could not be applied comes back as a { kind, message } warning.
+async function preserveMetadata(sourcePath, targetPath, sourceStat, options, xattrBackend = createXattrBackend()) {
+  const warnings = [];
+
+  if (options.xattrs) {
+    if (!xattrBackend) {
+      warnings.push({ kind: 'xattrs', message: `not supported on ${process.platform}` });
+    } else if (!(await xattrBackend.available())) {
+      warnings.push({ kind: 'xattrs', message: `${xattrBackend.label} not found` });
+    } else {
+      let attributes = [];
+      try {
+        attributes = await xattrBackend.read(sourcePath);
+      } catch (error) {
+        warnings.push({ kind: 'xattrs', message: `reading the source failed (${toolErrorHint(error)})` });
+      }
+      for (const attribute of attributes) {
+        try {
+          await xattrBackend.write(targetPath, attribute);
+        } catch (error) {
+          warnings.push({ kind: 'xattrs', message: `${attribute.name} (${toolErrorHint(error)})` });
+        }
+      }
+    }
+  }
+
+  if (options.mode) {
+    try {
+      await fs.chmod(targetPath, sourceStat.mode & 0o7777);
+    } catch (error) {
+      warnings.push({ kind: 'mode', message: filesystemHint(error) });
+    }
+  }
+
+  // Last, since writing attributes or the mode may touch the times on some filesystems.
+  if (options.times) {
+    try {
+      // Seconds as fractions keep the sub-millisecond part that Date objects would drop.
+      await fs.utimes(targetPath, sourceStat.atimeMs / 1000, sourceStat.mtimeMs / 1000);
+    } catch (error) {
+      warnings.push({ kind: 'times', message: filesystemHint(error) });
+    }
+  }
+
+  return warnings;
+}
+
+function toolErrorHint(error) {
+  const stderr = error && typeof error.stderr === 'string' ? error.stderr.trim().split('\n').pop() : '';
+  return stderr || filesystemHint(error);
+}
+
+module.exports = {
+  METADATA_KINDS,
+  normalizeMetadataOptions,
+  parseMetadataList,
+  parseGetfattrDump,
+  createXattrBackend,
+  preserveMetadata,
+};
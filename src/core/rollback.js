@@ -0,0 +1,303 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const { TreeSyncError, filesystemHint, wrapFilesystemError } = require('./errors');
+const { isSafeRelativePath, stageArchivedCopy, normalizeArchiveOptions } = require('./archive');
+
+// With Options > Keep replaced files for undo and no archive, sync moves the files it replaces into
+// <destination>/.lempicka-undo/<time>/ so they can still be put back; the folder goes when its history
+// entry does, or earlier once it passes the run or age limit.
+const ROLLBACK_DIR_NAME = '.lempicka-undo';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// JSON round-trips and some volumes blur mtimes below a millisecond.
+const MTIME_MATCH_TOLERANCE_MS = 1;
+const MAX_LISTED_CONFLICTS = 10;
+
+function normalizeRollbackFile(file) {
+  if (!file || typeof file !== 'object' || !isSafeRelativePath(file.targetRelativePath)) {
+    return null;
+  }
+  return {
+    targetRelativePath: file.targetRelativePath,
+    created: file.created === true,
+    archivePath: typeof file.archivePath === 'string' ? file.archivePath : '',
+    size: Number.isFinite(file.size) ? file.size : null,
+    mtimeMs: Number.isFinite(file.mtimeMs) ? file.mtimeMs : null,
+  };
+}
+
+// Only a run folder directly under the destination's rollback folder is accepted, since pruning deletes it.
+function normalizeRollbackDir(rollbackDir, rightRoot) {
+  if (typeof rollbackDir !== 'string' || !rollbackDir || !rightRoot) {
+    return '';
+  }
+  const name = path.basename(rollbackDir);
+  const expected = path.join(rightRoot, ROLLBACK_DIR_NAME, name);
+  return isSafeRelativePath(name) && !name.startsWith('.') && path.resolve(rollbackDir) === expected ? expected : '';
+}
+
+function normalizeRollbackRecord(record) {
+  const source = record && typeof record === 'object' ? record : {};
+  const rightRoot = typeof source.rightRoot === 'string' ? source.rightRoot : '';
+  return {
+    version: 1,
+    leftRoot: typeof source.leftRoot === 'string' ? source.leftRoot : '',
+    rightRoot,
+    rollbackDir: normalizeRollbackDir(source.rollbackDir, rightRoot),
+    files: Array.isArray(source.files) ? source.files.map(normalizeRollbackFile).filter(Boolean) : [],
+    trashed: Array.isArray(source.trashed)
+      ? source.trashed
+          .filter((item) => item && isSafeRelativePath(item.relativePath)
+            && typeof item.trashPath === 'string' && item.trashPath)
+          .map((item) => ({ relativePath: item.relativePath, trashPath: item.trashPath }))
+      : [],
+    createdDirectories: Array.isArray(source.createdDirectories)
+      ? source.createdDirectories.filter(isSafeRelativePath)
+      : [],
+  };
+}
+
+// What a finished (or partly finished) sync result needs to be undone later.
+function buildRollbackRecord(result) {
+  const source = result && typeof result === 'object' ? result : {};
+  return normalizeRollbackRecord({ ...source, files: source.succeededFiles });
+}
+
+function describeRollbackAvailability(record) {
+  if (!record.rightRoot) {
+    return { available: false, reason: 'The destination of this sync is unknown.' };
+  }
+  const unkept = record.files.filter((file) => !file.created && !file.archivePath).length;
+  if (unkept > 0) {
+    return {
+      available: false,
+      reason: `The originals of ${unkept} replaced file(s) were not kept, so they cannot be put back.`,
+    };
+  }
+  if (record.files.length === 0 && record.trashed.length === 0 && record.createdDirectories.length === 0) {
+    return { available: false, reason: 'This sync changed nothing that can be undone.' };
+  }
+  return { available: true, reason: '' };
+}
+
+async function lstatOrNull(filePath) {
+  try {
+    return await fs.lstat(filePath);
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return null;
+    }
+    throw wrapFilesystemError('Reading file metadata', filePath, error);
+  }
+}
+
+async function findRollbackConflicts(record) {
+  const conflicts = [];
+  for (const file of record.files) {
+    const targetPath = path.join(record.rightRoot, file.targetRelativePath);
+    const stat = await lstatOrNull(targetPath);
+    if (!stat || !stat.isFile()) {
+      conflicts.push({ relativePath: file.targetRelativePath, reason: 'deleted since the sync' });
+      continue;
+    }
+    if (file.size === null || stat.size !== file.size
+      || Math.abs(stat.mtimeMs - file.mtimeMs) > MTIME_MATCH_TOLERANCE_MS) {
+      conflicts.push({ relativePath: file.targetRelativePath, reason: 'modified since the sync' });
+      continue;
+    }
+    if (!file.created && !(await lstatOrNull(file.archivePath))) {
+      conflicts.push({ relativePath: file.targetRelativePath, reason: 'its original is no longer kept' });
+    }
+  }
+
+  for (const item of record.trashed) {
+    if (!(await lstatOrNull(item.trashPath))) {
+      conflicts.push({ relativePath: item.relativePath, reason: 'no longer in the trash folder' });
+    } else if (await lstatOrNull(path.join(record.rightRoot, item.relativePath))) {
+      conflicts.push({ relativePath: item.relativePath, reason: 'a new file now exists at its path' });
+    }
+  }
+  return conflicts;
+}
+
+function formatConflicts(conflicts) {
+  const listed = conflicts.slice(0, MAX_LISTED_CONFLICTS).map((item) => `${item.relativePath} (${item.reason})`);
+  const more = conflicts.length > listed.length ? ` and ${conflicts.length - listed.length} more` : '';
+  return `${listed.join(', ')}${more}`;
+}
+
+function directoryDepth(relativePath) {
+  return relativePath.split(/[\\/]+/).length;
+}
+
+// Checks every file before touching any, so a refused undo leaves the destination exactly as it was.
+async function undoSyncRun(record) {
+  const normalized = normalizeRollbackRecord(record);
+  const availability = describeRollbackAvailability(normalized);
+  if (!availability.available) {
+    throw new TreeSyncError('UNDO_UNAVAILABLE', availability.reason);
+  }
+  const rootStat = await lstatOrNull(normalized.rightRoot);
+  if (!rootStat || !rootStat.isDirectory()) {
+    throw new TreeSyncError(
+      'UNDO_UNAVAILABLE',
+      `The destination folder "${normalized.rightRoot}" is not available.`,
+      { rightRoot: normalized.rightRoot }
+    );
+  }
+
+  const conflicts = await findRollbackConflicts(normalized);
+  if (conflicts.length > 0) {
+    throw new TreeSyncError(
+      'UNDO_REFUSED',
+      `Undo refused because ${conflicts.length} destination file(s) changed after the sync: ` +
+        `${formatConflicts(conflicts)}. Nothing was changed.`,
+      { conflicts }
+    );
+  }
+
+  const result = {
+    rightRoot: normalized.rightRoot,
+    restored: [],
+    removed: [],
+    untrashed: [],
+    removedDirectories: [],
+    keptDirectories: [],
+  };
+
+  try {
+    for (const file of normalized.files) {
+      const targetPath = path.join(normalized.rightRoot, file.targetRelativePath);
+      if (file.created) {
+        await fs.unlink(targetPath);
+        result.removed.push(file.targetRelativePath);
+        continue;
+      }
+      const writePath = await stageArchivedCopy(file.archivePath, targetPath);
+      try {
+        await fs.rename(writePath, targetPath);
+      } catch (error) {
+        await fs.rm(writePath, { force: true });
+        throw error;
+      }
+      result.restored.push(file.targetRelativePath);
+    }
+
+    for (const item of normalized.trashed) {
+      const targetPath = path.join(normalized.rightRoot, item.relativePath);
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.rename(item.trashPath, targetPath);
+      result.untrashed.push(item.relativePath);
+    }
+  } catch (error) {
+    throw new TreeSyncError(
+      'UNDO_FAILED',
+      `Undo stopped partway (${filesystemHint(error)}) after restoring ${result.restored.length}, ` +
+        `removing ${result.removed.length} and returning ${result.untrashed.length} file(s) from the trash.`,
+      { partialResult: result, fsCode: error && error.code ? error.code : 'UNKNOWN' }
+    );
+  }
+
+  // Deepest first, so a created parent is empty by the time it is reached. Folders that
+  // picked up other files since the sync are left in place.
+  const directories = [...normalized.createdDirectories]
+    .sort((left, right) => directoryDepth(right) - directoryDepth(left) || right.localeCompare(left));
+  for (const relativeDir of directories) {
+    try {
+      await fs.rmdir(path.join(normalized.rightRoot, relativeDir));
+      result.removedDirectories.push(relativeDir);
+    } catch (error) {
+      if (!error || error.code !== 'ENOENT') {
+        result.keptDirectories.push(relativeDir);
+      }
+    }
+  }
+
+  return result;
+}
+
+// Deletes the originals a run kept for undo once nothing can use them any more.
+async function removeKeptOriginals(record) {
+  const { rightRoot, rollbackDir } = normalizeRollbackRecord(record);
+  if (rollbackDir) {
+    await removeRollbackRun(rightRoot, rollbackDir);
+  }
+}
+
+// Run folders are named after the time the sync started, e.g. 2026-03-01T10-20-30-400Z.
+function rollbackRunTime(name) {
+  const match = /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(name);
+  return match ? Date.parse(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`) : NaN;
+}
+
+// Newest first; anything in the folder that is not a run folder is left alone.
+async function listKeptOriginalRuns(rightRoot) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(rightRoot, ROLLBACK_DIR_NAME), { withFileTypes: true });
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return [];
+    }
+    throw wrapFilesystemError('Reading the undo folder', path.join(rightRoot, ROLLBACK_DIR_NAME), error);
+  }
+  return entries
+    .filter((entry) => entry.isDirectory() && Number.isFinite(rollbackRunTime(entry.name)))
+    .map((entry) => ({
+      dirPath: path.join(rightRoot, ROLLBACK_DIR_NAME, entry.name),
+      startedAt: rollbackRunTime(entry.name),
+    }))
+    .sort((left, right) => right.startedAt - left.startedAt);
+}
+
+async function removeRollbackRun(rightRoot, dirPath) {
+  await fs.rm(dirPath, { recursive: true, force: true });
+  // The folder itself goes with its last run; rmdir leaves it when anything else is in there.
+  await fs.rmdir(path.join(rightRoot, ROLLBACK_DIR_NAME)).catch(() => undefined);
+}
+
+// Applies the run and age limits (0 = no limit) to one destination's kept originals.
+async function pruneKeptOriginals(rightRoot, options = {}) {
+  const limits = normalizeArchiveOptions(options);
+  if (!rightRoot || (limits.keepRuns === 0 && limits.maxAgeDays === 0)) {
+    return [];
+  }
+  const now = Number.isFinite(Number(options.now)) ? Number(options.now) : Date.now();
+  const removed = [];
+  for (const [index, run] of (await listKeptOriginalRuns(rightRoot)).entries()) {
+    const tooMany = limits.keepRuns > 0 && index >= limits.keepRuns;
+    const tooOld = limits.maxAgeDays > 0 && now - run.startedAt > limits.maxAgeDays * MS_PER_DAY;
+    if (tooMany || tooOld) {
+      await removeRollbackRun(rightRoot, run.dirPath);
+      removed.push(run.dirPath);
+    }
+  }
+  return removed;
+}
+
+// Removes run folders nothing refers to any more, such as those of a sync that stopped before its
+// history entry was written. `startedBefore` spares runs of syncs that may still be going.
+async function removeUnreferencedKeptOriginals(rightRoot, referencedDirs, { startedBefore = Date.now() } = {}) {
+  const referenced = new Set(referencedDirs);
+  const removed = [];
+  for (const run of await listKeptOriginalRuns(rightRoot)) {
+    if (!referenced.has(run.dirPath) && run.startedAt < startedBefore) {
+      await removeRollbackRun(rightRoot, run.dirPath);
+      removed.push(run.dirPath);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  ROLLBACK_DIR_NAME,
+  normalizeRollbackRecord,
+  buildRollbackRecord,
+  describeRollbackAvailability,
+  findRollbackConflicts,
+  undoSyncRun,
+  removeKeptOriginals,
+  pruneKeptOriginals,
+  removeUnreferencedKeptOriginals,
+};
@@ -4,6 +4,32 @@ const path = require('path');
 const { execFile } = require('child_process');
 const { promisify } = require('util');
 
+const { TreeSyncError, filesystemHint, wrapFilesystemError } = require('./errors');
+const { parseVersionedName, compileVersionPatterns } = require('./versioning');
+const { hashFile, normalizeHashAlgorithm, createContentHasher } = require('./content-hash');
+const { FILTER_ORIGINS, buildRootFilter } = require('./filters');
+const {
+  ARCHIVE_DIR_NAME,
+  archiveRunDirName,
+  normalizeArchiveOptions,
+  resolveArchiveRoot,
+  readArchiveManifest,
+  writeArchiveManifest,
+  moveIntoArchive,
+  pruneArchive,
+} = require('./archive');
+const { normalizeRateLimit, estimateTransferSeconds, createRateLimiter } = require('./throttle');
+const { createConcurrencyController } = require('./concurrency');
+const {
+  COPY_STRATEGY,
+  isUnsupportedCopyError,
+  createCopyStrategyCache,
+  reflinkCopy,
+  kernelCopy,
+} = require('./fast-copy');
+const { normalizeMetadataOptions, preserveMetadata } = require('./metadata');
+const { ROLLBACK_DIR_NAME, pruneKeptOriginals } = require('./rollback');
+
 const execFileAsync = promisify(execFile);
 
 const IGNORED_FILE_NAMES = new Set([
@@ -25,11 +51,25 @@ const RECOVERABLE_FS_CODES = new Set([
   'ETIMEDOUT',
 ]);
 
+// Not filesystem codes, but failures that a fresh attempt can fix.
+const RETRYABLE_SYNC_ERROR_CODES = new Set(['VERIFY_MISMATCH', 'COPY_INCOMPLETE']);
+
 const DEFAULT_RETRY_COUNT = 2;
 const DEFAULT_RETRY_BASE_DELAY_MS = 300;
 const DEFAULT_SMALL_FILE_THRESHOLD_BYTES = 4 * 1024 * 1024;
-const DEFAULT_MAX_PARALLEL_SMALL_FILES = 3;
 const PAUSE_POLL_MS = 120;
+const DEFAULT_CHECKPOINT_MIN_BYTES = 64 * 1024 * 1024;
+const DEFAULT_CHECKPOINT_INTERVAL_BYTES = 64 * 1024 * 1024;
+// Stages in which a checkpointed temp copy is still only ever appended to, so it can be picked up again.
+const RESUMABLE_STAGES = new Set(['preparing', 'backed-up', 'writing-temp', 'partial']);
+// Resuming compares this much of the partial copy, just before its checkpoint, with the source.
+const RESUME_CHECK_BYTES = 1024 * 1024;
+const DEFAULT_HASH_CONCURRENCY = 4;
+// Copies and some network or FAT volumes round mtimes, so only a clear lead counts as "destination is newer".
+const MTIME_TOLERANCE_MS = 2000;
+const COMPARE_MODES = new Set(['size', 'content']);
+const PIN_MODES = new Set(['version', 'never']);
+const SYNC_TRASH_DIR_NAME = '.lempicka-trash';
 
 const SENSITIVE_ROOT_PATHS = [
   '/System',
@@ -46,48 +86,6 @@ const SENSITIVE_ROOT_PATHS = [
   '/private/var/db',
 ];
 
-class TreeSyncError extends Error {
-  constructor(code, message, details = {}) {
-    super(message);
-    this.name = 'TreeSyncError';
-    this.code = code;
-    this.details = details;
-  }
-}
-
-function filesystemHint(error) {
-  switch (error && error.code) {
-    case 'ENOENT':
-      return 'Path is unavailable (missing or disconnected).';
-    case 'ENOSPC':
-      return 'No space left on destination device.';
-    case 'EACCES':
-    case 'EPERM':
-      return 'Permission denied.';
-    case 'EROFS':
-      return 'Destination is read-only.';
-    case 'ENOTDIR':
-      return 'A path component is not a directory.';
-    case 'EMFILE':
-    case 'ENFILE':
-      return 'Too many open files.';
-    default:
-      return error && error.message ? error.message : 'Unknown filesystem error.';
-  }
-}
-
-function wrapFilesystemError(action, targetPath, error, details = {}) {
-  return new TreeSyncError(
-    'FILESYSTEM_ERROR',
-    `${action} failed for "${targetPath}": ${filesystemHint(error)}`,
-    {
-      ...details,
-      targetPath,
-      fsCode: error && error.code ? error.code : 'UNKNOWN',
-    }
-  );
-}
-
 async function ensureDirectoryAvailable(rootPath, accessMode, label) {
   const normalizedInput = typeof rootPath === 'string' ? rootPath.trim() : '';
   if (!normalizedInput) {
@@ -238,6 +236,51 @@ function assertPlanPathsWithinRoots(plan, leftRoot, rightRoot) {
   }
 }
 
+function normalizeOrphan(item) {
+  if (!item || typeof item !== 'object' || !item.fullPath || !item.relativePath) {
+    return null;
+  }
+
+  return {
+    relativePath: String(item.relativePath),
+    fullPath: String(item.fullPath),
+    size: Number.isFinite(Number(item.size)) ? Number(item.size) : null,
+  };
+}
+
+function assertOrphanPathsWithinRoot(orphans, rightRoot) {
+  if (orphans.length === 0) {
+    return;
+  }
+  if (!rightRoot) {
+    throw new TreeSyncError('INVALID_PLAN', 'A destination directory is required to remove orphaned files.');
+  }
+
+  const normalizedRight = normalizedPathForCompare(rightRoot);
+  for (const orphan of orphans) {
+    const orphanPath = normalizedPathForCompare(path.resolve(orphan.fullPath));
+    if (orphanPath === normalizedRight || !isSameOrDescendantPath(orphanPath, normalizedRight)) {
+      throw new TreeSyncError(
+        'INVALID_PLAN',
+        `Orphaned file escapes selected destination directory: "${orphan.fullPath}".`,
+        { fullPath: orphan.fullPath, rightRoot }
+      );
+    }
+    // The trash path is built from relativePath, so it has to name the same file.
+    if (normalizedPathForCompare(path.resolve(rightRoot, orphan.relativePath)) !== orphanPath) {
+      throw new TreeSyncError(
+        'INVALID_PLAN',
+        `Orphaned file "${orphan.fullPath}" does not match its relative path "${orphan.relativePath}".`,
+        { fullPath: orphan.fullPath, relativePath: orphan.relativePath, rightRoot }
+      );
+    }
+  }
+}
+
+function trashRunDirName(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
 function isHiddenName(name) {
   return typeof name === 'string' && name.startsWith('.');
 }
@@ -336,6 +379,27 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+async function runWithConcurrency(items, limit, worker) {
+  const queue = [...items];
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, queue.length || 1));
+  const workers = [];
+  for (let i = 0; i < workerCount; i += 1) {
+    workers.push((async () => {
+      while (queue.length > 0) {
+        const item = queue.shift();
+        try {
+          await worker(item);
+        } catch (error) {
+          // Promise.all rejects on the first failure; emptying the queue stops the other workers as well.
+          queue.length = 0;
+          throw error;
+        }
+      }
+    })());
+  }
+  await Promise.all(workers);
+}
+
 async function waitForUnpaused(shouldPause, shouldCancel, onPauseTick) {
   while (shouldPauseRequested(shouldPause)) {
     if (shouldCancelRequested(shouldCancel)) {
@@ -355,6 +419,10 @@ function isRecoverableFilesystemError(error) {
   return RECOVERABLE_FS_CODES.has(error.code);
 }
 
+function isRetryableSyncError(error) {
+  return isRecoverableFilesystemError(error) || Boolean(error && RETRYABLE_SYNC_ERROR_CODES.has(error.code));
+}
+
 function computeRetryDelayMs(baseDelayMs, attemptIndex) {
   const base = Math.max(50, Number(baseDelayMs) || DEFAULT_RETRY_BASE_DELAY_MS);
   return base * (2 ** attemptIndex);
@@ -386,7 +454,7 @@ async function withRetry(run, options = {}) {
         throw makeSyncCancelledError();
       }
 
-      if (!isRecoverableFilesystemError(error) || attempt >= maxRetries) {
+      if (!isRetryableSyncError(error) || attempt >= maxRetries) {
         throw error;
       }
 
@@ -406,15 +474,40 @@ async function copyFileWithProgress(sourcePath, targetPath, onChunk, options = {
     shouldCancel,
     shouldPause,
     onPauseTick,
+    hasher,
+    rateLimiter,
+    startPosition = 0,
+    checkpointIntervalBytes = 0,
+    onCheckpoint,
+    copyStrategies,
   } = options;
 
+  // Only a fresh exclusive write may go to the kernel; resumed copies append to what is already there.
+  if (copyStrategies && startPosition === 0 && writeFlags === 'wx') {
+    const fastResult = await tryFastCopy(sourcePath, targetPath, onChunk, options);
+    if (fastResult) {
+      return fastResult;
+    }
+  }
+
   const bufferSize = 256 * 1024;
   const buffer = Buffer.allocUnsafe(bufferSize);
   const sourceHandle = await fs.open(sourcePath, 'r');
-  const targetHandle = await fs.open(targetPath, writeFlags);
+  let targetHandle;
+  try {
+    targetHandle = await fs.open(targetPath, writeFlags);
+  } catch (error) {
+    await sourceHandle.close().catch(() => undefined);
+    throw error;
+  }
 
   try {
-    let position = 0;
+    let position = startPosition;
+    let lastCheckpoint = startPosition;
+    // Verification hashes the whole source, so a resumed copy still feeds in the part written earlier.
+    if (hasher && startPosition > 0) {
+      await hashFileRange(sourceHandle, hasher, startPosition, buffer);
+    }
     while (true) {
       if (shouldCancelRequested(shouldCancel)) {
         throw makeSyncCancelledError();
@@ -434,6 +527,12 @@ async function copyFileWithProgress(sourcePath, targetPath, onChunk, options = {
       }
 
       const bytesRead = readResult.bytesRead;
+      if (rateLimiter) {
+        await rateLimiter.consume(bytesRead, () => shouldCancelRequested(shouldCancel));
+      }
+      if (hasher) {
+        hasher.update(buffer.subarray(0, bytesRead));
+      }
       let writeOffset = 0;
       while (writeOffset < bytesRead) {
         if (shouldCancelRequested(shouldCancel)) {
@@ -445,7 +544,8 @@ async function copyFileWithProgress(sourcePath, targetPath, onChunk, options = {
         const writeResult = await targetHandle.write(
           buffer,
           writeOffset,
-          bytesRead - writeOffset
+          bytesRead - writeOffset,
+          position + writeOffset
         );
         writeOffset += writeResult.bytesWritten;
       }
@@ -454,9 +554,22 @@ async function copyFileWithProgress(sourcePath, targetPath, onChunk, options = {
       if (typeof onChunk === 'function') {
         onChunk(bytesRead);
       }
+
+      // Only bytes already flushed to disk are recorded, so a crash cannot leave a checkpoint ahead of the data.
+      if (checkpointIntervalBytes > 0 && typeof onCheckpoint === 'function'
+        && position - lastCheckpoint >= checkpointIntervalBytes) {
+        await targetHandle.datasync();
+        lastCheckpoint = position;
+        await onCheckpoint(position);
+      }
     }
 
     await targetHandle.sync();
+    return {
+      bytesCopied: position,
+      hash: hasher ? hasher.digest() : '',
+      strategy: COPY_STRATEGY.BUFFERED,
+    };
   } finally {
     await Promise.all([
       sourceHandle.close().catch(() => undefined),
@@ -464,6 +577,194 @@ async function copyFileWithProgress(sourcePath, targetPath, onChunk, options = {
     ]);
   }
 }
+
+// Tries the kernel copy paths that may work for this pair of volumes. Returns null when none did, after
+// removing whatever a failed attempt left at `targetPath`, so the buffered loop can start clean.
+async function tryFastCopy(sourcePath, targetPath, onChunk, options) {
+  const { copyStrategies, shouldCancel, shouldPause, onPauseTick, hasher, rateLimiter } = options;
+  const { key, strategies } = await copyStrategies.candidates(sourcePath, targetPath, {
+    throttled: Boolean(rateLimiter) && rateLimiter.currentLimit() > 0,
+    checkpointed: Number(options.checkpointIntervalBytes) > 0,
+  });
+  const sourceSize = strategies.length > 0 ? (await fs.stat(sourcePath)).size : 0;
+
+  for (const strategy of strategies) {
+    if (shouldCancelRequested(shouldCancel)) {
+      throw makeSyncCancelledError();
+    }
+    await waitForUnpaused(shouldPause, shouldCancel, onPauseTick);
+
+    try {
+      if (strategy === COPY_STRATEGY.REFLINK) {
+        await reflinkCopy(sourcePath, targetPath);
+      } else {
+        await kernelCopy(sourcePath, targetPath, (bytes) => {
+          if (typeof onChunk === 'function') {
+            onChunk(bytes);
+          }
+        });
+      }
+    } catch (error) {
+      await fs.unlink(targetPath).catch(() => undefined);
+      if (!isUnsupportedCopyError(error)) {
+        throw error;
+      }
+      copyStrategies.markUnsupported(key, strategy);
+      continue;
+    }
+
+    // The kernel call cannot be interrupted, so a cancel or pause asked for meanwhile applies once it returns.
+    if (shouldCancelRequested(shouldCancel)) {
+      throw makeSyncCancelledError();
+    }
+    await waitForUnpaused(shouldPause, shouldCancel, onPauseTick);
+
+    const targetHandle = await fs.open(targetPath, 'r+');
+    let bytesCopied = 0;
+    try {
+      await targetHandle.sync();
+      bytesCopied = (await targetHandle.stat()).size;
+    } finally {
+      await targetHandle.close().catch(() => undefined);
+    }
+    // Verification compares the written file against this hash, so a short copy has to be caught here.
+    if (bytesCopied !== sourceSize) {
+      copyStrategies.markUnsupported(key, strategy);
+      throw new TreeSyncError(
+        'COPY_INCOMPLETE',
+        `Copy wrote ${bytesCopied} of ${sourceSize} bytes for "${targetPath}".`,
+        { sourcePath, targetPath, strategy, expectedBytes: sourceSize, writtenBytes: bytesCopied }
+      );
+    }
+    if (strategy === COPY_STRATEGY.REFLINK && typeof onChunk === 'function') {
+      onChunk(bytesCopied);
+    }
+
+    let hash = '';
+    if (hasher) {
+      const sourceHandle = await fs.open(sourcePath, 'r');
+      try {
+        await hashFileRange(sourceHandle, hasher, sourceSize, Buffer.allocUnsafe(256 * 1024));
+      } finally {
+        await sourceHandle.close().catch(() => undefined);
+      }
+      hash = hasher.digest();
+    }
+    return { bytesCopied, hash, strategy };
+  }
+  return null;
+}
+
+async function hashFileRange(handle, hasher, length, buffer) {
+  let position = 0;
+  while (position < length) {
+    const { bytesRead } = await handle.read({
+      buffer,
+      offset: 0,
+      length: Math.min(buffer.length, length - position),
+      position,
+    });
+    if (bytesRead === 0) {
+      break;
+    }
+    hasher.update(buffer.subarray(0, bytesRead));
+    position += bytesRead;
+  }
+}
+
+async function readFileRange(filePath, position, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read({ buffer, offset: 0, length, position });
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close().catch(() => undefined);
+  }
+}
+
+function sourceFingerprint(stat) {
+  return { size: stat.size, mtimeMs: stat.mtimeMs, ino: Number(stat.ino) || 0 };
+}
+
+function isSameFingerprint(left, right) {
+  return Boolean(left && right)
+    && left.size === right.size
+    && left.mtimeMs === right.mtimeMs
+    && (!left.ino || !right.ino || left.ino === right.ino);
+}
+
+// The temp path comes from the journal, so only our own hidden write files next to the target are trusted.
+function hasResumableCheckpoint(entry) {
+  if (!entry || typeof entry.tempPath !== 'string' || typeof entry.targetPath !== 'string') {
+    return false;
+  }
+  const checkpoint = entry.checkpoint;
+  return Boolean(checkpoint && checkpoint.source && Number(checkpoint.bytesWritten) > 0)
+    && path.dirname(entry.tempPath) === path.dirname(entry.targetPath)
+    && path.basename(entry.tempPath).startsWith(`.${path.basename(entry.targetPath)}.lempicka-write-`);
+}
+
+// Returns the offset a partial copy can continue from, or 0 when it has to start over because the
+// source changed or the end of what was written no longer matches it.
+async function validatePartialCopy(entry, sourcePath) {
+  const offset = Number(entry.checkpoint.bytesWritten);
+  try {
+    const [sourceStat, tempStat] = await Promise.all([fs.stat(sourcePath), fs.lstat(entry.tempPath)]);
+    if (!tempStat.isFile() || tempStat.size < offset
+      || !isSameFingerprint(sourceFingerprint(sourceStat), entry.checkpoint.source)) {
+      return 0;
+    }
+    const length = Math.min(RESUME_CHECK_BYTES, offset);
+    const [sourceTail, tempTail] = await Promise.all([
+      readFileRange(sourcePath, offset - length, length),
+      readFileRange(entry.tempPath, offset - length, length),
+    ]);
+    if (sourceTail.length !== length || !sourceTail.equals(tempTail)) {
+      return 0;
+    }
+    await fs.truncate(entry.tempPath, offset);
+    return offset;
+  } catch (error) {
+    return 0;
+  }
+}
+
+async function discardPartialCopy(entry) {
+  if (hasResumableCheckpoint(entry)) {
+    await fs.unlink(entry.tempPath).catch(() => undefined);
+  }
+}
+
+async function verifyWrittenCopy(tempPath, copyResult, algorithm, shouldCancel, details) {
+  let writtenSize = 0;
+  let writtenHash = '';
+  try {
+    writtenSize = (await fs.stat(tempPath)).size;
+    writtenHash = await hashFile(tempPath, { algorithm, shouldCancel });
+  } catch (error) {
+    if (error && error.code === 'HASH_CANCELLED') {
+      throw makeSyncCancelledError();
+    }
+    throw error;
+  }
+
+  if (writtenSize !== copyResult.bytesCopied || writtenHash !== copyResult.hash) {
+    throw new TreeSyncError(
+      'VERIFY_MISMATCH',
+      writtenSize !== copyResult.bytesCopied
+        ? `Verification failed: wrote ${writtenSize} of ${copyResult.bytesCopied} bytes for "${details.targetPath}".`
+        : `Verification failed: written data does not match the source for "${details.targetPath}".`,
+      {
+        ...details,
+        expectedBytes: copyResult.bytesCopied,
+        writtenBytes: writtenSize,
+        algorithm,
+      }
+    );
+  }
+}
+
 function makeTemporaryBackupPath(targetPath) {
   const dir = path.dirname(targetPath);
   const base = path.basename(targetPath);
@@ -478,7 +779,10 @@ function makeTemporaryWritePath(targetPath) {
   return path.join(dir, `.${base}.lempicka-write-${unique}`);
 }
 
-async function walkFiles(root, relative = '') {
+async function walkFiles(root, relative = '', options = {}) {
+  const filter = options.filter && typeof options.filter.excludedBy === 'function' ? options.filter : null;
+  const onFiltered = typeof options.onFiltered === 'function' ? options.onFiltered : null;
+  const skipArchiveDir = Boolean(options.skipArchiveDir);
   const current = path.join(root, relative);
   let entries;
   try {
@@ -492,6 +796,9 @@ async function walkFiles(root, relative = '') {
     if (isHiddenName(entry.name) || isLikelySystemFile(entry.name)) {
       continue;
     }
+    if (skipArchiveDir && !relative && entry.name === ARCHIVE_DIR_NAME) {
+      continue;
+    }
 
     const relPath = path.join(relative, entry.name);
     const fullPath = path.join(root, relPath);
@@ -517,11 +824,28 @@ async function walkFiles(root, relative = '') {
     }
 
     if (isDirectory) {
-      files.push(...(await walkFiles(root, relPath)));
+      const excludedDirectory = filter && typeof filter.excludedDirectory === 'function'
+        ? filter.excludedDirectory(relPath)
+        : null;
+      if (excludedDirectory) {
+        if (onFiltered) {
+          onFiltered(excludedDirectory, relPath);
+        }
+        continue;
+      }
+      files.push(...(await walkFiles(root, relPath, options)));
       continue;
     }
 
     if (isFile && hasNormalExtension(entry.name)) {
+      const excludedBy = filter ? filter.excludedBy(relPath) : null;
+      if (excludedBy) {
+        if (onFiltered) {
+          onFiltered(excludedBy, relPath);
+        }
+        continue;
+      }
+
       let stat = entryStat;
       if (!stat) {
         try {
@@ -535,6 +859,8 @@ async function walkFiles(root, relative = '') {
         fullPath,
         relativePath: relPath,
         size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        ino: stat.ino,
       });
     }
   }
@@ -542,30 +868,144 @@ async function walkFiles(root, relative = '') {
   return files;
 }
 
-function parseVersionedName(fileName) {
-  const ext = path.extname(fileName);
-  const stem = path.basename(fileName, ext);
-  const match = stem.match(/^(.*)_v(\d+)$/i);
+async function hashForCompare(file, algorithm, checksumCache) {
+  const cached = checksumCache ? checksumCache.get(file, algorithm) : null;
+  if (cached) {
+    return cached;
+  }
 
-  if (!match) {
-    return {
-      targetFileName: fileName,
-      version: 0,
-      strippedStem: stem,
-      isVersioned: false,
-    };
+  let hash;
+  try {
+    hash = await hashFile(file.fullPath, { algorithm });
+  } catch (error) {
+    throw wrapFilesystemError('Hashing file', file.fullPath, error);
+  }
+  if (checksumCache) {
+    checksumCache.set(file, algorithm, hash);
   }
+  return hash;
+}
 
-  const baseStem = match[1];
-  return {
-    targetFileName: `${baseStem}${ext}`,
-    version: Number.parseInt(match[2], 10),
-    strippedStem: baseStem,
-    isVersioned: true,
-  };
+// Pins are keyed by target path; the last pin for a path wins.
+function normalizeComparePins(pins) {
+  const byTargetRelativePath = new Map();
+  for (const pin of Array.isArray(pins) ? pins : []) {
+    if (!pin || typeof pin.targetRelativePath !== 'string' || !pin.targetRelativePath || !PIN_MODES.has(pin.mode)) {
+      continue;
+    }
+    const version = Number(pin.version);
+    if (pin.mode === 'version' && !Number.isFinite(version)) {
+      continue;
+    }
+    byTargetRelativePath.set(path.normalize(pin.targetRelativePath), {
+      mode: pin.mode,
+      version: pin.mode === 'version' ? version : null,
+    });
+  }
+  return byTargetRelativePath;
+}
+
+function swapLetterCase(name) {
+  return name.replace(/[A-Za-z]/g, (char) => (char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase()));
 }
 
-async function buildComparePlan(leftRoot, rightRoot) {
+function foldCase(relativePath) {
+  return relativePath.toLowerCase();
+}
+
+// Read-only probe: if a file's case-swapped name resolves to the same inode, the volume ignores case.
+// With nothing to probe (e.g. an empty destination) fall back to the platform default.
+async function isCaseSensitiveVolume(root, files) {
+  const sample = files.find((file) => {
+    const name = path.basename(file.fullPath);
+    return swapLetterCase(name) !== name;
+  });
+  if (!sample) {
+    return process.platform !== 'win32' && process.platform !== 'darwin';
+  }
+
+  const swappedPath = path.join(path.dirname(sample.fullPath), swapLetterCase(path.basename(sample.fullPath)));
+  try {
+    const [original, swapped] = await Promise.all([fs.lstat(sample.fullPath), fs.lstat(swappedPath)]);
+    return original.dev !== swapped.dev || original.ino !== swapped.ino;
+  } catch (error) {
+    if (error && (error.code === 'ENOENT' || error.code === 'ENOTDIR')) {
+      return true;
+    }
+    throw wrapFilesystemError('Checking destination case sensitivity', root, error);
+  }
+}
+
+// Errors hold the affected targets back because which file ends up at the destination would be arbitrary.
+function findTargetNameCollisions(items, itemsByTargetRelativePath, caseSensitive) {
+  const collisions = [];
+  for (const item of items) {
+    const candidates = itemsByTargetRelativePath.get(item.targetRelativePath);
+    const tied = candidates.filter((candidate) => candidate.version === item.version);
+    const mixesUnversioned = candidates.some((candidate) => !candidate.isVersioned)
+      && candidates.some((candidate) => candidate.isVersioned);
+    if (tied.length > 1) {
+      collisions.push({
+        kind: 'same-version',
+        severity: 'error',
+        targetRelativePaths: [item.targetRelativePath],
+        sourceRelativePaths: tied.map((candidate) => candidate.sourceRelativePath),
+        message: `${tied.length} source files map to "${item.targetRelativePath}" with the same version.`,
+      });
+    } else if (mixesUnversioned) {
+      collisions.push({
+        kind: 'unversioned',
+        severity: 'warning',
+        targetRelativePaths: [item.targetRelativePath],
+        sourceRelativePaths: candidates.map((candidate) => candidate.sourceRelativePath),
+        message: `Unversioned and versioned source files both map to "${item.targetRelativePath}"; ` +
+          `"${item.sourceRelativePath}" is used.`,
+      });
+    }
+  }
+
+  if (!caseSensitive) {
+    const itemsByFoldedPath = new Map();
+    for (const item of items) {
+      const key = foldCase(item.targetRelativePath);
+      if (itemsByFoldedPath.has(key)) {
+        itemsByFoldedPath.get(key).push(item);
+      } else {
+        itemsByFoldedPath.set(key, [item]);
+      }
+    }
+    for (const group of itemsByFoldedPath.values()) {
+      if (group.length < 2) {
+        continue;
+      }
+      group.sort((a, b) => a.targetRelativePath.localeCompare(b.targetRelativePath));
+      collisions.push({
+        kind: 'case',
+        severity: 'error',
+        targetRelativePaths: group.map((item) => item.targetRelativePath),
+        sourceRelativePaths: group.map((item) => item.sourceRelativePath),
+        message: `${group.map((item) => `"${item.targetRelativePath}"`).join(', ')} differ only by case ` +
+          'and would overwrite each other on the destination.',
+      });
+    }
+  }
+  return collisions;
+}
+
+async function buildComparePlan(leftRoot, rightRoot, options = {}) {
+  const versionPatterns = compileVersionPatterns(options.versioning);
+  const compareMode = COMPARE_MODES.has(options.compareMode) ? options.compareMode : 'size';
+  const hashAlgorithm = normalizeHashAlgorithm(options.hashAlgorithm);
+  const hashConcurrency = Math.max(
+    1,
+    Number.isFinite(Number(options.hashConcurrency))
+      ? Number(options.hashConcurrency)
+      : DEFAULT_HASH_CONCURRENCY
+  );
+  const checksumCache = options.checksumCache && typeof options.checksumCache.get === 'function'
+    ? options.checksumCache
+    : null;
+  const cacheStatsBefore = checksumCache ? { ...checksumCache.stats } : null;
   const validatedRoots = await validateRootPair(leftRoot, rightRoot, {
     leftAccessMode: fsConstants.R_OK,
     rightAccessMode: fsConstants.R_OK,
@@ -574,48 +1014,155 @@ async function buildComparePlan(leftRoot, rightRoot) {
   const safeLeftRoot = validatedRoots.leftRoot;
   const safeRightRoot = validatedRoots.rightRoot;
 
-  const leftFiles = await walkFiles(safeLeftRoot);
-  const rightFiles = await walkFiles(safeRightRoot);
+  const loadRootFilter = async (root, origin) => {
+    try {
+      return await buildRootFilter(root, options.filters, origin);
+    } catch (error) {
+      throw wrapFilesystemError('Reading ignore file', root, error);
+    }
+  };
+  const leftFilter = await loadRootFilter(safeLeftRoot, FILTER_ORIGINS.SOURCE_IGNORE_FILE);
+  const rightFilter = await loadRootFilter(safeRightRoot, FILTER_ORIGINS.DESTINATION_IGNORE_FILE);
+
+  const filterStatsByKey = new Map();
+  for (const rule of [...leftFilter.rules, ...rightFilter.rules]) {
+    const key = `${rule.origin}\0${rule.pattern}`;
+    if (!rule.negated && !filterStatsByKey.has(key)) {
+      filterStatsByKey.set(key, {
+        pattern: rule.pattern,
+        origin: rule.origin,
+        sourceExcluded: 0,
+        destinationExcluded: 0,
+      });
+    }
+  }
+  const countFiltered = (field) => (rule) => {
+    const stats = filterStatsByKey.get(`${rule.origin}\0${rule.pattern}`);
+    if (stats) {
+      stats[field] += 1;
+    }
+  };
+  const countDestinationFiltered = countFiltered('destinationExcluded');
+  const destinationFilteredPaths = new Set();
+
+  const leftFiles = await walkFiles(safeLeftRoot, '', {
+    filter: leftFilter,
+    onFiltered: countFiltered('sourceExcluded'),
+  });
+  // Only the destination holds the archive; a source folder of that name is ordinary content.
+  const rightFiles = await walkFiles(safeRightRoot, '', {
+    filter: rightFilter,
+    skipArchiveDir: true,
+    onFiltered: (rule, relativePath) => {
+      destinationFilteredPaths.add(relativePath);
+      countDestinationFiltered(rule);
+    },
+  });
+  // Whether the walk already counted the path, itself or through a skipped folder above it.
+  const countedOnDestination = (relativePath) => {
+    for (let current = relativePath; current && current !== '.'; current = path.dirname(current)) {
+      if (destinationFilteredPaths.has(current)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const destinationCaseSensitive = typeof options.destinationCaseSensitive === 'boolean'
+    ? options.destinationCaseSensitive
+    : await isCaseSensitiveVolume(safeRightRoot, rightFiles);
 
-  const rightSizeByRelativePath = new Map();
+  const rightFileByRelativePath = new Map();
+  const rightFileByFoldedPath = new Map();
   for (const rf of rightFiles) {
-    rightSizeByRelativePath.set(rf.relativePath, rf.size);
+    rightFileByRelativePath.set(rf.relativePath, rf);
+    if (!destinationCaseSensitive) {
+      rightFileByFoldedPath.set(foldCase(rf.relativePath), rf);
+    }
   }
 
   const bestByTargetRelativePath = new Map();
+  const itemsByTargetRelativePath = new Map();
+  const versionPatternCounts = {};
 
   for (const lf of leftFiles) {
     const dir = path.dirname(lf.relativePath);
     const fileName = path.basename(lf.relativePath);
-    const parsed = parseVersionedName(fileName);
+    const parsed = parseVersionedName(fileName, versionPatterns);
+    if (parsed.patternId) {
+      versionPatternCounts[parsed.patternId] = (versionPatternCounts[parsed.patternId] || 0) + 1;
+    }
     const targetRelativePath = path.normalize(
       path.join(dir === '.' ? '' : dir, parsed.targetFileName)
     );
 
+    const item = {
+      sourceRelativePath: lf.relativePath,
+      sourceFile: lf,
+      sourceFullPath: lf.fullPath,
+      sourceSize: lf.size,
+      targetRelativePath,
+      targetFullPath: path.join(safeRightRoot, targetRelativePath),
+      targetFileName: parsed.targetFileName,
+      version: parsed.version,
+      isVersioned: parsed.isVersioned,
+      versionPattern: parsed.patternId,
+    };
+    if (itemsByTargetRelativePath.has(targetRelativePath)) {
+      itemsByTargetRelativePath.get(targetRelativePath).push(item);
+    } else {
+      itemsByTargetRelativePath.set(targetRelativePath, [item]);
+    }
+
     const prev = bestByTargetRelativePath.get(targetRelativePath);
     if (!prev || parsed.version > prev.version) {
-      bestByTargetRelativePath.set(targetRelativePath, {
-        sourceRelativePath: lf.relativePath,
-        sourceFullPath: lf.fullPath,
-        sourceSize: lf.size,
-        targetRelativePath,
-        targetFullPath: path.join(safeRightRoot, targetRelativePath),
-        targetFileName: parsed.targetFileName,
-        version: parsed.version,
-        isVersioned: parsed.isVersioned,
-      });
+      bestByTargetRelativePath.set(targetRelativePath, item);
     }
   }
 
-  const plan = [];
-  for (const item of bestByTargetRelativePath.values()) {
-    const existingSize = rightSizeByRelativePath.get(item.targetRelativePath);
-    const destinationExists = existingSize !== undefined;
+  // Every source file that maps to the target, highest version first; ties keep the first one walked.
+  const candidatesFor = (targetRelativePath, chosenItem) => itemsByTargetRelativePath.get(targetRelativePath)
+    .map((candidate) => ({
+      sourceRelativePath: candidate.sourceRelativePath,
+      version: candidate.version,
+      isVersioned: candidate.isVersioned,
+      versionPattern: candidate.versionPattern,
+      size: candidate.sourceSize,
+      mtimeMs: candidate.sourceFile.mtimeMs,
+      chosen: candidate === chosenItem,
+    }))
+    .sort((a, b) => b.version - a.version || Number(b.chosen) - Number(a.chosen));
+
+  const pinsByTargetRelativePath = normalizeComparePins(options.pins);
+  const pinnedItems = new Set();
+  const pinResults = [];
+  const reportPin = (targetRelativePath, status, chosenItem) => {
+    const pin = pinsByTargetRelativePath.get(targetRelativePath);
+    pinResults.push({
+      targetRelativePath,
+      mode: pin.mode,
+      version: pin.version,
+      status,
+      candidates: itemsByTargetRelativePath.has(targetRelativePath)
+        ? candidatesFor(targetRelativePath, chosenItem)
+        : [],
+    });
+  };
 
-    if (destinationExists && existingSize === item.sourceSize) {
-      continue;
+  const plan = [];
+  const sameSizeCandidates = [];
+  // A pin to an older version rolls the destination back, and with times preserved a destination that got a
+  // later version carries that version's mtime. Only a file newer than every candidate was edited there.
+  const newerThanMtimeMs = (item) => {
+    if (!pinnedItems.has(item)) {
+      return item.sourceFile.mtimeMs;
     }
+    const candidates = itemsByTargetRelativePath.get(item.targetRelativePath);
+    return Math.max(...candidates.map((candidate) => candidate.sourceFile.mtimeMs));
+  };
 
+  const pushPlanItem = (item, existing, reason) => {
+    const destinationExists = Boolean(existing);
     plan.push({
       sourcePath: item.sourceFullPath,
       sourceRelativePath: item.sourceRelativePath,
@@ -623,13 +1170,148 @@ async function buildComparePlan(leftRoot, rightRoot) {
       targetPath: item.targetFullPath,
       targetRelativePath: item.targetRelativePath,
       version: item.version,
+      versionPattern: item.versionPattern,
       destinationExists,
-      destinationSize: destinationExists ? existingSize : null,
+      destinationSize: destinationExists ? existing.size : null,
+      sourceMtimeMs: item.sourceFile.mtimeMs,
+      destinationMtimeMs: destinationExists ? existing.mtimeMs : null,
+      destinationNewer: destinationExists && existing.mtimeMs > newerThanMtimeMs(item) + MTIME_TOLERANCE_MS,
+      reason,
+      pinned: pinnedItems.has(item),
+      candidates: candidatesFor(item.targetRelativePath, item),
     });
+  };
+
+  const comparedItems = [];
+  const heldBackTargets = new Set();
+  for (const best of bestByTargetRelativePath.values()) {
+    let item = best;
+    const pin = pinsByTargetRelativePath.get(best.targetRelativePath);
+    if (pin) {
+      // A pin whose version has left the source holds the target back rather than falling back to the latest.
+      const pinnedItem = pin.mode === 'version'
+        ? itemsByTargetRelativePath.get(best.targetRelativePath).find((candidate) => candidate.version === pin.version)
+        : null;
+      if (!pinnedItem) {
+        reportPin(best.targetRelativePath, pin.mode === 'never' ? 'never' : 'version-missing', null);
+        heldBackTargets.add(best.targetRelativePath);
+        continue;
+      }
+      item = pinnedItem;
+      pinnedItems.add(item);
+    }
+    comparedItems.push(item);
   }
 
+  const collisions = findTargetNameCollisions(comparedItems, itemsByTargetRelativePath, destinationCaseSensitive);
+  const blockedTargets = new Set();
+  for (const collision of collisions) {
+    if (collision.severity === 'error') {
+      collision.targetRelativePaths.forEach((targetRelativePath) => blockedTargets.add(targetRelativePath));
+    }
+  }
+
+  for (const item of comparedItems) {
+    if (blockedTargets.has(item.targetRelativePath)) {
+      heldBackTargets.add(item.targetRelativePath);
+      continue;
+    }
+
+    // The destination's rules protect its files, so a target they exclude is never written to.
+    const destinationRule = rightFilter.excludedBy(item.targetRelativePath);
+    if (destinationRule) {
+      if (!countedOnDestination(item.targetRelativePath)) {
+        countDestinationFiltered(destinationRule);
+      }
+      heldBackTargets.add(item.targetRelativePath);
+      continue;
+    }
+
+    let existing = rightFileByRelativePath.get(item.targetRelativePath);
+    if (!existing && !destinationCaseSensitive) {
+      existing = rightFileByFoldedPath.get(foldCase(item.targetRelativePath));
+      if (existing) {
+        collisions.push({
+          kind: 'destination-case',
+          severity: 'warning',
+          targetRelativePaths: [item.targetRelativePath],
+          sourceRelativePaths: [item.sourceRelativePath],
+          destinationRelativePath: existing.relativePath,
+          message: `"${item.targetRelativePath}" is stored as "${existing.relativePath}" on the destination.`,
+        });
+      }
+    }
+
+    if (!existing) {
+      pushPlanItem(item, null, 'missing');
+      continue;
+    }
+
+    if (existing.size !== item.sourceSize) {
+      pushPlanItem(item, existing, 'size-differs');
+      continue;
+    }
+
+    if (compareMode === 'content') {
+      sameSizeCandidates.push({ item, existing });
+    }
+  }
+
+  await runWithConcurrency(sameSizeCandidates, hashConcurrency, async ({ item, existing }) => {
+    const sourceHash = await hashForCompare(item.sourceFile, hashAlgorithm, checksumCache);
+    const destinationHash = await hashForCompare(existing, hashAlgorithm, checksumCache);
+    if (sourceHash !== destinationHash) {
+      pushPlanItem(item, existing, 'content-differs');
+    }
+  });
+
+  const plannedTargets = new Set(plan.map((item) => item.targetRelativePath));
+  for (const item of pinnedItems) {
+    reportPin(item.targetRelativePath, plannedTargets.has(item.targetRelativePath) ? 'applied' : 'in-sync', item);
+  }
+  for (const targetRelativePath of pinsByTargetRelativePath.keys()) {
+    if (!bestByTargetRelativePath.has(targetRelativePath)) {
+      reportPin(targetRelativePath, 'target-missing', null);
+    }
+  }
+  pinResults.sort((a, b) => a.targetRelativePath.localeCompare(b.targetRelativePath));
+
+  // Every target the source maps to, including ones already in sync, with the versions that could fill it.
+  const chosenByTargetRelativePath = new Map(comparedItems.map((item) => [item.targetRelativePath, item]));
+  const targets = Array.from(bestByTargetRelativePath.keys(), (targetRelativePath) => {
+    let status = 'in-sync';
+    if (heldBackTargets.has(targetRelativePath)) {
+      status = 'held-back';
+    } else if (plannedTargets.has(targetRelativePath)) {
+      status = 'planned';
+    }
+    return {
+      targetRelativePath,
+      status,
+      candidates: candidatesFor(targetRelativePath, chosenByTargetRelativePath.get(targetRelativePath) || null),
+    };
+  }).sort((a, b) => a.targetRelativePath.localeCompare(b.targetRelativePath));
+  collisions.sort((a, b) => a.targetRelativePaths[0].localeCompare(b.targetRelativePaths[0]));
+
   plan.sort((a, b) => a.targetRelativePath.localeCompare(b.targetRelativePath));
 
+  // On a case-insensitive destination a file that differs from its target only by case is the same file.
+  const foldedTargets = new Set(
+    destinationCaseSensitive ? [] : Array.from(bestByTargetRelativePath.keys(), (key) => foldCase(key))
+  );
+  const hasSource = (relativePath) => bestByTargetRelativePath.has(relativePath)
+    || foldedTargets.has(foldCase(relativePath));
+
+  // Files the source side filters out are not orphans: mirror mode must never trash excluded files.
+  const orphans = rightFiles
+    .filter((rf) => !hasSource(rf.relativePath) && !leftFilter.excludedBy(rf.relativePath))
+    .map((rf) => ({
+      relativePath: rf.relativePath,
+      fullPath: rf.fullPath,
+      size: rf.size,
+    }))
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
   const directoriesToCreate = [];
   const requiredTargetDirs = new Set();
   for (const item of plan) {
@@ -669,8 +1351,22 @@ async function buildComparePlan(leftRoot, rightRoot) {
     rightRoot: safeRightRoot,
     plan,
     directoriesToCreate,
+    orphans,
+    filterStats: Array.from(filterStatsByKey.values()),
     totalCandidates: bestByTargetRelativePath.size,
     pendingCount: plan.length,
+    destinationNewerCount: plan.filter((item) => item.destinationNewer).length,
+    versionPatterns: versionPatterns.map((pattern) => pattern.id),
+    versionPatternCounts,
+    pins: pinResults,
+    targets,
+    collisions,
+    destinationCaseSensitive,
+    compareMode,
+    hashAlgorithm: compareMode === 'content' ? hashAlgorithm : '',
+    hashedCount: sameSizeCandidates.length,
+    checksumCacheHits: checksumCache ? checksumCache.stats.hits - cacheStatsBefore.hits : 0,
+    checksumCacheMisses: checksumCache ? checksumCache.stats.misses - cacheStatsBefore.misses : 0,
   };
 }
 
@@ -693,10 +1389,31 @@ function normalizePlanItem(item) {
     destinationSize: Number.isFinite(Number(item.destinationSize))
       ? Number(item.destinationSize)
       : null,
+    destinationNewer: Boolean(item.destinationNewer),
+    overwriteNewer: Boolean(item.overwriteNewer),
+  };
+}
+
+function newerDestinationDecision(item) {
+  return {
+    sourceRelativePath: item.sourceRelativePath,
+    targetRelativePath: item.targetRelativePath,
+    decision: item.overwriteNewer ? 'overwrite' : 'hold',
   };
 }
 
-function createInitialJournalState({ leftRoot, rightRoot, directoriesToCreate, plan, totalBytes }) {
+function createInitialJournalState({
+  leftRoot,
+  rightRoot,
+  directoriesToCreate,
+  plan,
+  totalBytes,
+  orphansToTrash,
+  trashDir,
+  archiveDir,
+  rollbackDir,
+  newerDestinations,
+}) {
   const now = new Date().toISOString();
   return {
     version: 1,
@@ -711,6 +1428,12 @@ function createInitialJournalState({ leftRoot, rightRoot, directoriesToCreate, p
     failed: [],
     activeEntries: {},
     bytesTransferred: 0,
+    orphansToTrash: Array.isArray(orphansToTrash) ? orphansToTrash : [],
+    trashedRelativePaths: [],
+    trashDir: typeof trashDir === 'string' ? trashDir : '',
+    archiveDir: typeof archiveDir === 'string' ? archiveDir : '',
+    rollbackDir: typeof rollbackDir === 'string' ? rollbackDir : '',
+    newerDestinations: Array.isArray(newerDestinations) ? newerDestinations : [],
   };
 }
 
@@ -761,12 +1484,21 @@ function journalSummaryFromState(state) {
     return normalized && !completedSet.has(normalized.targetPath);
   }).length;
 
+  const trashedSet = new Set(Array.isArray(state.trashedRelativePaths) ? state.trashedRelativePaths : []);
+  const trashPendingCount = Array.isArray(state.orphansToTrash)
+    ? state.orphansToTrash.filter((item) => {
+        const normalized = normalizeOrphan(item);
+        return normalized && !trashedSet.has(normalized.relativePath);
+      }).length
+    : 0;
+
   const totalCount = state.plan.length;
   const completedCount = Math.min(totalCount, completedSet.size);
   const failedCount = Array.isArray(state.failed) ? state.failed.length : 0;
   const activeEntries = state.activeEntries && typeof state.activeEntries === 'object'
-    ? state.activeEntries
-    : {};
+    ? Object.values(state.activeEntries)
+    : [];
+  const partialCopies = activeEntries.filter((entry) => entry && entry.stage === 'partial');
 
   return {
     leftRoot: typeof state.leftRoot === 'string' ? state.leftRoot : '',
@@ -774,9 +1506,19 @@ function journalSummaryFromState(state) {
     totalCount,
     completedCount,
     pendingCount,
+    trashPendingCount,
     failedCount,
-    activeCount: Object.keys(activeEntries).length,
+    activeCount: activeEntries.length - partialCopies.length,
+    partialCount: partialCopies.length,
+    partialBytes: partialCopies.reduce(
+      (sum, entry) => sum + (entry.checkpoint ? Number(entry.checkpoint.bytesWritten) || 0 : 0),
+      0
+    ),
+    totalBytes: Number(state.totalBytes) || 0,
+    bytesTransferred: Number(state.bytesTransferred) || 0,
+    startedAt: typeof state.startedAt === 'string' ? state.startedAt : '',
     updatedAt: typeof state.updatedAt === 'string' ? state.updatedAt : '',
+    rollbackDir: typeof state.rollbackDir === 'string' ? state.rollbackDir : '',
   };
 }
 
@@ -785,11 +1527,20 @@ async function getSyncRecoverySummary(journalPath) {
   return journalSummaryFromState(state);
 }
 
-async function recoverActiveEntriesFromJournal(state) {
+function countInterruptedEntries(state) {
+  return state.activeEntries && typeof state.activeEntries === 'object'
+    ? Object.values(state.activeEntries).filter((entry) => entry && entry.stage !== 'partial').length
+    : 0;
+}
+
+// Checkpointed temp copies are kept as 'partial' entries for a later resume unless `keepPartialCopies`
+// is false; everything else is rolled back to the original destination file.
+async function recoverActiveEntriesFromJournal(state, { keepPartialCopies = true } = {}) {
   if (!state || !state.activeEntries || typeof state.activeEntries !== 'object') {
     return;
   }
 
+  const keptEntries = {};
   const entries = Object.values(state.activeEntries);
   for (const entry of entries) {
     if (!entry || typeof entry !== 'object') {
@@ -824,7 +1575,19 @@ async function recoverActiveEntriesFromJournal(state) {
       continue;
     }
 
-    await safeUnlink(tempPath);
+    const resumable = keepPartialCopies && RESUMABLE_STAGES.has(stage) && hasResumableCheckpoint(entry);
+    if (stage === 'partial') {
+      if (resumable) {
+        keptEntries[targetPath] = entry;
+      } else {
+        await safeUnlink(tempPath);
+      }
+      continue;
+    }
+
+    if (!resumable) {
+      await safeUnlink(tempPath);
+    }
     await safeUnlink(targetPath);
 
     if (backupPath) {
@@ -844,9 +1607,13 @@ async function recoverActiveEntriesFromJournal(state) {
         }
       }
     }
+
+    if (resumable) {
+      keptEntries[targetPath] = { ...entry, backupPath: '', stage: 'partial' };
+    }
   }
 
-  state.activeEntries = {};
+  state.activeEntries = keptEntries;
   state.updatedAt = new Date().toISOString();
 }
 
@@ -859,19 +1626,37 @@ async function cleanupSyncRecoveryArtifacts(journalPath) {
     };
   }
 
-  const activeEntries = journalState.activeEntries && typeof journalState.activeEntries === 'object'
-    ? Object.keys(journalState.activeEntries).length
-    : 0;
+  const activeEntries = countInterruptedEntries(journalState);
+  await recoverActiveEntriesFromJournal(journalState, { keepPartialCopies: false });
+  await removeSyncJournal(journalPath);
 
-  if (activeEntries > 0) {
+  return {
+    hadJournal: true,
+    recoveredActiveEntries: activeEntries,
+  };
+}
+
+async function prepareSyncRecovery(journalPath) {
+  const journalState = await readSyncJournal(journalPath);
+  if (!journalState) {
+    return null;
+  }
+
+  const recoveredActiveEntries = countInterruptedEntries(journalState);
+  if (recoveredActiveEntries > 0) {
     await recoverActiveEntriesFromJournal(journalState);
+    await writeSyncJournal(journalPath, journalState);
   }
 
-  await removeSyncJournal(journalPath);
+  const summary = journalSummaryFromState(journalState);
+  if (!summary || (summary.pendingCount === 0 && summary.trashPendingCount === 0)) {
+    await removeSyncJournal(journalPath);
+    return null;
+  }
 
   return {
-    hadJournal: true,
-    recoveredActiveEntries: activeEntries,
+    ...summary,
+    recoveredActiveEntries,
   };
 }
 
@@ -892,7 +1677,15 @@ async function resumeSyncFromJournal(journalPath, onProgress, options = {}) {
     : [];
 
   const remainingPlan = plan.filter((item) => !completedSet.has(item.targetPath));
-  if (remainingPlan.length === 0) {
+  const trashedSet = new Set(
+    Array.isArray(journalState.trashedRelativePaths) ? journalState.trashedRelativePaths : []
+  );
+  const remainingOrphans = Array.isArray(journalState.orphansToTrash)
+    ? journalState.orphansToTrash
+        .map((item) => normalizeOrphan(item))
+        .filter((item) => item && !trashedSet.has(item.relativePath))
+    : [];
+  if (remainingPlan.length === 0 && remainingOrphans.length === 0) {
     await removeSyncJournal(journalPath);
     return {
       copied: 0,
@@ -901,6 +1694,20 @@ async function resumeSyncFromJournal(journalPath, onProgress, options = {}) {
       totalBytes: 0,
       failed: [],
       succeededFiles: [],
+      trashed: [],
+      trashDir: '',
+      archived: [],
+      archiveDir: '',
+      rollbackDir: '',
+      createdDirectories: [],
+      resumedCopies: [],
+      concurrency: null,
+      archivePruned: [],
+      archiveWarning: '',
+      heldBack: [],
+      newerDestinations: Array.isArray(journalState.newerDestinations) ? journalState.newerDestinations : [],
+      verifiedCount: 0,
+      unverifiedCount: 0,
       durationMs: 0,
       averageThroughputBps: 0,
       leftRoot: typeof journalState.leftRoot === 'string' ? journalState.leftRoot : '',
@@ -916,6 +1723,7 @@ async function resumeSyncFromJournal(journalPath, onProgress, options = {}) {
     directoriesToCreate: Array.isArray(journalState.directoriesToCreate)
       ? journalState.directoriesToCreate
       : [],
+    orphansToTrash: remainingOrphans,
     journalPath,
     journalState,
     resumeFromJournal: true,
@@ -927,7 +1735,12 @@ async function syncPlan(plan, onProgress, options = {}) {
     throw new TreeSyncError('INVALID_PLAN', 'A valid plan is required for sync.');
   }
 
-  const normalizedPlan = plan.map((item) => normalizePlanItem(item)).filter(Boolean);
+  // A destination edited after its source is only overwritten when the caller opts in for that file.
+  const requestedPlan = plan.map((item) => normalizePlanItem(item)).filter(Boolean);
+  const normalizedPlan = requestedPlan.filter((item) => !item.destinationNewer || item.overwriteNewer);
+  const heldBack = requestedPlan
+    .filter((item) => item.destinationNewer && !item.overwriteNewer)
+    .map((item) => ({ sourceRelativePath: item.sourceRelativePath, targetRelativePath: item.targetRelativePath }));
   const total = normalizedPlan.length;
   const syncStartMs = Date.now();
 
@@ -938,9 +1751,17 @@ async function syncPlan(plan, onProgress, options = {}) {
   let bytesSinceRateTick = 0;
   let lastRateTickAt = Date.now();
   let lastThroughputBps = 0;
+  let lastUnthrottledBps = 0;
   let lastProgressEmitAt = 0;
+  let verifiedCount = 0;
   const failed = [];
   const succeededFiles = [];
+  const trashed = [];
+  const archived = [];
+  const createdDirectories = [];
+  const resumedCopies = [];
+  let archivePruned = [];
+  let archiveWarning = '';
   const activeTransfers = new Map();
 
   let leftRoot = typeof options.leftRoot === 'string' ? options.leftRoot : '';
@@ -958,17 +1779,42 @@ async function syncPlan(plan, onProgress, options = {}) {
   const smallFileThresholdBytes = Number.isFinite(Number(options.smallFileThresholdBytes))
     ? Number(options.smallFileThresholdBytes)
     : DEFAULT_SMALL_FILE_THRESHOLD_BYTES;
-  const maxParallelSmallFiles = Math.max(
-    1,
-    Number.isFinite(Number(options.maxParallelSmallFiles))
-      ? Number(options.maxParallelSmallFiles)
-      : DEFAULT_MAX_PARALLEL_SMALL_FILES
+  // Files only run side by side with continueOnError, so one failure cannot leave others half-written.
+  // `maxParallelSmallFiles` is the older name for the upper bound.
+  const concurrencyController = createConcurrencyController(continueOnError
+    ? {
+        maxWorkers: options.maxParallelSmallFiles,
+        ...(options.concurrency && typeof options.concurrency === 'object' ? options.concurrency : {}),
+      }
+    : { minWorkers: 1, maxWorkers: 1, maxLargeWorkers: 1, initialWorkers: 1 });
+
+  const checkpointMinBytes = Number.isFinite(Number(options.checkpointMinBytes))
+    ? Number(options.checkpointMinBytes)
+    : DEFAULT_CHECKPOINT_MIN_BYTES;
+  const checkpointIntervalBytes = Number(options.checkpointIntervalBytes) > 0
+    ? Number(options.checkpointIntervalBytes)
+    : DEFAULT_CHECKPOINT_INTERVAL_BYTES;
+
+  const verify = Boolean(options.verify);
+  const verifyAlgorithm = normalizeHashAlgorithm(options.verifyAlgorithm);
+  const archive = normalizeArchiveOptions(options.archive);
+  // { keepRuns, maxAgeDays } keeps the files a sync replaces for undo when they are not archived.
+  const keepReplaced = normalizeArchiveOptions(options.keepReplaced);
+  // Either fixed settings or a function, so a running session can change the limit between chunks.
+  const readRateLimit = () => normalizeRateLimit(
+    typeof options.rateLimit === 'function' ? options.rateLimit() : options.rateLimit
   );
+  const rateLimiter = createRateLimiter(readRateLimit);
+  const copyStrategies = options.fastCopy === false ? null : createCopyStrategyCache();
+  const metadataOptions = normalizeMetadataOptions(options.preserveMetadata);
 
   const journalPath = typeof options.journalPath === 'string' ? options.journalPath : '';
   const directoriesToCreate = Array.isArray(options.directoriesToCreate)
     ? options.directoriesToCreate.filter((value) => typeof value === 'string' && value.trim())
     : [];
+  const orphansToTrash = Array.isArray(options.orphansToTrash)
+    ? options.orphansToTrash.map((item) => normalizeOrphan(item)).filter(Boolean)
+    : [];
 
   if (leftRoot && rightRoot) {
     const validatedRoots = await validateRootPair(leftRoot, rightRoot, {
@@ -992,6 +1838,19 @@ async function syncPlan(plan, onProgress, options = {}) {
   syncLogPath = leftRoot ? path.join(leftRoot, 'sync-history.log') : '';
 
   assertPlanPathsWithinRoots(normalizedPlan, leftRoot, rightRoot);
+  assertOrphanPathsWithinRoot(orphansToTrash, rightRoot);
+
+  const archiveRoot = archive && rightRoot ? resolveArchiveRoot(rightRoot, archive.location) : '';
+  // Anywhere else inside the trees the archive would be compared, synced or mirrored away.
+  if (archive && archive.location
+    && ((leftRoot && isSameOrDescendantPath(archiveRoot, leftRoot))
+      || isSameOrDescendantPath(archiveRoot, rightRoot))) {
+    throw new TreeSyncError(
+      'ARCHIVE_LOCATION_CONFLICT',
+      `The archive folder "${archiveRoot}" must be outside the source and destination folders.`,
+      { archiveRoot, leftRoot, rightRoot }
+    );
+  }
 
   for (const item of normalizedPlan) {
     const hintedSize = Number(item.sourceSize);
@@ -1026,6 +1885,13 @@ async function syncPlan(plan, onProgress, options = {}) {
         directoriesToCreate,
         plan: normalizedPlan,
         totalBytes,
+        orphansToTrash,
+        trashDir: orphansToTrash.length > 0
+          ? path.join(rightRoot, SYNC_TRASH_DIR_NAME, trashRunDirName())
+          : '',
+        archiveDir: archiveRoot ? path.join(archiveRoot, archiveRunDirName()) : '',
+        rollbackDir: keepReplaced && !archiveRoot ? path.join(rightRoot, ROLLBACK_DIR_NAME, trashRunDirName()) : '',
+        newerDestinations: requestedPlan.filter((item) => item.destinationNewer).map(newerDestinationDecision),
       });
 
   if (!Array.isArray(journalState.completedTargetPaths)) {
@@ -1037,6 +1903,64 @@ async function syncPlan(plan, onProgress, options = {}) {
   if (!journalState.activeEntries || typeof journalState.activeEntries !== 'object') {
     journalState.activeEntries = {};
   }
+  if (!Array.isArray(journalState.trashedRelativePaths)) {
+    journalState.trashedRelativePaths = [];
+  }
+
+  // A new run takes over partial copies the last one left for files it copies again and drops the
+  // rest, since the old journal is about to be overwritten.
+  if (journalPath && !options.journalState) {
+    const previousJournal = await readSyncJournal(journalPath).catch(() => null);
+    const previousEntries = previousJournal && previousJournal.activeEntries
+      && typeof previousJournal.activeEntries === 'object'
+      ? Object.values(previousJournal.activeEntries)
+      : [];
+    for (const entry of previousEntries) {
+      if (!entry || entry.stage !== 'partial') {
+        continue;
+      }
+      const planned = normalizedPlan.some(
+        (item) => item.targetPath === entry.targetPath && item.sourcePath === entry.sourcePath
+      );
+      if (planned && hasResumableCheckpoint(entry)) {
+        journalState.activeEntries[entry.targetPath] = entry;
+      } else {
+        await discardPartialCopy(entry);
+      }
+    }
+  }
+  const trashDir = orphansToTrash.length > 0
+    ? journalState.trashDir || path.join(rightRoot, SYNC_TRASH_DIR_NAME, trashRunDirName())
+    : '';
+  const archiveDir = archiveRoot
+    ? journalState.archiveDir || path.join(archiveRoot, archiveRunDirName())
+    : '';
+  journalState.archiveDir = archiveDir;
+  const rollbackDir = keepReplaced && !archiveDir
+    ? journalState.rollbackDir || path.join(rightRoot, ROLLBACK_DIR_NAME, trashRunDirName())
+    : '';
+  journalState.rollbackDir = rollbackDir;
+  let keptForUndo = 0;
+
+  // A resumed run keeps adding to the archive it started, so earlier entries must stay listed.
+  const archiveManifest = (archiveDir && await readArchiveManifest(archiveDir)) || {
+    archivedAt: new Date().toISOString(),
+    reason: 'sync',
+    leftRoot,
+    rightRoot,
+    files: [],
+  };
+  let archiveWriteChain = Promise.resolve();
+  const recordArchivedFile = async (file) => {
+    archiveManifest.files = [
+      ...archiveManifest.files.filter((existing) => existing.relativePath !== file.relativePath),
+      file,
+    ];
+    archiveWriteChain = archiveWriteChain
+      .catch(() => {})
+      .then(() => writeArchiveManifest(archiveDir, archiveManifest));
+    await archiveWriteChain;
+  };
 
   let journalWriteChain = Promise.resolve();
   const queueJournalWrite = async () => {
@@ -1097,6 +2021,9 @@ async function syncPlan(plan, onProgress, options = {}) {
       lastThroughputBps = Math.round((bytesSinceRateTick * 1000) / elapsedSinceRateTick);
       bytesSinceRateTick = 0;
       lastRateTickAt = now;
+      if (lastThroughputBps > 0 && rateLimiter.currentLimit() === 0) {
+        lastUnthrottledBps = lastThroughputBps;
+      }
     }
     let currentFileBytes = 0;
     let currentFileTotalBytes = 0;
@@ -1112,6 +2039,17 @@ async function syncPlan(plan, onProgress, options = {}) {
     }
 
     const reportedBytesTransferred = committedBytes + activeBytes;
+    const rateLimit = readRateLimit();
+    const hasRateLimit = rateLimit.bytesPerSecond > 0 || rateLimit.schedule.length > 0;
+    // Unlimited windows later in the schedule are estimated at the last speed seen without a cap.
+    const etaSeconds = hasRateLimit
+      ? estimateTransferSeconds(
+        totalBytes - reportedBytesTransferred,
+        rateLimit,
+        lastUnthrottledBps || lastThroughputBps,
+        new Date(now)
+      )
+      : null;
 
     try {
       onProgress({
@@ -1123,6 +2061,8 @@ async function syncPlan(plan, onProgress, options = {}) {
         totalBytes,
         bytesTransferred: reportedBytesTransferred,
         throughputBps: lastThroughputBps,
+        rateLimitBps: rateLimiter.currentLimit(),
+        etaSeconds,
         targetRelativePath: item ? item.targetRelativePath : '',
         currentFileBytes,
         currentFileTotalBytes,
@@ -1185,16 +2125,24 @@ async function syncPlan(plan, onProgress, options = {}) {
     let backupPath = '';
     let tempPath = '';
 
+    // Left behind by an earlier attempt or run that stopped part-way through a large file.
+    const previousEntry = journalState.activeEntries[item.targetPath];
+    const partialEntry = previousEntry && previousEntry.stage === 'partial'
+      && previousEntry.sourcePath === item.sourcePath && hasResumableCheckpoint(previousEntry)
+      ? previousEntry
+      : null;
+
     journalState.activeEntries[item.targetPath] = {
       sourcePath: item.sourcePath,
       targetPath: item.targetPath,
       sourceRelativePath: item.sourceRelativePath,
       targetRelativePath: item.targetRelativePath,
       backupPath: '',
-      tempPath: '',
+      tempPath: partialEntry ? partialEntry.tempPath : '',
       stage: 'preparing',
       startedAt: new Date().toISOString(),
       attempt: attempt + 1,
+      checkpoint: partialEntry ? partialEntry.checkpoint : null,
     };
     await queueJournalWrite();
 
@@ -1248,33 +2196,114 @@ async function syncPlan(plan, onProgress, options = {}) {
         await updateActiveEntry({ backupPath, stage: 'backed-up' });
       }
 
-      tempPath = makeTemporaryWritePath(item.targetPath);
-      await updateActiveEntry({ tempPath, stage: 'writing-temp' });
+      let resumeFrom = 0;
+      if (partialEntry) {
+        resumeFrom = await validatePartialCopy(partialEntry, item.sourcePath);
+        if (resumeFrom === 0) {
+          await discardPartialCopy(partialEntry);
+        }
+      }
+      tempPath = resumeFrom > 0 ? partialEntry.tempPath : makeTemporaryWritePath(item.targetPath);
+      await updateActiveEntry({
+        tempPath,
+        stage: 'writing-temp',
+        checkpoint: resumeFrom > 0 ? partialEntry.checkpoint : null,
+      });
+      transferState.bytesTransferred = resumeFrom;
+      if (resumeFrom > 0) {
+        resumedCopies.push({ targetRelativePath: item.targetRelativePath, resumedFromBytes: resumeFrom });
+      }
+
+      const sourceStat = await fs.stat(item.sourcePath);
+      const checkpointed = Boolean(journalPath) && sourceStat.size >= checkpointMinBytes;
+      const source = sourceFingerprint(sourceStat);
 
-      await copyFileWithProgress(
+      const copyResult = await copyFileWithProgress(
         item.sourcePath,
         tempPath,
         (chunkBytes) => {
           bytesSinceRateTick += chunkBytes;
+          concurrencyController.recordBytes(chunkBytes);
           transferState.bytesTransferred += chunkBytes;
           emitProgress('copying', item);
         },
         {
-          writeFlags: 'wx',
+          writeFlags: resumeFrom > 0 ? 'r+' : 'wx',
+          copyStrategies,
+          startPosition: resumeFrom,
+          checkpointIntervalBytes: checkpointed ? checkpointIntervalBytes : 0,
+          onCheckpoint: (bytesWritten) => updateActiveEntry({ checkpoint: { bytesWritten, source } }),
           shouldCancel,
           shouldPause,
           onPauseTick: () => {
             emitProgress('paused', item, { force: true, message: 'Paused' });
           },
+          hasher: verify ? createContentHasher(verifyAlgorithm) : null,
+          rateLimiter,
         }
       );
 
+      if (verify) {
+        await updateActiveEntry({ stage: 'verifying' });
+        emitProgress('verifying', item, { force: true });
+        await verifyWrittenCopy(tempPath, copyResult, verifyAlgorithm, shouldCancel, {
+          sourcePath: item.sourcePath,
+          targetPath: item.targetPath,
+        });
+      }
+
+      // Applied to the temp file, so the destination never shows up with a fresh mtime or default mode.
+      const metadataWarnings = await preserveMetadata(item.sourcePath, tempPath, sourceStat, metadataOptions);
+
       await updateActiveEntry({ stage: 'swapping' });
       await fs.rename(tempPath, item.targetPath);
       tempPath = '';
       await updateActiveEntry({ tempPath: '', stage: 'swapped' });
 
-      await tryPreserveCreationDate(item.sourcePath, item.targetPath);
+      if (metadataOptions.times) {
+        await tryPreserveCreationDate(item.sourcePath, item.targetPath);
+      }
+
+      let archivePath = '';
+      if (backupPath && archiveDir) {
+        archivePath = path.join(archiveDir, item.targetRelativePath);
+        try {
+          await moveIntoArchive(backupPath, archivePath);
+          backupPath = '';
+        } catch (error) {
+          throw new TreeSyncError(
+            'ARCHIVE_FAILED',
+            `Failed to archive the replaced file "${item.targetPath}"; it was left unchanged (${filesystemHint(error)}).`,
+            {
+              sourcePath: item.sourcePath,
+              targetPath: item.targetPath,
+              archivePath,
+              fsCode: error && error.code ? error.code : 'UNKNOWN',
+            }
+          );
+        }
+        archived.push({ relativePath: item.targetRelativePath, archivePath });
+        try {
+          await recordArchivedFile({
+            relativePath: item.targetRelativePath,
+            sourceRelativePath: item.sourceRelativePath,
+            size: destinationStat.size,
+            mtimeMs: destinationStat.mtimeMs,
+          });
+        } catch (error) {
+          archiveWarning = `Updating the archive index failed: ${filesystemHint(error)}`;
+        }
+      } else if (backupPath && rollbackDir) {
+        const keptPath = path.join(rollbackDir, item.targetRelativePath);
+        try {
+          await moveIntoArchive(backupPath, keptPath);
+          archivePath = keptPath;
+          backupPath = '';
+          keptForUndo += 1;
+        } catch (error) {
+          // Only undo needs this copy, so failing to keep it costs the undo rather than the file.
+        }
+      }
 
       if (backupPath) {
         try {
@@ -1296,11 +2325,23 @@ async function syncPlan(plan, onProgress, options = {}) {
 
       committedBytes += transferState.bytesTransferred;
       completed += 1;
+      if (verify) {
+        verifiedCount += 1;
+      }
+      // Undo compares against this stat to tell whether the file was touched after the sync.
+      const writtenStat = await fs.stat(item.targetPath).catch(() => null);
       succeededFiles.push({
         sourceRelativePath: item.sourceRelativePath,
         targetRelativePath: item.targetRelativePath,
         sourcePath: item.sourcePath,
         targetPath: item.targetPath,
+        verified: verify,
+        copyStrategy: copyResult.strategy,
+        metadataWarnings,
+        created: !destinationStat,
+        archivePath,
+        size: writtenStat ? writtenStat.size : null,
+        mtimeMs: writtenStat ? writtenStat.mtimeMs : null,
       });
       completedSet.add(item.targetPath);
 
@@ -1314,7 +2355,11 @@ async function syncPlan(plan, onProgress, options = {}) {
 
       emitProgress('copied', item, { force: true });
     } catch (error) {
-      if (tempPath) {
+      // A checkpointed copy that stopped while writing is kept so the next attempt or run can continue it.
+      const activeEntry = journalState.activeEntries[item.targetPath];
+      const keepPartial = Boolean(activeEntry) && RESUMABLE_STAGES.has(activeEntry.stage)
+        && hasResumableCheckpoint(activeEntry);
+      if (tempPath && !keepPartial) {
         try {
           await fs.unlink(tempPath);
         } catch (cleanupError) {
@@ -1357,7 +2402,11 @@ async function syncPlan(plan, onProgress, options = {}) {
         }
       }
 
-      delete journalState.activeEntries[item.targetPath];
+      if (keepPartial) {
+        journalState.activeEntries[item.targetPath] = { ...activeEntry, backupPath: '', stage: 'partial' };
+      } else {
+        delete journalState.activeEntries[item.targetPath];
+      }
       await queueJournalWrite();
 
       if (isSyncCancelledError(error) || shouldCancelRequested(shouldCancel)) {
@@ -1387,6 +2436,7 @@ async function syncPlan(plan, onProgress, options = {}) {
           shouldCancel,
           shouldPause,
           onRetry: async ({ attempt, retryDelayMs, error }) => {
+            concurrencyController.recordRetry();
             emitProgress('retrying', item, {
               force: true,
               retryAttempt: attempt,
@@ -1407,6 +2457,70 @@ async function syncPlan(plan, onProgress, options = {}) {
     }
   };
 
+  // Orphans are moved under a hidden folder in the destination so a mirror sync can be undone by hand.
+  const trashOrphan = async (orphan) => {
+    try {
+      await fs.lstat(orphan.fullPath);
+    } catch (error) {
+      if (error && error.code === 'ENOENT') {
+        return;
+      }
+      throw wrapFilesystemError('Reading file metadata', orphan.fullPath, error);
+    }
+
+    const trashPath = path.join(trashDir, orphan.relativePath);
+    await withRetry(
+      async () => {
+        await fs.mkdir(path.dirname(trashPath), { recursive: true });
+        await fs.rename(orphan.fullPath, trashPath);
+      },
+      {
+        retries: retryCount,
+        baseDelayMs: retryBaseDelayMs,
+        shouldCancel,
+        shouldPause,
+      }
+    );
+
+    trashed.push({
+      relativePath: orphan.relativePath,
+      trashPath,
+    });
+    journalState.trashedRelativePaths.push(orphan.relativePath);
+    await queueJournalWrite();
+    emitProgress('trashed', { targetPath: orphan.fullPath, targetRelativePath: orphan.relativePath }, { force: true });
+  };
+
+  const trashOrphanWithFailureHandling = async (orphan) => {
+    try {
+      await trashOrphan(orphan);
+    } catch (error) {
+      if (isSyncCancelledError(error)) {
+        throw error;
+      }
+
+      const failure = {
+        sourceRelativePath: '',
+        targetRelativePath: orphan.relativePath,
+        sourcePath: '',
+        targetPath: orphan.fullPath,
+        code: 'TRASH_FAILED',
+        message: `Moving orphaned file to trash failed: ${filesystemHint(error)}`,
+      };
+      failed.push(failure);
+      emitProgress('failed', { targetPath: orphan.fullPath, targetRelativePath: orphan.relativePath }, {
+        force: true,
+        message: failure.message,
+      });
+      if (!continueOnError) {
+        throw new TreeSyncError(failure.code, failure.message, {
+          targetPath: orphan.fullPath,
+          fsCode: error && error.code ? error.code : 'UNKNOWN',
+        });
+      }
+    }
+  };
+
   const buildResult = () => {
     const durationMs = Math.max(0, Date.now() - syncStartMs);
     const averageThroughputBps = durationMs > 0
@@ -1420,6 +2534,20 @@ async function syncPlan(plan, onProgress, options = {}) {
       totalBytes,
       failed,
       succeededFiles,
+      trashed,
+      trashDir: trashed.length > 0 ? trashDir : '',
+      archived,
+      archiveDir: archived.length > 0 ? archiveDir : '',
+      rollbackDir: keptForUndo > 0 ? rollbackDir : '',
+      createdDirectories,
+      resumedCopies,
+      concurrency: concurrencyController.telemetry(),
+      archivePruned,
+      archiveWarning,
+      heldBack,
+      newerDestinations: Array.isArray(journalState.newerDestinations) ? journalState.newerDestinations : [],
+      verifiedCount,
+      unverifiedCount: completed - verifiedCount,
       durationMs,
       averageThroughputBps,
       leftRoot,
@@ -1444,10 +2572,8 @@ async function syncPlan(plan, onProgress, options = {}) {
         ? path.dirname(matchingPlanItem.targetPath)
         : path.join(rightRoot || '', relativeDir);
 
-      await withRetry(
-        async () => {
-          await fs.mkdir(fullDir, { recursive: true });
-        },
+      const firstCreatedDir = await withRetry(
+        async () => fs.mkdir(fullDir, { recursive: true }),
         {
           retries: retryCount,
           baseDelayMs: retryBaseDelayMs,
@@ -1455,51 +2581,111 @@ async function syncPlan(plan, onProgress, options = {}) {
           shouldPause,
         }
       );
+      // mkdir reports only the topmost folder it made; everything from there down to fullDir is new.
+      if (firstCreatedDir && rightRoot) {
+        for (let dir = fullDir; isSameOrDescendantPath(dir, firstCreatedDir); dir = path.dirname(dir)) {
+          createdDirectories.push(path.relative(rightRoot, dir));
+          if (dir === path.dirname(dir)) {
+            break;
+          }
+        }
+      }
     }
 
     const pendingPlan = normalizedPlan.filter((item) => !completedSet.has(item.targetPath));
     const smallFiles = pendingPlan.filter((item) => Number(item.sourceSize) <= smallFileThresholdBytes);
     const largeFiles = pendingPlan.filter((item) => Number(item.sourceSize) > smallFileThresholdBytes);
 
-    const parallelSmallEnabled = continueOnError && maxParallelSmallFiles > 1;
-    const workerCount = parallelSmallEnabled
-      ? Math.max(1, Math.min(maxParallelSmallFiles, smallFiles.length || 1))
-      : 1;
-
-    if (smallFiles.length > 0) {
-      if (workerCount === 1) {
-        for (const item of smallFiles) {
-          if (shouldCancelRequested(shouldCancel)) {
-            throw makeSyncCancelledError({ completed, total });
-          }
-          await processItemWithRetryAndFailureHandling(item);
-        }
+    // Small files always keep a slot while any are waiting; large ones use the slots left beside
+    // them, so with a single worker everything small still goes first.
+    const smallQueue = [...smallFiles];
+    const largeQueue = [...largeFiles];
+    const running = new Set();
+    let smallActive = 0;
+    let largeActive = 0;
+    let stopError = null;
+    const startItem = (item, large) => {
+      const startedAt = Date.now();
+      if (large) {
+        largeActive += 1;
       } else {
-        const queue = [...smallFiles];
-        const workers = [];
-        for (let i = 0; i < workerCount; i += 1) {
-          workers.push((async () => {
-            while (queue.length > 0) {
-              if (shouldCancelRequested(shouldCancel)) {
-                throw makeSyncCancelledError({ completed, total });
-              }
-              const item = queue.shift();
-              if (!item) {
-                return;
-              }
-              await processItemWithRetryAndFailureHandling(item);
-            }
-          })());
+        smallActive += 1;
+      }
+      concurrencyController.noteStarted(running.size + 1, large && (smallActive > 0 || smallQueue.length > 0));
+      const task = processItemWithRetryAndFailureHandling(item)
+        .then(() => {
+          concurrencyController.recordFile({ durationMs: Date.now() - startedAt, large });
+        }, (error) => {
+          stopError = stopError || error;
+        })
+        .finally(() => {
+          running.delete(task);
+          if (large) {
+            largeActive -= 1;
+          } else {
+            smallActive -= 1;
+          }
+        });
+      running.add(task);
+    };
+
+    while (true) {
+      if (!stopError && shouldCancelRequested(shouldCancel)) {
+        stopError = makeSyncCancelledError({ completed, total });
+      }
+      while (!stopError && running.size < concurrencyController.workers()) {
+        if (largeQueue.length > 0 && largeActive < concurrencyController.largeSlots(smallQueue.length > 0)) {
+          startItem(largeQueue.shift(), true);
+        } else if (smallQueue.length > 0) {
+          startItem(smallQueue.shift(), false);
+        } else {
+          break;
         }
-        await Promise.all(workers);
       }
+      if (running.size === 0) {
+        break;
+      }
+      await Promise.race(running);
+    }
+    if (stopError) {
+      throw stopError;
     }
 
-    for (const item of largeFiles) {
+    for (const orphan of orphansToTrash) {
+      if (journalState.trashedRelativePaths.includes(orphan.relativePath)) {
+        continue;
+      }
       if (shouldCancelRequested(shouldCancel)) {
         throw makeSyncCancelledError({ completed, total });
       }
-      await processItemWithRetryAndFailureHandling(item);
+      await trashOrphanWithFailureHandling(orphan);
+    }
+
+    // Whatever is still partial belongs to a file that failed for good, and the journal goes away next.
+    for (const entry of Object.values(journalState.activeEntries)) {
+      if (entry && entry.stage === 'partial') {
+        await discardPartialCopy(entry);
+      }
+    }
+
+    if (archiveRoot) {
+      try {
+        archivePruned = await pruneArchive(archiveRoot, {
+          rightRoot: archive.location ? rightRoot : '',
+          keepRuns: archive.keepRuns,
+          maxAgeDays: archive.maxAgeDays,
+        });
+      } catch (error) {
+        // The files are synced; an archive that could not be trimmed is only worth a warning.
+        archiveWarning = `Pruning the archive failed: ${filesystemHint(error)}`;
+      }
+    }
+    if (rollbackDir) {
+      try {
+        await pruneKeptOriginals(rightRoot, keepReplaced);
+      } catch (error) {
+        archiveWarning = `Pruning the files kept for undo failed: ${filesystemHint(error)}`;
+      }
     }
 
     success = true;
@@ -1555,11 +2741,15 @@ async function syncPlan(plan, onProgress, options = {}) {
 
 module.exports = {
   walkFiles,
+  copyFileWithProgress,
   parseVersionedName,
   buildComparePlan,
   syncPlan,
   getSyncRecoverySummary,
+  prepareSyncRecovery,
   resumeSyncFromJournal,
   cleanupSyncRecoveryArtifacts,
+  SYNC_TRASH_DIR_NAME,
+  ARCHIVE_DIR_NAME,
   TreeSyncError,
 };
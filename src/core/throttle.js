@@ -0,0 +1,194 @@
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+const MAX_SCHEDULE_RULES = 24;
+const MINUTES_PER_DAY = 24 * 60;
+// Unused allowance carries over for at most this long, so an idle moment cannot turn into a burst.
+const BURST_SECONDS = 1;
+const MAX_WAIT_SLICE_MS = 200;
+const MAX_ESTIMATE_SEGMENTS = 200;
+
+function normalizeRate(value) {
+  const rate = Math.floor(Number(value));
+  return Number.isFinite(rate) && rate > 0 ? rate : 0;
+}
+
+function parseClockMinutes(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function normalizeScheduleRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+  const start = parseClockMinutes(rule.start);
+  const end = parseClockMinutes(rule.end);
+  if (start === null || end === null || start === end) {
+    return null;
+  }
+  return {
+    start: formatClock(start),
+    end: formatClock(end),
+    bytesPerSecond: normalizeRate(rule.bytesPerSecond),
+  };
+}
+
+// Rules are tried in order; the first one whose window covers the time wins. A window may wrap
+// past midnight (22:00-06:00), and a rule rate of 0 means unlimited during that window.
+function normalizeRateLimit(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  return {
+    bytesPerSecond: normalizeRate(source.bytesPerSecond),
+    schedule: Array.isArray(source.schedule)
+      ? source.schedule.map(normalizeScheduleRule).filter(Boolean).slice(0, MAX_SCHEDULE_RULES)
+      : [],
+  };
+}
+
+// "09:00-18:00=2" (MB/s), as typed on the command line or in the options.
+function parseScheduleRule(text) {
+  const match = /^\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*=\s*(\d+(?:\.\d+)?)\s*$/.exec(String(text || ''));
+  if (!match) {
+    return null;
+  }
+  return normalizeScheduleRule({
+    start: match[1],
+    end: match[2],
+    bytesPerSecond: Number(match[3]) * BYTES_PER_MEGABYTE,
+  });
+}
+
+function minutesOfDay(date) {
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+function ruleCovers(rule, minute) {
+  const start = parseClockMinutes(rule.start);
+  const end = parseClockMinutes(rule.end);
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+function rateLimitAt(config, date = new Date()) {
+  const minute = minutesOfDay(date);
+  const rule = config.schedule.find((candidate) => ruleCovers(candidate, minute));
+  return rule ? rule.bytesPerSecond : config.bytesPerSecond;
+}
+
+// Milliseconds from `date` to the next schedule boundary, or Infinity with no schedule.
+function msUntilNextBoundary(config, date) {
+  if (config.schedule.length === 0) {
+    return Infinity;
+  }
+  const minute = minutesOfDay(date);
+  let waitMinutes = MINUTES_PER_DAY;
+  for (const rule of config.schedule) {
+    for (const boundary of [parseClockMinutes(rule.start), parseClockMinutes(rule.end)]) {
+      const ahead = ((boundary % MINUTES_PER_DAY) - minute + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+      waitMinutes = Math.min(waitMinutes, ahead);
+    }
+  }
+  return waitMinutes * 60000 - date.getSeconds() * 1000 - date.getMilliseconds();
+}
+
+// Walks the schedule forward: each window moves at its cap, or at the measured speed where that is
+// slower or the window is uncapped. Returns null when there is nothing to base an estimate on.
+function estimateTransferSeconds(remainingBytes, config, measuredBps, from = new Date()) {
+  let left = Math.max(0, Number(remainingBytes) || 0);
+  if (left === 0) {
+    return 0;
+  }
+  const measured = normalizeRate(measuredBps);
+  let cursor = new Date(from.getTime());
+  let seconds = 0;
+  for (let segment = 0; segment < MAX_ESTIMATE_SEGMENTS; segment += 1) {
+    const limit = rateLimitAt(config, cursor);
+    const rate = limit > 0 && measured > 0 ? Math.min(limit, measured) : limit || measured;
+    if (rate === 0) {
+      return null;
+    }
+    const segmentMs = msUntilNextBoundary(config, cursor);
+    const segmentBytes = (rate * segmentMs) / 1000;
+    if (left <= segmentBytes) {
+      return seconds + left / rate;
+    }
+    left -= segmentBytes;
+    seconds += segmentMs / 1000;
+    cursor = new Date(cursor.getTime() + segmentMs);
+  }
+  return null;
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// One bucket shared by every copy worker. `getConfig` is read on each chunk so a limit changed
+// mid-sync (or a schedule window opening) takes effect straight away.
+function createRateLimiter(getConfig, options = {}) {
+  const now = typeof options.now === 'function' ? options.now : Date.now;
+  const sleep = typeof options.sleep === 'function' ? options.sleep : defaultSleep;
+  let tokens = 0;
+  let lastRefillAt = now();
+
+  const currentLimit = () => rateLimitAt(normalizeRateLimit(getConfig()), new Date(now()));
+
+  const refill = (rate) => {
+    const at = now();
+    tokens = Math.min(rate * BURST_SECONDS, tokens + (Math.max(0, at - lastRefillAt) * rate) / 1000);
+    lastRefillAt = at;
+  };
+
+  // Takes the bytes straight away and then waits off any debt, so concurrent workers queue up
+  // behind each other instead of all sleeping for the same slot.
+  const consume = async (bytes, shouldStop) => {
+    let rate = currentLimit();
+    if (rate === 0) {
+      tokens = 0;
+      lastRefillAt = now();
+      return;
+    }
+    refill(rate);
+    tokens -= bytes;
+    while (tokens < 0) {
+      if (typeof shouldStop === 'function' && shouldStop()) {
+        return;
+      }
+      await sleep(Math.min(MAX_WAIT_SLICE_MS, Math.ceil((-tokens * 1000) / rate)));
+      rate = currentLimit();
+      if (rate === 0) {
+        tokens = 0;
+        lastRefillAt = now();
+        return;
+      }
+      refill(rate);
+    }
+  };
+
+  return {
+    currentLimit,
+    consume,
+  };
+}
+
+module.exports = {
+  BYTES_PER_MEGABYTE,
+  MAX_SCHEDULE_RULES,
+  normalizeRateLimit,
+  parseScheduleRule,
+  rateLimitAt,
+  estimateTransferSeconds,
+  createRateLimiter,
+};
@@ -0,0 +1,220 @@
+const path = require('path');
+const { TreeSyncError } = require('./errors');
+
+const BUILTIN_VERSION_PATTERNS = Object.freeze([
+  {
+    id: 'underscore-v',
+    label: 'Underscore v (name_v003.ext)',
+    example: 'name_v003.ext',
+    pattern: '^(?<base>.*)_v(?<version>\\d+)$',
+  },
+  {
+    id: 'dot-v',
+    label: 'Dot v (name.v003.ext)',
+    example: 'name.v003.ext',
+    pattern: '^(?<base>.*)\\.v(?<version>\\d+)$',
+  },
+  {
+    id: 'dash-v',
+    label: 'Dash v (name-v3.ext)',
+    example: 'name-v3.ext',
+    pattern: '^(?<base>.*)-v(?<version>\\d+)$',
+  },
+  {
+    id: 'underscore-v-suffix',
+    label: 'Underscore v with suffix (name_V003_final.ext)',
+    example: 'name_V003_final.ext',
+    pattern: '^(?<base>.*)_v(?<version>\\d+)_[^_]+$',
+  },
+  {
+    id: 'underscore-r',
+    label: 'Underscore r (name_r12.ext)',
+    example: 'name_r12.ext',
+    pattern: '^(?<base>.*)_r(?<version>\\d+)$',
+  },
+]);
+
+const DEFAULT_VERSION_PATTERN_IDS = Object.freeze(['underscore-v']);
+const MAX_CUSTOM_VERSION_PATTERNS = 20;
+const CUSTOM_PATTERN_ID_PREFIX = 'custom-';
+
+function invalidPattern(message, details = {}) {
+  return new TreeSyncError('INVALID_VERSION_PATTERN', message, details);
+}
+
+function compilePatternSource(id, label, source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw invalidPattern(`Version pattern "${label || id}" is empty.`, { id });
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(source, 'i');
+  } catch (error) {
+    throw invalidPattern(
+      `Version pattern "${label || id}" is not a valid regular expression: ${error.message}`,
+      { id, pattern: source }
+    );
+  }
+
+  if (!source.includes('(?<base>') || !source.includes('(?<version>')) {
+    throw invalidPattern(
+      `Version pattern "${label || id}" must define (?<base>...) and (?<version>...) groups.`,
+      { id, pattern: source }
+    );
+  }
+
+  return regex;
+}
+
+function normalizeCustomPattern(value, index) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const id = typeof value.id === 'string' && value.id.startsWith(CUSTOM_PATTERN_ID_PREFIX)
+    ? value.id
+    : `${CUSTOM_PATTERN_ID_PREFIX}${index + 1}`;
+  return {
+    id,
+    label: typeof value.label === 'string' && value.label.trim() ? value.label.trim() : id,
+    pattern: typeof value.pattern === 'string' ? value.pattern : '',
+  };
+}
+
+function normalizeVersioningConfig(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const customPatterns = [];
+  const seenCustomIds = new Set();
+  const rawCustom = Array.isArray(source.customPatterns) ? source.customPatterns : [];
+  for (const value of rawCustom.slice(0, MAX_CUSTOM_VERSION_PATTERNS)) {
+    const normalized = normalizeCustomPattern(value, customPatterns.length);
+    if (!normalized || seenCustomIds.has(normalized.id)) {
+      continue;
+    }
+    seenCustomIds.add(normalized.id);
+    customPatterns.push(normalized);
+  }
+
+  const knownIds = new Set([
+    ...BUILTIN_VERSION_PATTERNS.map((pattern) => pattern.id),
+    ...customPatterns.map((pattern) => pattern.id),
+  ]);
+  const enabledPatternIds = Array.isArray(source.enabledPatternIds)
+    ? Array.from(new Set(source.enabledPatternIds.filter((id) => typeof id === 'string' && knownIds.has(id))))
+    : [...DEFAULT_VERSION_PATTERN_IDS];
+
+  return {
+    enabledPatternIds,
+    customPatterns,
+  };
+}
+
+function compileVersionPatterns(config) {
+  const normalized = normalizeVersioningConfig(config);
+  const definitions = new Map();
+  for (const pattern of BUILTIN_VERSION_PATTERNS) {
+    definitions.set(pattern.id, { ...pattern, builtin: true });
+  }
+  for (const pattern of normalized.customPatterns) {
+    definitions.set(pattern.id, { ...pattern, builtin: false });
+  }
+
+  return normalized.enabledPatternIds.map((id) => {
+    const definition = definitions.get(id);
+    return {
+      id,
+      label: definition.label,
+      builtin: definition.builtin,
+      regex: compilePatternSource(id, definition.label, definition.pattern),
+    };
+  });
+}
+
+const DEFAULT_COMPILED_PATTERNS = compileVersionPatterns();
+
+function matchVersionPattern(stem, pattern) {
+  const match = stem.match(pattern.regex);
+  if (!match || !match.groups) {
+    return null;
+  }
+  const version = Number.parseInt(match.groups.version, 10);
+  if (!Number.isFinite(version) || typeof match.groups.base !== 'string') {
+    return null;
+  }
+  return {
+    baseStem: match.groups.base,
+    version,
+  };
+}
+
+function parseVersionedName(fileName, patterns = DEFAULT_COMPILED_PATTERNS) {
+  const ext = path.extname(fileName);
+  const stem = path.basename(fileName, ext);
+
+  for (const pattern of patterns) {
+    const matched = matchVersionPattern(stem, pattern);
+    if (!matched) {
+      continue;
+    }
+    return {
+      targetFileName: `${matched.baseStem}${ext}`,
+      version: matched.version,
+      strippedStem: matched.baseStem,
+      isVersioned: true,
+      patternId: pattern.id,
+    };
+  }
+
+  return {
+    targetFileName: fileName,
+    version: 0,
+    strippedStem: stem,
+    isVersioned: false,
+    patternId: '',
+  };
+}
+
+function previewVersionedName(sampleFileName, config) {
+  const sample = typeof sampleFileName === 'string' ? sampleFileName.trim() : '';
+  const normalized = normalizeVersioningConfig(config);
+  let patterns;
+  try {
+    patterns = compileVersionPatterns(normalized);
+  } catch (error) {
+    return {
+      ok: false,
+      error: error.message,
+      sample,
+      parsed: null,
+      matches: [],
+    };
+  }
+
+  const ext = path.extname(sample);
+  const stem = path.basename(sample, ext);
+  return {
+    ok: true,
+    error: '',
+    sample,
+    parsed: sample ? parseVersionedName(sample, patterns) : null,
+    matches: patterns.map((pattern) => {
+      const matched = sample ? matchVersionPattern(stem, pattern) : null;
+      return {
+        id: pattern.id,
+        label: pattern.label,
+        matched: Boolean(matched),
+        targetFileName: matched ? `${matched.baseStem}${ext}` : '',
+        version: matched ? matched.version : 0,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  BUILTIN_VERSION_PATTERNS,
+  DEFAULT_VERSION_PATTERN_IDS,
+  normalizeVersioningConfig,
+  compileVersionPatterns,
+  parseVersionedName,
+  previewVersionedName,
+};
@@ -7,24 +7,77 @@ const {
   buildComparePlan,
   syncPlan: runSyncPlan,
   cleanupSyncRecoveryArtifacts,
+  getSyncRecoverySummary,
+  prepareSyncRecovery,
+  resumeSyncFromJournal,
 } = require('./core/sync');
+const { resolveArchiveRoot, listArchive, restoreArchivedFile } = require('./core/archive');
+const {
+  buildRollbackRecord,
+  describeRollbackAvailability,
+  undoSyncRun,
+  removeKeptOriginals,
+  removeUnreferencedKeptOriginals,
+} = require('./core/rollback');
+const { normalizeRateLimit, rateLimitAt } = require('./core/throttle');
+const {
+  BUILTIN_VERSION_PATTERNS,
+  compileVersionPatterns,
+  previewVersionedName,
+} = require('./core/versioning');
+const {
+  createChecksumCache,
+  loadChecksumCache,
+  saveChecksumCache,
+  removeChecksumCache,
+} = require('./core/checksum-cache');
 const {
   loadState,
   saveState,
   normalizeState,
   updateSelectedDirs,
+  updateVersioning,
+  updateFilters,
+  updateOptions,
+  pinsForRoots,
+  updatePin,
+  findProfile,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  deleteProfile,
+  selectProfile,
   appendSyncHistory,
+  markSyncUndone,
   clearSyncHistory,
+  concurrencyHintFor,
+  updateConcurrencyHint,
 } = require('./main/state-store');
+const {
+  loadSyncHistory,
+  appendSyncHistoryEntry,
+  rewriteSyncHistoryFile,
+  clearSyncHistoryFile,
+} = require('./main/history-store');
+const {
+  listRollbackDirs,
+  saveRollbackRecord,
+  loadRollbackRecord,
+  removeRollbackRecords,
+} = require('./main/rollback-store');
 
 const UPDATE_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
 const APP_OPERATION = Object.freeze({
   IDLE: 'idle',
   COMPARING: 'comparing',
   SYNCING: 'syncing',
+  UNDOING: 'undoing',
 });
 
 let stateFilePath = null;
+let historyFilePath = null;
+let rollbackDirPath = null;
+let historyLineCount = 0;
 let appState = normalizeState({});
 const appIconPath = path.join(__dirname, 'renderer', 'img', 'lempicka-icon.png');
 app.setName('Lempicka Smart Sync');
@@ -32,6 +85,9 @@ app.name = 'Lempicka Smart Sync';
 let windowContentWidth = 1100;
 let activeSyncSession = null;
 let syncJournalPath = null;
+let pendingSyncRecovery = null;
+let checksumCachePath = null;
+let checksumCache = null;
 let mainWindow = null;
 let updateCheckerTimer = null;
 let autoUpdaterConfigured = false;
@@ -49,34 +105,87 @@ function normalizeRootForState(rawPath) {
   return resolved;
 }
 
+// Compare keys its context on the roots' real paths, so anything stored against that context (pins) is too.
+async function realRootForState(rawPath) {
+  try {
+    return normalizeRootForState(await fs.promises.realpath(String(rawPath || '')));
+  } catch (error) {
+    return normalizeRootForState(rawPath);
+  }
+}
+
+function normalizePlanItemForDigest(item) {
+  return {
+    sourcePath: String(item && item.sourcePath ? item.sourcePath : ''),
+    sourceRelativePath: String(item && item.sourceRelativePath ? item.sourceRelativePath : ''),
+    sourceSize: Number(item && item.sourceSize ? item.sourceSize : 0),
+    targetPath: String(item && item.targetPath ? item.targetPath : ''),
+    targetRelativePath: String(item && item.targetRelativePath ? item.targetRelativePath : ''),
+    version: Number(item && item.version ? item.version : 0),
+    destinationExists: Boolean(item && item.destinationExists),
+    destinationSize: Number.isFinite(Number(item && item.destinationSize))
+      ? Number(item.destinationSize)
+      : null,
+    destinationNewer: Boolean(item && item.destinationNewer),
+  };
+}
+
+function normalizeOrphanForDigest(item) {
+  return {
+    relativePath: String(item && item.relativePath ? item.relativePath : ''),
+    fullPath: String(item && item.fullPath ? item.fullPath : ''),
+    size: Number(item && item.size ? item.size : 0),
+  };
+}
+
+function digestOf(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
 function buildPlanDigest(payload) {
   const normalizedPlan = Array.isArray(payload && payload.plan)
-    ? payload.plan.map((item) => ({
-        sourcePath: String(item && item.sourcePath ? item.sourcePath : ''),
-        sourceRelativePath: String(item && item.sourceRelativePath ? item.sourceRelativePath : ''),
-        sourceSize: Number(item && item.sourceSize ? item.sourceSize : 0),
-        targetPath: String(item && item.targetPath ? item.targetPath : ''),
-        targetRelativePath: String(item && item.targetRelativePath ? item.targetRelativePath : ''),
-        version: Number(item && item.version ? item.version : 0),
-        destinationExists: Boolean(item && item.destinationExists),
-        destinationSize: Number.isFinite(Number(item && item.destinationSize))
-          ? Number(item.destinationSize)
-          : null,
-      }))
+    ? payload.plan.map(normalizePlanItemForDigest)
     : [];
 
   const normalizedDirs = Array.isArray(payload && payload.directoriesToCreate)
     ? payload.directoriesToCreate.map((value) => String(value || '')).sort()
     : [];
 
+  const normalizedOrphans = Array.isArray(payload && payload.orphans)
+    ? payload.orphans.map(normalizeOrphanForDigest)
+    : [];
+
   const body = {
     leftRoot: normalizeRootForState(payload && payload.leftRoot ? payload.leftRoot : ''),
     rightRoot: normalizeRootForState(payload && payload.rightRoot ? payload.rightRoot : ''),
     plan: normalizedPlan,
     directoriesToCreate: normalizedDirs,
+    orphans: normalizedOrphans,
   };
 
-  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+  return digestOf(body);
+}
+
+// Per-item digests let sync accept any subset of the compared plan while rejecting anything compare did not produce.
+function buildItemDigests(items, normalizeItem, keyOf) {
+  const digests = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    const normalized = normalizeItem(item);
+    digests.set(keyOf(normalized), digestOf(normalized));
+  }
+  return digests;
+}
+
+function verifySelectedItems(items, digests, normalizeItem, keyOf) {
+  const seen = new Set();
+  for (const item of Array.isArray(items) ? items : []) {
+    const normalized = normalizeItem(item);
+    const key = keyOf(normalized);
+    if (seen.has(key) || digests.get(key) !== digestOf(normalized)) {
+      throw new Error('Sync selection does not match the last compare. Run Compare again before syncing.');
+    }
+    seen.add(key);
+  }
 }
 
 function createCompareContext(compareResult) {
@@ -87,10 +196,39 @@ function createCompareContext(compareResult) {
     digest,
     leftRoot: normalizeRootForState(compareResult.leftRoot),
     rightRoot: normalizeRootForState(compareResult.rightRoot),
+    planItemDigests: buildItemDigests(compareResult.plan, normalizePlanItemForDigest, (item) => item.targetPath),
+    orphanDigests: buildItemDigests(compareResult.orphans, normalizeOrphanForDigest, (item) => item.fullPath),
+    directoriesToCreate: Array.isArray(compareResult.directoriesToCreate)
+      ? compareResult.directoriesToCreate.map((value) => String(value || ''))
+      : [],
+    profile: compareResult.profile || null,
     createdAt: new Date().toISOString(),
   };
 }
 
+function profileSummary(profile) {
+  return profile ? { id: profile.id, name: profile.name } : null;
+}
+
+function activeProfileSummary() {
+  return profileSummary(findProfile(appState, appState.activeProfileId));
+}
+
+// A resumed sync has no compare behind it, so attribute it to the profile that owns the journal's roots.
+function profileForRoots(leftRoot, rightRoot) {
+  const left = normalizeRootForState(leftRoot || '');
+  const right = normalizeRootForState(rightRoot || '');
+  const matches = (profile) => profile.selectedDirs.leftRoot
+    && profile.selectedDirs.rightRoot
+    && normalizeRootForState(profile.selectedDirs.leftRoot) === left
+    && normalizeRootForState(profile.selectedDirs.rightRoot) === right;
+  const active = findProfile(appState, appState.activeProfileId);
+  if (active && matches(active)) {
+    return profileSummary(active);
+  }
+  return profileSummary(appState.profiles.find(matches));
+}
+
 function clearCompareContext() {
   lastCompareContext = null;
 }
@@ -117,12 +255,32 @@ function verifyCompareContextForSync(payload) {
     throw new Error('Selected directories changed after compare. Run Compare again before syncing.');
   }
 
-  const payloadDigest = buildPlanDigest(payload);
-  if (payloadDigest !== lastCompareContext.digest) {
-    throw new Error('Sync plan changed after compare. Run Compare again before syncing.');
+  verifySelectedItems(
+    payload.plan,
+    lastCompareContext.planItemDigests,
+    normalizePlanItemForDigest,
+    (item) => item.targetPath
+  );
+  verifySelectedItems(payload.orphans, lastCompareContext.orphanDigests, normalizeOrphanForDigest, (item) => item.fullPath);
+
+  // Newer destinations the user left unselected still arrive so the run can record that they were held back.
+  const copyCount = Array.isArray(payload.plan)
+    ? payload.plan.filter((item) => !item.destinationNewer || item.overwriteNewer).length
+    : 0;
+  const selectedCount = copyCount + (Array.isArray(payload.orphans) ? payload.orphans.length : 0);
+  if (selectedCount === 0) {
+    throw new Error('Select at least one file to sync.');
   }
 }
 
+// Only the compared folders that a selected file lands in are created; the renderer's list is not trusted.
+function directoriesForSelectedPlan(plan) {
+  const targetDirs = new Set(
+    (Array.isArray(plan) ? plan : []).map((item) => path.dirname(String(item.targetRelativePath || '')))
+  );
+  return lastCompareContext.directoriesToCreate.filter((relativeDir) => targetDirs.has(relativeDir));
+}
+
 
 function getContentHeightBounds(workAreaHeight) {
   const maxContentHeight = Math.max(320, Number(workAreaHeight) - 20);
@@ -138,6 +296,29 @@ async function persistState() {
   return appState;
 }
 
+async function getChecksumCache() {
+  if (!checksumCache) {
+    try {
+      checksumCache = await loadChecksumCache(checksumCachePath);
+    } catch (error) {
+      console.error('Failed to load checksum cache:', error);
+      checksumCache = createChecksumCache();
+    }
+  }
+  return checksumCache;
+}
+
+async function persistChecksumCache() {
+  if (!checksumCache || !checksumCachePath) {
+    return;
+  }
+  try {
+    await saveChecksumCache(checksumCachePath, checksumCache);
+  } catch (error) {
+    console.error('Failed to persist checksum cache:', error);
+  }
+}
+
 async function cancelActiveSyncAndWait() {
   const session = activeSyncSession;
   if (!session) {
@@ -429,21 +610,45 @@ function createWindow() {
   return win;
 }
 
+// Files kept for undo by a sync that never got a history entry (the app quit or crashed first) are
+// found here. Destinations are only known from the history and an interrupted sync.
+async function removeUnreferencedUndoFolders(startedBefore) {
+  try {
+    const referenced = await listRollbackDirs(rollbackDirPath);
+    const rightRoots = new Set(appState.syncHistory.map((entry) => entry.rightRoot).filter(Boolean));
+    if (pendingSyncRecovery) {
+      referenced.push(pendingSyncRecovery.rollbackDir);
+      rightRoots.add(pendingSyncRecovery.rightRoot);
+    }
+    for (const rightRoot of Array.from(rightRoots).filter(Boolean)) {
+      await removeUnreferencedKeptOriginals(rightRoot, referenced, { startedBefore }).catch((error) => {
+        console.error(`Failed to clean up the undo folder in "${rightRoot}":`, error);
+      });
+    }
+  } catch (error) {
+    console.error('Failed to clean up undo folders:', error);
+  }
+}
+
 app.whenReady().then(async () => {
   if (process.platform === 'darwin' && fs.existsSync(appIconPath)) {
     app.dock.setIcon(nativeImage.createFromPath(appIconPath));
   }
 
   stateFilePath = path.join(app.getPath('userData'), 'state.json');
+  historyFilePath = path.join(app.getPath('userData'), 'sync-history.jsonl');
+  rollbackDirPath = path.join(app.getPath('userData'), 'sync-rollback');
   syncJournalPath = path.join(app.getPath('userData'), 'sync-recovery.json');
+  checksumCachePath = path.join(app.getPath('userData'), 'checksum-cache.json');
 
   try {
-    const recovery = await cleanupSyncRecoveryArtifacts(syncJournalPath);
-    if (recovery && recovery.hadJournal && recovery.recoveredActiveEntries > 0) {
-      console.warn('Recovered and cleaned up sync artifacts after previous unexpected shutdown.', recovery);
+    pendingSyncRecovery = await prepareSyncRecovery(syncJournalPath);
+    if (pendingSyncRecovery && pendingSyncRecovery.recoveredActiveEntries > 0) {
+      console.warn('Restored files that were mid-replacement when the previous sync stopped.', pendingSyncRecovery);
     }
   } catch (error) {
     console.error('Failed to recover sync artifacts from journal:', error);
+    pendingSyncRecovery = null;
   }
 
   try {
@@ -453,9 +658,19 @@ app.whenReady().then(async () => {
     appState = normalizeState({});
   }
 
+  try {
+    const history = await loadSyncHistory(historyFilePath, { legacyEntries: appState.syncHistory });
+    appState = { ...appState, syncHistory: history.entries };
+    historyLineCount = history.lineCount;
+  } catch (error) {
+    console.error('Failed to load sync history:', error);
+    appState = { ...appState, syncHistory: [] };
+  }
+
   createWindow();
   setupApplicationMenu();
   setupAutoUpdates();
+  removeUnreferencedUndoFolders(Date.now());
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -558,7 +773,13 @@ ipcMain.handle('install-update-now', async () => {
 
 ipcMain.handle('clear-sync-history', async () => {
   appState = clearSyncHistory(appState);
-  await persistState();
+  await clearSyncHistoryFile(historyFilePath);
+  historyLineCount = 0;
+  try {
+    await removeRollbackRecords(rollbackDirPath);
+  } catch (error) {
+    console.error('Failed to remove undo data:', error);
+  }
   return { cleared: true };
 });
 
@@ -624,6 +845,176 @@ ipcMain.handle('set-selected-directories', async (_, payload) => {
   return appState.selectedDirs;
 });
 
+ipcMain.handle('get-version-patterns', async () => {
+  return {
+    builtinPatterns: BUILTIN_VERSION_PATTERNS,
+    versioning: appState.versioning,
+  };
+});
+
+ipcMain.handle('preview-version-pattern', async (_, payload) => {
+  const incoming = payload || {};
+  return previewVersionedName(incoming.sample, incoming.versioning || appState.versioning);
+});
+
+ipcMain.handle('set-version-patterns', async (_, versioning) => {
+  assertIdleOperation('Changing version patterns');
+  compileVersionPatterns(versioning);
+
+  appState = updateVersioning(appState, versioning || {});
+  clearCompareContext();
+  try {
+    await persistState();
+  } catch (error) {
+    console.error('Failed to persist version patterns:', error);
+    return {
+      versioning: appState.versioning,
+      warning: 'Failed to persist version patterns.',
+    };
+  }
+  return { versioning: appState.versioning };
+});
+
+ipcMain.handle('set-filters', async (_, filters) => {
+  assertIdleOperation('Changing filters');
+
+  appState = updateFilters(appState, filters || {});
+  clearCompareContext();
+  try {
+    await persistState();
+  } catch (error) {
+    console.error('Failed to persist filters:', error);
+    return {
+      filters: appState.filters,
+      warning: 'Failed to persist filters.',
+    };
+  }
+  return { filters: appState.filters };
+});
+
+ipcMain.handle('set-options', async (_, payload) => {
+  assertIdleOperation('Changing options');
+
+  appState = updateOptions(appState, payload || {});
+  clearCompareContext();
+  try {
+    await persistState();
+  } catch (error) {
+    console.error('Failed to persist options:', error);
+    return {
+      compareOptions: appState.compareOptions,
+      syncOptions: appState.syncOptions,
+      warning: 'Failed to persist options.',
+    };
+  }
+  return {
+    compareOptions: appState.compareOptions,
+    syncOptions: appState.syncOptions,
+  };
+});
+
+ipcMain.handle('set-pin', async (_, payload) => {
+  assertIdleOperation('Pinning files');
+  if (!lastCompareContext) {
+    throw new Error('Run Compare before pinning files.');
+  }
+
+  const { leftRoot, rightRoot } = lastCompareContext;
+  const { targetRelativePath, mode, version } = payload || {};
+  appState = updatePin(appState, { leftRoot, rightRoot, targetRelativePath, mode, version });
+  clearCompareContext();
+  try {
+    await persistState();
+  } catch (error) {
+    console.error('Failed to persist pins:', error);
+    return { pins: pinsForRoots(appState, leftRoot, rightRoot), warning: 'Failed to persist pins.' };
+  }
+  return { pins: pinsForRoots(appState, leftRoot, rightRoot) };
+});
+
+async function applyProfileChange(actionLabel, updater) {
+  assertIdleOperation(actionLabel);
+
+  const result = updater(appState);
+  appState = result.nextState || result;
+  clearCompareContext();
+  try {
+    await persistState();
+  } catch (error) {
+    console.error('Failed to persist profiles:', error);
+    return { ...appState, warning: 'Failed to persist profiles.' };
+  }
+  return appState;
+}
+
+ipcMain.handle('select-profile', async (_, profileId) => {
+  return applyProfileChange('Switching profiles', (state) => selectProfile(state, profileId || ''));
+});
+
+ipcMain.handle('create-profile', async (_, name) => {
+  return applyProfileChange('Creating a profile', (state) => createProfile(state, name));
+});
+
+ipcMain.handle('duplicate-profile', async (_, payload) => {
+  const { profileId, name } = payload || {};
+  return applyProfileChange('Duplicating a profile', (state) => duplicateProfile(state, profileId, name));
+});
+
+ipcMain.handle('rename-profile', async (_, payload) => {
+  const { profileId, name } = payload || {};
+  return applyProfileChange('Renaming a profile', (state) => renameProfile(state, profileId, name));
+});
+
+ipcMain.handle('delete-profile', async (_, profileId) => {
+  return applyProfileChange('Deleting a profile', (state) => deleteProfile(state, profileId));
+});
+
+ipcMain.handle('rebuild-checksum-cache', async () => {
+  assertIdleOperation('Rebuilding the checksum cache');
+
+  if (checksumCache) {
+    checksumCache.clear();
+  }
+  await removeChecksumCache(checksumCachePath);
+  clearCompareContext();
+  return { cleared: true };
+});
+
+// A shared archive folder holds runs from several destinations, so listings are narrowed to this one.
+async function archiveForSelectedDestination() {
+  const { rightRoot } = appState.selectedDirs;
+  if (!rightRoot) {
+    throw new Error('Choose a destination folder to browse its archive.');
+  }
+  let realRoot;
+  try {
+    realRoot = await fs.promises.realpath(rightRoot);
+  } catch (error) {
+    realRoot = path.resolve(rightRoot);
+  }
+  const location = appState.syncOptions.archiveLocation;
+  return {
+    archiveRoot: resolveArchiveRoot(realRoot, location),
+    rightRoot: location ? realRoot : '',
+    destinationRoot: realRoot,
+  };
+}
+
+ipcMain.handle('list-archive', async () => {
+  const { archiveRoot, rightRoot } = await archiveForSelectedDestination();
+  return { archiveRoot, runs: await listArchive(archiveRoot, { rightRoot }) };
+});
+
+ipcMain.handle('restore-archived-file', async (_, payload) => {
+  assertIdleOperation('Restoring an archived file');
+
+  const { runId, relativePath } = payload || {};
+  const { archiveRoot, destinationRoot } = await archiveForSelectedDestination();
+  const result = await restoreArchivedFile(archiveRoot, runId, relativePath, { rightRoot: destinationRoot });
+  clearCompareContext();
+  return result;
+});
+
 ipcMain.handle('compare-trees', async (_, payload) => {
   const { leftRoot, rightRoot } = payload || {};
   if (!leftRoot || !rightRoot) {
@@ -634,12 +1025,26 @@ ipcMain.handle('compare-trees', async (_, payload) => {
   setOperation(APP_OPERATION.COMPARING);
 
   try {
-    const result = await buildComparePlan(leftRoot, rightRoot);
-    const compareContext = createCompareContext(result);
+    const contentMode = appState.compareOptions.mode === 'content';
+    const pins = pinsForRoots(appState, await realRootForState(leftRoot), await realRootForState(rightRoot));
+    const result = await buildComparePlan(leftRoot, rightRoot, {
+      versioning: appState.versioning,
+      filters: appState.filters,
+      compareMode: appState.compareOptions.mode,
+      hashAlgorithm: appState.compareOptions.hashAlgorithm,
+      checksumCache: contentMode ? await getChecksumCache() : null,
+      pins,
+    });
+    if (contentMode) {
+      await persistChecksumCache();
+    }
+    const profile = activeProfileSummary();
+    const compareContext = createCompareContext({ ...result, profile });
     lastCompareContext = compareContext;
 
     return {
       ...result,
+      profile,
       compareToken: compareContext.token,
     };
   } catch (error) {
@@ -671,42 +1076,114 @@ ipcMain.handle('toggle-sync-pause', async () => {
   };
 });
 
-async function appendHistoryFromSyncResult(result) {
+// Only affects the running sync. A number replaces the saved limit and schedule until the sync ends;
+// null goes back to the saved settings.
+ipcMain.handle('set-sync-rate-limit', async (_, bytesPerSecond) => {
+  if (!activeSyncSession) {
+    return { active: false, rateLimitBps: 0 };
+  }
+
+  activeSyncSession.rateLimit = bytesPerSecond === null || bytesPerSecond === undefined
+    ? savedRateLimit()
+    : normalizeRateLimit({ bytesPerSecond });
+  return {
+    active: true,
+    rateLimitBps: rateLimitAt(activeSyncSession.rateLimit),
+  };
+});
+
+async function appendHistoryFromSyncResult(result, profile) {
   let warning = null;
   let logEntry = null;
 
+  const overwrittenNewer = new Set(
+    (Array.isArray(result && result.newerDestinations) ? result.newerDestinations : [])
+      .filter((entry) => entry.decision === 'overwrite')
+      .map((entry) => entry.targetRelativePath)
+  );
   const files = Array.isArray(result && result.succeededFiles)
     ? result.succeededFiles.map((item) => ({
         sourceRelativePath: item.sourceRelativePath,
         targetRelativePath: item.targetRelativePath,
+        overwroteNewer: overwrittenNewer.has(item.targetRelativePath),
       }))
     : [];
+  const heldBack = Array.isArray(result && result.heldBack) ? result.heldBack : [];
 
-  if (files.length === 0) {
+  const trashedCount = Array.isArray(result && result.trashed) ? result.trashed.length : 0;
+  if (files.length === 0 && trashedCount === 0 && heldBack.length === 0) {
     return { warning, logEntry };
   }
 
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const rollbackRecord = buildRollbackRecord(result);
+  let { available: undoAvailable, reason: undoNote } = describeRollbackAvailability(rollbackRecord);
+  if (undoAvailable) {
+    try {
+      await saveRollbackRecord(rollbackDirPath, id, rollbackRecord);
+    } catch (error) {
+      console.error('Failed to save undo data:', error);
+      undoAvailable = false;
+      undoNote = 'Undo data could not be saved.';
+    }
+  }
+  if (!undoAvailable) {
+    await removeKeptOriginals(rollbackRecord).catch((error) => {
+      console.error('Failed to remove originals kept for undo:', error);
+    });
+  }
+
   try {
     const appended = appendSyncHistory(appState, {
-      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      id,
       timestamp: new Date().toISOString(),
       leftRoot: typeof result.leftRoot === 'string' ? result.leftRoot : '',
       rightRoot: typeof result.rightRoot === 'string' ? result.rightRoot : '',
       copied: Number(result.copied) || 0,
       total: Number(result.total) || 0,
+      trashed: trashedCount,
+      trashDir: typeof result.trashDir === 'string' ? result.trashDir : '',
+      profileId: profile ? profile.id : '',
+      profileName: profile ? profile.name : '',
       files,
+      heldBack,
+      undo: undoAvailable ? 'available' : 'unavailable',
+      undoNote,
     });
     appState = appended.nextState;
     logEntry = appended.entry;
-    await persistState();
+    historyLineCount = await appendSyncHistoryEntry(historyFilePath, logEntry, {
+      lineCount: historyLineCount,
+      entries: appState.syncHistory,
+    });
   } catch (error) {
     console.error('Failed to persist sync history:', error);
     warning = 'History could not be saved.';
   }
 
+  // Undo data only lives as long as the history entry that offers it.
+  try {
+    await removeRollbackRecords(rollbackDirPath, appState.syncHistory.map((entry) => entry.id));
+  } catch (error) {
+    console.error('Failed to prune undo data:', error);
+  }
+
   return { warning, logEntry };
 }
 
+async function rememberConcurrency(result) {
+  const telemetry = result.concurrency;
+  if (!telemetry || !result.rightRoot || !(result.copied > 0) || telemetry.maxWorkers <= 1) {
+    return;
+  }
+  appState = updateConcurrencyHint(appState, result.rightRoot, telemetry.finalWorkers);
+  try {
+    await persistState();
+  } catch (error) {
+    console.error('Failed to persist concurrency hint:', error);
+  }
+}
+
 function emptySyncResult() {
   return {
     copied: 0,
@@ -715,6 +1192,10 @@ function emptySyncResult() {
     totalBytes: 0,
     failed: [],
     succeededFiles: [],
+    trashed: [],
+    trashDir: '',
+    verifiedCount: 0,
+    unverifiedCount: 0,
     durationMs: 0,
     averageThroughputBps: 0,
     leftRoot: '',
@@ -723,7 +1204,7 @@ function emptySyncResult() {
   };
 }
 
-async function runWithSession(event, syncRun) {
+async function runWithSession(event, syncRun, profile = null) {
   if (activeSyncSession) {
     throw new Error('A sync operation is already running.');
   }
@@ -732,6 +1213,7 @@ async function runWithSession(event, syncRun) {
   const syncSession = {
     cancelRequested: false,
     paused: false,
+    rateLimit: savedRateLimit(),
     donePromise: new Promise((resolve) => {
       resolveDone = resolve;
     }),
@@ -763,7 +1245,8 @@ async function runWithSession(event, syncRun) {
     }
   }
 
-  const { warning: historyWarning, logEntry } = await appendHistoryFromSyncResult(result);
+  const { warning: historyWarning, logEntry } = await appendHistoryFromSyncResult(result, profile);
+  await rememberConcurrency(result);
 
   let warning = historyWarning;
   const failedCount = Array.isArray(result.failed) ? result.failed.length : 0;
@@ -782,36 +1265,186 @@ async function runWithSession(event, syncRun) {
   };
 }
 
+function savedRateLimit() {
+  return {
+    bytesPerSecond: appState.syncOptions.rateLimitBps,
+    schedule: appState.syncOptions.rateLimitSchedule,
+  };
+}
+
+function sessionSyncOptions(syncSession, rightRoot) {
+  const { syncOptions } = appState;
+  return {
+    shouldCancel: () => syncSession.cancelRequested,
+    shouldPause: () => syncSession.paused,
+    rateLimit: () => syncSession.rateLimit,
+    continueOnError: true,
+    retryCount: 2,
+    retryBaseDelayMs: 300,
+    smallFileThresholdBytes: syncOptions.smallFileThresholdMB * 1024 * 1024,
+    concurrency: {
+      minWorkers: syncOptions.minParallelFiles,
+      maxWorkers: syncOptions.maxParallelFiles,
+      maxLargeWorkers: syncOptions.maxParallelLargeFiles,
+      initialWorkers: concurrencyHintFor(appState, rightRoot) || undefined,
+    },
+    verify: appState.syncOptions.verify,
+    verifyAlgorithm: appState.syncOptions.verifyAlgorithm,
+    preserveMetadata: {
+      times: syncOptions.preserveTimes,
+      mode: syncOptions.preserveMode,
+      xattrs: syncOptions.preserveXattrs,
+    },
+    archive: appState.syncOptions.archive
+      ? {
+          location: appState.syncOptions.archiveLocation,
+          keepRuns: appState.syncOptions.archiveKeepRuns,
+          maxAgeDays: appState.syncOptions.archiveMaxAgeDays,
+        }
+      : null,
+    // The archive already keeps what undo needs.
+    keepReplaced: appState.syncOptions.keepReplaced && !appState.syncOptions.archive
+      ? { keepRuns: appState.syncOptions.keepReplacedRuns, maxAgeDays: appState.syncOptions.keepReplacedMaxAgeDays }
+      : null,
+  };
+}
+
+function sendSyncProgress(event) {
+  return (progress) => {
+    event.sender.send('sync-progress', progress);
+  };
+}
+
 ipcMain.handle('sync-plan', async (event, payload) => {
-  const { plan, leftRoot, rightRoot, directoriesToCreate } = payload || {};
+  const { plan, leftRoot, rightRoot, orphans } = payload || {};
 
   assertIdleOperation('Sync');
   verifyCompareContextForSync(payload || {});
+  const { profile } = lastCompareContext;
+  const directoriesToCreate = directoriesForSelectedPlan(plan);
   clearCompareContext();
   setOperation(APP_OPERATION.SYNCING);
+  // A new sync replaces the recovery journal, so any interrupted run can no longer be resumed.
+  pendingSyncRecovery = null;
 
   try {
     return await runWithSession(event, async (syncSession) => {
-      return runSyncPlan(
-        plan,
-        (progress) => {
-          event.sender.send('sync-progress', progress);
-        },
-        {
-          leftRoot,
-          rightRoot,
-          directoriesToCreate,
-          shouldCancel: () => syncSession.cancelRequested,
-          shouldPause: () => syncSession.paused,
-          continueOnError: true,
-          retryCount: 2,
-          retryBaseDelayMs: 300,
-          maxParallelSmallFiles: 3,
-          journalPath: syncJournalPath,
-        }
-      );
-    });
+      return runSyncPlan(plan, sendSyncProgress(event), {
+        ...sessionSyncOptions(syncSession, rightRoot),
+        leftRoot,
+        rightRoot,
+        directoriesToCreate,
+        orphansToTrash: appState.syncOptions.mirror && Array.isArray(orphans) ? orphans : [],
+        journalPath: syncJournalPath,
+      });
+    }, profile);
+  } finally {
+    setOperation(APP_OPERATION.IDLE);
+  }
+});
+
+// Originals of a partly undone sync stay until its entry leaves the history, so they can be put back by hand.
+async function recordUndoInHistory() {
+  try {
+    historyLineCount = await rewriteSyncHistoryFile(historyFilePath, appState.syncHistory);
+    await removeRollbackRecords(rollbackDirPath, appState.syncHistory
+      .filter((item) => item.undo === 'available' || item.undo === 'partial')
+      .map((item) => item.id));
+  } catch (error) {
+    console.error('Failed to record the undo in history:', error);
+    return 'History could not be saved.';
+  }
+  return null;
+}
+
+function formatUndoNote(result) {
+  const parts = [
+    `restored ${result.restored.length}`,
+    `removed ${result.removed.length}`,
+  ];
+  if (result.untrashed.length > 0) {
+    parts.push(`returned ${result.untrashed.length} from trash`);
+  }
+  if (result.removedDirectories.length > 0) {
+    parts.push(`removed ${result.removedDirectories.length} folder(s)`);
+  }
+  return `Undone ${new Date().toLocaleString()}: ${parts.join(', ')}.`;
+}
+
+ipcMain.handle('undo-sync', async (_, entryId) => {
+  assertIdleOperation('Undoing a sync');
+
+  const entry = appState.syncHistory.find((item) => item.id === entryId);
+  if (!entry) {
+    throw new Error('That sync is no longer in the history.');
+  }
+  if (entry.undo === 'undone') {
+    throw new Error('This sync has already been undone.');
+  }
+  const record = entry.undo === 'available' ? await loadRollbackRecord(rollbackDirPath, entry.id) : null;
+  if (!record) {
+    throw new Error(entry.undoNote || 'Undo data for this sync is no longer available.');
+  }
+
+  clearCompareContext();
+  setOperation(APP_OPERATION.UNDOING);
+  try {
+    let result;
+    try {
+      result = await undoSyncRun(record);
+    } catch (error) {
+      if (!error || error.code !== 'UNDO_FAILED') {
+        throw error;
+      }
+      // The destination is now half way back, so the entry must stop offering an undo that would be refused.
+      const note = `Partly undone ${new Date().toLocaleString()}: ${error.message}`;
+      appState = markSyncUndone(appState, entry.id, note, 'partial');
+      await recordUndoInHistory();
+      throw error;
+    }
+    appState = markSyncUndone(appState, entry.id, formatUndoNote(result));
+    const warning = await recordUndoInHistory();
+    return { ...result, history: appState.syncHistory, warning };
+  } finally {
+    setOperation(APP_OPERATION.IDLE);
+  }
+});
+
+ipcMain.handle('get-sync-recovery', async () => {
+  return pendingSyncRecovery;
+});
+
+ipcMain.handle('resume-sync-recovery', async (event) => {
+  assertIdleOperation('Resuming a sync');
+  if (!pendingSyncRecovery) {
+    throw new Error('There is no interrupted sync to resume.');
+  }
+
+  const profile = profileForRoots(pendingSyncRecovery.leftRoot, pendingSyncRecovery.rightRoot);
+  clearCompareContext();
+  setOperation(APP_OPERATION.SYNCING);
+
+  try {
+    return await runWithSession(event, async (syncSession) => {
+      return resumeSyncFromJournal(syncJournalPath, sendSyncProgress(event), {
+        ...sessionSyncOptions(syncSession, pendingSyncRecovery.rightRoot),
+      });
+    }, profile);
   } finally {
+    try {
+      pendingSyncRecovery = await getSyncRecoverySummary(syncJournalPath);
+    } catch (error) {
+      console.error('Failed to read sync recovery journal:', error);
+      pendingSyncRecovery = null;
+    }
     setOperation(APP_OPERATION.IDLE);
   }
 });
+
+ipcMain.handle('discard-sync-recovery', async () => {
+  assertIdleOperation('Discarding an interrupted sync');
+
+  await cleanupSyncRecoveryArtifacts(syncJournalPath);
+  pendingSyncRecovery = null;
+  return { discarded: true };
+});
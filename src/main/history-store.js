@@ -0,0 +1,146 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { MAX_HISTORY_ITEMS, normalizeHistoryEntry } = require('./state-store');
+
+// One JSON record per line, oldest first, so a sync only ever appends a line.
+const HISTORY_SCHEMA_VERSION = 1;
+const HISTORY_COMPACTION_SLACK = 50;
+
+const HISTORY_MIGRATIONS = {
+  // Version 0: entries that used to live in state.json under `syncHistory`.
+  0: (record) => ({ ...record, v: 1 }),
+};
+
+function migrateHistoryRecord(record) {
+  let current = record;
+  let version = Number.isInteger(current.v) ? current.v : 0;
+  while (version < HISTORY_SCHEMA_VERSION) {
+    const migrate = HISTORY_MIGRATIONS[version];
+    if (!migrate) {
+      return null;
+    }
+    current = migrate(current);
+    version = current.v;
+  }
+  return version === HISTORY_SCHEMA_VERSION ? current : null;
+}
+
+function toHistoryRecord(entry) {
+  return {
+    v: HISTORY_SCHEMA_VERSION,
+    ...normalizeHistoryEntry(entry),
+  };
+}
+
+function fromHistoryRecord(record) {
+  const { v: _version, ...entry } = record;
+  return normalizeHistoryEntry(entry);
+}
+
+async function writeHistoryFile(filePath, entriesNewestFirst) {
+  const ordered = entriesNewestFirst.slice(0, MAX_HISTORY_ITEMS).reverse();
+  const body = ordered.map((entry) => `${JSON.stringify(toHistoryRecord(entry))}\n`).join('');
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(tempPath, body, 'utf8');
+  await fs.rename(tempPath, filePath);
+  return ordered.length;
+}
+
+async function loadSyncHistory(filePath, options = {}) {
+  let raw = null;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (!error || error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  if (raw === null) {
+    const legacyEntries = Array.isArray(options.legacyEntries)
+      ? options.legacyEntries
+          .map((entry) => migrateHistoryRecord({ ...entry }))
+          .filter(Boolean)
+          .map(fromHistoryRecord)
+          .slice(0, MAX_HISTORY_ITEMS)
+      : [];
+    if (legacyEntries.length === 0) {
+      return { entries: [], lineCount: 0, migrated: false };
+    }
+    const lineCount = await writeHistoryFile(filePath, legacyEntries);
+    return { entries: legacyEntries, lineCount, migrated: true };
+  }
+
+  const lines = raw.split('\n').filter((line) => line.trim());
+  const entries = [];
+  let needsRewrite = Boolean(raw) && !raw.endsWith('\n');
+  let hasNewerRecords = false;
+  for (const line of lines) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(line);
+    } catch (error) {
+      // A torn write from a crash mid-append; the rewrite below drops it.
+      needsRewrite = true;
+      continue;
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+      needsRewrite = true;
+      continue;
+    }
+    if (Number.isInteger(parsed.v) && parsed.v > HISTORY_SCHEMA_VERSION) {
+      hasNewerRecords = true;
+      continue;
+    }
+
+    const record = migrateHistoryRecord(parsed);
+    if (!record) {
+      needsRewrite = true;
+      continue;
+    }
+    if (parsed.v !== HISTORY_SCHEMA_VERSION) {
+      needsRewrite = true;
+    }
+    entries.push(fromHistoryRecord(record));
+  }
+
+  const newestFirst = entries.reverse().slice(0, MAX_HISTORY_ITEMS);
+  // Leave files written by a newer app version alone so a downgrade does not discard their records.
+  if (!hasNewerRecords && (needsRewrite || lines.length > MAX_HISTORY_ITEMS)) {
+    const lineCount = await writeHistoryFile(filePath, newestFirst);
+    return { entries: newestFirst, lineCount, migrated: false };
+  }
+
+  return { entries: newestFirst, lineCount: lines.length, migrated: false };
+}
+
+async function appendSyncHistoryEntry(filePath, entry, options = {}) {
+  const lineCount = (Number(options.lineCount) || 0) + 1;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(toHistoryRecord(entry))}\n`, 'utf8');
+
+  if (lineCount > MAX_HISTORY_ITEMS + HISTORY_COMPACTION_SLACK && Array.isArray(options.entries)) {
+    return writeHistoryFile(filePath, options.entries);
+  }
+  return lineCount;
+}
+
+// Used when an existing entry changes (an undo), which an append-only write cannot express.
+async function rewriteSyncHistoryFile(filePath, entriesNewestFirst) {
+  return writeHistoryFile(filePath, entriesNewestFirst);
+}
+
+async function clearSyncHistoryFile(filePath) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, '', 'utf8');
+}
+
+module.exports = {
+  HISTORY_SCHEMA_VERSION,
+  loadSyncHistory,
+  appendSyncHistoryEntry,
+  rewriteSyncHistoryFile,
+  clearSyncHistoryFile,
+};
@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeRollbackRecord, removeKeptOriginals } = require('../core/rollback');
+
+// One file per history entry, kept apart from the history log because a record lists every file
+// the sync touched rather than the capped sample shown in the panel.
+const ENTRY_ID_PATTERN = /^[\w-]+$/;
+
+function rollbackRecordPath(dirPath, entryId) {
+  if (typeof entryId !== 'string' || !ENTRY_ID_PATTERN.test(entryId)) {
+    throw new Error('Invalid sync history id.');
+  }
+  return path.join(dirPath, `${entryId}.json`);
+}
+
+async function saveRollbackRecord(dirPath, entryId, record) {
+  const filePath = rollbackRecordPath(dirPath, entryId);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.mkdir(dirPath, { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(normalizeRollbackRecord(record)), 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+async function loadRollbackRecord(dirPath, entryId) {
+  let raw;
+  try {
+    raw = await fs.readFile(rollbackRecordPath(dirPath, entryId), 'utf8');
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+  try {
+    return normalizeRollbackRecord(JSON.parse(raw));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Originals kept for undo go with their record, unless a record that stays (a resumed run) shares the folder.
+async function removeRollbackRecords(dirPath, keepEntryIds = []) {
+  const keep = new Set(keepEntryIds);
+  let names;
+  try {
+    names = await fs.readdir(dirPath);
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const entryIds = names.filter((name) => name.endsWith('.json')).map((name) => name.slice(0, -'.json'.length));
+  const keptRollbackDirs = new Set();
+  for (const entryId of entryIds.filter((id) => keep.has(id))) {
+    const record = await loadRollbackRecord(dirPath, entryId).catch(() => null);
+    if (record && record.rollbackDir) {
+      keptRollbackDirs.add(record.rollbackDir);
+    }
+  }
+
+  let removed = 0;
+  for (const entryId of entryIds.filter((id) => !keep.has(id))) {
+    const record = await loadRollbackRecord(dirPath, entryId).catch(() => null);
+    if (record && record.rollbackDir && !keptRollbackDirs.has(record.rollbackDir)) {
+      await removeKeptOriginals(record);
+    }
+    await fs.rm(path.join(dirPath, `${entryId}.json`), { force: true });
+    removed += 1;
+  }
+  return removed;
+}
+
+// Every run folder of kept originals that a stored record still refers to.
+async function listRollbackDirs(dirPath) {
+  let names;
+  try {
+    names = await fs.readdir(dirPath);
+  } catch (error) {
+    if (error && error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  const dirs = [];
+  for (const name of names.filter((candidate) => candidate.endsWith('.json'))) {
+    const record = await loadRollbackRecord(dirPath, name.slice(0, -'.json'.length)).catch(() => null);
+    if (record && record.rollbackDir) {
+      dirs.push(record.rollbackDir);
+    }
+  }
+  return dirs;
+}
+
+module.exports = {
+  listRollbackDirs,
+  saveRollbackRecord,
+  loadRollbackRecord,
+  removeRollbackRecords,
+};
@@ -1,25 +1,261 @@
 const fs = require('fs/promises');
 const path = require('path');
+const { normalizeVersioningConfig } = require('../core/versioning');
+const { normalizeHashAlgorithm } = require('../core/content-hash');
+const { normalizeFilterConfig } = require('../core/filters');
+const { normalizeArchiveOptions } = require('../core/archive');
+const { normalizeRateLimit } = require('../core/throttle');
+const { normalizeConcurrencyOptions } = require('../core/concurrency');
+const { normalizeMetadataOptions } = require('../core/metadata');
+
+const COMPARE_MODES = ['size', 'content'];
+const DEFAULT_ARCHIVE_KEEP_RUNS = 20;
+const DEFAULT_KEEP_REPLACED_RUNS = 10;
+const DEFAULT_KEEP_REPLACED_MAX_AGE_DAYS = 30;
+const DEFAULT_SMALL_FILE_THRESHOLD_MB = 4;
+const MAX_SMALL_FILE_THRESHOLD_MB = 1024;
+const MAX_CONCURRENCY_HINTS = 50;
+
+function normalizeCompareOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  return {
+    mode: COMPARE_MODES.includes(source.mode) ? source.mode : 'size',
+    hashAlgorithm: normalizeHashAlgorithm(source.hashAlgorithm),
+  };
+}
+
+// An empty location archives inside the destination; 0 for either limit keeps archives forever.
+function normalizeArchiveSettings(source) {
+  const archive = normalizeArchiveOptions({
+    location: source.archiveLocation,
+    keepRuns: source.archiveKeepRuns === undefined ? DEFAULT_ARCHIVE_KEEP_RUNS : source.archiveKeepRuns,
+    maxAgeDays: source.archiveMaxAgeDays,
+  });
+  return {
+    archive: source.archive === true,
+    archiveLocation: path.isAbsolute(archive.location) ? path.resolve(archive.location) : '',
+    archiveKeepRuns: archive.keepRuns,
+    archiveMaxAgeDays: archive.maxAgeDays,
+  };
+}
+
+// Off by default: kept files take space in the destination. Unlike the archive, 0 for both limits is
+// not allowed, so kept files never pile up without bound.
+function normalizeKeepReplacedSettings(source) {
+  const limits = normalizeArchiveOptions({
+    keepRuns: source.keepReplacedRuns === undefined ? DEFAULT_KEEP_REPLACED_RUNS : source.keepReplacedRuns,
+    maxAgeDays: source.keepReplacedMaxAgeDays === undefined
+      ? DEFAULT_KEEP_REPLACED_MAX_AGE_DAYS
+      : source.keepReplacedMaxAgeDays,
+  });
+  const unlimited = limits.keepRuns === 0 && limits.maxAgeDays === 0;
+  return {
+    keepReplaced: source.keepReplaced === true,
+    keepReplacedRuns: unlimited ? DEFAULT_KEEP_REPLACED_RUNS : limits.keepRuns,
+    keepReplacedMaxAgeDays: limits.maxAgeDays,
+  };
+}
+
+function normalizeConcurrencySettings(source) {
+  const concurrency = normalizeConcurrencyOptions({
+    minWorkers: source.minParallelFiles,
+    maxWorkers: source.maxParallelFiles,
+    maxLargeWorkers: source.maxParallelLargeFiles,
+  });
+  const thresholdMB = Math.floor(Number(source.smallFileThresholdMB));
+  return {
+    smallFileThresholdMB: Number.isFinite(thresholdMB) && thresholdMB >= 1
+      ? Math.min(thresholdMB, MAX_SMALL_FILE_THRESHOLD_MB)
+      : DEFAULT_SMALL_FILE_THRESHOLD_MB,
+    minParallelFiles: concurrency.minWorkers,
+    maxParallelFiles: concurrency.maxWorkers,
+    maxParallelLargeFiles: concurrency.maxLargeWorkers,
+  };
+}
+
+function normalizeMetadataSettings(source) {
+  const metadata = normalizeMetadataOptions({
+    times: source.preserveTimes,
+    mode: source.preserveMode,
+    xattrs: source.preserveXattrs,
+  });
+  return {
+    preserveTimes: metadata.times,
+    preserveMode: metadata.mode,
+    preserveXattrs: metadata.xattrs,
+  };
+}
+
+function normalizeSyncOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  const rateLimit = normalizeRateLimit({
+    bytesPerSecond: source.rateLimitBps,
+    schedule: source.rateLimitSchedule,
+  });
+  return {
+    mirror: source.mirror === true,
+    verify: source.verify === true,
+    verifyAlgorithm: normalizeHashAlgorithm(source.verifyAlgorithm),
+    ...normalizeArchiveSettings(source),
+    ...normalizeKeepReplacedSettings(source),
+    rateLimitBps: rateLimit.bytesPerSecond,
+    rateLimitSchedule: rateLimit.schedule,
+    ...normalizeConcurrencySettings(source),
+    ...normalizeMetadataSettings(source),
+  };
+}
+
+// The worker count each destination settled on last time, so the next sync starts from there.
+function normalizeConcurrencyHints(hints) {
+  if (!Array.isArray(hints)) {
+    return [];
+  }
+  return hints
+    .filter((hint) => hint && typeof hint.rightRoot === 'string' && hint.rightRoot
+      && Number.isInteger(hint.workers) && hint.workers >= 1)
+    .map((hint) => ({
+      rightRoot: hint.rightRoot,
+      workers: hint.workers,
+      updatedAt: typeof hint.updatedAt === 'string' ? hint.updatedAt : '',
+    }))
+    .slice(0, MAX_CONCURRENCY_HINTS);
+}
+
+function normalizeSelectedDirs(selectedDirs) {
+  const selected = selectedDirs && typeof selectedDirs === 'object' ? selectedDirs : {};
+  return {
+    leftRoot: typeof selected.leftRoot === 'string' ? selected.leftRoot : '',
+    rightRoot: typeof selected.rightRoot === 'string' ? selected.rightRoot : '',
+  };
+}
+
+const PIN_MODES = ['version', 'never'];
+const MAX_PINS = 1000;
+
+function normalizePin(pin) {
+  if (!pin || typeof pin !== 'object' || !PIN_MODES.includes(pin.mode)) {
+    return null;
+  }
+  const leftRoot = typeof pin.leftRoot === 'string' ? pin.leftRoot : '';
+  const rightRoot = typeof pin.rightRoot === 'string' ? pin.rightRoot : '';
+  const targetRelativePath = typeof pin.targetRelativePath === 'string' ? pin.targetRelativePath : '';
+  const version = Number(pin.version);
+  if (!leftRoot || !rightRoot || !targetRelativePath) {
+    return null;
+  }
+  if (pin.mode === 'version' && (!Number.isInteger(version) || version < 0)) {
+    return null;
+  }
+  return {
+    leftRoot,
+    rightRoot,
+    targetRelativePath,
+    mode: pin.mode,
+    version: pin.mode === 'version' ? version : null,
+  };
+}
+
+function pinKey(pin) {
+  return `${pin.leftRoot}\0${pin.rightRoot}\0${pin.targetRelativePath}`;
+}
+
+function normalizePins(pins) {
+  const result = [];
+  const seen = new Set();
+  for (const value of Array.isArray(pins) ? pins : []) {
+    const pin = normalizePin(value);
+    if (!pin || seen.has(pinKey(pin))) {
+      continue;
+    }
+    seen.add(pinKey(pin));
+    result.push(pin);
+    if (result.length >= MAX_PINS) {
+      break;
+    }
+  }
+  return result;
+}
 
 const DEFAULT_STATE = {
-  selectedDirs: {
-    leftRoot: '',
-    rightRoot: '',
-  },
+  selectedDirs: normalizeSelectedDirs(),
+  versioning: normalizeVersioningConfig(),
+  filters: normalizeFilterConfig(),
+  compareOptions: normalizeCompareOptions(),
+  syncOptions: normalizeSyncOptions(),
+  pins: [],
+  profiles: [],
+  activeProfileId: '',
+  concurrencyHints: [],
   syncHistory: [],
 };
 
 const MAX_HISTORY_ITEMS = 200;
+const MAX_HISTORY_FILES_PER_ENTRY = 1000;
+const MAX_PROFILES = 50;
+const UNDO_STATES = new Set(['available', 'unavailable', 'undone', 'partial']);
+const MAX_PROFILE_NAME_LENGTH = 80;
+
+function normalizeProfileName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, MAX_PROFILE_NAME_LENGTH) : '';
+}
+
+// The settings a profile carries; the same fields also form the working settings at the top of the state.
+function profileSettings(source) {
+  return {
+    selectedDirs: normalizeSelectedDirs(source && source.selectedDirs),
+    versioning: normalizeVersioningConfig(source && source.versioning),
+    filters: normalizeFilterConfig(source && source.filters),
+    compareOptions: normalizeCompareOptions(source && source.compareOptions),
+    syncOptions: normalizeSyncOptions(source && source.syncOptions),
+    pins: normalizePins(source && source.pins),
+  };
+}
+
+function normalizeProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return null;
+  }
+  const id = typeof profile.id === 'string' ? profile.id.trim() : '';
+  const name = normalizeProfileName(profile.name);
+  if (!id || !name) {
+    return null;
+  }
+  return {
+    id,
+    name,
+    ...profileSettings(profile),
+  };
+}
+
+function normalizeProfiles(profiles) {
+  const result = [];
+  const seenIds = new Set();
+  const seenNames = new Set();
+  for (const value of Array.isArray(profiles) ? profiles : []) {
+    const profile = normalizeProfile(value);
+    if (!profile || seenIds.has(profile.id) || seenNames.has(profile.name.toLowerCase())) {
+      continue;
+    }
+    seenIds.add(profile.id);
+    seenNames.add(profile.name.toLowerCase());
+    result.push(profile);
+    if (result.length >= MAX_PROFILES) {
+      break;
+    }
+  }
+  return result;
+}
 
 function normalizeState(state) {
-  const selected = state && state.selectedDirs ? state.selectedDirs : {};
   const history = Array.isArray(state && state.syncHistory) ? state.syncHistory : [];
+  const profiles = normalizeProfiles(state && state.profiles);
+  const activeProfileId = state && typeof state.activeProfileId === 'string' ? state.activeProfileId : '';
 
   return {
-    selectedDirs: {
-      leftRoot: typeof selected.leftRoot === 'string' ? selected.leftRoot : '',
-      rightRoot: typeof selected.rightRoot === 'string' ? selected.rightRoot : '',
-    },
+    ...profileSettings(state),
+    profiles,
+    activeProfileId: profiles.some((profile) => profile.id === activeProfileId) ? activeProfileId : '',
+    concurrencyHints: normalizeConcurrencyHints(state && state.concurrencyHints),
     syncHistory: history.slice(0, MAX_HISTORY_ITEMS),
   };
 }
@@ -30,7 +266,18 @@ async function loadState(filePath) {
     const parsed = JSON.parse(raw);
     return normalizeState({
       selectedDirs: parsed && parsed.selectedDirs ? parsed.selectedDirs : {},
-      syncHistory: [],
+      versioning: parsed && parsed.versioning ? parsed.versioning : undefined,
+      filters: parsed && parsed.filters ? parsed.filters : undefined,
+      compareOptions: parsed && parsed.compareOptions ? parsed.compareOptions : undefined,
+      syncOptions: parsed && parsed.syncOptions ? parsed.syncOptions : undefined,
+      pins: parsed && Array.isArray(parsed.pins) ? parsed.pins : [],
+      profiles: parsed && Array.isArray(parsed.profiles) ? parsed.profiles : [],
+      activeProfileId: parsed && typeof parsed.activeProfileId === 'string' ? parsed.activeProfileId : '',
+      concurrencyHints: parsed && Array.isArray(parsed.concurrencyHints) ? parsed.concurrencyHints : [],
+      // History lives in its own file now; entries found here are only kept for migration.
+      syncHistory: parsed && Array.isArray(parsed.syncHistory)
+        ? parsed.syncHistory.map((item) => normalizeHistoryEntry(item)).filter(Boolean)
+        : [],
     });
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -44,6 +291,14 @@ async function saveState(filePath, state) {
   const normalized = normalizeState(state);
   const persistable = {
     selectedDirs: normalized.selectedDirs,
+    versioning: normalized.versioning,
+    filters: normalized.filters,
+    compareOptions: normalized.compareOptions,
+    syncOptions: normalized.syncOptions,
+    pins: normalized.pins,
+    profiles: normalized.profiles,
+    activeProfileId: normalized.activeProfileId,
+    concurrencyHints: normalized.concurrencyHints,
   };
   await fs.mkdir(path.dirname(filePath), { recursive: true });
   await fs.writeFile(filePath, JSON.stringify(persistable, null, 2), 'utf8');
@@ -58,18 +313,207 @@ function updateSelectedDirs(state, partialSelectedDirs) {
   if (typeof partialSelectedDirs.rightRoot === 'string') {
     next.selectedDirs.rightRoot = partialSelectedDirs.rightRoot;
   }
+  return storeActiveProfile(next);
+}
+
+function updateVersioning(state, versioning) {
+  const next = normalizeState(state);
+  next.versioning = normalizeVersioningConfig(versioning);
+  return storeActiveProfile(next);
+}
+
+function updateFilters(state, filters) {
+  const next = normalizeState(state);
+  next.filters = normalizeFilterConfig(filters);
+  return storeActiveProfile(next);
+}
+
+function updateOptions(state, partialOptions) {
+  const next = normalizeState(state);
+  const incoming = partialOptions || {};
+  if (incoming.compareOptions && typeof incoming.compareOptions === 'object') {
+    next.compareOptions = normalizeCompareOptions({
+      ...next.compareOptions,
+      ...incoming.compareOptions,
+    });
+  }
+  if (incoming.syncOptions && typeof incoming.syncOptions === 'object') {
+    next.syncOptions = normalizeSyncOptions({
+      ...next.syncOptions,
+      ...incoming.syncOptions,
+    });
+  }
+  return storeActiveProfile(next);
+}
+
+// Pins belong to a root pair, so one profile can hold pins for several source and destination folders.
+function pinsForRoots(state, leftRoot, rightRoot) {
+  const pins = state && Array.isArray(state.pins) ? state.pins : [];
+  return pins.filter((pin) => pin.leftRoot === leftRoot && pin.rightRoot === rightRoot);
+}
+
+// A pin without a mode removes any pin on that target.
+function updatePin(state, pin) {
+  const next = normalizeState(state);
+  const source = pin && typeof pin === 'object' ? pin : {};
+  const key = pinKey({
+    leftRoot: source.leftRoot,
+    rightRoot: source.rightRoot,
+    targetRelativePath: source.targetRelativePath,
+  });
+  const remaining = next.pins.filter((existing) => pinKey(existing) !== key);
+  if (!source.mode) {
+    next.pins = remaining;
+    return storeActiveProfile(next);
+  }
+  const normalized = normalizePin(source);
+  if (!normalized) {
+    throw new Error('Choose a version to pin or "Never sync".');
+  }
+  if (remaining.length >= MAX_PINS) {
+    throw new Error(`At most ${MAX_PINS} files can be pinned.`);
+  }
+  next.pins = [...remaining, normalized];
+  return storeActiveProfile(next);
+}
+
+function findProfile(state, profileId) {
+  const profiles = state && Array.isArray(state.profiles) ? state.profiles : [];
+  return profiles.find((profile) => profile.id === profileId) || null;
+}
+
+function createProfileId() {
+  return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function requireProfile(state, profileId) {
+  const profile = findProfile(state, profileId);
+  if (!profile) {
+    throw new Error('That profile no longer exists.');
+  }
+  return profile;
+}
+
+function assertProfileName(state, name, exceptProfileId = '') {
+  const normalized = normalizeProfileName(name);
+  if (!normalized) {
+    throw new Error('Enter a profile name.');
+  }
+  const taken = state.profiles.some(
+    (profile) => profile.id !== exceptProfileId && profile.name.toLowerCase() === normalized.toLowerCase()
+  );
+  if (taken) {
+    throw new Error(`A profile named "${normalized}" already exists.`);
+  }
+  return normalized;
+}
+
+function assertProfileCapacity(state) {
+  if (state.profiles.length >= MAX_PROFILES) {
+    throw new Error(`At most ${MAX_PROFILES} profiles can be saved.`);
+  }
+}
+
+// Edits to the working settings are written through to the active profile so the two never drift apart.
+function storeActiveProfile(state) {
+  if (!state.activeProfileId) {
+    return state;
+  }
+  state.profiles = state.profiles.map((profile) => (
+    profile.id === state.activeProfileId
+      ? { id: profile.id, name: profile.name, ...profileSettings(state) }
+      : profile
+  ));
+  return state;
+}
+
+function createProfile(state, name) {
+  const next = normalizeState(state);
+  assertProfileCapacity(next);
+  const profile = {
+    id: createProfileId(),
+    name: assertProfileName(next, name),
+    ...profileSettings(next),
+  };
+  next.profiles = [...next.profiles, profile];
+  next.activeProfileId = profile.id;
+  return { nextState: next, profile };
+}
+
+function duplicateProfile(state, profileId, name) {
+  const next = normalizeState(state);
+  assertProfileCapacity(next);
+  const source = requireProfile(next, profileId);
+  const profile = {
+    id: createProfileId(),
+    name: assertProfileName(next, name),
+    ...profileSettings(source),
+  };
+  next.profiles = [...next.profiles, profile];
+  return { nextState: selectProfile(next, profile.id), profile };
+}
+
+function renameProfile(state, profileId, name) {
+  const next = normalizeState(state);
+  requireProfile(next, profileId);
+  const nextName = assertProfileName(next, name, profileId);
+  next.profiles = next.profiles.map((profile) => (
+    profile.id === profileId ? { ...profile, name: nextName } : profile
+  ));
   return next;
 }
 
-function appendSyncHistory(state, historyItem) {
+// Deleting the active profile keeps its settings as the working settings, just no longer saved under a name.
+function deleteProfile(state, profileId) {
+  const next = normalizeState(state);
+  requireProfile(next, profileId);
+  next.profiles = next.profiles.filter((profile) => profile.id !== profileId);
+  if (next.activeProfileId === profileId) {
+    next.activeProfileId = '';
+  }
+  return next;
+}
+
+function selectProfile(state, profileId) {
   const next = normalizeState(state);
-  const entry = {
+  if (!profileId) {
+    next.activeProfileId = '';
+    return next;
+  }
+  const profile = requireProfile(next, profileId);
+  return {
+    ...next,
+    ...profileSettings(profile),
+    activeProfileId: profile.id,
+  };
+}
+
+function normalizeHistoryFilePaths(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  return {
+    sourceRelativePath: typeof value.sourceRelativePath === 'string' ? value.sourceRelativePath : '',
+    targetRelativePath: typeof value.targetRelativePath === 'string' ? value.targetRelativePath : '',
+  };
+}
+
+function normalizeHistoryEntry(historyItem) {
+  if (!historyItem || typeof historyItem !== 'object') {
+    return null;
+  }
+
+  return {
     id: typeof historyItem.id === 'string' ? historyItem.id : `${Date.now()}`,
     timestamp: typeof historyItem.timestamp === 'string' ? historyItem.timestamp : new Date().toISOString(),
     leftRoot: typeof historyItem.leftRoot === 'string' ? historyItem.leftRoot : '',
     rightRoot: typeof historyItem.rightRoot === 'string' ? historyItem.rightRoot : '',
     copied: Number(historyItem.copied) || 0,
     total: Number(historyItem.total) || 0,
+    trashed: Number(historyItem.trashed) || 0,
+    trashDir: typeof historyItem.trashDir === 'string' ? historyItem.trashDir : '',
+    profileId: typeof historyItem.profileId === 'string' ? historyItem.profileId : '',
+    profileName: typeof historyItem.profileName === 'string' ? historyItem.profileName : '',
     files: Array.isArray(historyItem.files)
       ? historyItem.files
           .map((value) => {
@@ -77,38 +521,92 @@ function appendSyncHistory(state, historyItem) {
               return {
                 sourceRelativePath: '',
                 targetRelativePath: value,
+                overwroteNewer: false,
               };
             }
-            if (!value || typeof value !== 'object') {
-              return null;
-            }
-            return {
-              sourceRelativePath:
-                typeof value.sourceRelativePath === 'string' ? value.sourceRelativePath : '',
-              targetRelativePath:
-                typeof value.targetRelativePath === 'string' ? value.targetRelativePath : '',
-            };
+            const paths = normalizeHistoryFilePaths(value);
+            return paths && { ...paths, overwroteNewer: value.overwroteNewer === true };
           })
           .filter((value) => value && (value.sourceRelativePath || value.targetRelativePath))
-          .slice(0, 1000)
+          .slice(0, MAX_HISTORY_FILES_PER_ENTRY)
+      : [],
+    heldBack: Array.isArray(historyItem.heldBack)
+      ? historyItem.heldBack
+          .map(normalizeHistoryFilePaths)
+          .filter((value) => value && value.targetRelativePath)
+          .slice(0, MAX_HISTORY_FILES_PER_ENTRY)
       : [],
+    // Entries recorded before undo existed have no rollback data.
+    undo: UNDO_STATES.has(historyItem.undo) ? historyItem.undo : 'unavailable',
+    undoNote: typeof historyItem.undoNote === 'string' ? historyItem.undoNote : '',
   };
+}
+
+function appendSyncHistory(state, historyItem) {
+  const next = normalizeState(state);
+  const entry = normalizeHistoryEntry(historyItem || {});
 
   next.syncHistory = [entry, ...next.syncHistory].slice(0, MAX_HISTORY_ITEMS);
   return { nextState: next, entry };
 }
 
+// An undo that stopped partway is recorded as 'partial', which cannot be undone again.
+function markSyncUndone(state, entryId, undoNote, undo = 'undone') {
+  const next = normalizeState(state);
+  if (!next.syncHistory.some((entry) => entry.id === entryId)) {
+    throw new Error('That sync is no longer in the history.');
+  }
+  const outcome = undo === 'partial' ? 'partial' : 'undone';
+  next.syncHistory = next.syncHistory.map((entry) => (
+    entry.id === entryId ? { ...entry, undo: outcome, undoNote: String(undoNote || '') } : entry
+  ));
+  return next;
+}
+
 function clearSyncHistory(state) {
   const next = normalizeState(state);
   next.syncHistory = [];
   return next;
 }
 
+function concurrencyHintFor(state, rightRoot) {
+  const hint = normalizeState(state).concurrencyHints.find((candidate) => candidate.rightRoot === rightRoot);
+  return hint ? hint.workers : 0;
+}
+
+function updateConcurrencyHint(state, rightRoot, workers, updatedAt = new Date().toISOString()) {
+  const next = normalizeState(state);
+  next.concurrencyHints = normalizeConcurrencyHints([
+    { rightRoot, workers, updatedAt },
+    ...next.concurrencyHints.filter((hint) => hint.rightRoot !== rightRoot),
+  ]);
+  return next;
+}
+
 module.exports = {
+  MAX_HISTORY_ITEMS,
+  MAX_HISTORY_FILES_PER_ENTRY,
+  MAX_PROFILES,
+  MAX_PINS,
   loadState,
   saveState,
   normalizeState,
   updateSelectedDirs,
+  updateVersioning,
+  updateFilters,
+  updateOptions,
+  pinsForRoots,
+  updatePin,
+  findProfile,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  deleteProfile,
+  selectProfile,
+  normalizeHistoryEntry,
   appendSyncHistory,
+  markSyncUndone,
   clearSyncHistory,
+  concurrencyHintFor,
+  updateConcurrencyHint,
 };
@@ -7,11 +7,31 @@ contextBridge.exposeInMainWorld('treeSync', {
   getWindowSizeLimits: () => ipcRenderer.invoke('get-window-size-limits'),
   setWindowContentHeight: (contentHeight) => ipcRenderer.invoke('set-window-content-height', contentHeight),
   clearSyncHistory: () => ipcRenderer.invoke('clear-sync-history'),
+  undoSync: (entryId) => ipcRenderer.invoke('undo-sync', entryId),
   setSelectedDirectories: (leftRoot, rightRoot) =>
     ipcRenderer.invoke('set-selected-directories', { leftRoot, rightRoot }),
+  getVersionPatterns: () => ipcRenderer.invoke('get-version-patterns'),
+  setVersionPatterns: (versioning) => ipcRenderer.invoke('set-version-patterns', versioning),
+  previewVersionPattern: (sample, versioning) =>
+    ipcRenderer.invoke('preview-version-pattern', { sample, versioning }),
+  setFilters: (filters) => ipcRenderer.invoke('set-filters', filters),
+  setOptions: (options) => ipcRenderer.invoke('set-options', options),
+  setPin: (pin) => ipcRenderer.invoke('set-pin', pin),
+  selectProfile: (profileId) => ipcRenderer.invoke('select-profile', profileId),
+  createProfile: (name) => ipcRenderer.invoke('create-profile', name),
+  duplicateProfile: (profileId, name) => ipcRenderer.invoke('duplicate-profile', { profileId, name }),
+  renameProfile: (profileId, name) => ipcRenderer.invoke('rename-profile', { profileId, name }),
+  deleteProfile: (profileId) => ipcRenderer.invoke('delete-profile', profileId),
+  rebuildChecksumCache: () => ipcRenderer.invoke('rebuild-checksum-cache'),
+  listArchive: () => ipcRenderer.invoke('list-archive'),
+  restoreArchivedFile: (runId, relativePath) =>
+    ipcRenderer.invoke('restore-archived-file', { runId, relativePath }),
   compareTrees: (leftRoot, rightRoot) => ipcRenderer.invoke('compare-trees', { leftRoot, rightRoot }),
-  syncPlan: (plan, leftRoot, rightRoot, directoriesToCreate, compareToken) =>
-    ipcRenderer.invoke('sync-plan', { plan, leftRoot, rightRoot, directoriesToCreate, compareToken }),
+  syncPlan: (plan, leftRoot, rightRoot, directoriesToCreate, compareToken, orphans) =>
+    ipcRenderer.invoke('sync-plan', { plan, leftRoot, rightRoot, directoriesToCreate, compareToken, orphans }),
+  getSyncRecovery: () => ipcRenderer.invoke('get-sync-recovery'),
+  resumeSyncRecovery: () => ipcRenderer.invoke('resume-sync-recovery'),
+  discardSyncRecovery: () => ipcRenderer.invoke('discard-sync-recovery'),
   cancelSync: () => ipcRenderer.invoke('cancel-sync'),
   copyText: (text) => ipcRenderer.invoke('copy-text', text),
   getPathForFile: (file) => {
@@ -22,6 +42,7 @@ contextBridge.exposeInMainWorld('treeSync', {
     }
   },
   toggleSyncPause: () => ipcRenderer.invoke('toggle-sync-pause'),
+  setSyncRateLimit: (bytesPerSecond) => ipcRenderer.invoke('set-sync-rate-limit', bytesPerSecond),
   onSyncProgress: (callback) => {
     const listener = (_, payload) => callback(payload);
     ipcRenderer.on('sync-progress', listener);
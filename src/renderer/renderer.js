@@ -4,26 +4,179 @@ const pickLeftBtn = document.getElementById('pickLeft');
 const pickRightBtn = document.getElementById('pickRight');
 const leftPathDropTarget = leftPathInput.closest('.path-input-wrap');
 const rightPathDropTarget = rightPathInput.closest('.path-input-wrap');
+const profileSelect = document.getElementById('profileSelect');
+const newProfileBtn = document.getElementById('newProfileBtn');
+const duplicateProfileBtn = document.getElementById('duplicateProfileBtn');
+const renameProfileBtn = document.getElementById('renameProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const profileNameModal = document.getElementById('profileNameModal');
+const profileNameTitle = document.getElementById('profileNameTitle');
+const profileNameInput = document.getElementById('profileNameInput');
+const profileNameMessage = document.getElementById('profileNameMessage');
+const saveProfileNameBtn = document.getElementById('saveProfileNameBtn');
+const cancelProfileNameBtn = document.getElementById('cancelProfileNameBtn');
+const pinModal = document.getElementById('pinModal');
+const pinTarget = document.getElementById('pinTarget');
+const pinVersionSelect = document.getElementById('pinVersionSelect');
+const pinMessage = document.getElementById('pinMessage');
+const savePinBtn = document.getElementById('savePinBtn');
+const cancelPinBtn = document.getElementById('cancelPinBtn');
 const compareBtn = document.getElementById('compareBtn');
 const syncBtn = document.getElementById('syncBtn');
 const pauseBtn = document.getElementById('pauseBtn');
+const rateLimitSelect = document.getElementById('rateLimitSelect');
 const statusText = document.getElementById('statusText');
 const syncReport = document.getElementById('syncReport');
 const resultsBody = document.getElementById('resultsBody');
+const compareSortHeaders = Array.from(document.querySelectorAll('.compare-table th.sortable'));
+const resultsFilterInput = document.getElementById('resultsFilterInput');
+const missingFilterCheckbox = document.getElementById('missingFilterCheckbox');
+const sizeChangedFilterCheckbox = document.getElementById('sizeChangedFilterCheckbox');
+const resultsCount = document.getElementById('resultsCount');
+const folderFilterBtn = document.getElementById('folderFilterBtn');
+const resultsViewBtn = document.getElementById('resultsViewBtn');
+const treeBody = document.getElementById('treeBody');
+const resultsListScroll = resultsBody.closest('.table-scroll');
+const resultsTreeScroll = treeBody.closest('.table-scroll');
+const selectionSummary = document.getElementById('selectionSummary');
+const selectAllBtn = document.getElementById('selectAllBtn');
+const selectNoneBtn = document.getElementById('selectNoneBtn');
+const invertSelectionBtn = document.getElementById('invertSelectionBtn');
 const historyBody = document.getElementById('historyBody');
 const clearHistoryBtn = document.getElementById('clearHistoryBtn');
 const progressBar = document.getElementById('progressBar');
 const resultPanels = Array.from(document.querySelectorAll('.results'));
 const appRoot = document.querySelector('.app');
-const folderCreateModal = document.getElementById('folderCreateModal');
-const folderCreateList = document.getElementById('folderCreateList');
-const folderCreateMessage = document.getElementById('folderCreateMessage');
-const confirmFolderCreateBtn = document.getElementById('confirmFolderCreateBtn');
-const cancelFolderCreateBtn = document.getElementById('cancelFolderCreateBtn');
+const confirmModal = document.getElementById('confirmModal');
+const confirmTitle = document.getElementById('confirmTitle');
+const confirmList = document.getElementById('confirmList');
+const confirmMessage = document.getElementById('confirmMessage');
+const confirmActionBtn = document.getElementById('confirmActionBtn');
+const cancelConfirmBtn = document.getElementById('cancelConfirmBtn');
+const syncRecoveryModal = document.getElementById('syncRecoveryModal');
+const syncRecoveryMessage = document.getElementById('syncRecoveryMessage');
+const syncRecoveryDetails = document.getElementById('syncRecoveryDetails');
+const resumeSyncRecoveryBtn = document.getElementById('resumeSyncRecoveryBtn');
+const discardSyncRecoveryBtn = document.getElementById('discardSyncRecoveryBtn');
+const laterSyncRecoveryBtn = document.getElementById('laterSyncRecoveryBtn');
+const versionPatternsBtn = document.getElementById('versionPatternsBtn');
+const versionPatternModal = document.getElementById('versionPatternModal');
+const versionPatternList = document.getElementById('versionPatternList');
+const customPatternLabelInput = document.getElementById('customPatternLabel');
+const customPatternSourceInput = document.getElementById('customPatternSource');
+const addCustomPatternBtn = document.getElementById('addCustomPatternBtn');
+const patternSampleInput = document.getElementById('patternSampleInput');
+const patternPreviewOutput = document.getElementById('patternPreviewOutput');
+const saveVersionPatternsBtn = document.getElementById('saveVersionPatternsBtn');
+const cancelVersionPatternsBtn = document.getElementById('cancelVersionPatternsBtn');
+const filtersBtn = document.getElementById('filtersBtn');
+const filterModal = document.getElementById('filterModal');
+const filterRulesInput = document.getElementById('filterRulesInput');
+const filterStatsOutput = document.getElementById('filterStatsOutput');
+const filterMessage = document.getElementById('filterMessage');
+const saveFiltersBtn = document.getElementById('saveFiltersBtn');
+const cancelFiltersBtn = document.getElementById('cancelFiltersBtn');
+const optionsBtn = document.getElementById('optionsBtn');
+const optionsModal = document.getElementById('optionsModal');
+const optionsMessage = document.getElementById('optionsMessage');
+const compareModeSelect = document.getElementById('compareModeSelect');
+const hashAlgorithmSelect = document.getElementById('hashAlgorithmSelect');
+const saveOptionsBtn = document.getElementById('saveOptionsBtn');
+const cancelOptionsBtn = document.getElementById('cancelOptionsBtn');
+const rebuildChecksumCacheBtn = document.getElementById('rebuildChecksumCacheBtn');
+const mirrorCheckbox = document.getElementById('mirrorCheckbox');
+const verifyCheckbox = document.getElementById('verifyCheckbox');
+const verifyAlgorithmSelect = document.getElementById('verifyAlgorithmSelect');
+const archiveCheckbox = document.getElementById('archiveCheckbox');
+const archiveLocationInput = document.getElementById('archiveLocationInput');
+const chooseArchiveLocationBtn = document.getElementById('chooseArchiveLocationBtn');
+const resetArchiveLocationBtn = document.getElementById('resetArchiveLocationBtn');
+const archiveKeepRunsInput = document.getElementById('archiveKeepRunsInput');
+const archiveMaxAgeInput = document.getElementById('archiveMaxAgeInput');
+const keepReplacedCheckbox = document.getElementById('keepReplacedCheckbox');
+const keepReplacedRunsInput = document.getElementById('keepReplacedRunsInput');
+const keepReplacedMaxAgeInput = document.getElementById('keepReplacedMaxAgeInput');
+const rateLimitInput = document.getElementById('rateLimitInput');
+const rateScheduleInput = document.getElementById('rateScheduleInput');
+const smallFileThresholdInput = document.getElementById('smallFileThresholdInput');
+const minParallelInput = document.getElementById('minParallelInput');
+const maxParallelInput = document.getElementById('maxParallelInput');
+const maxParallelLargeInput = document.getElementById('maxParallelLargeInput');
+const preserveTimesCheckbox = document.getElementById('preserveTimesCheckbox');
+const preserveModeCheckbox = document.getElementById('preserveModeCheckbox');
+const preserveXattrsCheckbox = document.getElementById('preserveXattrsCheckbox');
+const archiveBtn = document.getElementById('archiveBtn');
+const archiveModal = document.getElementById('archiveModal');
+const archiveLocationText = document.getElementById('archiveLocationText');
+const archiveFilterInput = document.getElementById('archiveFilterInput');
+const archiveList = document.getElementById('archiveList');
+const archiveMessage = document.getElementById('archiveMessage');
+const closeArchiveBtn = document.getElementById('closeArchiveBtn');
+
+const FILTER_ORIGIN_LABELS = {
+  settings: 'Filters',
+  'source-ignore-file': 'Source .lempickaignore',
+  'destination-ignore-file': 'Destination .lempickaignore',
+};
+
+const ARCHIVE_LIST_LIMIT = 500;
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+
+const COMPARE_REASON_LABELS = {
+  missing: 'Missing',
+  'size-differs': 'Size differs',
+  'content-differs': 'Content differs',
+};
+
+const PIN_STATUS_LABELS = {
+  'in-sync': 'Pinned, in sync',
+  never: 'Never synced',
+  'version-missing': 'Pinned version gone',
+  'target-missing': 'Pinned file gone',
+};
+
+// Must match the fixed row height in styles.css; the virtual tables size their spacers from it.
+const VIRTUAL_ROW_HEIGHT = 28;
+const VIRTUAL_OVERSCAN_ROWS = 10;
+
+const resultsTable = createVirtualTable(resultsBody, 7, renderResultRow);
+const historyTable = createVirtualTable(historyBody, 4, renderHistoryRow);
+const treeTable = createVirtualTable(treeBody, 4, renderTreeRow);
+const selectionModels = new WeakMap();
+const pathCollator = new Intl.Collator();
+
+const RESULT_SORT_VALUES = {
+  source: (model) => (model.item ? model.item.sourceRelativePath : ''),
+  destination: (model) => model.key,
+  version: (model) => (model.item ? Number(model.item.version) || 0 : -1),
+  sourceSize: (model) => (model.item ? Number(model.item.sourceSize) || 0 : -1),
+  destinationSize: (model) => {
+    if (model.orphan) {
+      return Number(model.orphan.size) || 0;
+    }
+    if (!model.item) {
+      return -1;
+    }
+    return model.item.destinationExists ? Number(model.item.destinationSize) || 0 : -1;
+  },
+};
 
 let currentPlan = [];
 let currentDirectoriesToCreate = [];
+let currentOrphans = [];
+let currentPins = [];
+let currentCollisions = [];
 let currentCompareToken = '';
+let selectedPlanTargets = new Set();
+let selectedOrphanPaths = new Set();
+let resultModels = [];
+let visibleResultModels = [];
+let resultSort = { key: 'destination', descending: false };
+let resultFilter = { text: '', missing: false, sizeChanged: false, folder: '' };
+let resultsView = 'list';
+let planTree = null;
+let expandedTreeFolders = new Set(['']);
+let expandedVersionTargets = new Set();
 let isBusy = false;
 let isSyncing = false;
 let isCancellingSync = false;
@@ -37,6 +190,36 @@ let displayedSpeedText = "";
 let displayedEtaText = "";
 let lastRateDisplayUpdateMs = 0;
 let lastPauseState = false;
+let builtinVersionPatterns = [];
+let versionPatternDraft = { enabledPatternIds: [], customPatterns: [], patternOrder: [] };
+let patternPreviewRequestId = 0;
+let compareOptions = { mode: 'size', hashAlgorithm: 'sha256' };
+let syncOptions = {
+  mirror: false,
+  verify: false,
+  verifyAlgorithm: 'sha256',
+  archive: false,
+  archiveLocation: '',
+  archiveKeepRuns: 20,
+  archiveMaxAgeDays: 0,
+  keepReplaced: false,
+  keepReplacedRuns: 10,
+  keepReplacedMaxAgeDays: 30,
+  rateLimitBps: 0,
+  rateLimitSchedule: [],
+  smallFileThresholdMB: 4,
+  minParallelFiles: 1,
+  maxParallelFiles: 3,
+  maxParallelLargeFiles: 1,
+  preserveTimes: true,
+  preserveMode: true,
+  preserveXattrs: false,
+};
+let archiveRuns = [];
+let filterConfig = { rules: [] };
+let lastFilterStats = null;
+let profiles = [];
+let activeProfileId = '';
 
 function messageFromError(error, fallback) {
   if (!error) {
@@ -58,26 +241,150 @@ function setSyncReport(message) {
 function updateControlStates() {
   pickLeftBtn.disabled = isBusy;
   pickRightBtn.disabled = isBusy;
+  profileSelect.disabled = isBusy;
+  newProfileBtn.disabled = isBusy;
+  duplicateProfileBtn.disabled = isBusy || !activeProfileId;
+  renameProfileBtn.disabled = isBusy || !activeProfileId;
+  deleteProfileBtn.disabled = isBusy || !activeProfileId;
   compareBtn.disabled = isBusy;
+  versionPatternsBtn.disabled = isBusy;
+  filtersBtn.disabled = isBusy;
+  optionsBtn.disabled = isBusy;
+  archiveBtn.disabled = isBusy;
 
   if (isSyncing) {
     syncBtn.textContent = isCancellingSync ? 'Cancelling...' : 'Cancel';
     syncBtn.disabled = isCancellingSync;
   } else {
     syncBtn.textContent = 'Sync';
-    syncBtn.disabled = isBusy || currentPlan.length === 0;
+    syncBtn.disabled = isBusy || !hasSyncWork();
   }
 
   pauseBtn.hidden = !isSyncing;
   pauseBtn.disabled = !isSyncing || isCancellingSync;
   pauseBtn.textContent = isPaused ? 'Resume' : 'Pause';
+  rateLimitSelect.hidden = !isSyncing;
+  rateLimitSelect.disabled = !isSyncing || isCancellingSync;
+
+  const hasRows = currentPlan.length > 0 || currentOrphans.length > 0;
+  selectAllBtn.disabled = isBusy || !hasRows;
+  selectNoneBtn.disabled = isBusy || !hasRows;
+  invertSelectionBtn.disabled = isBusy || !hasRows;
+  resultsCount.hidden = isSyncing || !resultsCount.textContent;
 
   clearHistoryBtn.disabled = isBusy || syncHistory.length === 0;
 }
 
+function selectedPlan() {
+  return currentPlan.filter((item) => selectedPlanTargets.has(item.targetRelativePath));
+}
+
+// Unselected newer destinations are still sent so the run records that they were held back.
+function planForSync() {
+  return currentPlan
+    .filter((item) => item.destinationNewer || selectedPlanTargets.has(item.targetRelativePath))
+    .map((item) => (
+      item.destinationNewer
+        ? { ...item, overwriteNewer: selectedPlanTargets.has(item.targetRelativePath) }
+        : item
+    ));
+}
+
+function orphansToTrash() {
+  return syncOptions.mirror
+    ? currentOrphans.filter((orphan) => selectedOrphanPaths.has(orphan.relativePath))
+    : [];
+}
+
+function hasSyncWork() {
+  return selectedPlanTargets.size > 0 || orphansToTrash().length > 0;
+}
+
+function parentFolderOf(relativePath) {
+  const value = String(relativePath || '');
+  const index = Math.max(value.lastIndexOf('/'), value.lastIndexOf('\\'));
+  return index > 0 ? value.slice(0, index) : '';
+}
+
+// Compare lists each missing folder once; only those that a selected file lands in are created.
+function selectedDirectoriesToCreate() {
+  const folders = new Set(selectedPlan().map((item) => parentFolderOf(item.targetRelativePath)));
+  return currentDirectoriesToCreate.filter((relativeDir) => folders.has(relativeDir));
+}
+
+// Destination files edited after their source start deselected; selecting one is the override.
+function selectEverything() {
+  selectedPlanTargets = new Set(
+    currentPlan.filter((item) => !item.destinationNewer).map((item) => item.targetRelativePath)
+  );
+  selectedOrphanPaths = new Set(currentOrphans.map((orphan) => orphan.relativePath));
+}
+
+function isRowSelectable(model) {
+  return model.kind === 'plan' || (model.kind === 'orphan' && syncOptions.mirror);
+}
+
+function isRowSelected(model) {
+  return model.kind === 'plan'
+    ? selectedPlanTargets.has(model.key)
+    : selectedOrphanPaths.has(model.key);
+}
+
+function setRowSelected(model, selected) {
+  if (model.kind === 'pin') {
+    return;
+  }
+  const set = model.kind === 'plan' ? selectedPlanTargets : selectedOrphanPaths;
+  if (selected) {
+    set.add(model.key);
+  } else {
+    set.delete(model.key);
+  }
+}
+
+function formatSelectionSummary() {
+  if (!currentPlan.length && !currentOrphans.length) {
+    return '';
+  }
+  const bytes = selectedPlan().reduce((sum, item) => sum + (Number(item.sourceSize) || 0), 0);
+  let text = `${selectedPlanTargets.size} of ${currentPlan.length} file(s) selected (${formatBytesHuman(bytes)})`;
+  if (syncOptions.mirror && currentOrphans.length) {
+    text += `, ${selectedOrphanPaths.size} of ${currentOrphans.length} orphan(s)`;
+  }
+  return text;
+}
+
+function applySelectionState(checkbox, model) {
+  if (model.kind === 'folder') {
+    const selectable = model.rows.filter(isRowSelectable);
+    const selectedCount = selectable.filter(isRowSelected).length;
+    checkbox.checked = selectable.length > 0 && selectedCount === selectable.length;
+    checkbox.indeterminate = selectedCount > 0 && selectedCount < selectable.length;
+    checkbox.disabled = isBusy || selectable.length === 0;
+    return;
+  }
+
+  const selectable = isRowSelectable(model);
+  checkbox.checked = selectable && isRowSelected(model);
+  checkbox.disabled = isBusy || !selectable;
+}
+
+// Only the rendered rows have checkboxes, so this stays cheap however large the plan is.
+function refreshSelectionControls() {
+  for (const checkbox of resultsBody.querySelectorAll('td.select-cell input')) {
+    const model = selectionModels.get(checkbox);
+    if (model) {
+      applySelectionState(checkbox, model);
+    }
+  }
+
+  selectionSummary.textContent = formatSelectionSummary();
+  updateControlStates();
+}
+
 function setBusy(nextBusy) {
   isBusy = nextBusy;
-  updateControlStates();
+  refreshSelectionControls();
 }
 
 function setSyncState(nextSyncing, paused = false) {
@@ -96,7 +403,12 @@ function setSyncState(nextSyncing, paused = false) {
 function invalidateCompareState(statusMessage) {
   currentPlan = [];
   currentDirectoriesToCreate = [];
+  currentOrphans = [];
+  currentPins = [];
+  currentCollisions = [];
   currentCompareToken = '';
+  selectedPlanTargets = new Set();
+  selectedOrphanPaths = new Set();
   clearResults('Comparison is out of date. Run compare again.');
   if (typeof statusMessage === 'string' && statusMessage.trim()) {
     setPlainStatus(statusMessage);
@@ -152,6 +464,10 @@ function formatSpeed(bytesPerSecond) {
   return `${formatBytesHuman(safe)}/s`;
 }
 
+function formatMegabytes(bytesPerSecond) {
+  return String(Math.round((Number(bytesPerSecond) || 0) / BYTES_PER_MEGABYTE * 100) / 100);
+}
+
 function formatEta(seconds) {
   const totalSeconds = Math.max(0, Math.ceil(seconds));
   const hours = Math.floor(totalSeconds / 3600);
@@ -163,25 +479,24 @@ function formatEta(seconds) {
   return `${minutes}:${String(secs).padStart(2, '0')}`;
 }
 
-function promptForFolderCreation(directoriesToCreate) {
-  if (!folderCreateModal || !folderCreateList || !confirmFolderCreateBtn || !cancelFolderCreateBtn) {
+function promptForConfirmation({ title, message, items, confirmLabel }) {
+  if (!confirmModal || !confirmList || !confirmActionBtn || !cancelConfirmBtn) {
     return Promise.resolve(true);
   }
 
   return new Promise((resolve) => {
-    const folderList = directoriesToCreate.map((folder) => '- ' + folder).join('\n');
-    folderCreateList.textContent = folderList || '(none)';
-    if (folderCreateMessage) {
-      folderCreateMessage.textContent = directoriesToCreate.length + ' folder(s) will be created at destination.';
-    }
+    confirmTitle.textContent = title;
+    confirmList.textContent = items.map((item) => '- ' + item).join('\n') || '(none)';
+    confirmMessage.textContent = message;
+    confirmActionBtn.textContent = confirmLabel || 'Continue';
 
-    folderCreateModal.hidden = false;
+    confirmModal.hidden = false;
 
     const cleanup = () => {
-      folderCreateModal.hidden = true;
-      confirmFolderCreateBtn.removeEventListener('click', onConfirm);
-      cancelFolderCreateBtn.removeEventListener('click', onCancel);
-      folderCreateModal.removeEventListener('click', onBackdropClick);
+      confirmModal.hidden = true;
+      confirmActionBtn.removeEventListener('click', onConfirm);
+      cancelConfirmBtn.removeEventListener('click', onCancel);
+      confirmModal.removeEventListener('click', onBackdropClick);
       document.removeEventListener('keydown', onKeydown);
     };
 
@@ -196,7 +511,7 @@ function promptForFolderCreation(directoriesToCreate) {
     };
 
     const onBackdropClick = (event) => {
-      if (event.target === folderCreateModal) {
+      if (event.target === confirmModal) {
         onCancel();
       }
     };
@@ -208,12 +523,55 @@ function promptForFolderCreation(directoriesToCreate) {
       }
     };
 
-    confirmFolderCreateBtn.addEventListener('click', onConfirm);
-    cancelFolderCreateBtn.addEventListener('click', onCancel);
-    folderCreateModal.addEventListener('click', onBackdropClick);
+    confirmActionBtn.addEventListener('click', onConfirm);
+    cancelConfirmBtn.addEventListener('click', onCancel);
+    confirmModal.addEventListener('click', onBackdropClick);
     document.addEventListener('keydown', onKeydown);
 
-    confirmFolderCreateBtn.focus();
+    confirmActionBtn.focus();
+  });
+}
+
+function promptForFolderCreation(directoriesToCreate) {
+  return promptForConfirmation({
+    title: 'The following new folders will be created',
+    message: directoriesToCreate.length + ' folder(s) will be created at destination.',
+    items: directoriesToCreate,
+  });
+}
+
+function formatCollisionItem(collision) {
+  return collision.severity === 'error' ? `[held back] ${collision.message}` : `[warning] ${collision.message}`;
+}
+
+function promptForCollisionReview(collisions) {
+  const errorCount = collisions.filter((collision) => collision.severity === 'error').length;
+  return promptForConfirmation({
+    title: 'Name collisions found',
+    message: errorCount > 0
+      ? `${errorCount} collision(s) are held back and will not be synced. Review the rest before continuing.`
+      : 'These files will sync, but their names may not map the way you expect.',
+    items: collisions.map(formatCollisionItem),
+  });
+}
+
+function promptForNewerOverwrite(items) {
+  return promptForConfirmation({
+    title: 'Overwrite newer destination files?',
+    message: `${items.length} destination file(s) were modified after their source and will be replaced.`,
+    items: items.map((item) => item.targetRelativePath),
+    confirmLabel: 'Overwrite',
+  });
+}
+
+function promptForOrphanRemoval(orphans) {
+  const totalBytes = orphans.reduce((sum, item) => sum + (Number(item.size) || 0), 0);
+  return promptForConfirmation({
+    title: 'The following destination files will be moved to trash',
+    message: `${orphans.length} file(s) (${formatBytesHuman(totalBytes)}) have no source counterpart. ` +
+      'They will be moved to the .lempicka-trash folder in the destination.',
+    items: orphans.map((item) => item.relativePath),
+    confirmLabel: 'Move to Trash',
   });
 }
 
@@ -228,26 +586,105 @@ function formatDuration(ms) {
   return `${minutes}:${String(secs).padStart(2, '0')}`;
 }
 
+function createVirtualTable(body, columnCount, renderRow) {
+  const scrollContainer = body.closest('.table-scroll');
+  const table = body.closest('table');
+  let rows = [];
+  let message = '';
+  let renderedStart = -1;
+  let renderedEnd = -1;
+  let frameQueued = false;
+
+  const createSpacer = (height) => {
+    const row = document.createElement('tr');
+    row.className = 'virtual-spacer';
+    row.setAttribute('aria-hidden', 'true');
+    row.style.height = `${height}px`;
+    const cell = document.createElement('td');
+    cell.colSpan = columnCount;
+    row.appendChild(cell);
+    return row;
+  };
+
+  const renderWindow = (force) => {
+    if (message) {
+      return;
+    }
+    const headerHeight = table && table.tHead ? table.tHead.offsetHeight : 0;
+    const scrollTop = Math.max(0, scrollContainer.scrollTop - headerHeight);
+    // Before the panel heights are applied the container is as tall as its content, so cap at the window.
+    const viewportHeight = Math.min(scrollContainer.clientHeight || window.innerHeight, window.innerHeight);
+    const viewportRows = Math.ceil(viewportHeight / VIRTUAL_ROW_HEIGHT);
+    const start = Math.max(0, Math.floor(scrollTop / VIRTUAL_ROW_HEIGHT) - VIRTUAL_OVERSCAN_ROWS);
+    const end = Math.min(rows.length, start + viewportRows + VIRTUAL_OVERSCAN_ROWS * 2);
+    if (!force && start === renderedStart && end === renderedEnd) {
+      return;
+    }
+    renderedStart = start;
+    renderedEnd = end;
+
+    const fragment = document.createDocumentFragment();
+    if (start > 0) {
+      fragment.appendChild(createSpacer(start * VIRTUAL_ROW_HEIGHT));
+    }
+    for (let index = start; index < end; index += 1) {
+      fragment.appendChild(renderRow(rows[index]));
+    }
+    if (end < rows.length) {
+      fragment.appendChild(createSpacer((rows.length - end) * VIRTUAL_ROW_HEIGHT));
+    }
+    body.replaceChildren(fragment);
+  };
+
+  scrollContainer.addEventListener('scroll', () => {
+    if (frameQueued) {
+      return;
+    }
+    frameQueued = true;
+    window.requestAnimationFrame(() => {
+      frameQueued = false;
+      renderWindow(false);
+    });
+  });
+
+  return {
+    // Keeps the scroll offset, so re-rendering after a selection or history change does not jump.
+    setRows: (nextRows) => {
+      rows = nextRows;
+      message = '';
+      renderWindow(true);
+    },
+    showMessage: (text) => {
+      rows = [];
+      message = text;
+      renderedStart = -1;
+      renderedEnd = -1;
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = columnCount;
+      cell.className = 'empty';
+      cell.textContent = text;
+      row.appendChild(cell);
+      body.replaceChildren(row);
+    },
+    update: () => renderWindow(false),
+  };
+}
+
 function clearResults(message) {
-  resultsBody.innerHTML = '';
-  const row = document.createElement('tr');
-  const cell = document.createElement('td');
-  cell.colSpan = 5;
-  cell.className = 'empty';
-  cell.textContent = message;
-  row.appendChild(cell);
-  resultsBody.appendChild(row);
+  resultModels = [];
+  expandedVersionTargets = new Set();
+  visibleResultModels = [];
+  planTree = null;
+  treeTable.showMessage(message);
+  selectionSummary.textContent = '';
+  resultsCount.textContent = '';
+  resultsCount.hidden = true;
+  resultsTable.showMessage(message);
 }
 
 function clearHistory(message) {
-  historyBody.innerHTML = '';
-  const row = document.createElement('tr');
-  const cell = document.createElement('td');
-  cell.colSpan = 3;
-  cell.className = 'empty';
-  cell.textContent = message;
-  row.appendChild(cell);
-  historyBody.appendChild(row);
+  historyTable.showMessage(message);
 }
 
 function formatTimestamp(isoTimestamp) {
@@ -323,6 +760,14 @@ function normalizeHistoryFiles(item) {
     normalized.push({
       sourceRelativePath: typeof file.sourceRelativePath === 'string' ? file.sourceRelativePath : '',
       targetRelativePath: typeof file.targetRelativePath === 'string' ? file.targetRelativePath : '',
+      overwroteNewer: file.overwroteNewer === true,
+    });
+  }
+  for (const held of Array.isArray(item.heldBack) ? item.heldBack : []) {
+    normalized.push({
+      sourceRelativePath: held.sourceRelativePath || '',
+      targetRelativePath: held.targetRelativePath || '',
+      heldBack: true,
     });
   }
   return normalized.length ? normalized : [{ sourceRelativePath: '', targetRelativePath: '' }];
@@ -348,8 +793,8 @@ function updateResultsPanelHeights() {
     const panelCap = perPanelCap;
     panel.style.setProperty('--panel-max-height', `${panelCap}px`);
 
-    const tableScroll = panel.querySelector('.table-scroll');
-    if (!tableScroll) {
+    const tableScrolls = panel.querySelectorAll('.table-scroll');
+    if (tableScrolls.length === 0) {
       continue;
     }
 
@@ -365,9 +810,14 @@ function updateResultsPanelHeights() {
       72,
       panelCap - paddingTop - paddingBottom - gap - headerHeight
     );
-    tableScroll.style.maxHeight = `${availableHeight}px`;
+    for (const tableScroll of tableScrolls) {
+      tableScroll.style.maxHeight = `${availableHeight}px`;
+    }
   }
 
+  resultsTable.update();
+  treeTable.update();
+  historyTable.update();
   queueWindowHeightUpdate();
 }
 
@@ -397,8 +847,61 @@ function queueWindowHeightUpdate() {
   });
 }
 
+function createUndoCell(item) {
+  const cell = document.createElement('td');
+  if (item.undo === 'undone' || item.undo === 'partial') {
+    const done = document.createElement('span');
+    done.className = 'undo-done';
+    done.textContent = item.undo === 'partial' ? 'Partly undone' : 'Undone';
+    done.title = item.undoNote || 'This sync was undone.';
+    cell.appendChild(done);
+    return cell;
+  }
+
+  const undoBtn = document.createElement('button');
+  undoBtn.type = 'button';
+  undoBtn.className = 'undo-btn';
+  undoBtn.textContent = 'Undo';
+  undoBtn.disabled = item.undo !== 'available';
+  undoBtn.title = item.undo === 'available'
+    ? 'Undo this sync'
+    : item.undoNote || 'Undo is not available for this sync.';
+  undoBtn.addEventListener('click', () => {
+    undoSyncFromHistory(item);
+  });
+  cell.appendChild(undoBtn);
+  return cell;
+}
+
+function renderHistoryRow({ item, filePath, firstOfRun }) {
+  const row = document.createElement('tr');
+
+  const timeCol = document.createElement('td');
+  timeCol.textContent = item.profileName
+    ? `${formatTimestamp(item.timestamp)} (${item.profileName})`
+    : formatTimestamp(item.timestamp);
+  if (filePath.heldBack) {
+    row.className = 'history-held';
+    row.title = 'Held back: the destination was newer than the source.';
+  } else if (filePath.overwroteNewer) {
+    row.className = 'history-overwrote';
+    row.title = 'Overwrote a destination file that was newer than the source.';
+  }
+
+  const sourceCol = document.createElement('td');
+  setPathCellContent(sourceCol, filePath.sourceRelativePath);
+
+  const destinationCol = document.createElement('td');
+  setPathCellContent(destinationCol, filePath.targetRelativePath);
+
+  row.appendChild(timeCol);
+  row.appendChild(sourceCol);
+  row.appendChild(destinationCol);
+  row.appendChild(firstOfRun ? createUndoCell(item) : document.createElement('td'));
+  return row;
+}
+
 function renderHistory(history) {
-  historyBody.innerHTML = '';
   updateControlStates();
 
   if (!history.length) {
@@ -407,27 +910,30 @@ function renderHistory(history) {
     return;
   }
 
+  const rows = [];
   for (const item of history) {
-    const files = normalizeHistoryFiles(item);
-    for (const filePath of files) {
-      const row = document.createElement('tr');
-
-      const timeCol = document.createElement('td');
-      timeCol.textContent = formatTimestamp(item.timestamp);
-
-      const sourceCol = document.createElement('td');
-      setPathCellContent(sourceCol, filePath.sourceRelativePath);
-
-      const destinationCol = document.createElement('td');
-      setPathCellContent(destinationCol, filePath.targetRelativePath);
+    normalizeHistoryFiles(item).forEach((filePath, index) => {
+      rows.push({ item, filePath, firstOfRun: index === 0 });
+    });
+  }
+  historyTable.setRows(rows);
+  updateResultsPanelHeights();
+}
 
-      row.appendChild(timeCol);
-      row.appendChild(sourceCol);
-      row.appendChild(destinationCol);
-      historyBody.appendChild(row);
+const COPY_STRATEGY_LABELS = {
+  reflink: 'cloned',
+  kernel: 'kernel copy',
+  buffered: 'buffered',
+};
+
+function formatCopyStrategies(files) {
+  const counts = new Map();
+  for (const file of Array.isArray(files) ? files : []) {
+    if (file && COPY_STRATEGY_LABELS[file.copyStrategy]) {
+      counts.set(file.copyStrategy, (counts.get(file.copyStrategy) || 0) + 1);
     }
   }
-  updateResultsPanelHeights();
+  return Array.from(counts, ([strategy, count]) => `${count} ${COPY_STRATEGY_LABELS[strategy]}`).join(', ');
 }
 
 function formatSyncSummary(result) {
@@ -449,9 +955,40 @@ function formatSyncSummary(result) {
     lines.push('Outcome: Completed');
   }
 
-  lines.push(`Summary: copied ${copied}/${total}, failed ${failed}`);
+  const trashed = Array.isArray(result.trashed) ? result.trashed : [];
+  const heldBack = Array.isArray(result.heldBack) ? result.heldBack : [];
+  lines.push(`Summary: copied ${copied}/${total}, failed ${failed}` +
+    (trashed.length > 0 ? `, moved ${trashed.length} orphan(s) to trash` : '') +
+    (heldBack.length > 0 ? `, held back ${heldBack.length} newer destination file(s)` : ''));
+  const archived = Array.isArray(result.archived) ? result.archived : [];
+  if (archived.length > 0) {
+    lines.push(`Archive: kept ${archived.length} replaced file(s) in ${result.archiveDir}`);
+  }
+  if (result.archiveWarning) {
+    lines.push(`Archive warning: ${result.archiveWarning}`);
+  }
   lines.push(`Bytes: ${formatBytesHuman(bytes)} / ${formatBytesHuman(totalBytes)}`);
+  if (copied > 0) {
+    lines.push(`Verification: ${Number(result.verifiedCount) || 0} verified, ` +
+      `${Number(result.unverifiedCount) || 0} unverified`);
+  }
   lines.push(`Duration: ${duration}, average: ${avg}`);
+  const resumedCopies = Array.isArray(result.resumedCopies) ? result.resumedCopies : [];
+  if (resumedCopies.length > 0) {
+    const resumedBytes = resumedCopies.reduce((sum, item) => sum + (Number(item.resumedFromBytes) || 0), 0);
+    lines.push(`Resumed: ${resumedCopies.length} partly copied file(s), ${formatBytesHuman(resumedBytes)} reused`);
+  }
+  const copyStrategyText = formatCopyStrategies(result.succeededFiles);
+  if (copyStrategyText) {
+    lines.push(`Copy method: ${copyStrategyText}`);
+  }
+  const concurrency = result.concurrency;
+  if (copied > 0 && concurrency) {
+    lines.push(`Workers: ${concurrency.initialWorkers} at start, ${concurrency.finalWorkers} at end, ` +
+      `${concurrency.averageWorkers} on average (allowed ${concurrency.minWorkers}-${concurrency.maxWorkers}, ` +
+      `peak ${concurrency.peakActive} active` +
+      (concurrency.largeOverlapped > 0 ? `, ${concurrency.largeOverlapped} large file(s) overlapped` : '') + ')');
+  }
 
   const succeeded = Array.isArray(result.succeededFiles) ? result.succeededFiles : [];
   if (succeeded.length > 0) {
@@ -466,6 +1003,33 @@ function formatSyncSummary(result) {
     }
   }
 
+  if (trashed.length > 0) {
+    lines.push('');
+    lines.push(`Moved to trash (${result.trashDir || 'destination trash folder'}):`);
+    const shown = trashed.slice(0, 25);
+    for (const item of shown) {
+      lines.push(`- ${item.relativePath}`);
+    }
+    if (trashed.length > shown.length) {
+      lines.push(`...and ${trashed.length - shown.length} more`);
+    }
+  }
+
+  const metadataIssues = succeeded.filter((item) => Array.isArray(item.metadataWarnings)
+    && item.metadataWarnings.length > 0);
+  if (metadataIssues.length > 0) {
+    lines.push('');
+    lines.push('Copied without some metadata:');
+    const shown = metadataIssues.slice(0, 25);
+    for (const item of shown) {
+      const missing = item.metadataWarnings.map((warning) => `${warning.kind} (${warning.message})`).join(', ');
+      lines.push(`- ${item.targetRelativePath || '(unknown)'}: ${missing}`);
+    }
+    if (metadataIssues.length > shown.length) {
+      lines.push(`...and ${metadataIssues.length - shown.length} more`);
+    }
+  }
+
   if (failed > 0) {
     lines.push('');
     lines.push('Failed files:');
@@ -488,147 +1052,701 @@ function formatSyncSummary(result) {
   return lines.join('\n');
 }
 
-function renderResults(plan) {
-  resultsBody.innerHTML = '';
+function createSelectCell(model, onChange) {
+  const cell = document.createElement('td');
+  cell.className = 'select-cell';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  selectionModels.set(checkbox, model);
+  applySelectionState(checkbox, model);
+  checkbox.addEventListener('change', () => {
+    if (!isBusy) {
+      onChange(checkbox.checked);
+    }
+    refreshSelectionControls();
+  });
+  cell.appendChild(checkbox);
+  return cell;
+}
 
-  if (!plan.length) {
-    clearResults('No files need syncing.');
-    updateResultsPanelHeights();
-    return;
-  }
+function renderFolderRow(model) {
+  const row = document.createElement('tr');
+  row.className = 'folder-row';
 
-  for (const item of plan) {
-    const row = document.createElement('tr');
+  const selectCol = createSelectCell(model, () => {
+    const selectable = model.rows.filter(isRowSelectable);
+    const allSelected = selectable.every(isRowSelected);
+    for (const rowModel of selectable) {
+      setRowSelected(rowModel, !allSelected);
+    }
+  });
 
-    const sourceCol = document.createElement('td');
-    setPathCellContent(sourceCol, item.sourceRelativePath);
+  const folderCol = document.createElement('td');
+  folderCol.colSpan = 6;
+  folderCol.textContent = `${model.folder || '(top level)'}  (${model.rows.length} file(s))`;
 
-    const targetCol = document.createElement('td');
-    setPathCellContent(targetCol, item.targetRelativePath);
+  row.appendChild(selectCol);
+  row.appendChild(folderCol);
+  return row;
+}
 
-    const versionCol = document.createElement('td');
-    versionCol.textContent = String(item.version);
+function renderPlanRow(model) {
+  const { item } = model;
+  const row = document.createElement('tr');
+  row.classList.toggle('pinned-row', Boolean(item.pinned));
+  row.classList.toggle('newer-row', Boolean(item.destinationNewer));
 
-    const sourceSizeCol = document.createElement('td');
-    sourceSizeCol.textContent = formatSize(item.sourceSize);
+  const selectCol = createSelectCell(model, (checked) => {
+    setRowSelected(model, checked);
+  });
 
-    const destinationSizeCol = document.createElement('td');
-    destinationSizeCol.textContent = item.destinationExists
-      ? formatSize(item.destinationSize)
-      : '(missing)';
+  const sourceCol = document.createElement('td');
+  setPathCellContent(sourceCol, item.sourceRelativePath);
+
+  const targetCol = document.createElement('td');
+  setPathCellContent(targetCol, item.targetRelativePath);
+
+  const versionCol = document.createElement('td');
+  const candidates = Array.isArray(item.candidates) ? item.candidates : [];
+  if (candidates.length > 1) {
+    const expanded = expandedVersionTargets.has(model.key);
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'version-toggle';
+    toggle.textContent = `${item.version} ${expanded ? '\u25BE' : '\u25B8'} ${candidates.length}`;
+    toggle.title = `${candidates.length} source versions map to this file`;
+    toggle.addEventListener('click', () => {
+      if (expandedVersionTargets.has(model.key)) {
+        expandedVersionTargets.delete(model.key);
+      } else {
+        expandedVersionTargets.add(model.key);
+      }
+      renderResults();
+    });
+    versionCol.appendChild(toggle);
+  } else {
+    versionCol.appendChild(document.createTextNode(String(item.version)));
+  }
+  if (item.versionPattern) {
+    versionCol.title = `Matched pattern: ${item.versionPattern}`;
+  }
+  versionCol.appendChild(createPinButton({
+    targetRelativePath: item.targetRelativePath,
+    candidates,
+    pin: item.pinned ? { mode: 'version', version: item.version } : null,
+  }));
+
+  const sourceSizeCol = document.createElement('td');
+  sourceSizeCol.textContent = formatSize(item.sourceSize);
+
+  const destinationSizeCol = document.createElement('td');
+  destinationSizeCol.textContent = item.destinationExists
+    ? formatSize(item.destinationSize)
+    : '(missing)';
+
+  const reasonCol = document.createElement('td');
+  reasonCol.textContent = COMPARE_REASON_LABELS[item.reason] || '';
+  if (item.destinationNewer) {
+    reasonCol.textContent = 'Destination newer';
+    reasonCol.title = `${COMPARE_REASON_LABELS[item.reason] || 'Differs'}. The destination was modified ` +
+      `${formatTimestamp(new Date(item.destinationMtimeMs).toISOString())}, after the source ` +
+      `(${formatTimestamp(new Date(item.sourceMtimeMs).toISOString())}). Select the row to overwrite it.`;
+  }
+
+  row.appendChild(selectCol);
+  row.appendChild(sourceCol);
+  row.appendChild(targetCol);
+  row.appendChild(versionCol);
+  row.appendChild(sourceSizeCol);
+  row.appendChild(destinationSizeCol);
+  row.appendChild(reasonCol);
+  return row;
+}
 
-    row.appendChild(sourceCol);
-    row.appendChild(targetCol);
-    row.appendChild(versionCol);
-    row.appendChild(sourceSizeCol);
-    row.appendChild(destinationSizeCol);
+function renderOrphanRow(model) {
+  const { orphan } = model;
+  const row = document.createElement('tr');
+  row.className = 'orphan-row';
 
-    resultsBody.appendChild(row);
+  const selectCol = createSelectCell(model, (checked) => {
+    setRowSelected(model, checked);
+  });
+  if (!syncOptions.mirror) {
+    selectCol.title = 'Enable Options > Mirror destination to move orphans to trash.';
   }
-  updateResultsPanelHeights();
-}
 
-function applySyncProgress(progress) {
-  const totalBytes = Number(progress.totalBytes) || 0;
-  const transferred = Number(progress.bytesTransferred) || 0;
-  const failedCount = Number(progress.failed) || 0;
+  const sourceCol = document.createElement('td');
+  sourceCol.textContent = '(no source)';
 
-  progressBar.max = totalBytes > 0 ? totalBytes : 1;
-  progressBar.value = Math.min(transferred, progressBar.max);
+  const targetCol = document.createElement('td');
+  setPathCellContent(targetCol, orphan.relativePath);
 
-  const instantaneousBps = Number(progress.throughputBps) || 0;
-  if (instantaneousBps > 0) {
-    smoothedThroughputBps = smoothedThroughputBps > 0
-      ? (smoothedThroughputBps * 0.7) + (instantaneousBps * 0.3)
-      : instantaneousBps;
-  }
+  const versionCol = document.createElement('td');
+  const sourceSizeCol = document.createElement('td');
 
-  const activeCount = Number(progress.activeCount) || 0;
-  const completed = Number(progress.completed) || 0;
-  const total = Number(progress.total) || 0;
-  const currentIndex = Number(progress.currentIndex) || 0;
-  const displayIndex = Math.max(
-    currentIndex,
-    Math.min(total, completed + failedCount + (activeCount > 0 ? 1 : 0))
-  );
+  const destinationSizeCol = document.createElement('td');
+  destinationSizeCol.textContent = formatSize(orphan.size);
 
-  isPaused = Boolean(progress.isPaused);
-  updateControlStates();
+  const reasonCol = document.createElement('td');
+  reasonCol.textContent = syncOptions.mirror ? 'Orphan (to trash)' : 'Orphan';
 
-  const remainingBytes = Math.max(0, totalBytes - transferred);
-  const nextEtaText = (!isPaused && smoothedThroughputBps > 0 && remainingBytes > 0)
-    ? ` ETA ${formatEta(remainingBytes / smoothedThroughputBps)}`
-    : '';
+  row.appendChild(selectCol);
+  row.appendChild(sourceCol);
+  row.appendChild(targetCol);
+  row.appendChild(versionCol);
+  row.appendChild(sourceSizeCol);
+  row.appendChild(destinationSizeCol);
+  row.appendChild(reasonCol);
+  return row;
+}
 
-  const bytesText = totalBytes > 0
-    ? `(${formatBytesHuman(transferred)}/${formatBytesHuman(totalBytes)})`
-    : '';
-  const nextSpeedText = !isPaused && smoothedThroughputBps > 0
-    ? ` @ ${formatSpeed(smoothedThroughputBps)}`
-    : '';
+function formatPinLabel(pin) {
+  return pin.mode === 'never' ? 'never' : `v${pin.version}`;
+}
 
-  const now = Date.now();
-  if (isPaused !== lastPauseState || (now - lastRateDisplayUpdateMs) >= 1000) {
-    displayedEtaText = nextEtaText;
-    displayedSpeedText = nextSpeedText;
-    lastRateDisplayUpdateMs = now;
-    lastPauseState = isPaused;
+function createPinButton(target) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = target.pin ? 'pin-btn active' : 'pin-btn';
+  button.textContent = '\u{1F4CC}';
+  button.title = target.pin
+    ? `Pinned to ${formatPinLabel(target.pin)}. Click to change.`
+    : 'Pin a version or stop syncing this file';
+  button.disabled = isBusy;
+  button.addEventListener('click', () => {
+    openPinEditor(target);
+  });
+  return button;
+}
+
+function renderPinRow(model) {
+  const { pin } = model;
+  const row = document.createElement('tr');
+  const isIssue = pin.status === 'version-missing' || pin.status === 'target-missing';
+  row.className = isIssue ? 'pin-row pin-issue' : 'pin-row';
+
+  const selectCol = document.createElement('td');
+  selectCol.className = 'select-cell';
+
+  const sourceCol = document.createElement('td');
+  const chosen = pin.candidates.find((candidate) => candidate.chosen);
+  if (chosen) {
+    setPathCellContent(sourceCol, chosen.sourceRelativePath);
+  } else {
+    sourceCol.textContent = pin.status === 'target-missing' ? '(no source)' : '(held back)';
   }
 
-  const failText = failedCount > 0 ? ` Failed ${failedCount}` : '';
-  const pauseText = isPaused ? ' Paused' : '';
+  const targetCol = document.createElement('td');
+  setPathCellContent(targetCol, pin.targetRelativePath);
 
-  const activeText = activeCount > 1 ? ` (${activeCount} active)` : '';
-  const target = progress.targetRelativePath || '(preparing)';
-  const leftText = `Syncing ${displayIndex}/${total}${activeText}: ${target}`;
-  const rightText = `${bytesText}${displayedSpeedText}${displayedEtaText}${failText}${pauseText}`.trim();
+  const versionCol = document.createElement('td');
+  versionCol.appendChild(document.createTextNode(formatPinLabel(pin)));
+  versionCol.appendChild(createPinButton({
+    targetRelativePath: pin.targetRelativePath,
+    candidates: pin.candidates,
+    pin,
+  }));
 
-  setSyncStatus(leftText, rightText);
-}
+  const sourceSizeCol = document.createElement('td');
+  const destinationSizeCol = document.createElement('td');
 
-async function compareDirectories(leftRoot, rightRoot) {
-  const result = await window.treeSync.compareTrees(leftRoot, rightRoot);
-  if (!result || typeof result !== 'object' || typeof result.compareToken !== 'string') {
-    throw new Error('Invalid compare response from main process.');
+  const reasonCol = document.createElement('td');
+  reasonCol.textContent = PIN_STATUS_LABELS[pin.status] || '';
+  if (pin.status === 'version-missing') {
+    reasonCol.title = `v${pin.version} is no longer in the source; the file is held back until the pin is changed.`;
   }
 
-  currentPlan = Array.isArray(result.plan) ? result.plan : [];
-  currentDirectoriesToCreate = Array.isArray(result.directoriesToCreate)
-    ? result.directoriesToCreate
-    : [];
-  currentCompareToken = result.compareToken;
-  renderResults(currentPlan);
-  return result;
+  row.appendChild(selectCol);
+  row.appendChild(sourceCol);
+  row.appendChild(targetCol);
+  row.appendChild(versionCol);
+  row.appendChild(sourceSizeCol);
+  row.appendChild(destinationSizeCol);
+  row.appendChild(reasonCol);
+  return row;
 }
 
-async function pickDirectory(inputEl) {
-  const previous = inputEl.value.trim();
-  const selected = await window.treeSync.pickDirectory(inputEl.value || undefined);
-  if (selected) {
-    inputEl.value = selected;
-    if (selected.trim() !== previous) {
-      invalidateCompareState('Directory changed. Run compare again.');
+function formatCandidateVersion(candidate) {
+  return candidate.isVersioned ? `v${candidate.version}` : 'unversioned';
+}
+
+function describeCandidateChoice(candidate, candidates, pinned) {
+  const sameVersionCount = candidates.filter((other) => other.version === candidate.version).length;
+  if (candidate.chosen) {
+    if (pinned) {
+      return 'chosen: pinned';
     }
-    await saveSelectedDirectories();
+    if (candidates.length === 1) {
+      return 'chosen: only candidate';
+    }
+    return sameVersionCount > 1 ? 'chosen: first of several with this version' : 'chosen: highest version';
+  }
+  if (sameVersionCount > 1) {
+    return 'skipped: same version as the chosen file';
   }
+  return pinned ? 'skipped: not the pinned version' : 'skipped: lower version';
 }
 
-function hasFilePayload(event) {
-  const dataTransfer = event && event.dataTransfer;
-  if (!dataTransfer) {
-    return false;
+function renderCandidateRow(model) {
+  const { candidate, candidates, pinned } = model;
+  const row = document.createElement('tr');
+  row.className = candidate.chosen ? 'candidate-row chosen' : 'candidate-row';
+
+  const markerCol = document.createElement('td');
+  markerCol.className = 'select-cell';
+  markerCol.textContent = candidate.chosen ? '\u2713' : '';
+
+  const detailCol = document.createElement('td');
+  detailCol.colSpan = 6;
+  const modified = Number.isFinite(candidate.mtimeMs)
+    ? formatTimestamp(new Date(candidate.mtimeMs).toISOString())
+    : '(unknown)';
+  const choice = describeCandidateChoice(candidate, candidates, pinned);
+  detailCol.textContent = `${formatCandidateVersion(candidate)}  ${candidate.sourceRelativePath}  ` +
+    `${formatBytesHuman(candidate.size)}  modified ${modified}  \u2014 ${choice}`;
+  detailCol.title = detailCol.textContent;
+
+  row.appendChild(markerCol);
+  row.appendChild(detailCol);
+  return row;
+}
+
+function renderVersionGapRow(model) {
+  const row = document.createElement('tr');
+  row.className = 'candidate-row version-gap';
+  const markerCol = document.createElement('td');
+  const detailCol = document.createElement('td');
+  detailCol.colSpan = 6;
+  detailCol.textContent = model.text;
+  detailCol.title = model.text;
+  row.appendChild(markerCol);
+  row.appendChild(detailCol);
+  return row;
+}
+
+function renderResultRow(model) {
+  if (model.kind === 'folder') {
+    return renderFolderRow(model);
   }
+  if (model.kind === 'candidate') {
+    return renderCandidateRow(model);
+  }
+  if (model.kind === 'version-gap') {
+    return renderVersionGapRow(model);
+  }
+  if (model.kind === 'pin') {
+    return renderPinRow(model);
+  }
+  return model.kind === 'orphan' ? renderOrphanRow(model) : renderPlanRow(model);
+}
 
-  const types = dataTransfer.types ? Array.from(dataTransfer.types) : [];
-  if (dataTransfer.files && dataTransfer.files.length > 0) {
-    return true;
+// Applied pins already show as plan rows; every other pin gets its own row so held-back files stay visible.
+function createResultModels(plan, orphans, pins) {
+  const models = [];
+  for (const item of plan) {
+    models.push({ kind: 'plan', key: item.targetRelativePath, item });
   }
+  for (const orphan of orphans) {
+    models.push({ kind: 'orphan', key: orphan.relativePath, orphan });
+  }
+  for (const pin of pins) {
+    if (pin.status !== 'applied') {
+      models.push({ kind: 'pin', key: pin.targetRelativePath, pin });
+    }
+  }
+  return models;
+}
 
-  return types.includes('Files') || types.includes('text/uri-list') || types.includes('public.file-url');
+function compareResultModels(a, b) {
+  const valueOf = RESULT_SORT_VALUES[resultSort.key];
+  const left = valueOf(a);
+  const right = valueOf(b);
+  let order = typeof left === 'string' ? pathCollator.compare(left, right) : left - right;
+  if (order === 0) {
+    order = pathCollator.compare(a.key, b.key);
+  }
+  return resultSort.descending ? -order : order;
 }
 
-function decodePlainDroppedPath(rawValue) {
-  const candidate = String(rawValue || '').trim();
+function sortResultModels() {
+  resultModels.sort(compareResultModels);
+  for (const header of compareSortHeaders) {
+    const active = header.dataset.sortKey === resultSort.key;
+    header.classList.toggle('sorted-asc', active && !resultSort.descending);
+    header.classList.toggle('sorted-desc', active && resultSort.descending);
+  }
+}
+
+function isResultFilterActive() {
+  return Boolean(resultFilter.text || resultFilter.folder) || resultFilter.missing || resultFilter.sizeChanged;
+}
+
+function matchesResultFilter(model) {
+  if (resultFilter.folder && !model.key.replace(/\\/g, '/').startsWith(`${resultFilter.folder}/`)) {
+    return false;
+  }
+  if (resultFilter.missing || resultFilter.sizeChanged) {
+    const reason = model.item ? model.item.reason : '';
+    const wanted = (resultFilter.missing && reason === 'missing')
+      || (resultFilter.sizeChanged && reason === 'size-differs');
+    if (!wanted) {
+      return false;
+    }
+  }
+  if (resultFilter.text) {
+    const haystack = model.item
+      ? `${model.item.sourceRelativePath}\n${model.item.targetRelativePath}`
+      : model.key;
+    return haystack.toLowerCase().includes(resultFilter.text);
+  }
+  return true;
+}
+
+const MAX_LISTED_VERSION_GAPS = 20;
+
+function formatVersionGaps(candidates) {
+  const versions = new Set(
+    candidates.filter((candidate) => candidate.isVersioned).map((candidate) => candidate.version)
+  );
+  if (versions.size < 2) {
+    return '';
+  }
+  const sorted = Array.from(versions).sort((a, b) => a - b);
+  const lowest = sorted[0];
+  const highest = sorted[sorted.length - 1];
+  const missing = [];
+  let missingCount = 0;
+  for (let version = lowest + 1; version < highest; version += 1) {
+    if (!versions.has(version)) {
+      missingCount += 1;
+      if (missing.length < MAX_LISTED_VERSION_GAPS) {
+        missing.push(`v${version}`);
+      }
+    }
+  }
+  if (missingCount === 0) {
+    return '';
+  }
+  const more = missingCount > missing.length ? ` and ${missingCount - missing.length} more` : '';
+  return `Missing between v${lowest} and v${highest}: ${missing.join(', ')}${more}`;
+}
+
+function appendResultRow(rows, model) {
+  rows.push(model);
+  if (model.kind !== 'plan' || !expandedVersionTargets.has(model.key)) {
+    return;
+  }
+  const candidates = Array.isArray(model.item.candidates) ? model.item.candidates : [];
+  for (const candidate of candidates) {
+    rows.push({ kind: 'candidate', candidate, candidates, pinned: model.item.pinned });
+  }
+  const gapText = formatVersionGaps(candidates);
+  if (gapText) {
+    rows.push({ kind: 'version-gap', text: gapText });
+  }
+}
+
+// Folder rows only make sense while rows are ordered by destination path; other sorts show a flat list.
+function buildResultRows(models) {
+  if (resultSort.key !== 'destination') {
+    if (expandedVersionTargets.size === 0) {
+      return models;
+    }
+    const rows = [];
+    for (const model of models) {
+      appendResultRow(rows, model);
+    }
+    return rows;
+  }
+
+  const groups = new Map();
+  for (const model of models) {
+    const folder = parentFolderOf(model.key);
+    if (!groups.has(folder)) {
+      groups.set(folder, { kind: 'folder', folder, rows: [] });
+    }
+    groups.get(folder).rows.push(model);
+  }
+
+  const rows = [];
+  for (const group of groups.values()) {
+    rows.push(group);
+    for (const row of group.rows) {
+      appendResultRow(rows, row);
+    }
+  }
+  return rows;
+}
+
+function updateResultsCount() {
+  let fileCount = 0;
+  let orphanCount = 0;
+  let bytes = 0;
+  for (const model of visibleResultModels) {
+    if (model.kind === 'plan') {
+      fileCount += 1;
+      bytes += Number(model.item.sourceSize) || 0;
+    } else if (model.kind === 'orphan') {
+      orphanCount += 1;
+    }
+  }
+
+  let text = `Showing ${fileCount} of ${currentPlan.length} file(s), ${formatBytesHuman(bytes)}`;
+  if (currentOrphans.length) {
+    text += `; ${orphanCount} of ${currentOrphans.length} orphan(s)`;
+  }
+  resultsCount.textContent = text;
+  resultsCount.hidden = isSyncing;
+}
+
+function renderResults() {
+  if (!resultModels.length) {
+    clearResults('No files need syncing.');
+    refreshSelectionControls();
+    updateResultsPanelHeights();
+    return;
+  }
+
+  visibleResultModels = isResultFilterActive() ? resultModels.filter(matchesResultFilter) : resultModels;
+  updateResultsCount();
+  if (visibleResultModels.length === 0) {
+    resultsTable.showMessage('No files match the filter.');
+  } else {
+    resultsTable.setRows(buildResultRows(visibleResultModels));
+  }
+  refreshSelectionControls();
+  updateResultsPanelHeights();
+}
+
+function createTreeNode(name, folderPath, depth, newFolders) {
+  return {
+    name,
+    path: folderPath,
+    depth,
+    fileCount: 0,
+    bytes: 0,
+    isNew: newFolders.has(folderPath),
+    children: new Map(),
+  };
+}
+
+// Folder paths use "/" whatever the platform, so they can be matched against the flat table's keys.
+function buildPlanTree(plan, directoriesToCreate) {
+  const newFolders = new Set(directoriesToCreate.map((relativeDir) => relativeDir.replace(/\\/g, '/')));
+  const root = createTreeNode('', '', 0, newFolders);
+
+  for (const item of plan) {
+    const size = Number(item.sourceSize) || 0;
+    const folders = String(item.targetRelativePath || '').split(/[\\/]+/).filter(Boolean).slice(0, -1);
+    let node = root;
+    node.fileCount += 1;
+    node.bytes += size;
+    for (const name of folders) {
+      const folderPath = node.path ? `${node.path}/${name}` : name;
+      if (!node.children.has(name)) {
+        node.children.set(name, createTreeNode(name, folderPath, node.depth + 1, newFolders));
+      }
+      node = node.children.get(name);
+      node.fileCount += 1;
+      node.bytes += size;
+    }
+  }
+  return root;
+}
+
+function flattenPlanTree(node, rows) {
+  rows.push(node);
+  if (!expandedTreeFolders.has(node.path)) {
+    return rows;
+  }
+  const children = Array.from(node.children.values()).sort((a, b) => pathCollator.compare(a.name, b.name));
+  for (const child of children) {
+    flattenPlanTree(child, rows);
+  }
+  return rows;
+}
+
+function renderTreeRow(node) {
+  const row = document.createElement('tr');
+  if (node.isNew) {
+    row.className = 'new-folder';
+  }
+
+  const nameCol = document.createElement('td');
+  nameCol.style.paddingLeft = `${6 + node.depth * 16}px`;
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'tree-toggle';
+  if (node.children.size > 0) {
+    const expanded = expandedTreeFolders.has(node.path);
+    toggle.textContent = expanded ? '\u25BE' : '\u25B8';
+    toggle.setAttribute('aria-label', expanded ? 'Collapse folder' : 'Expand folder');
+    toggle.addEventListener('click', () => {
+      if (expandedTreeFolders.has(node.path)) {
+        expandedTreeFolders.delete(node.path);
+      } else {
+        expandedTreeFolders.add(node.path);
+      }
+      renderTree();
+    });
+  } else {
+    toggle.disabled = true;
+  }
+  const link = document.createElement('button');
+  link.type = 'button';
+  link.textContent = node.path ? node.name : '(destination root)';
+  link.title = node.path ? `Show files under ${node.path}/` : 'Show all files';
+  link.addEventListener('click', () => {
+    setFolderFilter(node.path);
+    setResultsView('list');
+  });
+  nameCol.appendChild(toggle);
+  nameCol.appendChild(link);
+
+  const countCol = document.createElement('td');
+  countCol.textContent = formatSize(node.fileCount);
+
+  const bytesCol = document.createElement('td');
+  bytesCol.textContent = formatBytesHuman(node.bytes);
+  bytesCol.title = `${formatSize(node.bytes)} bytes`;
+
+  const statusCol = document.createElement('td');
+  statusCol.textContent = node.isNew ? 'New folder' : '';
+
+  row.appendChild(nameCol);
+  row.appendChild(countCol);
+  row.appendChild(bytesCol);
+  row.appendChild(statusCol);
+  return row;
+}
+
+function renderTree() {
+  if (!planTree) {
+    return;
+  }
+  if (planTree.fileCount === 0) {
+    treeTable.showMessage('No files need copying.');
+    return;
+  }
+  treeTable.setRows(flattenPlanTree(planTree, []));
+}
+
+function applySyncProgress(progress) {
+  const totalBytes = Number(progress.totalBytes) || 0;
+  const transferred = Number(progress.bytesTransferred) || 0;
+  const failedCount = Number(progress.failed) || 0;
+
+  progressBar.max = totalBytes > 0 ? totalBytes : 1;
+  progressBar.value = Math.min(transferred, progressBar.max);
+
+  const instantaneousBps = Number(progress.throughputBps) || 0;
+  if (instantaneousBps > 0) {
+    smoothedThroughputBps = smoothedThroughputBps > 0
+      ? (smoothedThroughputBps * 0.7) + (instantaneousBps * 0.3)
+      : instantaneousBps;
+  }
+
+  const activeCount = Number(progress.activeCount) || 0;
+  const completed = Number(progress.completed) || 0;
+  const total = Number(progress.total) || 0;
+  const currentIndex = Number(progress.currentIndex) || 0;
+  const displayIndex = Math.max(
+    currentIndex,
+    Math.min(total, completed + failedCount + (activeCount > 0 ? 1 : 0))
+  );
+
+  isPaused = Boolean(progress.isPaused);
+  updateControlStates();
+
+  const remainingBytes = Math.max(0, totalBytes - transferred);
+  // With a limit or schedule set, main estimates the ETA window by window.
+  const etaSeconds = typeof progress.etaSeconds === 'number'
+    ? progress.etaSeconds
+    : (smoothedThroughputBps > 0 ? remainingBytes / smoothedThroughputBps : null);
+  const nextEtaText = (!isPaused && etaSeconds !== null && remainingBytes > 0)
+    ? ` ETA ${formatEta(etaSeconds)}`
+    : '';
+  const rateLimitBps = Number(progress.rateLimitBps) || 0;
+
+  const bytesText = totalBytes > 0
+    ? `(${formatBytesHuman(transferred)}/${formatBytesHuman(totalBytes)})`
+    : '';
+  const nextSpeedText = !isPaused && smoothedThroughputBps > 0
+    ? ` @ ${formatSpeed(smoothedThroughputBps)}${rateLimitBps > 0 ? ` (limit ${formatSpeed(rateLimitBps)})` : ''}`
+    : '';
+
+  const now = Date.now();
+  if (isPaused !== lastPauseState || (now - lastRateDisplayUpdateMs) >= 1000) {
+    displayedEtaText = nextEtaText;
+    displayedSpeedText = nextSpeedText;
+    lastRateDisplayUpdateMs = now;
+    lastPauseState = isPaused;
+  }
+
+  const failText = failedCount > 0 ? ` Failed ${failedCount}` : '';
+  const pauseText = isPaused ? ' Paused' : '';
+
+  const activeText = activeCount > 1 ? ` (${activeCount} active)` : '';
+  const target = progress.targetRelativePath || '(preparing)';
+  const phaseText = progress.phase === 'verifying' ? 'Verifying' : 'Syncing';
+  const leftText = `${phaseText} ${displayIndex}/${total}${activeText}: ${target}`;
+  const rightText = `${bytesText}${displayedSpeedText}${displayedEtaText}${failText}${pauseText}`.trim();
+
+  setSyncStatus(leftText, rightText);
+}
+
+async function compareDirectories(leftRoot, rightRoot) {
+  const result = await window.treeSync.compareTrees(leftRoot, rightRoot);
+  if (!result || typeof result !== 'object' || typeof result.compareToken !== 'string') {
+    throw new Error('Invalid compare response from main process.');
+  }
+
+  currentPlan = Array.isArray(result.plan) ? result.plan : [];
+  currentDirectoriesToCreate = Array.isArray(result.directoriesToCreate)
+    ? result.directoriesToCreate
+    : [];
+  currentOrphans = Array.isArray(result.orphans) ? result.orphans : [];
+  currentPins = Array.isArray(result.pins) ? result.pins : [];
+  currentCollisions = Array.isArray(result.collisions) ? result.collisions : [];
+  lastFilterStats = Array.isArray(result.filterStats) ? result.filterStats : [];
+  currentCompareToken = result.compareToken;
+  selectEverything();
+  resultModels = createResultModels(currentPlan, currentOrphans, currentPins);
+  sortResultModels();
+  renderResults();
+  planTree = buildPlanTree(currentPlan, currentDirectoriesToCreate);
+  renderTree();
+  return result;
+}
+
+async function pickDirectory(inputEl) {
+  const previous = inputEl.value.trim();
+  const selected = await window.treeSync.pickDirectory(inputEl.value || undefined);
+  if (selected) {
+    inputEl.value = selected;
+    if (selected.trim() !== previous) {
+      invalidateCompareState('Directory changed. Run compare again.');
+    }
+    await saveSelectedDirectories();
+  }
+}
+
+function hasFilePayload(event) {
+  const dataTransfer = event && event.dataTransfer;
+  if (!dataTransfer) {
+    return false;
+  }
+
+  const types = dataTransfer.types ? Array.from(dataTransfer.types) : [];
+  if (dataTransfer.files && dataTransfer.files.length > 0) {
+    return true;
+  }
+
+  return types.includes('Files') || types.includes('text/uri-list') || types.includes('public.file-url');
+}
+
+function decodePlainDroppedPath(rawValue) {
+  const candidate = String(rawValue || '').trim();
   if (!candidate) {
     return null;
   }
@@ -893,6 +2011,59 @@ async function refreshCompareAfterSync(result) {
   }
 }
 
+function formatUndoStatus(result) {
+  let text = `Sync undone: restored ${result.restored.length} and removed ${result.removed.length} file(s)`;
+  if (result.untrashed.length > 0) {
+    text += `, returned ${result.untrashed.length} from trash`;
+  }
+  text += '.';
+  if (result.keptDirectories.length > 0) {
+    text += ` Kept ${result.keptDirectories.length} created folder(s) that now hold other files.`;
+  }
+  if (result.warning) {
+    text += ` Warning: ${result.warning}`;
+  }
+  return text;
+}
+
+async function undoSyncFromHistory(item) {
+  if (isBusy || item.undo !== 'available') {
+    return;
+  }
+  const files = normalizeHistoryFiles(item).filter((file) => !file.heldBack && file.targetRelativePath);
+  const confirmed = await promptForConfirmation({
+    title: 'Undo this sync?',
+    message: 'Replaced files are put back, files and folders the sync created are removed, ' +
+      'and orphans it moved to trash are put back. Nothing is changed if a destination file was modified since.',
+    items: files.slice(0, 25).map((file) => file.targetRelativePath)
+      .concat(files.length > 25 ? [`...and ${files.length - 25} more`] : []),
+    confirmLabel: 'Undo Sync',
+  });
+  if (!confirmed) {
+    return;
+  }
+
+  setBusy(true);
+  try {
+    const result = await window.treeSync.undoSync(item.id);
+    syncHistory = Array.isArray(result.history) ? result.history : syncHistory;
+    renderHistory(syncHistory);
+    invalidateCompareState(formatUndoStatus(result));
+  } catch (error) {
+    setPlainStatus(`Undo failed: ${messageFromError(error, 'Unexpected error.')}`);
+    // An undo that stopped partway is recorded on its history entry.
+    try {
+      const state = await window.treeSync.getAppState();
+      syncHistory = Array.isArray(state && state.syncHistory) ? state.syncHistory : syncHistory;
+      renderHistory(syncHistory);
+    } catch (refreshError) {
+      // Keep the history as shown.
+    }
+  } finally {
+    setBusy(false);
+  }
+}
+
 clearHistoryBtn.addEventListener('click', async () => {
   if (!syncHistory.length || isBusy) {
     return;
@@ -967,7 +2138,66 @@ document.addEventListener('keydown', async (event) => {
   }
 });
 
-compareBtn.addEventListener('click', async () => {
+function formatHashingSummary(result) {
+  if (!result || result.compareMode !== 'content' || !result.hashedCount) {
+    return '';
+  }
+  const cached = Number(result.checksumCacheHits) || 0;
+  return ` Hashed ${result.hashedCount} same-size file(s), ${cached} checksum(s) reused from cache.`;
+}
+
+function formatFilterSummary(result) {
+  const stats = Array.isArray(result && result.filterStats) ? result.filterStats : [];
+  const excluded = stats.reduce((sum, rule) => sum + rule.sourceExcluded + rule.destinationExcluded, 0);
+  return excluded > 0 ? ` Filters excluded ${excluded} file(s) or folder(s).` : '';
+}
+
+function formatPinSummary() {
+  const never = currentPins.filter((pin) => pin.status === 'never').length;
+  const broken = currentPins
+    .filter((pin) => pin.status === 'version-missing' || pin.status === 'target-missing')
+    .length;
+  let text = never > 0 ? ` ${never} file(s) pinned to never sync.` : '';
+  if (broken > 0) {
+    text += ` ${broken} pin(s) no longer match the source; those files are held back.`;
+  }
+  return text;
+}
+
+function formatCollisionSummary(result) {
+  if (!currentCollisions.length) {
+    return '';
+  }
+  const errors = currentCollisions.filter((collision) => collision.severity === 'error');
+  const heldFiles = errors.reduce((sum, collision) => sum + collision.targetRelativePaths.length, 0);
+  const warningCount = currentCollisions.length - errors.length;
+  const caseText = result && result.destinationCaseSensitive === false ? ' (destination ignores case)' : '';
+  let text = errors.length > 0 ? ` ${errors.length} name collision(s) held back ${heldFiles} file(s)${caseText}.` : '';
+  if (warningCount > 0) {
+    text += ` ${warningCount} name warning(s).`;
+  }
+  return text;
+}
+
+function formatNewerSummary() {
+  const held = currentPlan.filter(
+    (item) => item.destinationNewer && !selectedPlanTargets.has(item.targetRelativePath)
+  ).length;
+  return held > 0
+    ? ` ${held} destination file(s) are newer than their source and are held back; select them to overwrite.`
+    : '';
+}
+
+function formatOrphanSummary() {
+  if (!currentOrphans.length) {
+    return '';
+  }
+  return syncOptions.mirror
+    ? ` ${currentOrphans.length} orphaned destination file(s) will be moved to trash.`
+    : ` ${currentOrphans.length} destination file(s) have no source.`;
+}
+
+async function runCompare() {
   const leftRoot = leftPathInput.value.trim();
   const rightRoot = rightPathInput.value.trim();
 
@@ -978,21 +2208,27 @@ compareBtn.addEventListener('click', async () => {
 
   setBusy(true);
   setSyncReport('');
-  setPlainStatus('Comparing directory trees...');
+  setPlainStatus(compareOptions.mode === 'content'
+    ? 'Comparing directory trees and hashing same-size files...'
+    : 'Comparing directory trees...');
   progressBar.hidden = true;
 
   try {
     await saveSelectedDirectories();
-    await compareDirectories(leftRoot, rightRoot);
+    const result = await compareDirectories(leftRoot, rightRoot);
+    const hashingText = formatHashingSummary(result);
+    const orphanText = formatOrphanSummary();
+    const heldBackText = `${formatNewerSummary()}${formatPinSummary()}${formatCollisionSummary(result)}`;
+    const filterText = formatFilterSummary(result);
 
     if (currentPlan.length > 0) {
       const totalBytes = currentPlan.reduce((sum, item) => sum + (Number(item.sourceSize) || 0), 0);
       setPlainStatus(
         `Compare complete: ${currentPlan.length} file(s) will be copied/replaced ` +
-        `(${formatBytesHuman(totalBytes)} total).`
+        `(${formatBytesHuman(totalBytes)} total).${orphanText}${heldBackText}${filterText}${hashingText}`
       );
     } else {
-      setPlainStatus('Compare complete: no files need syncing.');
+      setPlainStatus(`Compare complete: no files need copying.${orphanText}${heldBackText}${filterText}${hashingText}`);
     }
   } catch (error) {
     invalidateCompareState();
@@ -1001,26 +2237,189 @@ compareBtn.addEventListener('click', async () => {
   } finally {
     setBusy(false);
   }
+}
+
+compareBtn.addEventListener('click', () => {
+  runCompare();
 });
 
-async function runSyncOperation(executeSyncPromiseFactory) {
-  setBusy(true);
-  setSyncState(true, false);
-  setSyncReport('');
-  smoothedThroughputBps = 0;
-  progressBar.hidden = false;
-  progressBar.value = 0;
+function pinOptionsFor(target) {
+  const options = [{ value: '', label: 'Latest version (no pin)' }];
+  const seenVersions = new Set();
+  for (const candidate of target.candidates) {
+    if (!seenVersions.has(candidate.version)) {
+      seenVersions.add(candidate.version);
+      options.push({
+        value: `version:${candidate.version}`,
+        label: `${formatCandidateVersion(candidate)}  ${candidate.sourceRelativePath}`,
+      });
+    }
+  }
+  const { pin } = target;
+  if (pin && pin.mode === 'version' && !seenVersions.has(pin.version)) {
+    options.push({ value: `version:${pin.version}`, label: `v${pin.version} (no longer in the source)` });
+  }
+  options.push({ value: 'never', label: 'Never sync this file' });
+  return options;
+}
 
-  const stopListening = window.treeSync.onSyncProgress((progress) => {
-    applySyncProgress(progress || {});
-  });
+function closePinEditor() {
+  pinModal.hidden = true;
+}
 
-  try {
-    const result = await executeSyncPromiseFactory();
+function openPinEditor(target) {
+  if (isBusy) {
+    return;
+  }
+  pinTarget.textContent = relativePathText(target.targetRelativePath);
+  pinVersionSelect.innerHTML = '';
+  for (const option of pinOptionsFor(target)) {
+    const element = document.createElement('option');
+    element.value = option.value;
+    element.textContent = option.label;
+    pinVersionSelect.appendChild(element);
+  }
+  const { pin } = target;
+  pinVersionSelect.value = pin ? (pin.mode === 'never' ? 'never' : `version:${pin.version}`) : '';
+  pinMessage.textContent = 'Pins are saved with the current profile for this source and destination.';
+  pinModal.dataset.targetRelativePath = target.targetRelativePath;
+  pinModal.hidden = false;
+  pinVersionSelect.focus();
+}
 
-    if (result.logEntry) {
-      syncHistory = [result.logEntry, ...syncHistory];
-      renderHistory(syncHistory);
+async function savePin() {
+  const value = pinVersionSelect.value;
+  const pin = {
+    targetRelativePath: pinModal.dataset.targetRelativePath || '',
+    mode: value === 'never' ? 'never' : value ? 'version' : '',
+    version: value.startsWith('version:') ? Number(value.slice('version:'.length)) : null,
+  };
+
+  savePinBtn.disabled = true;
+  try {
+    const result = await window.treeSync.setPin(pin);
+    closePinEditor();
+    await runCompare();
+    if (result && result.warning) {
+      setPlainStatus(`Warning: ${result.warning}`);
+    }
+  } catch (error) {
+    pinMessage.textContent = `Error: ${messageFromError(error, 'Failed to save the pin.')}`;
+  } finally {
+    savePinBtn.disabled = false;
+  }
+}
+
+savePinBtn.addEventListener('click', () => {
+  savePin();
+});
+
+cancelPinBtn.addEventListener('click', closePinEditor);
+
+pinModal.addEventListener('click', (event) => {
+  if (event.target === pinModal) {
+    closePinEditor();
+  }
+});
+
+pinModal.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closePinEditor();
+  }
+});
+
+function setVisibleRowsSelected(selectedFor) {
+  for (const model of visibleResultModels) {
+    setRowSelected(model, selectedFor(model));
+  }
+  refreshSelectionControls();
+}
+
+selectAllBtn.addEventListener('click', () => {
+  setVisibleRowsSelected(() => true);
+});
+
+selectNoneBtn.addEventListener('click', () => {
+  setVisibleRowsSelected(() => false);
+});
+
+invertSelectionBtn.addEventListener('click', () => {
+  setVisibleRowsSelected((model) => !isRowSelected(model));
+});
+
+for (const header of compareSortHeaders) {
+  header.addEventListener('click', () => {
+    const key = header.dataset.sortKey;
+    resultSort = { key, descending: resultSort.key === key ? !resultSort.descending : false };
+    sortResultModels();
+    if (resultModels.length) {
+      renderResults();
+    }
+  });
+}
+
+function applyResultFilter() {
+  resultFilter = {
+    text: resultsFilterInput.value.trim().toLowerCase(),
+    missing: missingFilterCheckbox.checked,
+    sizeChanged: sizeChangedFilterCheckbox.checked,
+    folder: resultFilter.folder,
+  };
+  if (resultModels.length) {
+    renderResults();
+  }
+}
+
+function setFolderFilter(folder) {
+  resultFilter = { ...resultFilter, folder };
+  folderFilterBtn.hidden = !folder;
+  folderFilterBtn.textContent = folder ? `In ${folder}/ \u00d7` : '';
+  if (resultModels.length) {
+    renderResults();
+  }
+  renderTree();
+}
+
+function setResultsView(view) {
+  resultsView = view;
+  resultsListScroll.hidden = view !== 'list';
+  resultsTreeScroll.hidden = view !== 'tree';
+  resultsViewBtn.textContent = view === 'tree' ? 'List View' : 'Tree View';
+  updateResultsPanelHeights();
+}
+
+folderFilterBtn.addEventListener('click', () => {
+  setFolderFilter('');
+});
+
+resultsViewBtn.addEventListener('click', () => {
+  setResultsView(resultsView === 'tree' ? 'list' : 'tree');
+});
+
+resultsFilterInput.addEventListener('input', applyResultFilter);
+missingFilterCheckbox.addEventListener('change', applyResultFilter);
+sizeChangedFilterCheckbox.addEventListener('change', applyResultFilter);
+
+async function runSyncOperation(executeSyncPromiseFactory) {
+  setBusy(true);
+  setSyncState(true, false);
+  setSyncReport('');
+  smoothedThroughputBps = 0;
+  rateLimitSelect.value = '';
+  progressBar.hidden = false;
+  progressBar.value = 0;
+
+  const stopListening = window.treeSync.onSyncProgress((progress) => {
+    applySyncProgress(progress || {});
+  });
+
+  try {
+    const result = await executeSyncPromiseFactory();
+
+    if (result.logEntry) {
+      syncHistory = [result.logEntry, ...syncHistory];
+      renderHistory(syncHistory);
     }
 
     setSyncReport(formatSyncSummary(result));
@@ -1055,6 +2454,24 @@ pauseBtn.addEventListener('click', async () => {
   }
 });
 
+rateLimitSelect.addEventListener('change', async () => {
+  if (!isSyncing || isCancellingSync) {
+    return;
+  }
+
+  const value = rateLimitSelect.value;
+  try {
+    const state = await window.treeSync.setSyncRateLimit(value === '' ? null : Number(value) * BYTES_PER_MEGABYTE);
+    if (state && state.active) {
+      setPlainStatus(state.rateLimitBps > 0
+        ? `Transfer limit set to ${formatSpeed(state.rateLimitBps)}.`
+        : 'Transfer limit removed for this sync.');
+    }
+  } catch (error) {
+    setPlainStatus(`Changing the transfer limit failed: ${messageFromError(error, 'Unexpected error.')}`);
+  }
+});
+
 syncBtn.addEventListener('click', async () => {
   if (isSyncing) {
     if (isCancellingSync) {
@@ -1075,8 +2492,10 @@ syncBtn.addEventListener('click', async () => {
     return;
   }
 
-  if (!currentPlan.length) {
-    setPlainStatus('Nothing to sync.');
+  if (!hasSyncWork()) {
+    setPlainStatus(currentPlan.length || currentOrphans.length
+      ? 'Select at least one file to sync.'
+      : 'Nothing to sync.');
     return;
   }
 
@@ -1085,29 +2504,1000 @@ syncBtn.addEventListener('click', async () => {
     return;
   }
 
-  if (currentDirectoriesToCreate.length > 0) {
-    const proceed = await promptForFolderCreation(currentDirectoriesToCreate);
+  if (currentCollisions.length > 0) {
+    const proceed = await promptForCollisionReview(currentCollisions);
+    if (!proceed) {
+      setPlainStatus('Sync cancelled.');
+      return;
+    }
+  }
+
+  const plan = selectedPlan();
+  const overwrittenNewer = plan.filter((item) => item.destinationNewer);
+  if (overwrittenNewer.length > 0) {
+    const proceed = await promptForNewerOverwrite(overwrittenNewer);
     if (!proceed) {
       setPlainStatus('Sync cancelled.');
       return;
     }
   }
 
-  const plannedTotalBytes = currentPlan.reduce((sum, item) => sum + (Number(item.sourceSize) || 0), 0);
+  const directoriesToCreate = selectedDirectoriesToCreate();
+  if (directoriesToCreate.length > 0) {
+    const proceed = await promptForFolderCreation(directoriesToCreate);
+    if (!proceed) {
+      setPlainStatus('Sync cancelled.');
+      return;
+    }
+  }
+
+  const orphans = orphansToTrash();
+  if (orphans.length > 0) {
+    const proceed = await promptForOrphanRemoval(orphans);
+    if (!proceed) {
+      setPlainStatus('Sync cancelled.');
+      return;
+    }
+  }
+
+  const plannedTotalBytes = plan.reduce((sum, item) => sum + (Number(item.sourceSize) || 0), 0);
   progressBar.max = plannedTotalBytes > 0 ? plannedTotalBytes : 1;
 
   await runSyncOperation(async () => {
-    setPlainStatus(`Syncing ${currentPlan.length} file(s)...`);
+    setPlainStatus(`Syncing ${plan.length} file(s)...`);
     return window.treeSync.syncPlan(
-      currentPlan,
+      planForSync(),
       leftPathInput.value.trim(),
       rightPathInput.value.trim(),
-      currentDirectoriesToCreate,
-      currentCompareToken
+      directoriesToCreate,
+      currentCompareToken,
+      orphans
     );
   });
 });
 
+function formatSyncRecoveryDetails(summary) {
+  const lines = [
+    `Source: ${summary.leftRoot || '(unknown)'}`,
+    `Destination: ${summary.rightRoot || '(unknown)'}`,
+    `Completed: ${summary.completedCount} of ${summary.totalCount} file(s)`,
+    `Pending: ${summary.pendingCount} file(s)`,
+  ];
+  if (summary.failedCount > 0) {
+    lines.push(`Failed: ${summary.failedCount} file(s)`);
+  }
+  if (summary.totalBytes > 0) {
+    lines.push(`Transferred: ${formatBytesHuman(summary.bytesTransferred)} of ${formatBytesHuman(summary.totalBytes)}`);
+  }
+  if (summary.partialCount > 0) {
+    lines.push(`Partly copied: ${summary.partialCount} file(s), ` +
+      `${formatBytesHuman(summary.partialBytes)} already written`);
+  }
+  if (summary.startedAt) {
+    lines.push(`Started: ${formatTimestamp(summary.startedAt)}`);
+  }
+  if (summary.updatedAt) {
+    lines.push(`Last update: ${formatTimestamp(summary.updatedAt)}`);
+  }
+  return lines.join('\n');
+}
+
+function promptForSyncRecovery(summary) {
+  return new Promise((resolve) => {
+    syncRecoveryDetails.textContent = formatSyncRecoveryDetails(summary);
+    syncRecoveryMessage.textContent = summary.recoveredActiveEntries > 0
+      ? `${summary.recoveredActiveEntries} file(s) that were being replaced were restored. ` +
+        'Resume to copy the remaining files, or discard the interrupted sync.'
+      : 'Resume to copy the remaining files, or discard the interrupted sync.';
+    syncRecoveryModal.hidden = false;
+
+    const cleanup = () => {
+      syncRecoveryModal.hidden = true;
+      resumeSyncRecoveryBtn.removeEventListener('click', onResume);
+      discardSyncRecoveryBtn.removeEventListener('click', onDiscard);
+      laterSyncRecoveryBtn.removeEventListener('click', onLater);
+      syncRecoveryModal.removeEventListener('click', onBackdropClick);
+      document.removeEventListener('keydown', onKeydown);
+    };
+
+    const choose = (choice) => {
+      cleanup();
+      resolve(choice);
+    };
+
+    const onResume = () => choose('resume');
+    const onDiscard = () => choose('discard');
+    const onLater = () => choose('later');
+
+    const onBackdropClick = (event) => {
+      if (event.target === syncRecoveryModal) {
+        onLater();
+      }
+    };
+
+    const onKeydown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onLater();
+      }
+    };
+
+    resumeSyncRecoveryBtn.addEventListener('click', onResume);
+    discardSyncRecoveryBtn.addEventListener('click', onDiscard);
+    laterSyncRecoveryBtn.addEventListener('click', onLater);
+    syncRecoveryModal.addEventListener('click', onBackdropClick);
+    document.addEventListener('keydown', onKeydown);
+
+    resumeSyncRecoveryBtn.focus();
+  });
+}
+
+async function offerSyncRecovery() {
+  let summary = null;
+  try {
+    summary = await window.treeSync.getSyncRecovery();
+  } catch (error) {
+    setPlainStatus(`Failed to check for an interrupted sync: ${messageFromError(error, 'Unexpected error.')}`);
+    return;
+  }
+
+  if (!summary || isBusy) {
+    return;
+  }
+
+  const choice = await promptForSyncRecovery(summary);
+  if (choice === 'resume') {
+    await runSyncOperation(async () => {
+      setPlainStatus(`Resuming interrupted sync: ${summary.pendingCount} file(s) pending...`);
+      return window.treeSync.resumeSyncRecovery();
+    });
+    return;
+  }
+
+  if (choice === 'discard') {
+    try {
+      await window.treeSync.discardSyncRecovery();
+      setPlainStatus('Interrupted sync discarded.');
+    } catch (error) {
+      setPlainStatus(`Failed to discard interrupted sync: ${messageFromError(error, 'Unexpected error.')}`);
+    }
+    return;
+  }
+
+  setPlainStatus('Interrupted sync kept. It will be offered again at next launch unless a new sync replaces it.');
+}
+
+function versionPatternDefinitions() {
+  return [
+    ...builtinVersionPatterns.map((pattern) => ({ ...pattern, builtin: true })),
+    ...versionPatternDraft.customPatterns.map((pattern) => ({ ...pattern, builtin: false })),
+  ];
+}
+
+// Patterns are listed in the order they are tried; unordered ones (e.g. new customs) go last.
+function orderedVersionPatterns() {
+  const definitions = new Map(versionPatternDefinitions().map((pattern) => [pattern.id, pattern]));
+  const ordered = [];
+  for (const id of versionPatternDraft.patternOrder) {
+    if (definitions.has(id)) {
+      ordered.push(definitions.get(id));
+      definitions.delete(id);
+    }
+  }
+  return [...ordered, ...definitions.values()];
+}
+
+function moveVersionPattern(id, offset) {
+  const ids = orderedVersionPatterns().map((pattern) => pattern.id);
+  const index = ids.indexOf(id);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= ids.length) {
+    return;
+  }
+  [ids[index], ids[target]] = [ids[target], ids[index]];
+  versionPatternDraft.patternOrder = ids;
+  renderVersionPatternList();
+  refreshPatternPreview();
+}
+
+function draftVersioningForSave() {
+  const enabled = new Set(versionPatternDraft.enabledPatternIds);
+  return {
+    enabledPatternIds: orderedVersionPatterns()
+      .map((pattern) => pattern.id)
+      .filter((id) => enabled.has(id)),
+    customPatterns: versionPatternDraft.customPatterns.map((pattern) => ({ ...pattern })),
+  };
+}
+
+function renderVersionPatternList() {
+  versionPatternList.innerHTML = '';
+  const enabled = new Set(versionPatternDraft.enabledPatternIds);
+  const patterns = orderedVersionPatterns();
+
+  patterns.forEach((pattern, index) => {
+    const row = document.createElement('div');
+    row.className = 'pattern-row';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = enabled.has(pattern.id);
+    checkbox.addEventListener('change', () => {
+      const ids = new Set(versionPatternDraft.enabledPatternIds);
+      if (checkbox.checked) {
+        ids.add(pattern.id);
+      } else {
+        ids.delete(pattern.id);
+      }
+      versionPatternDraft.enabledPatternIds = Array.from(ids);
+      refreshPatternPreview();
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(pattern.label));
+
+    const source = document.createElement('code');
+    source.textContent = pattern.pattern;
+    source.title = pattern.pattern;
+
+    row.appendChild(label);
+    row.appendChild(source);
+
+    const actions = document.createElement('span');
+    actions.className = 'pattern-row-actions';
+    const upBtn = document.createElement('button');
+    upBtn.type = 'button';
+    upBtn.textContent = 'Up';
+    upBtn.title = 'Try this pattern earlier';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => moveVersionPattern(pattern.id, -1));
+    const downBtn = document.createElement('button');
+    downBtn.type = 'button';
+    downBtn.textContent = 'Down';
+    downBtn.title = 'Try this pattern later';
+    downBtn.disabled = index === patterns.length - 1;
+    downBtn.addEventListener('click', () => moveVersionPattern(pattern.id, 1));
+    actions.appendChild(upBtn);
+    actions.appendChild(downBtn);
+
+    if (!pattern.builtin) {
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        versionPatternDraft.customPatterns = versionPatternDraft.customPatterns
+          .filter((candidate) => candidate.id !== pattern.id);
+        versionPatternDraft.enabledPatternIds = versionPatternDraft.enabledPatternIds
+          .filter((id) => id !== pattern.id);
+        renderVersionPatternList();
+        refreshPatternPreview();
+      });
+      actions.appendChild(removeBtn);
+    }
+
+    row.appendChild(actions);
+    versionPatternList.appendChild(row);
+  });
+}
+
+function formatPatternPreview(preview) {
+  if (!preview) {
+    return '';
+  }
+  if (!preview.ok) {
+    return `Error: ${preview.error}`;
+  }
+  if (!preview.sample) {
+    return 'Type a sample file name to preview how it is parsed.';
+  }
+
+  const lines = [];
+  if (preview.parsed && preview.parsed.isVersioned) {
+    const winner = preview.matches.find((match) => match.id === preview.parsed.patternId);
+    lines.push(`Destination name: ${preview.parsed.targetFileName}`);
+    lines.push(`Version: ${preview.parsed.version} (${winner ? winner.label : preview.parsed.patternId})`);
+  } else {
+    lines.push(`Destination name: ${preview.sample}`);
+    lines.push('Version: none (no enabled pattern matched)');
+  }
+
+  if (preview.matches.length > 0) {
+    lines.push('');
+    for (const match of preview.matches) {
+      lines.push(match.matched
+        ? `- ${match.label}: ${match.targetFileName} (v${match.version})`
+        : `- ${match.label}: no match`);
+    }
+  }
+  return lines.join('\n');
+}
+
+async function refreshPatternPreview() {
+  const requestId = ++patternPreviewRequestId;
+  try {
+    const preview = await window.treeSync.previewVersionPattern(
+      patternSampleInput.value,
+      draftVersioningForSave()
+    );
+    if (requestId === patternPreviewRequestId) {
+      patternPreviewOutput.textContent = formatPatternPreview(preview);
+    }
+  } catch (error) {
+    if (requestId === patternPreviewRequestId) {
+      patternPreviewOutput.textContent = `Error: ${messageFromError(error, 'Preview failed.')}`;
+    }
+  }
+}
+
+function closeVersionPatternEditor() {
+  versionPatternModal.hidden = true;
+}
+
+async function openVersionPatternEditor() {
+  try {
+    const response = await window.treeSync.getVersionPatterns();
+    builtinVersionPatterns = Array.isArray(response && response.builtinPatterns)
+      ? response.builtinPatterns
+      : [];
+    const versioning = response && response.versioning ? response.versioning : {};
+    const enabledPatternIds = Array.isArray(versioning.enabledPatternIds) ? [...versioning.enabledPatternIds] : [];
+    versionPatternDraft = {
+      enabledPatternIds,
+      customPatterns: Array.isArray(versioning.customPatterns)
+        ? versioning.customPatterns.map((pattern) => ({ ...pattern }))
+        : [],
+      patternOrder: [...enabledPatternIds],
+    };
+  } catch (error) {
+    setPlainStatus(`Failed to load version patterns: ${messageFromError(error, 'Unexpected error.')}`);
+    return;
+  }
+
+  customPatternLabelInput.value = '';
+  customPatternSourceInput.value = '';
+  renderVersionPatternList();
+  versionPatternModal.hidden = false;
+  await refreshPatternPreview();
+  patternSampleInput.focus();
+}
+
+versionPatternsBtn.addEventListener('click', () => {
+  if (isBusy) {
+    return;
+  }
+  openVersionPatternEditor();
+});
+
+addCustomPatternBtn.addEventListener('click', () => {
+  const pattern = customPatternSourceInput.value.trim();
+  if (!pattern) {
+    patternPreviewOutput.textContent = 'Error: Enter a regular expression for the custom pattern.';
+    return;
+  }
+
+  const id = `custom-${Date.now().toString(36)}`;
+  versionPatternDraft.customPatterns.push({
+    id,
+    label: customPatternLabelInput.value.trim() || pattern,
+    pattern,
+  });
+  versionPatternDraft.enabledPatternIds.push(id);
+  customPatternLabelInput.value = '';
+  customPatternSourceInput.value = '';
+  renderVersionPatternList();
+  refreshPatternPreview();
+});
+
+patternSampleInput.addEventListener('input', () => {
+  refreshPatternPreview();
+});
+
+saveVersionPatternsBtn.addEventListener('click', async () => {
+  try {
+    const result = await window.treeSync.setVersionPatterns(draftVersioningForSave());
+    closeVersionPatternEditor();
+    invalidateCompareState(result && result.warning
+      ? `Warning: ${result.warning}`
+      : 'Version patterns saved. Run compare again.');
+  } catch (error) {
+    patternPreviewOutput.textContent = `Error: ${messageFromError(error, 'Failed to save version patterns.')}`;
+  }
+});
+
+cancelVersionPatternsBtn.addEventListener('click', closeVersionPatternEditor);
+
+versionPatternModal.addEventListener('click', (event) => {
+  if (event.target === versionPatternModal) {
+    closeVersionPatternEditor();
+  }
+});
+
+versionPatternModal.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeVersionPatternEditor();
+  }
+});
+
+function formatFilterStats(stats) {
+  if (!stats) {
+    return 'Run compare to see how many files each rule excludes.';
+  }
+  if (!stats.length) {
+    return 'No exclude rules were active in the last compare.';
+  }
+  return stats
+    .map((rule) => `${rule.pattern}  [${FILTER_ORIGIN_LABELS[rule.origin] || rule.origin}]  ` +
+      `source ${rule.sourceExcluded}, destination ${rule.destinationExcluded}`)
+    .join('\n');
+}
+
+function closeFilterEditor() {
+  filterModal.hidden = true;
+}
+
+function openFilterEditor() {
+  filterRulesInput.value = filterConfig.rules.join('\n');
+  filterStatsOutput.textContent = formatFilterStats(lastFilterStats);
+  filterMessage.textContent = '';
+  filterModal.hidden = false;
+  filterRulesInput.focus();
+}
+
+filtersBtn.addEventListener('click', () => {
+  if (isBusy) {
+    return;
+  }
+  openFilterEditor();
+});
+
+saveFiltersBtn.addEventListener('click', async () => {
+  try {
+    const result = await window.treeSync.setFilters({ rules: filterRulesInput.value.split(/\r?\n/) });
+    if (result && result.filters) {
+      filterConfig = result.filters;
+    }
+    lastFilterStats = null;
+    closeFilterEditor();
+    invalidateCompareState(result && result.warning
+      ? `Warning: ${result.warning}`
+      : 'Filters saved. Run compare again.');
+  } catch (error) {
+    filterMessage.textContent = `Error: ${messageFromError(error, 'Failed to save filters.')}`;
+  }
+});
+
+cancelFiltersBtn.addEventListener('click', closeFilterEditor);
+
+filterModal.addEventListener('click', (event) => {
+  if (event.target === filterModal) {
+    closeFilterEditor();
+  }
+});
+
+filterModal.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeFilterEditor();
+  }
+});
+
+function applyAppOptions(state) {
+  if (state && state.compareOptions) {
+    compareOptions = { ...compareOptions, ...state.compareOptions };
+  }
+  if (state && state.syncOptions) {
+    syncOptions = { ...syncOptions, ...state.syncOptions };
+  }
+  if (state && state.filters) {
+    filterConfig = { ...filterConfig, ...state.filters };
+  }
+}
+
+function syncHashAlgorithmAvailability() {
+  hashAlgorithmSelect.disabled = compareModeSelect.value !== 'content';
+  verifyAlgorithmSelect.disabled = !verifyCheckbox.checked;
+  for (const control of [archiveLocationInput, chooseArchiveLocationBtn, resetArchiveLocationBtn,
+    archiveKeepRunsInput, archiveMaxAgeInput]) {
+    control.disabled = !archiveCheckbox.checked;
+  }
+  // The archive already keeps what undo needs.
+  keepReplacedCheckbox.disabled = archiveCheckbox.checked;
+  for (const control of [keepReplacedRunsInput, keepReplacedMaxAgeInput]) {
+    control.disabled = archiveCheckbox.checked || !keepReplacedCheckbox.checked;
+  }
+}
+
+function closeOptionsEditor() {
+  optionsModal.hidden = true;
+}
+
+function openOptionsEditor() {
+  compareModeSelect.value = compareOptions.mode;
+  hashAlgorithmSelect.value = compareOptions.hashAlgorithm;
+  mirrorCheckbox.checked = syncOptions.mirror;
+  verifyCheckbox.checked = syncOptions.verify;
+  verifyAlgorithmSelect.value = syncOptions.verifyAlgorithm;
+  archiveCheckbox.checked = syncOptions.archive;
+  archiveLocationInput.value = syncOptions.archiveLocation;
+  archiveKeepRunsInput.value = String(syncOptions.archiveKeepRuns);
+  archiveMaxAgeInput.value = String(syncOptions.archiveMaxAgeDays);
+  keepReplacedCheckbox.checked = syncOptions.keepReplaced;
+  keepReplacedRunsInput.value = String(syncOptions.keepReplacedRuns);
+  keepReplacedMaxAgeInput.value = String(syncOptions.keepReplacedMaxAgeDays);
+  rateLimitInput.value = formatMegabytes(syncOptions.rateLimitBps);
+  rateScheduleInput.value = syncOptions.rateLimitSchedule
+    .map((rule) => `${rule.start}-${rule.end}=${formatMegabytes(rule.bytesPerSecond)}`)
+    .join('\n');
+  smallFileThresholdInput.value = String(syncOptions.smallFileThresholdMB);
+  minParallelInput.value = String(syncOptions.minParallelFiles);
+  maxParallelInput.value = String(syncOptions.maxParallelFiles);
+  maxParallelLargeInput.value = String(syncOptions.maxParallelLargeFiles);
+  preserveTimesCheckbox.checked = syncOptions.preserveTimes;
+  preserveModeCheckbox.checked = syncOptions.preserveMode;
+  preserveXattrsCheckbox.checked = syncOptions.preserveXattrs;
+  syncHashAlgorithmAvailability();
+  optionsMessage.textContent = '';
+  optionsModal.hidden = false;
+  compareModeSelect.focus();
+}
+
+// Lines look like "09:00-18:00=2" (MB/s). Throws on the first line that does not parse.
+function parseRateSchedule(text) {
+  const rules = [];
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    const match = /^\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*=\s*(\d+(?:\.\d+)?)\s*$/.exec(line);
+    if (!match) {
+      throw new Error(`Schedule line "${line.trim()}" should look like 09:00-18:00=2.`);
+    }
+    rules.push({ start: match[1], end: match[2], bytesPerSecond: Number(match[3]) * BYTES_PER_MEGABYTE });
+  }
+  return rules;
+}
+
+function readOptionsForm() {
+  return {
+    compareOptions: {
+      mode: compareModeSelect.value,
+      hashAlgorithm: hashAlgorithmSelect.value,
+    },
+    syncOptions: {
+      mirror: mirrorCheckbox.checked,
+      verify: verifyCheckbox.checked,
+      verifyAlgorithm: verifyAlgorithmSelect.value,
+      archive: archiveCheckbox.checked,
+      archiveLocation: archiveLocationInput.value,
+      archiveKeepRuns: Number(archiveKeepRunsInput.value) || 0,
+      archiveMaxAgeDays: Number(archiveMaxAgeInput.value) || 0,
+      keepReplaced: keepReplacedCheckbox.checked,
+      keepReplacedRuns: Number(keepReplacedRunsInput.value) || 0,
+      keepReplacedMaxAgeDays: Number(keepReplacedMaxAgeInput.value) || 0,
+      rateLimitBps: Math.round((Number(rateLimitInput.value) || 0) * BYTES_PER_MEGABYTE),
+      rateLimitSchedule: parseRateSchedule(rateScheduleInput.value),
+      smallFileThresholdMB: Number(smallFileThresholdInput.value) || 0,
+      minParallelFiles: Number(minParallelInput.value) || 0,
+      maxParallelFiles: Number(maxParallelInput.value) || 0,
+      maxParallelLargeFiles: Number(maxParallelLargeInput.value) || 0,
+      preserveTimes: preserveTimesCheckbox.checked,
+      preserveMode: preserveModeCheckbox.checked,
+      preserveXattrs: preserveXattrsCheckbox.checked,
+    },
+  };
+}
+
+optionsBtn.addEventListener('click', () => {
+  if (isBusy) {
+    return;
+  }
+  openOptionsEditor();
+});
+
+compareModeSelect.addEventListener('change', syncHashAlgorithmAvailability);
+verifyCheckbox.addEventListener('change', syncHashAlgorithmAvailability);
+archiveCheckbox.addEventListener('change', syncHashAlgorithmAvailability);
+keepReplacedCheckbox.addEventListener('change', syncHashAlgorithmAvailability);
+
+chooseArchiveLocationBtn.addEventListener('click', async () => {
+  const picked = await window.treeSync.pickDirectory(archiveLocationInput.value || rightPathInput.value.trim());
+  if (picked) {
+    archiveLocationInput.value = picked;
+  }
+});
+
+resetArchiveLocationBtn.addEventListener('click', () => {
+  archiveLocationInput.value = '';
+});
+
+saveOptionsBtn.addEventListener('click', async () => {
+  try {
+    const result = await window.treeSync.setOptions(readOptionsForm());
+    applyAppOptions(result);
+    closeOptionsEditor();
+    invalidateCompareState(result && result.warning
+      ? `Warning: ${result.warning}`
+      : 'Options saved. Run compare again.');
+  } catch (error) {
+    optionsMessage.textContent = `Error: ${messageFromError(error, 'Failed to save options.')}`;
+  }
+});
+
+cancelOptionsBtn.addEventListener('click', closeOptionsEditor);
+
+rebuildChecksumCacheBtn.addEventListener('click', async () => {
+  try {
+    await window.treeSync.rebuildChecksumCache();
+  } catch (error) {
+    optionsMessage.textContent = `Error: ${messageFromError(error, 'Failed to clear the checksum cache.')}`;
+    return;
+  }
+
+  closeOptionsEditor();
+  invalidateCompareState('Checksum cache cleared.');
+  if (compareOptions.mode === 'content' && leftPathInput.value.trim() && rightPathInput.value.trim()) {
+    await runCompare();
+  }
+});
+
+optionsModal.addEventListener('click', (event) => {
+  if (event.target === optionsModal) {
+    closeOptionsEditor();
+  }
+});
+
+optionsModal.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeOptionsEditor();
+  }
+});
+
+function renderArchiveRow(run, file) {
+  const row = document.createElement('div');
+  row.className = 'pattern-row archive-row';
+
+  const pathText = document.createElement('code');
+  pathText.textContent = file.relativePath;
+  pathText.title = file.sourceRelativePath
+    ? `${file.relativePath}\nReplaced by ${file.sourceRelativePath}`
+    : file.relativePath;
+
+  const size = document.createElement('span');
+  size.textContent = formatBytesHuman(file.size);
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.type = 'button';
+  restoreBtn.textContent = 'Restore';
+  restoreBtn.addEventListener('click', () => {
+    restoreFromArchive(run, file);
+  });
+
+  row.appendChild(pathText);
+  row.appendChild(size);
+  row.appendChild(restoreBtn);
+  return row;
+}
+
+function renderArchiveList() {
+  archiveList.innerHTML = '';
+  const query = archiveFilterInput.value.trim().toLowerCase();
+  let shown = 0;
+  let notShown = 0;
+
+  for (const run of archiveRuns) {
+    const files = run.files.filter((file) => !query || file.relativePath.toLowerCase().includes(query));
+    if (files.length === 0) {
+      continue;
+    }
+    if (shown >= ARCHIVE_LIST_LIMIT) {
+      notShown += files.length;
+      continue;
+    }
+
+    const heading = document.createElement('div');
+    heading.className = 'archive-run';
+    heading.textContent = `${formatTimestamp(run.archivedAt)} - ${files.length} file(s)` +
+      (run.reason === 'restore' ? ', replaced by a restore' : '');
+    archiveList.appendChild(heading);
+
+    for (const file of files) {
+      if (shown >= ARCHIVE_LIST_LIMIT) {
+        notShown += 1;
+        continue;
+      }
+      archiveList.appendChild(renderArchiveRow(run, file));
+      shown += 1;
+    }
+  }
+
+  if (shown === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'archive-run';
+    empty.textContent = archiveRuns.length > 0
+      ? 'No archived files match the filter.'
+      : 'Nothing has been archived for this destination yet.';
+    archiveList.appendChild(empty);
+  } else if (notShown > 0) {
+    const more = document.createElement('div');
+    more.className = 'archive-run';
+    more.textContent = `...and ${notShown} more. Filter by path to narrow the list.`;
+    archiveList.appendChild(more);
+  }
+}
+
+async function loadArchive() {
+  try {
+    const response = await window.treeSync.listArchive();
+    archiveRuns = Array.isArray(response && response.runs) ? response.runs : [];
+    archiveLocationText.textContent = `Archive folder: ${response.archiveRoot}`;
+  } catch (error) {
+    archiveRuns = [];
+    archiveMessage.textContent = `Error: ${messageFromError(error, 'Failed to read the archive.')}`;
+  }
+  renderArchiveList();
+}
+
+async function restoreFromArchive(run, file) {
+  if (isBusy) {
+    return;
+  }
+  const confirmed = await promptForConfirmation({
+    title: 'Restore archived file?',
+    message: `The copy archived ${formatTimestamp(run.archivedAt)} replaces the current destination file, ` +
+      'which is archived first.',
+    items: [file.relativePath],
+    confirmLabel: 'Restore',
+  });
+  if (!confirmed) {
+    return;
+  }
+
+  try {
+    await window.treeSync.restoreArchivedFile(run.id, file.relativePath);
+  } catch (error) {
+    archiveMessage.textContent = `Error: ${messageFromError(error, 'Failed to restore the file.')}`;
+    return;
+  }
+  invalidateCompareState(`Restored ${file.relativePath} from the archive. Run compare again.`);
+  await loadArchive();
+  archiveMessage.textContent = `Restored ${file.relativePath}.`;
+}
+
+function closeArchiveBrowser() {
+  archiveModal.hidden = true;
+}
+
+async function openArchiveBrowser() {
+  if (isBusy) {
+    return;
+  }
+  if (!rightPathInput.value.trim()) {
+    setPlainStatus('Choose a destination folder to browse its archive.');
+    return;
+  }
+  archiveFilterInput.value = '';
+  archiveMessage.textContent = '';
+  archiveLocationText.textContent = '';
+  archiveRuns = [];
+  archiveModal.hidden = false;
+  await loadArchive();
+  archiveFilterInput.focus();
+}
+
+archiveBtn.addEventListener('click', () => {
+  openArchiveBrowser();
+});
+
+archiveFilterInput.addEventListener('input', renderArchiveList);
+
+closeArchiveBtn.addEventListener('click', closeArchiveBrowser);
+
+archiveModal.addEventListener('click', (event) => {
+  if (event.target === archiveModal) {
+    closeArchiveBrowser();
+  }
+});
+
+archiveModal.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeArchiveBrowser();
+  }
+});
+
+function activeProfile() {
+  return profiles.find((profile) => profile.id === activeProfileId) || null;
+}
+
+function renderProfilePicker() {
+  profileSelect.innerHTML = '';
+  const noProfileOption = document.createElement('option');
+  noProfileOption.value = '';
+  noProfileOption.textContent = '(No profile)';
+  profileSelect.appendChild(noProfileOption);
+
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSelect.appendChild(option);
+  }
+  profileSelect.value = activeProfileId;
+}
+
+function applyWorkingState(state) {
+  const selectedDirs = state && state.selectedDirs ? state.selectedDirs : {};
+  leftPathInput.value = selectedDirs.leftRoot || '';
+  rightPathInput.value = selectedDirs.rightRoot || '';
+  applyAppOptions(state);
+  profiles = Array.isArray(state && state.profiles) ? state.profiles : [];
+  activeProfileId = state && typeof state.activeProfileId === 'string' ? state.activeProfileId : '';
+  renderProfilePicker();
+  updateControlStates();
+}
+
+function applyProfileChange(state, statusMessage) {
+  applyWorkingState(state);
+  lastFilterStats = null;
+  invalidateCompareState(state && state.warning ? `Warning: ${state.warning}` : statusMessage);
+}
+
+// Resolves with the submit result, or null when cancelled. Submit errors (e.g. a taken name) keep the dialog open.
+function promptForProfileName({ title, initialValue, confirmLabel, submit }) {
+  return new Promise((resolve) => {
+    profileNameTitle.textContent = title;
+    profileNameInput.value = initialValue || '';
+    profileNameMessage.textContent = '';
+    saveProfileNameBtn.textContent = confirmLabel || 'Save';
+    profileNameModal.hidden = false;
+
+    const cleanup = () => {
+      profileNameModal.hidden = true;
+      saveProfileNameBtn.removeEventListener('click', onSave);
+      cancelProfileNameBtn.removeEventListener('click', onCancel);
+      profileNameModal.removeEventListener('click', onBackdropClick);
+      profileNameModal.removeEventListener('keydown', onKeydown);
+    };
+
+    const onSave = async () => {
+      if (saveProfileNameBtn.disabled) {
+        return;
+      }
+      const name = profileNameInput.value.trim();
+      if (!name) {
+        profileNameMessage.textContent = 'Enter a profile name.';
+        return;
+      }
+      saveProfileNameBtn.disabled = true;
+      try {
+        const result = await submit(name);
+        cleanup();
+        resolve(result);
+      } catch (error) {
+        profileNameMessage.textContent = `Error: ${messageFromError(error, 'Failed to save the profile.')}`;
+      } finally {
+        saveProfileNameBtn.disabled = false;
+      }
+    };
+
+    const onCancel = () => {
+      cleanup();
+      resolve(null);
+    };
+
+    const onBackdropClick = (event) => {
+      if (event.target === profileNameModal) {
+        onCancel();
+      }
+    };
+
+    const onKeydown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onCancel();
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        onSave();
+      }
+    };
+
+    saveProfileNameBtn.addEventListener('click', onSave);
+    cancelProfileNameBtn.addEventListener('click', onCancel);
+    profileNameModal.addEventListener('click', onBackdropClick);
+    profileNameModal.addEventListener('keydown', onKeydown);
+
+    profileNameInput.focus();
+    profileNameInput.select();
+  });
+}
+
+profileSelect.addEventListener('change', async () => {
+  const profileId = profileSelect.value;
+  try {
+    const state = await window.treeSync.selectProfile(profileId);
+    const profile = profiles.find((item) => item.id === profileId);
+    applyProfileChange(state, profile
+      ? `Switched to profile "${profile.name}". Run compare.`
+      : 'No profile selected. Folder and settings changes are no longer saved to a profile.');
+  } catch (error) {
+    profileSelect.value = activeProfileId;
+    setPlainStatus(`Error: ${messageFromError(error, 'Failed to switch profiles.')}`);
+  }
+});
+
+newProfileBtn.addEventListener('click', async () => {
+  if (isBusy) {
+    return;
+  }
+  const state = await promptForProfileName({
+    title: 'New profile from current folders and settings',
+    confirmLabel: 'Create',
+    submit: (name) => window.treeSync.createProfile(name),
+  });
+  if (state) {
+    applyProfileChange(state, `Profile "${activeProfile() ? activeProfile().name : ''}" created.`);
+  }
+});
+
+duplicateProfileBtn.addEventListener('click', async () => {
+  const source = activeProfile();
+  if (isBusy || !source) {
+    return;
+  }
+  const state = await promptForProfileName({
+    title: `Duplicate profile "${source.name}"`,
+    initialValue: `${source.name} copy`,
+    confirmLabel: 'Duplicate',
+    submit: (name) => window.treeSync.duplicateProfile(source.id, name),
+  });
+  if (state) {
+    applyProfileChange(state, `Profile "${activeProfile() ? activeProfile().name : ''}" created.`);
+  }
+});
+
+renameProfileBtn.addEventListener('click', async () => {
+  const profile = activeProfile();
+  if (isBusy || !profile) {
+    return;
+  }
+  const state = await promptForProfileName({
+    title: 'Rename profile',
+    initialValue: profile.name,
+    confirmLabel: 'Rename',
+    submit: (name) => window.treeSync.renameProfile(profile.id, name),
+  });
+  if (state) {
+    applyProfileChange(state, `Profile renamed to "${activeProfile() ? activeProfile().name : ''}".`);
+  }
+});
+
+deleteProfileBtn.addEventListener('click', async () => {
+  const profile = activeProfile();
+  if (isBusy || !profile) {
+    return;
+  }
+  const confirmed = await promptForConfirmation({
+    title: `Delete profile "${profile.name}"`,
+    message: 'The profile is removed. Its folders and settings stay loaded until you change them.',
+    items: [
+      `Source: ${profile.selectedDirs.leftRoot || '(not set)'}`,
+      `Destination: ${profile.selectedDirs.rightRoot || '(not set)'}`,
+    ],
+    confirmLabel: 'Delete',
+  });
+  if (!confirmed) {
+    return;
+  }
+  try {
+    const state = await window.treeSync.deleteProfile(profile.id);
+    applyProfileChange(state, `Profile "${profile.name}" deleted.`);
+  } catch (error) {
+    setPlainStatus(`Error: ${messageFromError(error, 'Failed to delete the profile.')}`);
+  }
+});
+
 function getFocusedSelectionText() {
   const active = document.activeElement;
   if (!active) {
@@ -1159,9 +3549,7 @@ async function initializeFromPersistedState() {
     }
 
     const state = await window.treeSync.getAppState();
-    const selectedDirs = state && state.selectedDirs ? state.selectedDirs : {};
-    leftPathInput.value = selectedDirs.leftRoot || '';
-    rightPathInput.value = selectedDirs.rightRoot || '';
+    applyWorkingState(state);
 
     syncHistory = Array.isArray(state && state.syncHistory) ? state.syncHistory : [];
     renderHistory(syncHistory);
@@ -1171,6 +3559,8 @@ async function initializeFromPersistedState() {
     clearHistory('Failed to load sync history.');
     setPlainStatus(`Startup warning: ${error.message}`);
   }
+
+  await offerSyncRecovery();
 }
 
 updateControlStates();
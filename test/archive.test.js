@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const {
+  normalizeArchiveOptions,
+  writeArchiveManifest,
+  listArchive,
+  pruneArchive,
+  restoreArchivedFile,
+} = require('../src/core/archive');
+
+async function withTempDirs(run) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-archive-'));
+  const archiveRoot = path.join(root, 'archive');
+  const right = path.join(root, 'right');
+  await fs.mkdir(right, { recursive: true });
+  try {
+    await run({ root, archiveRoot, right });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+async function addRun(archiveRoot, id, archivedAt, rightRoot, files) {
+  const runDir = path.join(archiveRoot, id);
+  for (const [relativePath, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(runDir, relativePath)), { recursive: true });
+    await fs.writeFile(path.join(runDir, relativePath), content);
+  }
+  await writeArchiveManifest(runDir, {
+    archivedAt,
+    reason: 'sync',
+    leftRoot: '',
+    rightRoot,
+    files: Object.entries(files).map(([relativePath, content]) => ({ relativePath, size: content.length })),
+  });
+}
+
+test('normalizeArchiveOptions treats missing limits as unlimited and clamps the rest', () => {
+  assert.equal(normalizeArchiveOptions(null), null);
+  assert.deepEqual(normalizeArchiveOptions({}), { location: '', keepRuns: 0, maxAgeDays: 0 });
+  assert.deepEqual(
+    normalizeArchiveOptions({ location: ' /archive ', keepRuns: 2.7, maxAgeDays: 99999 }),
+    { location: '/archive', keepRuns: 2, maxAgeDays: 3650 }
+  );
+});
+
+test('pruneArchive keeps the newest runs of one destination and drops expired ones', async () => {
+  await withTempDirs(async ({ archiveRoot, right, root }) => {
+    const other = path.join(root, 'other');
+    await addRun(archiveRoot, 'run-1', '2026-01-01T00:00:00.000Z', right, { 'a.txt': 'one' });
+    await addRun(archiveRoot, 'run-2', '2026-03-01T00:00:00.000Z', right, { 'a.txt': 'two' });
+    await addRun(archiveRoot, 'run-3', '2026-03-10T00:00:00.000Z', right, { 'a.txt': 'three' });
+    await addRun(archiveRoot, 'other-1', '2026-01-01T00:00:00.000Z', other, { 'b.txt': 'b' });
+    await fs.mkdir(path.join(archiveRoot, 'not-a-run'));
+
+    const runs = await listArchive(archiveRoot, { rightRoot: right });
+    assert.deepEqual(runs.map((run) => run.id), ['run-3', 'run-2', 'run-1']);
+
+    const now = Date.parse('2026-03-15T00:00:00.000Z');
+    assert.deepEqual(await pruneArchive(archiveRoot, { rightRoot: right, keepRuns: 2, now }), ['run-1']);
+    assert.deepEqual(await pruneArchive(archiveRoot, { rightRoot: right, maxAgeDays: 10, now }), ['run-2']);
+    assert.deepEqual(await pruneArchive(archiveRoot, { rightRoot: right, now }), []);
+
+    const remaining = (await fs.readdir(archiveRoot)).sort();
+    assert.deepEqual(remaining, ['not-a-run', 'other-1', 'run-3']);
+  });
+});
+
+test('restoreArchivedFile puts the archived copy back and archives the file it replaces', async () => {
+  await withTempDirs(async ({ archiveRoot, right }) => {
+    await addRun(archiveRoot, 'run-1', '2026-01-01T00:00:00.000Z', right, { 'shots/a.txt': 'archived' });
+    await fs.mkdir(path.join(right, 'shots'));
+    await fs.writeFile(path.join(right, 'shots/a.txt'), 'current');
+
+    const result = await restoreArchivedFile(archiveRoot, 'run-1', 'shots/a.txt', {
+      now: new Date('2026-02-01T00:00:00.000Z'),
+    });
+    assert.equal(await fs.readFile(path.join(right, 'shots/a.txt'), 'utf8'), 'archived');
+    assert.equal(await fs.readFile(path.join(archiveRoot, 'run-1', 'shots/a.txt'), 'utf8'), 'archived');
+
+    const runs = await listArchive(archiveRoot);
+    assert.deepEqual(runs.map((run) => [run.id, run.reason]), [[result.replacedRunId, 'restore'], ['run-1', 'sync']]);
+    assert.equal(
+      await fs.readFile(path.join(archiveRoot, result.replacedRunId, 'shots/a.txt'), 'utf8'),
+      'current'
+    );
+
+    await assert.rejects(
+      restoreArchivedFile(archiveRoot, '../run-1', 'shots/a.txt'),
+      (error) => error.code === 'ARCHIVE_RUN_MISSING'
+    );
+    await assert.rejects(
+      restoreArchivedFile(archiveRoot, 'run-1', 'shots/missing.txt'),
+      (error) => error.code === 'ARCHIVE_FILE_MISSING'
+    );
+  });
+});
+
+test('restoreArchivedFile refuses runs archived from another destination', async () => {
+  await withTempDirs(async ({ archiveRoot, right, root }) => {
+    const other = path.join(root, 'other');
+    await fs.mkdir(other);
+    await addRun(archiveRoot, 'other-1', '2026-01-01T00:00:00.000Z', other, { 'a.txt': 'archived' });
+    await fs.writeFile(path.join(other, 'a.txt'), 'current');
+
+    await assert.rejects(
+      restoreArchivedFile(archiveRoot, 'other-1', 'a.txt', { rightRoot: right }),
+      (error) => error.code === 'ARCHIVE_DESTINATION_MISMATCH'
+    );
+    assert.equal(await fs.readFile(path.join(other, 'a.txt'), 'utf8'), 'current');
+
+    await restoreArchivedFile(archiveRoot, 'other-1', 'a.txt', { rightRoot: other });
+    assert.equal(await fs.readFile(path.join(other, 'a.txt'), 'utf8'), 'archived');
+  });
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const {
+  createChecksumCache,
+  loadChecksumCache,
+  saveChecksumCache,
+  removeChecksumCache,
+} = require('../src/core/checksum-cache');
+
+function fileRecord(overrides = {}) {
+  return {
+    fullPath: '/volume/show/plate.exr',
+    size: 100,
+    mtimeMs: 1700000000000,
+    ino: 42,
+    ...overrides,
+  };
+}
+
+test('checksum cache returns hashes only while size, mtime and inode match', () => {
+  const cache = createChecksumCache();
+  cache.set(fileRecord(), 'sha256', 'abc');
+
+  assert.equal(cache.get(fileRecord(), 'sha256'), 'abc');
+  assert.equal(cache.get(fileRecord(), 'crc32'), null);
+  assert.equal(cache.get(fileRecord({ ino: 43 }), 'sha256'), null);
+  assert.equal(cache.get(fileRecord(), 'sha256'), null);
+  assert.equal(cache.stats.hits, 1);
+  assert.equal(cache.stats.invalidated, 1);
+});
+
+test('checksum cache evicts least recently used entries beyond its size limit', () => {
+  let clock = 1000;
+  const cache = createChecksumCache({ maxEntries: 2, now: () => clock });
+  cache.set(fileRecord({ fullPath: '/a' }), 'sha256', 'a');
+  clock += 1;
+  cache.set(fileRecord({ fullPath: '/b' }), 'sha256', 'b');
+  clock += 1;
+  cache.set(fileRecord({ fullPath: '/c' }), 'sha256', 'c');
+  clock += 1;
+  // Reading '/a' makes '/b' the least recently used entry.
+  assert.equal(cache.get(fileRecord({ fullPath: '/a' }), 'sha256'), 'a');
+
+  cache.prune();
+  assert.equal(cache.size(), 2);
+  assert.equal(cache.get(fileRecord({ fullPath: '/b' }), 'sha256'), null);
+  assert.equal(cache.get(fileRecord({ fullPath: '/a' }), 'sha256'), 'a');
+  assert.equal(cache.get(fileRecord({ fullPath: '/c' }), 'sha256'), 'c');
+});
+
+test('checksum cache round-trips through disk and ignores corrupt files', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-cache-'));
+  const cachePath = path.join(root, 'checksum-cache.json');
+  try {
+    const cache = createChecksumCache();
+    cache.set(fileRecord(), 'sha256', 'abc');
+    await saveChecksumCache(cachePath, cache);
+
+    const reloaded = await loadChecksumCache(cachePath);
+    assert.equal(reloaded.get(fileRecord(), 'sha256'), 'abc');
+
+    await fs.writeFile(cachePath, '{not json');
+    const recovered = await loadChecksumCache(cachePath);
+    assert.equal(recovered.size(), 0);
+
+    await removeChecksumCache(cachePath);
+    await removeChecksumCache(cachePath);
+    await assert.rejects(() => fs.stat(cachePath), /ENOENT/);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
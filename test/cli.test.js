@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const { runCli, EXIT_CODES } = require('../src/cli');
+
+async function withTempDirs(run) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-cli-'));
+  const left = path.join(root, 'left');
+  const right = path.join(root, 'right');
+  await fs.mkdir(left, { recursive: true });
+  await fs.mkdir(right, { recursive: true });
+
+  try {
+    await run({ left, right, root });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+async function writeFile(base, relativePath, content) {
+  const fullPath = path.join(base, relativePath);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, content);
+}
+
+function captureStream() {
+  const chunks = [];
+  return {
+    write: (chunk) => {
+      chunks.push(String(chunk));
+      return true;
+    },
+    text: () => chunks.join(''),
+  };
+}
+
+async function run(argv, options = {}) {
+  const stdout = captureStream();
+  const stderr = captureStream();
+  const exitCode = await runCli(argv, { stdout, stderr, ...options });
+  return { exitCode, stdout: stdout.text(), stderr: stderr.text() };
+}
+
+test('compare prints the plan as a table or JSON', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'shot_v2.exr', 'frame');
+    await writeFile(left, 'notes.v4.txt', 'notes');
+    await writeFile(left, 'scratch_v1.tmp', 'tmp');
+    await writeFile(right, 'stale.txt', 'old');
+
+    const table = await run(['compare', left, right, '--naming', 'underscore-v,dot-v', '--filter', '*.tmp']);
+    assert.equal(table.exitCode, EXIT_CODES.SUCCESS);
+    assert.match(table.stdout, /missing\s+2\s+5\s+shot_v2\.exr -> shot\.exr/);
+    assert.match(table.stdout, /notes\.v4\.txt -> notes\.txt/);
+    assert.match(table.stdout, /orphan\s+3\s+\(no source\) -> stale\.txt/);
+    assert.match(table.stdout, /2 file\(s\) to copy \(10 B\), 1 orphan\(s\)/);
+
+    const json = await run(['compare', left, right, '--json']);
+    const parsed = JSON.parse(json.stdout);
+    assert.deepEqual(parsed.plan.map((item) => item.targetRelativePath).sort(), ['notes.v4.txt', 'scratch.tmp', 'shot.exr']);
+  });
+});
+
+test('compare lists name collisions after the table', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'shot_v2.exr', 'underscore');
+    await writeFile(left, 'shot-v2.exr', 'dash');
+    await writeFile(left, 'doc.txt', 'base');
+    await writeFile(left, 'doc_v1.txt', 'one');
+
+    const table = await run(['compare', left, right, '--naming', 'underscore-v,dash-v']);
+    assert.equal(table.exitCode, EXIT_CODES.SUCCESS);
+    assert.match(table.stdout, /Collision \(held back\): 2 source files map to "shot\.exr" with the same version\./);
+    assert.match(table.stdout, /Warning: Unversioned and versioned source files both map to "doc\.txt"/);
+    assert.doesNotMatch(table.stdout, /-> shot\.exr/);
+  });
+});
+
+test('sync copies files, reports progress on stderr and exits 0', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'a/one_v1.txt', '1111');
+    await writeFile(right, 'stale.txt', 'old');
+
+    const result = await run(['sync', left, right, '--verify', '--mirror', '--json']);
+    assert.equal(result.exitCode, EXIT_CODES.SUCCESS);
+    assert.match(result.stderr, /\[1\/1\] copied a[\\/]one\.txt/);
+    assert.match(result.stderr, /trashed stale\.txt/);
+
+    const report = JSON.parse(result.stdout);
+    assert.equal(report.status, 'completed');
+    assert.equal(report.copied, 1);
+    assert.equal(report.verifiedCount, 1);
+    assert.equal(report.trashed.length, 1);
+    assert.equal(await fs.readFile(path.join(right, 'a', 'one.txt'), 'utf8'), '1111');
+  });
+});
+
+test('sync holds back newer destination files unless --overwrite-newer is given', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'notes_v2.txt', 'from source');
+    await writeFile(right, 'notes.txt', 'edited by hand');
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(path.join(right, 'notes.txt'), later, later);
+
+    const held = await run(['sync', left, right, '--quiet']);
+    assert.equal(held.exitCode, EXIT_CODES.SUCCESS);
+    assert.match(held.stdout, /Held back 1 file\(s\) whose destination is newer/);
+    assert.equal(await fs.readFile(path.join(right, 'notes.txt'), 'utf8'), 'edited by hand');
+
+    const overwritten = await run(['sync', left, right, '--quiet', '--overwrite-newer']);
+    assert.equal(overwritten.exitCode, EXIT_CODES.SUCCESS);
+    assert.match(overwritten.stdout, /Copied 1\/1 file/);
+    assert.match(overwritten.stdout, /Copy methods: 1 (reflink|kernel|buffered)\./);
+    assert.equal(await fs.readFile(path.join(right, 'notes.txt'), 'utf8'), 'from source');
+  });
+});
+
+test('sync exits 3 when some files fail and --continue-on-error is set', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'ok_v1.txt', 'ok');
+    await writeFile(left, 'blocked_v1.txt', 'blocked');
+    await fs.mkdir(path.join(right, 'blocked.txt'));
+
+    const result = await run(['sync', left, right, '--continue-on-error', '--retries', '0', '--quiet']);
+    assert.equal(result.exitCode, EXIT_CODES.PARTIAL);
+    assert.equal(result.stderr, '');
+    assert.match(result.stdout, /Copied 1\/2 file\(s\)/);
+    assert.match(result.stdout, /Failed 1 file\(s\):\n {2}blocked\.txt:/);
+  });
+});
+
+test('sync exits 130 when cancelled and resume finishes from the journal', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'one_v1.txt', '1111');
+    await writeFile(left, 'two_v1.txt', '2222');
+    const journal = path.join(root, 'journal.json');
+
+    const cancelled = await run(['sync', left, right, '--journal', journal, '--quiet'], {
+      shouldCancel: () => true,
+    });
+    assert.equal(cancelled.exitCode, EXIT_CODES.CANCELLED);
+    assert.match(cancelled.stdout, /^Cancelled:/);
+
+    const resumed = await run(['resume', '--journal', journal, '--json', '--quiet']);
+    assert.equal(resumed.exitCode, EXIT_CODES.SUCCESS);
+    const report = JSON.parse(resumed.stdout);
+    assert.equal(report.copied, 2);
+    assert.equal(report.resumedFromJournal, true);
+    await assert.rejects(() => fs.access(journal), /ENOENT/);
+  });
+});
+
+test('invalid arguments and directories exit 2', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    const cases = [
+      [],
+      ['frobnicate'],
+      ['compare', left],
+      ['compare', left, right, '--bogus'],
+      ['compare', left, right, '--naming', 'nope'],
+      ['sync', left, right, '--retries', 'many'],
+      ['sync', left, right, '--limit-rate', 'fast'],
+      ['sync', left, right, '--limit-schedule', '9-18=2'],
+      ['sync', left, right, '--parallel-large', '0'],
+      ['sync', left, right, '--preserve', 'times,owner'],
+      ['compare', path.join(root, 'missing'), right],
+      ['compare', left, left],
+      ['resume'],
+      ['resume', '--journal', path.join(root, 'missing.json')],
+    ];
+    for (const argv of cases) {
+      const result = await run(argv);
+      assert.equal(result.exitCode, EXIT_CODES.INVALID, argv.join(' '));
+      assert.match(result.stderr, /^lempicka-sync: /);
+    }
+
+    const help = await run(['--help']);
+    assert.equal(help.exitCode, EXIT_CODES.SUCCESS);
+    assert.match(help.stdout, /^Usage:/);
+  });
+});
+
+test('compare can reuse settings saved by the app', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'shot-v3.exr', 'frame');
+    await writeFile(left, 'skip_v1.bak', 'bak');
+    const settingsPath = path.join(root, 'state.json');
+    await fs.writeFile(settingsPath, JSON.stringify({
+      versioning: { enabledPatternIds: ['dash-v'] },
+      filters: { rules: ['*.bak'] },
+    }));
+
+    const result = await run(['compare', left, right, '--settings', settingsPath, '--json']);
+    assert.equal(result.exitCode, EXIT_CODES.SUCCESS);
+    const parsed = JSON.parse(result.stdout);
+    assert.deepEqual(parsed.plan.map((item) => item.targetRelativePath), ['shot.exr']);
+  });
+});
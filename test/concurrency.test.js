@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeConcurrencyOptions, createConcurrencyController } = require('../src/core/concurrency');
+
+function controllerWithClock(options) {
+  const clock = { time: 0 };
+  const controller = createConcurrencyController({ ...options, now: () => clock.time });
+  // Runs one measurement window that moved `bytes` and finished `files` small files of `latencyMs` each.
+  const windowOf = (bytes, files = 0, latencyMs = 50) => {
+    for (let index = 0; index < files; index += 1) {
+      controller.recordFile({ durationMs: latencyMs, large: false });
+    }
+    clock.time += 1000;
+    controller.recordBytes(bytes);
+  };
+  return { clock, controller, windowOf };
+}
+
+test('normalizeConcurrencyOptions keeps the bounds ordered and the start inside them', () => {
+  assert.deepEqual(normalizeConcurrencyOptions({}), {
+    minWorkers: 1,
+    maxWorkers: 3,
+    maxLargeWorkers: 1,
+    initialWorkers: 2,
+  });
+  assert.deepEqual(
+    normalizeConcurrencyOptions({ minWorkers: 6, maxWorkers: 4, maxLargeWorkers: 9, initialWorkers: 1 }),
+    { minWorkers: 4, maxWorkers: 4, maxLargeWorkers: 4, initialWorkers: 4 }
+  );
+  assert.equal(normalizeConcurrencyOptions({ maxWorkers: 99 }).maxWorkers, 16);
+});
+
+test('the controller probes upward while throughput grows and steps back when a probe does not pay off', () => {
+  const { controller, windowOf } = controllerWithClock({ minWorkers: 1, maxWorkers: 6, initialWorkers: 2 });
+  const mb = 1024 * 1024;
+
+  windowOf(10 * mb);
+  assert.equal(controller.workers(), 3);
+  windowOf(15 * mb);
+  assert.equal(controller.workers(), 4);
+  windowOf(15 * mb);
+  assert.equal(controller.workers(), 3, 'a flat window after a probe reverts it');
+
+  // Holds at the reverted count for a while before probing again.
+  for (let index = 0; index < 5; index += 1) {
+    windowOf(15 * mb);
+    assert.equal(controller.workers(), 3);
+  }
+  windowOf(15 * mb);
+  assert.equal(controller.workers(), 4);
+
+  const telemetry = controller.telemetry();
+  assert.equal(telemetry.initialWorkers, 2);
+  assert.equal(telemetry.finalWorkers, 4);
+  assert.equal(telemetry.peakWorkers, 4);
+  assert.deepEqual(telemetry.adjustments.map((item) => item.reason), ['probe', 'probe', 'no gain', 'probe']);
+});
+
+test('retries and ballooning latency push the worker count down, never below the minimum', () => {
+  const { controller, windowOf } = controllerWithClock({ minWorkers: 2, maxWorkers: 8, initialWorkers: 5 });
+
+  windowOf(0, 10, 40);
+  assert.equal(controller.workers(), 6);
+  windowOf(0, 12, 400);
+  assert.equal(controller.workers(), 5, 'latency ten times the best window backs off');
+
+  controller.recordRetry();
+  windowOf(0, 12, 40);
+  controller.recordRetry();
+  windowOf(0, 12, 40);
+  controller.recordRetry();
+  windowOf(0, 12, 40);
+  controller.recordRetry();
+  windowOf(0, 12, 40);
+  assert.equal(controller.workers(), 2);
+
+  // A stalled window, such as a pause, is thrown away instead of counting as a drop.
+  const { clock, controller: paused } = controllerWithClock({ maxWorkers: 4, initialWorkers: 3 });
+  clock.time += 60000;
+  paused.recordBytes(1024);
+  assert.equal(paused.workers(), 3);
+  assert.equal(paused.largeSlots(true), 1);
+  assert.equal(paused.largeSlots(false), 1);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const { hashFile, normalizeHashAlgorithm } = require('../src/core/content-hash');
+
+async function withTempFile(content, run) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-hash-'));
+  const filePath = path.join(root, 'file.bin');
+  await fs.writeFile(filePath, content);
+  try {
+    await run(filePath);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('hashFile streams multi-chunk files into a SHA-256 digest', async () => {
+  const content = Buffer.alloc(3 * 1024 * 1024 + 17, 'q');
+  await withTempFile(content, async (filePath) => {
+    const expected = crypto.createHash('sha256').update(content).digest('hex');
+    assert.equal(await hashFile(filePath), expected);
+  });
+});
+
+test('hashFile supports the fast CRC32 algorithm', async () => {
+  await withTempFile('hello', async (filePath) => {
+    assert.equal(await hashFile(filePath, { algorithm: 'crc32' }), '3610a686');
+  });
+});
+
+test('normalizeHashAlgorithm falls back to SHA-256', () => {
+  assert.equal(normalizeHashAlgorithm('md5'), 'sha256');
+  assert.equal(normalizeHashAlgorithm('crc32'), 'crc32');
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  COPY_STRATEGY,
+  isUnsupportedCopyError,
+  createCopyStrategyCache,
+  kernelCopy,
+} = require('../src/core/fast-copy');
+const { copyFileWithProgress } = require('../src/core/sync');
+const { createContentHasher } = require('../src/core/content-hash');
+
+async function withTempDir(run) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-fast-copy-'));
+  try {
+    await run(root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('the strategy cache keeps kernel copies to one Linux device with no rate limit or checkpoints', async () => {
+  await withTempDir(async (root) => {
+    const source = path.join(root, 'plate.exr');
+    const target = path.join(root, 'out', 'plate.exr');
+    await fs.writeFile(source, 'frame');
+    await fs.mkdir(path.dirname(target));
+
+    const linux = createCopyStrategyCache({ platform: 'linux' });
+    const { key, strategies } = await linux.candidates(source, target);
+    assert.deepEqual(strategies, [COPY_STRATEGY.REFLINK, COPY_STRATEGY.KERNEL]);
+    assert.deepEqual((await linux.candidates(source, target, { throttled: true })).strategies, [COPY_STRATEGY.REFLINK]);
+    assert.deepEqual(
+      (await linux.candidates(source, target, { checkpointed: true })).strategies,
+      [COPY_STRATEGY.REFLINK]
+    );
+
+    linux.markUnsupported(key, COPY_STRATEGY.REFLINK);
+    assert.deepEqual((await linux.candidates(source, target)).strategies, [COPY_STRATEGY.KERNEL]);
+
+    const mac = createCopyStrategyCache({ platform: 'darwin' });
+    assert.deepEqual((await mac.candidates(source, target)).strategies, [COPY_STRATEGY.REFLINK]);
+  });
+});
+
+test('kernelCopy reports the bytes it wrote and refuses to overwrite', async () => {
+  await withTempDir(async (root) => {
+    const source = path.join(root, 'plate.exr');
+    const target = path.join(root, 'copy.exr');
+    const content = Buffer.alloc(3 * 1024 * 1024, 'p');
+    await fs.writeFile(source, content);
+
+    let reported = 0;
+    await kernelCopy(source, target, (bytes) => {
+      reported += bytes;
+    }, 5);
+    assert.equal(reported, content.length);
+    assert.ok((await fs.readFile(target)).equals(content));
+
+    await assert.rejects(() => kernelCopy(source, target, () => {}), /EEXIST/);
+    assert.equal(isUnsupportedCopyError({ code: 'EXDEV' }), true);
+    assert.equal(isUnsupportedCopyError({ code: 'ENOSPC' }), false);
+    assert.equal(isUnsupportedCopyError({ code: 'EPERM' }), false);
+  });
+});
+
+test('a fast copy that comes out short fails as retryable instead of passing verification', async () => {
+  await withTempDir(async (root) => {
+    const source = path.join(root, 'plate.exr');
+    const target = path.join(root, 'out', 'plate.exr');
+    const content = Buffer.alloc(1024 * 1024, 'p');
+    await fs.writeFile(source, content);
+    await fs.mkdir(path.dirname(target));
+
+    const copyStrategies = createCopyStrategyCache({ platform: 'linux' });
+    const { key } = await copyStrategies.candidates(source, target);
+    copyStrategies.markUnsupported(key, COPY_STRATEGY.REFLINK);
+
+    let reported = 0;
+    await assert.rejects(
+      copyFileWithProgress(source, target, (bytes) => {
+        reported += bytes;
+        // Stands in for a copy that stopped early: the target loses its tail once the kernel call is done.
+        if (reported >= content.length) {
+          fsSync.truncateSync(target, 1000);
+        }
+      }, { writeFlags: 'wx', copyStrategies, hasher: createContentHasher('sha256') }),
+      (error) => {
+        assert.equal(error.code, 'COPY_INCOMPLETE');
+        assert.deepEqual([error.details.expectedBytes, error.details.writtenBytes], [content.length, 1000]);
+        return true;
+      }
+    );
+    assert.deepEqual((await copyStrategies.candidates(source, target)).strategies, []);
+  });
+});
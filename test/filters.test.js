@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const {
+  IGNORE_FILE_NAME,
+  normalizeFilterConfig,
+  parseIgnoreFileRules,
+  readIgnoreFileRules,
+  createPathFilter,
+} = require('../src/core/filters');
+
+function excluded(rules, relativePath) {
+  const rule = createPathFilter([{ origin: 'settings', rules }]).excludedBy(relativePath);
+  return rule ? rule.pattern : null;
+}
+
+test('createPathFilter matches names without a slash at any depth', () => {
+  assert.equal(excluded(['*.tmp'], 'a.tmp'), '*.tmp');
+  assert.equal(excluded(['*.tmp'], path.join('shots', 'a.tmp')), '*.tmp');
+  assert.equal(excluded(['*.tmp'], 'a.tmpx'), null);
+  assert.equal(excluded(['cache'], path.join('shots', 'cache', 'a.exr')), 'cache');
+});
+
+test('createPathFilter anchors rules that contain a slash', () => {
+  assert.equal(excluded(['shots/*.exr'], path.join('shots', 'a.exr')), 'shots/*.exr');
+  assert.equal(excluded(['shots/*.exr'], path.join('seq', 'shots', 'a.exr')), null);
+  assert.equal(excluded(['/a.txt'], 'a.txt'), '/a.txt');
+  assert.equal(excluded(['/a.txt'], path.join('sub', 'a.txt')), null);
+});
+
+test('createPathFilter supports globstar, character classes and folder-only rules', () => {
+  assert.equal(excluded(['**/renders/**'], path.join('renders', 'a.exr')), '**/renders/**');
+  assert.equal(excluded(['**/renders/**'], path.join('x', 'y', 'renders', 'a.exr')), '**/renders/**');
+  assert.equal(excluded(['**/renders/**'], 'renders.exr'), null);
+  assert.equal(excluded(['shot_v00[0-4].exr'], 'shot_v003.exr'), 'shot_v00[0-4].exr');
+  assert.equal(excluded(['shot_v00[!0-4].exr'], 'shot_v003.exr'), null);
+  assert.equal(excluded(['?.txt'], 'a.txt'), '?.txt');
+  assert.equal(excluded(['?.txt'], 'ab.txt'), null);
+  assert.equal(excluded(['build/'], path.join('build', 'out.txt')), 'build/');
+  assert.equal(excluded(['build/'], 'build'), null);
+});
+
+test('createPathFilter lets later negated rules re-include files', () => {
+  const rules = ['*', '!*.psd'];
+  assert.equal(excluded(rules, path.join('art', 'cover.psd')), null);
+  assert.equal(excluded(rules, path.join('art', 'cover.png')), '*');
+  assert.equal(excluded(['!*.psd', '*'], 'cover.psd'), '*');
+  assert.equal(excluded(['*.PSD'], 'cover.psd'), '*.PSD');
+});
+
+test('createPathFilter skips whole folders only when no later rule could re-include inside them', () => {
+  const excludedDirectory = (rules, relativePath) => {
+    const rule = createPathFilter([{ origin: 'settings', rules }]).excludedDirectory(relativePath);
+    return rule ? rule.pattern : null;
+  };
+  assert.equal(excludedDirectory(['**/renders/**'], path.join('shots', 'renders')), '**/renders/**');
+  assert.equal(excludedDirectory(['**/renders/**'], 'shots'), null);
+  assert.equal(excludedDirectory(['build/'], 'build'), 'build/');
+  assert.equal(excludedDirectory(['art/*'], 'art'), 'art/*');
+  assert.equal(excludedDirectory(['art/*.psd'], 'art'), null);
+  assert.equal(excludedDirectory(['build/', '!build/keep.txt'], 'build'), null);
+  assert.equal(excludedDirectory(['!build/keep.txt', 'build/'], 'build'), 'build/');
+});
+
+test('normalizeFilterConfig trims, drops comments and duplicates', () => {
+  assert.deepEqual(
+    normalizeFilterConfig({ rules: [' *.tmp ', '', '# note', '*.tmp', '!', '!*.psd', 4] }),
+    { rules: ['*.tmp', '!*.psd'] }
+  );
+  assert.deepEqual(normalizeFilterConfig(), { rules: [] });
+});
+
+test('readIgnoreFileRules parses .lempickaignore and tolerates a missing file', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-filters-'));
+  try {
+    assert.deepEqual(await readIgnoreFileRules(root), []);
+    await fs.writeFile(path.join(root, IGNORE_FILE_NAME), '# comment\r\n*.bak\n\n  renders/  \n');
+    assert.deepEqual(await readIgnoreFileRules(root), ['*.bak', 'renders/']);
+    assert.deepEqual(parseIgnoreFileRules('a\n!\n#b'), ['a']);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const {
+  HISTORY_SCHEMA_VERSION,
+  loadSyncHistory,
+  appendSyncHistoryEntry,
+  clearSyncHistoryFile,
+} = require('../src/main/history-store');
+const { MAX_HISTORY_ITEMS, MAX_HISTORY_FILES_PER_ENTRY, loadState } = require('../src/main/state-store');
+
+async function withTempDir(run) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-history-'));
+  try {
+    await run(root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+function makeEntry(index, fileCount = 1) {
+  return {
+    id: `run-${index}`,
+    timestamp: new Date(1700000000000 + index * 1000).toISOString(),
+    leftRoot: '/src',
+    rightRoot: '/dst',
+    copied: fileCount,
+    total: fileCount,
+    files: Array.from({ length: fileCount }, (_, fileIndex) => ({
+      sourceRelativePath: `file_${fileIndex}_v1.txt`,
+      targetRelativePath: `file_${fileIndex}.txt`,
+    })),
+  };
+}
+
+test('sync history survives a reload, newest first', async () => {
+  await withTempDir(async (root) => {
+    const historyPath = path.join(root, 'sync-history.jsonl');
+    let lineCount = 0;
+    lineCount = await appendSyncHistoryEntry(historyPath, makeEntry(1), { lineCount });
+    lineCount = await appendSyncHistoryEntry(historyPath, makeEntry(2), { lineCount });
+    assert.equal(lineCount, 2);
+
+    const loaded = await loadSyncHistory(historyPath);
+    assert.deepEqual(loaded.entries.map((entry) => entry.id), ['run-2', 'run-1']);
+
+    const raw = await fs.readFile(historyPath, 'utf8');
+    assert.equal(JSON.parse(raw.split('\n')[0]).v, HISTORY_SCHEMA_VERSION);
+  });
+});
+
+test('sync history applies the item and per-entry file caps on disk', async () => {
+  await withTempDir(async (root) => {
+    const historyPath = path.join(root, 'sync-history.jsonl');
+    let lineCount = 0;
+    let entries = [];
+    for (let index = 0; index < MAX_HISTORY_ITEMS + 60; index += 1) {
+      const entry = makeEntry(index);
+      entries = [entry, ...entries].slice(0, MAX_HISTORY_ITEMS);
+      lineCount = await appendSyncHistoryEntry(historyPath, entry, { lineCount, entries });
+    }
+    assert.ok(lineCount <= MAX_HISTORY_ITEMS + 60);
+
+    await appendSyncHistoryEntry(historyPath, makeEntry(9999, MAX_HISTORY_FILES_PER_ENTRY + 5), { lineCount });
+    const loaded = await loadSyncHistory(historyPath);
+    assert.equal(loaded.entries.length, MAX_HISTORY_ITEMS);
+    assert.equal(loaded.entries[0].files.length, MAX_HISTORY_FILES_PER_ENTRY);
+
+    const lines = (await fs.readFile(historyPath, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, MAX_HISTORY_ITEMS);
+  });
+});
+
+test('sync history drops torn lines left by a crash mid-append', async () => {
+  await withTempDir(async (root) => {
+    const historyPath = path.join(root, 'sync-history.jsonl');
+    await appendSyncHistoryEntry(historyPath, makeEntry(1));
+    await fs.appendFile(historyPath, '{"v":1,"id":"torn');
+
+    const loaded = await loadSyncHistory(historyPath);
+    assert.deepEqual(loaded.entries.map((entry) => entry.id), ['run-1']);
+    assert.equal(loaded.lineCount, 1);
+
+    await appendSyncHistoryEntry(historyPath, makeEntry(2), { lineCount: loaded.lineCount });
+    const reloaded = await loadSyncHistory(historyPath);
+    assert.deepEqual(reloaded.entries.map((entry) => entry.id), ['run-2', 'run-1']);
+  });
+});
+
+test('sync history migrates entries stored in legacy state.json', async () => {
+  await withTempDir(async (root) => {
+    const statePath = path.join(root, 'state.json');
+    const historyPath = path.join(root, 'sync-history.jsonl');
+    await fs.writeFile(statePath, JSON.stringify({
+      selectedDirs: { leftRoot: '/src', rightRoot: '/dst' },
+      syncHistory: [makeEntry(2), makeEntry(1)],
+    }));
+
+    const state = await loadState(statePath);
+    const loaded = await loadSyncHistory(historyPath, { legacyEntries: state.syncHistory });
+    assert.equal(loaded.migrated, true);
+    assert.deepEqual(loaded.entries.map((entry) => entry.id), ['run-2', 'run-1']);
+
+    const reloaded = await loadSyncHistory(historyPath, { legacyEntries: [makeEntry(3)] });
+    assert.equal(reloaded.migrated, false);
+    assert.deepEqual(reloaded.entries.map((entry) => entry.id), ['run-2', 'run-1']);
+  });
+});
+
+test('sync history keeps records written by a newer schema untouched', async () => {
+  await withTempDir(async (root) => {
+    const historyPath = path.join(root, 'sync-history.jsonl');
+    await appendSyncHistoryEntry(historyPath, makeEntry(1));
+    await fs.appendFile(historyPath, `${JSON.stringify({ v: HISTORY_SCHEMA_VERSION + 1, id: 'future' })}\n`);
+    const before = await fs.readFile(historyPath, 'utf8');
+
+    const loaded = await loadSyncHistory(historyPath);
+    assert.deepEqual(loaded.entries.map((entry) => entry.id), ['run-1']);
+    assert.equal(await fs.readFile(historyPath, 'utf8'), before);
+  });
+});
+
+test('clearSyncHistoryFile empties the history file', async () => {
+  await withTempDir(async (root) => {
+    const historyPath = path.join(root, 'sync-history.jsonl');
+    await appendSyncHistoryEntry(historyPath, makeEntry(1));
+    await clearSyncHistoryFile(historyPath);
+
+    const loaded = await loadSyncHistory(historyPath);
+    assert.deepEqual(loaded.entries, []);
+  });
+});
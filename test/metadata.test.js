@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const {
+  normalizeMetadataOptions,
+  parseMetadataList,
+  parseGetfattrDump,
+  createXattrBackend,
+  preserveMetadata,
+} = require('../src/core/metadata');
+
+async function withTempDir(run) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-metadata-'));
+  try {
+    await run(root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+function fakeXattrBackend(attributes, { available = true, failing = [] } = {}) {
+  const written = [];
+  return {
+    written,
+    label: 'fake tools',
+    available: async () => available,
+    read: async () => attributes,
+    async write(filePath, attribute) {
+      if (failing.includes(attribute.name)) {
+        throw Object.assign(new Error('denied'), { stderr: `setfattr: ${filePath}: Operation not permitted\n` });
+      }
+      written.push({ filePath, ...attribute });
+    },
+  };
+}
+
+test('metadata options default to times and mode, and lists name exactly what to keep', () => {
+  assert.deepEqual(normalizeMetadataOptions(undefined), { times: true, mode: true, xattrs: false });
+  assert.deepEqual(
+    normalizeMetadataOptions({ times: false, xattrs: true }),
+    { times: false, mode: true, xattrs: true }
+  );
+  assert.deepEqual(parseMetadataList('xattrs, times'), { times: true, mode: false, xattrs: true });
+  assert.deepEqual(parseMetadataList('none'), { times: false, mode: false, xattrs: false });
+  assert.equal(parseMetadataList('times,owner'), null);
+  assert.equal(parseMetadataList(''), null);
+});
+
+test('parseGetfattrDump decodes base64, hex and quoted values', () => {
+  const attributes = parseGetfattrDump([
+    '# file: /shows/a/plate.exr',
+    'user.comment=0saGVsbG8=',
+    'user.raw=0x0102',
+    'user.note="take 3"',
+    'user.empty',
+    '',
+  ].join('\n'));
+  assert.deepEqual(attributes.map((attribute) => [attribute.name, attribute.value.toString('hex')]), [
+    ['user.comment', Buffer.from('hello').toString('hex')],
+    ['user.raw', '0102'],
+    ['user.note', Buffer.from('take 3').toString('hex')],
+    ['user.empty', ''],
+  ]);
+});
+
+test('preserveMetadata applies times and mode on Linux and reports what it could not keep', async () => {
+  await withTempDir(async (root) => {
+    const source = path.join(root, 'source.exr');
+    const target = path.join(root, 'target.exr');
+    await fs.writeFile(source, 'frame');
+    await fs.writeFile(target, 'frame');
+    await fs.chmod(source, 0o604);
+    const edited = new Date('2024-11-02T10:20:30.125Z');
+    await fs.utimes(source, edited, edited);
+    const sourceStat = await fs.stat(source);
+
+    const backend = fakeXattrBackend(
+      [{ name: 'user.a', value: Buffer.from('1') }, { name: 'user.b', value: Buffer.from('2') }],
+      { failing: ['user.b'] }
+    );
+    const everything = { times: true, mode: true, xattrs: true };
+    const warnings = await preserveMetadata(source, target, sourceStat, everything, backend);
+    const targetStat = await fs.stat(target);
+    assert.equal(targetStat.mtimeMs, sourceStat.mtimeMs);
+    assert.equal(targetStat.mode & 0o777, 0o604);
+    assert.deepEqual(backend.written.map((attribute) => attribute.name), ['user.a']);
+    assert.deepEqual(warnings, [
+      { kind: 'xattrs', message: `user.b (setfattr: ${target}: Operation not permitted)` },
+    ]);
+
+    const missing = await preserveMetadata(
+      source,
+      path.join(root, 'gone.exr'),
+      sourceStat,
+      everything,
+      fakeXattrBackend([], { available: false })
+    );
+    assert.deepEqual(missing.map((warning) => warning.kind), ['xattrs', 'mode', 'times']);
+    assert.equal(missing[0].message, 'fake tools not found');
+  });
+});
+
+test('extended attributes round-trip through the Linux tools when they are installed', async (t) => {
+  const backend = createXattrBackend('linux');
+  if (process.platform !== 'linux' || !(await backend.available())) {
+    t.skip('getfattr/setfattr are not installed');
+    return;
+  }
+  await withTempDir(async (root) => {
+    const source = path.join(root, 'source.exr');
+    const target = path.join(root, 'target.exr');
+    await fs.writeFile(source, 'frame');
+    await fs.writeFile(target, 'frame');
+    try {
+      await backend.write(source, { name: 'user.lempicka', value: Buffer.from('shot 12') });
+    } catch (error) {
+      t.skip('this filesystem does not take user extended attributes');
+      return;
+    }
+
+    const warnings = await preserveMetadata(source, target, await fs.stat(source), { xattrs: true }, backend);
+    assert.deepEqual(warnings, []);
+    const copied = await backend.read(target);
+    assert.deepEqual(
+      copied.map((attribute) => [attribute.name, attribute.value.toString()]),
+      [['user.lempicka', 'shot 12']]
+    );
+  });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const { saveRollbackRecord, loadRollbackRecord, removeRollbackRecords } = require('../src/main/rollback-store');
+
+test('rollback records are stored per history entry and pruned to the entries still listed', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-rollback-store-'));
+  try {
+    const record = {
+      rightRoot: '/shows/a/dst',
+      files: [{ targetRelativePath: 'a.txt', created: true, size: 3, mtimeMs: 1000 }, { targetRelativePath: '../x' }],
+    };
+    await saveRollbackRecord(dir, 'run-1', record);
+    await saveRollbackRecord(dir, 'run-2', record);
+
+    const loaded = await loadRollbackRecord(dir, 'run-1');
+    assert.deepEqual(loaded.files.map((file) => file.targetRelativePath), ['a.txt']);
+    assert.equal(await loadRollbackRecord(dir, 'missing'), null);
+    await assert.rejects(loadRollbackRecord(dir, '../state'), /Invalid sync history id/);
+
+    assert.equal(await removeRollbackRecords(dir, ['run-2']), 1);
+    assert.deepEqual(await fs.readdir(dir), ['run-2.json']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('pruning a rollback record removes the originals it kept unless a remaining record shares them', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-rollback-store-'));
+  const dir = path.join(root, 'records');
+  const rightRoot = path.join(root, 'dst');
+  const keptDir = (name) => path.join(rightRoot, '.lempicka-undo', name);
+  try {
+    for (const name of ['first', 'resumed', 'other']) {
+      await fs.mkdir(keptDir(name), { recursive: true });
+      await fs.writeFile(path.join(keptDir(name), 'a.txt'), 'original');
+    }
+    await saveRollbackRecord(dir, 'run-1', { rightRoot, rollbackDir: keptDir('first') });
+    await saveRollbackRecord(dir, 'run-2', { rightRoot, rollbackDir: keptDir('resumed') });
+    await saveRollbackRecord(dir, 'run-3', { rightRoot, rollbackDir: keptDir('resumed') });
+    await saveRollbackRecord(dir, 'run-4', { rightRoot, rollbackDir: path.join(rightRoot, 'elsewhere') });
+
+    assert.equal(await removeRollbackRecords(dir, ['run-3']), 3);
+    assert.deepEqual((await fs.readdir(path.join(rightRoot, '.lempicka-undo'))).sort(), ['other', 'resumed']);
+
+    assert.equal(await removeRollbackRecords(dir), 1);
+    assert.deepEqual(await fs.readdir(path.join(rightRoot, '.lempicka-undo')), ['other']);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const { buildComparePlan, syncPlan } = require('../src/core/sync');
+const {
+  ROLLBACK_DIR_NAME,
+  buildRollbackRecord,
+  describeRollbackAvailability,
+  undoSyncRun,
+  removeKeptOriginals,
+  pruneKeptOriginals,
+  removeUnreferencedKeptOriginals,
+} = require('../src/core/rollback');
+
+async function withTempDirs(run) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-rollback-'));
+  const left = path.join(root, 'left');
+  const right = path.join(root, 'right');
+  await fs.mkdir(left, { recursive: true });
+  await fs.mkdir(right, { recursive: true });
+  try {
+    await run({ left, right, root });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+async function writeFile(base, relativePath, content) {
+  const fullPath = path.join(base, relativePath);
+  await fs.mkdir(path.dirname(fullPath), { recursive: true });
+  await fs.writeFile(fullPath, content);
+}
+
+async function exists(fullPath) {
+  return fs.access(fullPath).then(() => true, () => false);
+}
+
+async function syncWithArchive(left, right, options = {}) {
+  const compare = await buildComparePlan(left, right);
+  return syncPlan(compare.plan, undefined, {
+    leftRoot: left,
+    rightRoot: right,
+    directoriesToCreate: compare.directoriesToCreate,
+    orphansToTrash: options.mirror ? compare.orphans : [],
+    archive: options.archive === false ? null : { location: '' },
+    keepReplaced: options.keepReplaced,
+  });
+}
+
+test('undoSyncRun restores replaced files, removes created ones and returns trashed orphans', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'clip_v2.txt', 'new-content-longer');
+    await writeFile(left, 'shots/a/new_v1.txt', 'brand new');
+    await writeFile(right, 'clip.txt', 'old');
+    await writeFile(right, 'stale.txt', 'orphan');
+
+    const result = await syncWithArchive(left, right, { mirror: true });
+    assert.deepEqual(result.createdDirectories.sort(), ['shots', path.join('shots', 'a')]);
+    const record = buildRollbackRecord(result);
+    assert.deepEqual(describeRollbackAvailability(record), { available: true, reason: '' });
+
+    const undone = await undoSyncRun(JSON.parse(JSON.stringify(record)));
+    assert.deepEqual(undone.restored, ['clip.txt']);
+    assert.deepEqual(undone.removed, [path.join('shots', 'a', 'new.txt')]);
+    assert.deepEqual(undone.untrashed, ['stale.txt']);
+    assert.deepEqual(undone.removedDirectories, [path.join('shots', 'a'), 'shots']);
+
+    assert.equal(await fs.readFile(path.join(right, 'clip.txt'), 'utf8'), 'old');
+    assert.equal(await fs.readFile(path.join(right, 'stale.txt'), 'utf8'), 'orphan');
+    assert.equal(await exists(path.join(right, 'shots')), false);
+  });
+});
+
+test('undoSyncRun refuses without changing anything when a synced file was edited since', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'clip_v2.txt', 'new-content-longer');
+    await writeFile(left, 'notes_v1.txt', 'notes');
+    await writeFile(right, 'clip.txt', 'old');
+
+    const record = buildRollbackRecord(await syncWithArchive(left, right));
+    await fs.writeFile(path.join(right, 'notes.txt'), 'edited after the sync');
+
+    await assert.rejects(undoSyncRun(record), (error) => {
+      assert.equal(error.code, 'UNDO_REFUSED');
+      assert.deepEqual(error.details.conflicts, [{ relativePath: 'notes.txt', reason: 'modified since the sync' }]);
+      return true;
+    });
+    assert.equal(await fs.readFile(path.join(right, 'clip.txt'), 'utf8'), 'new-content-longer');
+  });
+});
+
+test('a sync that replaced files without archiving them cannot be undone', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'clip_v2.txt', 'new-content-longer');
+    await writeFile(right, 'clip.txt', 'old');
+
+    const record = buildRollbackRecord(await syncWithArchive(left, right, { archive: false }));
+    const availability = describeRollbackAvailability(record);
+    assert.equal(availability.available, false);
+    assert.match(availability.reason, /not kept/);
+    await assert.rejects(undoSyncRun(record), (error) => error.code === 'UNDO_UNAVAILABLE');
+  });
+});
+
+test('without the archive, replaced files are kept for undo in a folder pruned with its record', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'clip_v2.txt', 'new-content-longer');
+    await writeFile(right, 'clip.txt', 'old');
+
+    const result = await syncWithArchive(left, right, { archive: false, keepReplaced: {} });
+    assert.equal(path.dirname(result.rollbackDir), path.join(right, ROLLBACK_DIR_NAME));
+    assert.deepEqual(result.archived, []);
+    const record = buildRollbackRecord(result);
+    assert.equal(record.rollbackDir, result.rollbackDir);
+    assert.deepEqual(describeRollbackAvailability(record), { available: true, reason: '' });
+
+    const compare = await buildComparePlan(left, right);
+    assert.deepEqual(compare.orphans, []);
+
+    const undone = await undoSyncRun(record);
+    assert.deepEqual(undone.restored, ['clip.txt']);
+    assert.equal(await fs.readFile(path.join(right, 'clip.txt'), 'utf8'), 'old');
+
+    await removeKeptOriginals({ ...record, rollbackDir: path.join(right, 'clip.txt') });
+    assert.equal(await exists(path.join(right, 'clip.txt')), true);
+    await removeKeptOriginals(record);
+    assert.equal(await exists(record.rollbackDir), false);
+    assert.equal(await exists(path.join(right, ROLLBACK_DIR_NAME)), false);
+  });
+});
+
+test('kept originals are pruned by run count and age, and unreferenced runs can be swept', async () => {
+  await withTempDirs(async ({ right }) => {
+    const runDir = (name) => path.join(right, ROLLBACK_DIR_NAME, name);
+    const names = ['2026-01-01T00-00-00-000Z', '2026-03-01T00-00-00-000Z', '2026-03-10T00-00-00-000Z'];
+    for (const name of names) {
+      await writeFile(runDir(name), 'clip.txt', 'original');
+    }
+    await writeFile(right, path.join(ROLLBACK_DIR_NAME, 'notes.txt'), 'not a run');
+
+    const now = Date.parse('2026-03-15T00:00:00.000Z');
+    assert.deepEqual(await pruneKeptOriginals(right, { keepRuns: 2, now }), [runDir(names[0])]);
+    assert.deepEqual(await pruneKeptOriginals(right, { maxAgeDays: 10, now }), [runDir(names[1])]);
+    assert.deepEqual(await pruneKeptOriginals(right, { now }), []);
+
+    await writeFile(runDir('2026-03-20T00-00-00-000Z'), 'clip.txt', 'sync still running');
+    const removed = await removeUnreferencedKeptOriginals(right, [], { startedBefore: now });
+    assert.deepEqual(removed, [runDir(names[2])]);
+    assert.deepEqual(
+      (await fs.readdir(path.join(right, ROLLBACK_DIR_NAME))).sort(),
+      ['2026-03-20T00-00-00-000Z', 'notes.txt']
+    );
+  });
+});
@@ -0,0 +1,277 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+
+const {
+  loadState,
+  saveState,
+  normalizeState,
+  updateSelectedDirs,
+  updateFilters,
+  updateOptions,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  deleteProfile,
+  selectProfile,
+  pinsForRoots,
+  updatePin,
+  normalizeHistoryEntry,
+  appendSyncHistory,
+  markSyncUndone,
+  concurrencyHintFor,
+  updateConcurrencyHint,
+} = require('../src/main/state-store');
+
+function stateWithTwoProfiles() {
+  let state = updateSelectedDirs(normalizeState({}), { leftRoot: '/shows/a/src', rightRoot: '/shows/a/dst' });
+  state = createProfile(state, 'Show A').nextState;
+  state = selectProfile(state, '');
+  state = updateSelectedDirs(state, { leftRoot: '/shows/b/src', rightRoot: '/shows/b/dst' });
+  state = updateFilters(state, { rules: ['*.tmp'] });
+  return createProfile(state, 'Show B').nextState;
+}
+
+test('creating a profile snapshots the working settings and makes it active', () => {
+  const state = stateWithTwoProfiles();
+  assert.deepEqual(state.profiles.map((profile) => profile.name), ['Show A', 'Show B']);
+
+  const showB = state.profiles[1];
+  assert.equal(state.activeProfileId, showB.id);
+  assert.deepEqual(showB.selectedDirs, { leftRoot: '/shows/b/src', rightRoot: '/shows/b/dst' });
+  assert.deepEqual(showB.filters.rules, ['*.tmp']);
+  assert.deepEqual(state.profiles[0].filters.rules, []);
+});
+
+test('switching profiles loads their folders and settings, and edits write back to the active one', () => {
+  let state = stateWithTwoProfiles();
+  const [showA, showB] = state.profiles;
+
+  state = selectProfile(state, showA.id);
+  assert.equal(state.selectedDirs.leftRoot, '/shows/a/src');
+  assert.deepEqual(state.filters.rules, []);
+
+  state = updateOptions(state, { syncOptions: { mirror: true } });
+  state = updateSelectedDirs(state, { rightRoot: '/shows/a/dst2' });
+  assert.equal(state.profiles[0].syncOptions.mirror, true);
+  assert.equal(state.profiles[0].selectedDirs.rightRoot, '/shows/a/dst2');
+  assert.equal(state.profiles[1].syncOptions.mirror, false);
+
+  state = selectProfile(state, showB.id);
+  assert.equal(state.syncOptions.mirror, false);
+  assert.equal(state.selectedDirs.rightRoot, '/shows/b/dst');
+});
+
+test('profile names must be present and unique regardless of case', () => {
+  const state = stateWithTwoProfiles();
+  const [showA, showB] = state.profiles;
+
+  assert.throws(() => createProfile(state, '   '), /Enter a profile name/);
+  assert.throws(() => createProfile(state, 'show a'), /already exists/);
+  assert.throws(() => renameProfile(state, showB.id, 'SHOW A'), /already exists/);
+  assert.throws(() => renameProfile(state, 'missing', 'Other'), /no longer exists/);
+
+  const renamed = renameProfile(state, showA.id, '  Show A finals ');
+  assert.equal(renamed.profiles[0].name, 'Show A finals');
+  assert.equal(renamed.activeProfileId, showB.id);
+});
+
+test('duplicating copies settings under a new id, deleting keeps the working settings', () => {
+  let state = stateWithTwoProfiles();
+  const showB = state.profiles[1];
+
+  const duplicated = duplicateProfile(selectProfile(state, state.profiles[0].id), showB.id, 'Show B copy');
+  state = duplicated.nextState;
+  assert.notEqual(duplicated.profile.id, showB.id);
+  assert.equal(state.activeProfileId, duplicated.profile.id);
+  assert.deepEqual(state.filters.rules, ['*.tmp']);
+  assert.equal(state.selectedDirs.leftRoot, '/shows/b/src');
+
+  state = deleteProfile(state, duplicated.profile.id);
+  assert.equal(state.activeProfileId, '');
+  assert.equal(state.profiles.length, 2);
+  assert.equal(state.selectedDirs.leftRoot, '/shows/b/src');
+});
+
+test('profiles and the active profile survive a save and reload', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-state-'));
+  try {
+    const filePath = path.join(root, 'state.json');
+    const state = stateWithTwoProfiles();
+    await saveState(filePath, state);
+
+    const loaded = await loadState(filePath);
+    assert.deepEqual(loaded.profiles, state.profiles);
+    assert.equal(loaded.activeProfileId, state.activeProfileId);
+
+    await fs.writeFile(filePath, JSON.stringify({
+      profiles: [{ id: 'p1', name: 'One' }, { id: 'p2', name: 'one' }, { id: '', name: 'No id' }],
+      activeProfileId: 'gone',
+    }), 'utf8');
+    const sanitized = await loadState(filePath);
+    assert.deepEqual(sanitized.profiles.map((profile) => profile.id), ['p1']);
+    assert.equal(sanitized.activeProfileId, '');
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('pins are kept per root pair and travel with the active profile', () => {
+  let state = stateWithTwoProfiles();
+  const [showA, showB] = state.profiles;
+  const roots = { leftRoot: '/shows/b/src', rightRoot: '/shows/b/dst' };
+
+  state = updatePin(state, { ...roots, targetRelativePath: 'comp.exr', mode: 'version', version: 7 });
+  state = updatePin(state, { ...roots, targetRelativePath: 'plate.exr', mode: 'never', version: 3 });
+  state = updatePin(state, { ...roots, targetRelativePath: 'comp.exr', mode: 'version', version: 6 });
+  const pinned = pinsForRoots(state, roots.leftRoot, roots.rightRoot);
+  assert.deepEqual(pinned.map((pin) => [pin.targetRelativePath, pin.version]), [['plate.exr', null], ['comp.exr', 6]]);
+  assert.deepEqual(pinsForRoots(state, '/shows/a/src', '/shows/a/dst'), []);
+  assert.equal(state.profiles[1].pins.length, 2);
+
+  assert.throws(
+    () => updatePin(state, { ...roots, targetRelativePath: 'x.exr', mode: 'version', version: -1 }),
+    /Choose a version/
+  );
+
+  state = selectProfile(state, showA.id);
+  assert.deepEqual(state.pins, []);
+  state = selectProfile(state, showB.id);
+  state = updatePin(state, { ...roots, targetRelativePath: 'plate.exr', mode: '' });
+  assert.deepEqual(state.pins.map((pin) => pin.targetRelativePath), ['comp.exr']);
+  assert.deepEqual(normalizeState({ pins: [{ leftRoot: '/a', targetRelativePath: 'x', mode: 'never' }] }).pins, []);
+});
+
+test('history entries keep the profile they ran under', () => {
+  const entry = normalizeHistoryEntry({ id: 'run', profileId: 'p1', profileName: 'Show A', files: [] });
+  assert.equal(entry.profileId, 'p1');
+  assert.equal(entry.profileName, 'Show A');
+  assert.equal(normalizeHistoryEntry({ id: 'old' }).profileName, '');
+});
+
+test('history entries record newer destinations that were held back or overwritten', () => {
+  const entry = normalizeHistoryEntry({
+    id: 'run',
+    files: [{ sourceRelativePath: 'a_v2.txt', targetRelativePath: 'a.txt', overwroteNewer: true }, 'b.txt'],
+    heldBack: [{ sourceRelativePath: 'c_v3.txt', targetRelativePath: 'c.txt' }, { sourceRelativePath: 'x' }],
+  });
+  assert.deepEqual(entry.files.map((file) => file.overwroteNewer), [true, false]);
+  assert.deepEqual(entry.heldBack, [{ sourceRelativePath: 'c_v3.txt', targetRelativePath: 'c.txt' }]);
+  assert.deepEqual(normalizeHistoryEntry({ id: 'old' }).heldBack, []);
+});
+
+test('archive settings default to off with a run limit and only keep absolute locations', () => {
+  const defaults = normalizeState({}).syncOptions;
+  assert.deepEqual(
+    [defaults.archive, defaults.archiveLocation, defaults.archiveKeepRuns, defaults.archiveMaxAgeDays],
+    [false, '', 20, 0]
+  );
+
+  let state = updateOptions(normalizeState({}), {
+    syncOptions: { archive: true, archiveLocation: 'relative/dir', archiveKeepRuns: 0, archiveMaxAgeDays: 45 },
+  });
+  assert.equal(state.syncOptions.archive, true);
+  assert.equal(state.syncOptions.archiveLocation, '');
+  assert.equal(state.syncOptions.archiveKeepRuns, 0);
+  assert.equal(state.syncOptions.archiveMaxAgeDays, 45);
+
+  state = updateOptions(state, { syncOptions: { archiveLocation: path.resolve('/archives/show') } });
+  assert.equal(state.syncOptions.archiveLocation, path.resolve('/archives/show'));
+  assert.equal(state.syncOptions.archiveMaxAgeDays, 45);
+});
+
+test('keeping replaced files for undo is off by default and always has a limit', () => {
+  const defaults = normalizeState({}).syncOptions;
+  assert.deepEqual(
+    [defaults.keepReplaced, defaults.keepReplacedRuns, defaults.keepReplacedMaxAgeDays],
+    [false, 10, 30]
+  );
+
+  let state = updateOptions(normalizeState({}), {
+    syncOptions: { keepReplaced: true, keepReplacedRuns: 0, keepReplacedMaxAgeDays: 7 },
+  });
+  assert.deepEqual(
+    [state.syncOptions.keepReplaced, state.syncOptions.keepReplacedRuns, state.syncOptions.keepReplacedMaxAgeDays],
+    [true, 0, 7]
+  );
+  state = updateOptions(state, { syncOptions: { keepReplacedRuns: 0, keepReplacedMaxAgeDays: 0 } });
+  assert.equal(state.syncOptions.keepReplacedRuns, 10);
+  assert.equal(state.syncOptions.keepReplacedMaxAgeDays, 0);
+});
+
+test('rate limit settings default to unlimited and keep only valid schedule windows', () => {
+  const defaults = normalizeState({}).syncOptions;
+  assert.equal(defaults.rateLimitBps, 0);
+  assert.deepEqual(defaults.rateLimitSchedule, []);
+
+  const state = updateOptions(normalizeState({}), {
+    syncOptions: {
+      rateLimitBps: 1048576.7,
+      rateLimitSchedule: [
+        { start: '9:00', end: '18:00', bytesPerSecond: 2097152 },
+        { start: 'noon', end: '18:00', bytesPerSecond: 1 },
+      ],
+    },
+  });
+  assert.equal(state.syncOptions.rateLimitBps, 1048576);
+  assert.deepEqual(state.syncOptions.rateLimitSchedule, [{ start: '09:00', end: '18:00', bytesPerSecond: 2097152 }]);
+});
+
+test('history entries carry their undo state and can be marked undone once', () => {
+  assert.equal(normalizeHistoryEntry({ id: 'old' }).undo, 'unavailable');
+
+  let state = appendSyncHistory(normalizeState({}), { id: 'run', undo: 'available', files: ['a.txt'] }).nextState;
+  state = markSyncUndone(state, 'run', 'Undone: restored 1, removed 0.');
+  assert.equal(state.syncHistory[0].undo, 'undone');
+  assert.equal(state.syncHistory[0].undoNote, 'Undone: restored 1, removed 0.');
+  assert.throws(() => markSyncUndone(state, 'gone', ''), /no longer in the history/);
+
+  state = appendSyncHistory(state, { id: 'half', undo: 'available', files: ['b.txt'] }).nextState;
+  state = markSyncUndone(state, 'half', 'Partly undone: stopped after restoring 1.', 'partial');
+  assert.equal(state.syncHistory.find((entry) => entry.id === 'half').undo, 'partial');
+  assert.equal(normalizeHistoryEntry({ id: 'half', undo: 'partial' }).undo, 'partial');
+});
+
+test('concurrency bounds are clamped and each destination remembers its last worker count', async () => {
+  const options = updateOptions(normalizeState({}), {
+    syncOptions: { minParallelFiles: 9, maxParallelFiles: 6, maxParallelLargeFiles: 0, smallFileThresholdMB: 5000 },
+  }).syncOptions;
+  assert.deepEqual(
+    [options.minParallelFiles, options.maxParallelFiles, options.maxParallelLargeFiles, options.smallFileThresholdMB],
+    [6, 6, 1, 1024]
+  );
+
+  let state = updateConcurrencyHint(normalizeState({}), '/shows/a/dst', 4, '2026-01-05T10:00:00.000Z');
+  state = updateConcurrencyHint(state, '/shows/b/dst', 2, '2026-01-05T11:00:00.000Z');
+  state = updateConcurrencyHint(state, '/shows/a/dst', 5, '2026-01-05T12:00:00.000Z');
+  assert.deepEqual(state.concurrencyHints.map((hint) => hint.rightRoot), ['/shows/a/dst', '/shows/b/dst']);
+  assert.equal(concurrencyHintFor(state, '/shows/a/dst'), 5);
+  assert.equal(concurrencyHintFor(state, '/shows/c/dst'), 0);
+
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-state-'));
+  try {
+    const filePath = path.join(root, 'state.json');
+    await saveState(filePath, state);
+    assert.deepEqual((await loadState(filePath)).concurrencyHints, state.concurrencyHints);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('metadata preservation keeps times and permissions by default and extended attributes when asked', () => {
+  const defaults = normalizeState({}).syncOptions;
+  assert.deepEqual(
+    [defaults.preserveTimes, defaults.preserveMode, defaults.preserveXattrs],
+    [true, true, false]
+  );
+
+  const state = updateOptions(normalizeState({}), {
+    syncOptions: { preserveTimes: false, preserveXattrs: true, preserveMode: 'yes' },
+  });
+  assert.deepEqual(
+    [state.syncOptions.preserveTimes, state.syncOptions.preserveMode, state.syncOptions.preserveXattrs],
+    [false, true, true]
+  );
+});
@@ -1,6 +1,7 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('fs/promises');
+const fsSync = require('fs');
 const path = require('path');
 const os = require('os');
 
@@ -9,8 +10,13 @@ const {
   buildComparePlan,
   syncPlan,
   getSyncRecoverySummary,
+  prepareSyncRecovery,
   resumeSyncFromJournal,
+  SYNC_TRASH_DIR_NAME,
+  ARCHIVE_DIR_NAME,
 } = require('../src/core/sync');
+const { listArchive } = require('../src/core/archive');
+const { createChecksumCache } = require('../src/core/checksum-cache');
 
 async function withTempDirs(run) {
   const root = await fs.mkdtemp(path.join(os.tmpdir(), 'tree-sync-test-'));
@@ -38,6 +44,7 @@ test('parseVersionedName handles versioned and non-versioned names', () => {
     version: 0,
     strippedStem: 'notes',
     isVersioned: false,
+    patternId: '',
   });
 
   assert.deepEqual(parseVersionedName('notes_v12.txt'), {
@@ -45,6 +52,7 @@ test('parseVersionedName handles versioned and non-versioned names', () => {
     version: 12,
     strippedStem: 'notes',
     isVersioned: true,
+    patternId: 'underscore-v',
   });
 });
 
@@ -62,6 +70,328 @@ test('buildComparePlan picks latest version and skips same-size targets', async
   });
 });
 
+test('buildComparePlan lists every candidate version of a target and marks the chosen one', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'shot_v3.exr', 'three');
+    await writeFile(left, 'shot_v5.exr', 'five!');
+    await writeFile(left, 'shot.exr', 'base');
+    await writeFile(left, 'other_v1.exr', 'one');
+
+    const result = await buildComparePlan(left, right);
+    const shot = result.plan.find((item) => item.targetRelativePath === 'shot.exr');
+    assert.deepEqual(
+      shot.candidates.map((candidate) => [candidate.sourceRelativePath, candidate.version, candidate.chosen]),
+      [['shot_v5.exr', 5, true], ['shot_v3.exr', 3, false], ['shot.exr', 0, false]]
+    );
+    assert.equal(shot.candidates[0].size, 5);
+    assert.equal(shot.candidates[0].isVersioned, true);
+    assert.equal(shot.candidates[2].isVersioned, false);
+    assert.ok(Number.isFinite(shot.candidates[0].mtimeMs));
+
+    const other = result.plan.find((item) => item.targetRelativePath === 'other.exr');
+    assert.equal(other.candidates.length, 1);
+    assert.equal(other.candidates[0].chosen, true);
+  });
+});
+
+test('buildComparePlan lists candidates for every target, including ones already in sync', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'plate_v1.exr', 'one');
+    await writeFile(left, 'plate_v2.exr', 'two');
+    await writeFile(left, 'grade_v4.exr', 'four');
+    await writeFile(left, 'roto_v1.exr', 'roto');
+    await writeFile(right, 'plate.exr', 'two');
+
+    const result = await buildComparePlan(left, right, { pins: [{ targetRelativePath: 'roto.exr', mode: 'never' }] });
+    assert.deepEqual(result.plan.map((item) => item.targetRelativePath), ['grade.exr']);
+    assert.deepEqual(
+      result.targets.map((target) => [target.targetRelativePath, target.status, target.candidates.length]),
+      [['grade.exr', 'planned', 1], ['plate.exr', 'in-sync', 2], ['roto.exr', 'held-back', 1]]
+    );
+    const plate = result.targets.find((target) => target.targetRelativePath === 'plate.exr');
+    assert.deepEqual(
+      plate.candidates.map((candidate) => [candidate.sourceRelativePath, candidate.chosen]),
+      [['plate_v2.exr', true], ['plate_v1.exr', false]]
+    );
+    const roto = result.targets.find((target) => target.targetRelativePath === 'roto.exr');
+    assert.equal(roto.candidates[0].chosen, false);
+  });
+});
+
+test('a pin to an older version is not held back by a destination that already has the later one', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    const v7Time = new Date('2026-05-01T10:00:00.000Z');
+    const v8Time = new Date('2026-05-02T10:00:00.000Z');
+    await writeFile(left, 'comp_v7.exr', 'seven');
+    await writeFile(left, 'comp_v8.exr', 'eight-wip');
+    await fs.utimes(path.join(left, 'comp_v7.exr'), v7Time, v7Time);
+    await fs.utimes(path.join(left, 'comp_v8.exr'), v8Time, v8Time);
+    // What an earlier sync of v8 left behind, with its modification time preserved.
+    await writeFile(right, 'comp.exr', 'eight-wip');
+    await fs.utimes(path.join(right, 'comp.exr'), v8Time, v8Time);
+    const pins = [{ targetRelativePath: 'comp.exr', mode: 'version', version: 7 }];
+
+    const rollback = await buildComparePlan(left, right, { pins });
+    assert.deepEqual(rollback.plan.map((item) => [item.sourceRelativePath, item.destinationNewer]), [
+      ['comp_v7.exr', false],
+    ]);
+    assert.equal(rollback.destinationNewerCount, 0);
+
+    const edited = new Date('2026-05-03T10:00:00.000Z');
+    await fs.utimes(path.join(right, 'comp.exr'), edited, edited);
+    const handEdited = await buildComparePlan(left, right, { pins });
+    assert.equal(handEdited.plan[0].destinationNewer, true);
+  });
+});
+
+test('buildComparePlan honors version pins and never-sync pins and reports pins it cannot apply', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'comp_v7.exr', 'seven');
+    await writeFile(left, 'comp_v8.exr', 'eight-wip');
+    await writeFile(left, 'plate_v2.exr', 'two');
+    await writeFile(left, 'plate_v3.exr', 'three');
+    await writeFile(left, 'grade_v4.exr', 'four');
+    await writeFile(left, 'roto_v1.exr', 'one');
+    await writeFile(right, 'roto.exr', 'one');
+
+    const result = await buildComparePlan(left, right, {
+      pins: [
+        { targetRelativePath: 'comp.exr', mode: 'version', version: 7 },
+        { targetRelativePath: 'plate.exr', mode: 'never' },
+        { targetRelativePath: 'grade.exr', mode: 'version', version: 2 },
+        { targetRelativePath: 'roto.exr', mode: 'version', version: 1 },
+        { targetRelativePath: 'gone.exr', mode: 'version', version: 1 },
+        { targetRelativePath: 'bad.exr', mode: 'sometimes' },
+      ],
+    });
+
+    assert.deepEqual(result.plan.map((item) => [item.targetRelativePath, item.sourceRelativePath, item.pinned]), [
+      ['comp.exr', 'comp_v7.exr', true],
+    ]);
+    assert.deepEqual(
+      result.plan[0].candidates.map((candidate) => [candidate.version, candidate.chosen]),
+      [[8, false], [7, true]]
+    );
+    assert.deepEqual(result.pins.map((pin) => [pin.targetRelativePath, pin.mode, pin.version, pin.status]), [
+      ['comp.exr', 'version', 7, 'applied'],
+      ['gone.exr', 'version', 1, 'target-missing'],
+      ['grade.exr', 'version', 2, 'version-missing'],
+      ['plate.exr', 'never', null, 'never'],
+      ['roto.exr', 'version', 1, 'in-sync'],
+    ]);
+    assert.equal(result.orphans.length, 0);
+    assert.ok(result.pins[3].candidates.every((candidate) => !candidate.chosen));
+  });
+});
+
+test('buildComparePlan holds back same-version collisions and warns about unversioned look-alikes', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'doc.txt', 'base');
+    await writeFile(left, 'doc_v1.txt', 'one');
+    await writeFile(left, 'shot_v2.psd', 'underscore');
+    await writeFile(left, 'shot-v2.psd', 'dash');
+
+    const result = await buildComparePlan(left, right, {
+      versioning: { enabledPatternIds: ['underscore-v', 'dash-v'] },
+      destinationCaseSensitive: true,
+    });
+
+    assert.deepEqual(result.plan.map((item) => item.sourceRelativePath), ['doc_v1.txt']);
+    assert.deepEqual(result.collisions.map((collision) => [collision.kind, collision.severity]), [
+      ['unversioned', 'warning'],
+      ['same-version', 'error'],
+    ]);
+    assert.deepEqual(result.collisions[1].sourceRelativePaths.sort(), ['shot-v2.psd', 'shot_v2.psd']);
+    assert.equal(result.orphans.length, 0);
+  });
+});
+
+test('buildComparePlan treats names that differ only by case as collisions on case-insensitive destinations', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'Shot.psd', 'base');
+    await writeFile(left, 'shot_v2.PSD', 'two');
+    await writeFile(left, 'Notes.txt', 'same');
+    await writeFile(right, 'notes.txt', 'same');
+    await writeFile(right, 'Old.txt', 'old');
+
+    const insensitive = await buildComparePlan(left, right, { destinationCaseSensitive: false });
+    assert.equal(insensitive.destinationCaseSensitive, false);
+    assert.deepEqual(insensitive.plan, []);
+    assert.deepEqual(insensitive.collisions.map((collision) => [collision.kind, collision.targetRelativePaths]), [
+      ['destination-case', ['Notes.txt']],
+      ['case', ['shot.PSD', 'Shot.psd']],
+    ]);
+    assert.equal(insensitive.collisions[0].destinationRelativePath, 'notes.txt');
+    assert.deepEqual(insensitive.orphans.map((orphan) => orphan.relativePath), ['Old.txt']);
+
+    const sensitive = await buildComparePlan(left, right, { destinationCaseSensitive: true });
+    assert.deepEqual(sensitive.plan.map((item) => item.targetRelativePath), ['Notes.txt', 'shot.PSD', 'Shot.psd']);
+    assert.deepEqual(sensitive.collisions, []);
+    assert.deepEqual(sensitive.orphans.map((orphan) => orphan.relativePath), ['notes.txt', 'Old.txt']);
+  });
+});
+
+test('buildComparePlan probes the destination volume for case sensitivity', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(right, 'Probe.txt', 'probe');
+    const expected = await fs.access(path.join(right, 'pROBE.TXT')).then(() => false, () => true);
+
+    const result = await buildComparePlan(left, right);
+    assert.equal(result.destinationCaseSensitive, expected);
+  });
+});
+
+test('buildComparePlan maps names with every enabled version pattern and records the match', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'a.v003.txt', 'dot');
+    await writeFile(left, 'b-v3.txt', 'dash');
+    await writeFile(left, 'c_V003_final.txt', 'suffix');
+    await writeFile(left, 'd_r12.txt', 'revision');
+    await writeFile(left, 'e_v2.txt', 'underscore');
+
+    const result = await buildComparePlan(left, right, {
+      versioning: {
+        enabledPatternIds: ['underscore-v', 'dot-v', 'dash-v', 'underscore-v-suffix', 'underscore-r'],
+      },
+    });
+
+    const byTarget = new Map(result.plan.map((item) => [item.targetRelativePath, item]));
+    assert.deepEqual(Array.from(byTarget.keys()), ['a.txt', 'b.txt', 'c.txt', 'd.txt', 'e.txt']);
+    assert.equal(byTarget.get('a.txt').versionPattern, 'dot-v');
+    assert.equal(byTarget.get('b.txt').versionPattern, 'dash-v');
+    assert.equal(byTarget.get('c.txt').versionPattern, 'underscore-v-suffix');
+    assert.equal(byTarget.get('d.txt').version, 12);
+    assert.equal(byTarget.get('d.txt').versionPattern, 'underscore-r');
+    assert.equal(result.versionPatternCounts['underscore-v'], 1);
+  });
+});
+
+test('buildComparePlan leaves names unversioned when their pattern is not enabled', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'a.v003.txt', 'dot');
+
+    const result = await buildComparePlan(left, right);
+    assert.equal(result.plan[0].targetRelativePath, 'a.v003.txt');
+    assert.equal(result.plan[0].versionPattern, '');
+  });
+});
+
+test('buildComparePlan reports why each file differs', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'missing_v1.txt', 'new');
+    await writeFile(left, 'resized_v1.txt', 'longer content');
+    await writeFile(right, 'resized.txt', 'short');
+
+    const result = await buildComparePlan(left, right);
+    assert.equal(result.compareMode, 'size');
+    assert.deepEqual(
+      result.plan.map((item) => [item.targetRelativePath, item.reason]),
+      [['missing.txt', 'missing'], ['resized.txt', 'size-differs']]
+    );
+  });
+});
+
+test('buildComparePlan content mode catches same-size edits', async () => {
+  for (const hashAlgorithm of ['sha256', 'crc32']) {
+    await withTempDirs(async ({ left, right }) => {
+      await writeFile(left, 'layer_v2.txt', 'color=red');
+      await writeFile(right, 'layer.txt', 'color=blu');
+      await writeFile(left, 'same_v1.txt', 'identical');
+      await writeFile(right, 'same.txt', 'identical');
+
+      const sizeOnly = await buildComparePlan(left, right);
+      assert.equal(sizeOnly.plan.length, 0);
+
+      const result = await buildComparePlan(left, right, {
+        compareMode: 'content',
+        hashAlgorithm,
+        hashConcurrency: 2,
+      });
+      assert.equal(result.hashAlgorithm, hashAlgorithm);
+      assert.equal(result.hashedCount, 2);
+      assert.equal(result.plan.length, 1);
+      assert.equal(result.plan[0].targetRelativePath, 'layer.txt');
+      assert.equal(result.plan[0].reason, 'content-differs');
+    });
+  }
+});
+
+test('a failed content compare stops hashing the files still queued', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    for (let index = 0; index < 20; index += 1) {
+      await writeFile(left, `shot${index}_v1.txt`, 'aaaa');
+      await writeFile(right, `shot${index}.txt`, 'bbbb');
+    }
+    let lookups = 0;
+    const checksumCache = {
+      stats: { hits: 0, misses: 0 },
+      get() {
+        lookups += 1;
+        if (lookups === 1) {
+          throw new Error('cache read failed');
+        }
+        return null;
+      },
+      set() {},
+    };
+
+    await assert.rejects(
+      buildComparePlan(left, right, { compareMode: 'content', checksumCache, hashConcurrency: 2 }),
+      /cache read failed/
+    );
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.ok(lookups <= 3, `kept hashing after the failure: ${lookups} lookups`);
+  });
+});
+
+test('buildComparePlan reuses cached checksums for unchanged files', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'layer_v2.txt', 'color=red');
+    await writeFile(right, 'layer.txt', 'color=blu');
+    const checksumCache = createChecksumCache();
+    const options = { compareMode: 'content', checksumCache };
+
+    const first = await buildComparePlan(left, right, options);
+    assert.equal(first.checksumCacheHits, 0);
+    assert.equal(first.checksumCacheMisses, 2);
+
+    const second = await buildComparePlan(left, right, options);
+    assert.equal(second.checksumCacheHits, 2);
+    assert.equal(second.plan.length, 1);
+
+    await writeFile(right, 'layer.txt', 'color=red');
+    const future = new Date(Date.now() + 5000);
+    await fs.utimes(path.join(right, 'layer.txt'), future, future);
+    const third = await buildComparePlan(left, right, options);
+    assert.equal(third.checksumCacheHits, 1);
+    assert.equal(third.plan.length, 0);
+  });
+});
+
+test('buildComparePlan flags destination files edited after their source', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'edited_v2.txt', 'from source');
+    await writeFile(right, 'edited.txt', 'edited at destination');
+    await writeFile(left, 'stale_v2.txt', 'from source');
+    await writeFile(right, 'stale.txt', 'old');
+    await writeFile(left, 'fresh_v1.txt', 'from source');
+    const later = new Date(Date.now() + 60000);
+    const earlier = new Date(Date.now() - 60000);
+    await fs.utimes(path.join(right, 'edited.txt'), later, later);
+    await fs.utimes(path.join(right, 'stale.txt'), earlier, earlier);
+
+    const result = await buildComparePlan(left, right);
+    const byTarget = new Map(result.plan.map((item) => [item.targetRelativePath, item]));
+    assert.equal(byTarget.get('edited.txt').destinationNewer, true);
+    assert.ok(Math.abs(byTarget.get('edited.txt').destinationMtimeMs - later.getTime()) < 1);
+    assert.equal(byTarget.get('stale.txt').destinationNewer, false);
+    assert.equal(byTarget.get('fresh.txt').destinationNewer, false);
+    assert.equal(byTarget.get('fresh.txt').destinationMtimeMs, null);
+    assert.ok(Number.isFinite(byTarget.get('fresh.txt').sourceMtimeMs));
+    assert.equal(result.destinationNewerCount, 1);
+  });
+});
+
 test('buildComparePlan lists destination folders that need to be created', async () => {
   await withTempDirs(async ({ left, right }) => {
     await writeFile(left, 'alpha/beta/file_v1.txt', 'hello');
@@ -322,6 +652,538 @@ test('sync recovery journal can resume remaining files after cancellation', asyn
   });
 });
 
+test('syncPlan holds back newer destinations unless overridden and journals the decision', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'keep_v2.txt', 'from source');
+    await writeFile(right, 'keep.txt', 'edited at destination');
+    await writeFile(left, 'replace_v2.txt', 'from source');
+    await writeFile(right, 'replace.txt', 'edited at destination');
+    await writeFile(left, 'plain_v1.txt', 'plain');
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(path.join(right, 'keep.txt'), later, later);
+    await fs.utimes(path.join(right, 'replace.txt'), later, later);
+
+    const compare = await buildComparePlan(left, right);
+    const plan = compare.plan.map((item) => (
+      item.targetRelativePath === 'replace.txt' ? { ...item, overwriteNewer: true } : item
+    ));
+    const journalPath = path.join(root, 'sync-recovery.json');
+    let cancelRequested = false;
+    await assert.rejects(
+      () => syncPlan(plan, (progress) => {
+        if (progress.phase === 'copied') {
+          cancelRequested = true;
+        }
+      }, {
+        leftRoot: left,
+        rightRoot: right,
+        journalPath,
+        shouldCancel: () => cancelRequested,
+      }),
+      /cancelled/i
+    );
+
+    const journal = JSON.parse(await fs.readFile(journalPath, 'utf8'));
+    assert.deepEqual(journal.newerDestinations.map((entry) => [entry.targetRelativePath, entry.decision]), [
+      ['keep.txt', 'hold'],
+      ['replace.txt', 'overwrite'],
+    ]);
+    assert.equal(journal.plan.length, 2);
+
+    const resumed = await resumeSyncFromJournal(journalPath);
+    assert.equal(resumed.newerDestinations.length, 2);
+    assert.equal(await fs.readFile(path.join(right, 'keep.txt'), 'utf8'), 'edited at destination');
+    assert.equal(await fs.readFile(path.join(right, 'replace.txt'), 'utf8'), 'from source');
+    assert.equal(await fs.readFile(path.join(right, 'plain.txt'), 'utf8'), 'plain');
+
+    const direct = await syncPlan(compare.plan.filter((item) => item.targetRelativePath === 'keep.txt'));
+    assert.equal(direct.total, 0);
+    assert.deepEqual(direct.heldBack, [{ sourceRelativePath: 'keep_v2.txt', targetRelativePath: 'keep.txt' }]);
+  });
+});
+
+test('prepareSyncRecovery restores interrupted replacements and keeps pending work', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'one_v2.txt', 'new-one');
+    await writeFile(left, 'two_v1.txt', '2222');
+    await writeFile(right, 'one.txt', 'old');
+
+    const compare = await buildComparePlan(left, right);
+    const journalPath = path.join(root, 'sync-recovery.json');
+    await assert.rejects(
+      () => syncPlan(compare.plan, undefined, {
+        leftRoot: left,
+        rightRoot: right,
+        journalPath,
+        shouldCancel: () => true,
+      }),
+      /cancelled/i
+    );
+
+    const targetPath = path.join(right, 'one.txt');
+    const backupPath = path.join(right, '.one.txt.lempicka-tmp-test');
+    await fs.rename(targetPath, backupPath);
+    await fs.writeFile(targetPath, 'partial');
+    const journal = JSON.parse(await fs.readFile(journalPath, 'utf8'));
+    journal.activeEntries = {
+      [targetPath]: { targetPath, backupPath, tempPath: '', stage: 'backup-created' },
+    };
+    await fs.writeFile(journalPath, JSON.stringify(journal));
+
+    const summary = await prepareSyncRecovery(journalPath);
+    assert.ok(summary);
+    assert.equal(summary.leftRoot, left);
+    assert.equal(summary.rightRoot, right);
+    assert.equal(summary.totalCount, 2);
+    assert.equal(summary.pendingCount, 2);
+    assert.equal(summary.recoveredActiveEntries, 1);
+    assert.ok(summary.startedAt);
+    assert.ok(summary.updatedAt);
+    assert.equal(await fs.readFile(targetPath, 'utf8'), 'old');
+
+    const stored = await getSyncRecoverySummary(journalPath);
+    assert.equal(stored.activeCount, 0);
+
+    const resumed = await resumeSyncFromJournal(journalPath, undefined, { continueOnError: true });
+    assert.equal(resumed.copied, 2);
+    assert.equal(resumed.resumedFromJournal, true);
+    assert.equal(await fs.readFile(targetPath, 'utf8'), 'new-one');
+    assert.equal(await prepareSyncRecovery(journalPath), null);
+  });
+});
+
+// Cancels once the journal records a checkpoint, leaving the copy of `take.bin` part-way through.
+async function cancelAfterCheckpoint(left, right, journalPath) {
+  const compare = await buildComparePlan(left, right);
+  const checkpointed = () => {
+    try {
+      const journal = JSON.parse(fsSync.readFileSync(journalPath, 'utf8'));
+      return Object.values(journal.activeEntries).some((entry) => entry.checkpoint);
+    } catch (error) {
+      return false;
+    }
+  };
+  await assert.rejects(
+    () => syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      journalPath,
+      checkpointMinBytes: 1,
+      checkpointIntervalBytes: 256 * 1024,
+      shouldCancel: checkpointed,
+    }),
+    /cancelled/i
+  );
+  return JSON.parse(await fs.readFile(journalPath, 'utf8'));
+}
+
+function patternedBytes(size, seed) {
+  return Buffer.from(Array.from({ length: size }, (value, index) => (index * 31 + seed) % 251));
+}
+
+test('a cancelled large copy keeps its checkpointed temp file and resumes from the recorded offset', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    const content = patternedBytes(3 * 1024 * 1024, 7);
+    await writeFile(left, 'take_v1.bin', content);
+    const journalPath = path.join(root, 'sync-recovery.json');
+
+    const journal = await cancelAfterCheckpoint(left, right, journalPath);
+    const [entry] = Object.values(journal.activeEntries);
+    assert.equal(entry.stage, 'partial');
+    assert.ok(entry.checkpoint.bytesWritten > 0 && entry.checkpoint.bytesWritten < content.length);
+    assert.equal(entry.checkpoint.source.size, content.length);
+    await fs.access(entry.tempPath);
+    await assert.rejects(() => fs.access(path.join(right, 'take.bin')), /ENOENT/);
+
+    const summary = await prepareSyncRecovery(journalPath);
+    assert.equal(summary.recoveredActiveEntries, 0);
+    assert.equal(summary.partialCount, 1);
+    assert.equal(summary.partialBytes, entry.checkpoint.bytesWritten);
+
+    const resumed = await resumeSyncFromJournal(journalPath, undefined, { verify: true });
+    assert.equal(resumed.copied, 1);
+    assert.equal(resumed.verifiedCount, 1);
+    assert.deepEqual(resumed.resumedCopies, [
+      { targetRelativePath: 'take.bin', resumedFromBytes: entry.checkpoint.bytesWritten },
+    ]);
+    assert.ok((await fs.readFile(path.join(right, 'take.bin'))).equals(content));
+    assert.deepEqual(await fs.readdir(right), ['take.bin']);
+  });
+});
+
+test('a partial copy starts over when the source changed, and a new sync drops ones it does not need', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'take_v1.bin', patternedBytes(2 * 1024 * 1024, 3));
+    const journalPath = path.join(root, 'sync-recovery.json');
+
+    await cancelAfterCheckpoint(left, right, journalPath);
+    const changed = patternedBytes(2 * 1024 * 1024, 5);
+    await writeFile(left, 'take_v1.bin', changed);
+    await fs.utimes(path.join(left, 'take_v1.bin'), new Date(), new Date(Date.now() + 60000));
+
+    const resumed = await resumeSyncFromJournal(journalPath, undefined, {});
+    assert.deepEqual(resumed.resumedCopies, []);
+    assert.ok((await fs.readFile(path.join(right, 'take.bin'))).equals(changed));
+    assert.deepEqual(await fs.readdir(right), ['take.bin']);
+
+    await writeFile(left, 'other_v1.bin', patternedBytes(2 * 1024 * 1024, 9));
+    const journal = await cancelAfterCheckpoint(left, right, journalPath);
+    const [entry] = Object.values(journal.activeEntries);
+    await fs.rm(path.join(left, 'other_v1.bin'));
+
+    const compare = await buildComparePlan(left, right);
+    const fresh = await syncPlan(compare.plan, undefined, { leftRoot: left, rightRoot: right, journalPath });
+    assert.equal(fresh.total, 0);
+    await assert.rejects(() => fs.access(entry.tempPath), /ENOENT/);
+    await assert.rejects(() => fs.access(journalPath), /ENOENT/);
+  });
+});
+
+test('syncPlan records the copy strategy each file used and keeps verification working on the fast paths', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    const content = Buffer.alloc(512 * 1024, 'k');
+    await writeFile(left, 'plate_v1.exr', content);
+    await writeFile(left, 'notes_v1.txt', 'notes');
+
+    const compare = await buildComparePlan(left, right);
+    const result = await syncPlan(compare.plan, undefined, { leftRoot: left, rightRoot: right, verify: true });
+    assert.equal(result.verifiedCount, 2);
+    for (const file of result.succeededFiles) {
+      const expected = process.platform === 'linux' ? ['reflink', 'kernel'] : ['reflink', 'buffered'];
+      assert.ok(expected.includes(file.copyStrategy), file.copyStrategy);
+    }
+    assert.ok((await fs.readFile(path.join(right, 'plate.exr'))).equals(content));
+
+    await fs.rm(path.join(right, 'plate.exr'));
+    await fs.rm(path.join(right, 'notes.txt'));
+    const buffered = await syncPlan(compare.plan, undefined, { leftRoot: left, rightRoot: right, fastCopy: false });
+    assert.deepEqual(buffered.succeededFiles.map((file) => file.copyStrategy), ['buffered', 'buffered']);
+
+    // A rate limit keeps the data flowing through the limiter instead of a kernel copy.
+    await fs.rm(path.join(right, 'plate.exr'));
+    await fs.rm(path.join(right, 'notes.txt'));
+    const throttled = await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      rateLimit: { bytesPerSecond: 64 * 1024 * 1024 },
+    });
+    assert.ok(throttled.succeededFiles.every((file) => file.copyStrategy !== 'kernel'));
+    assert.deepEqual((await fs.readdir(right)).sort(), ['notes.txt', 'plate.exr']);
+  });
+});
+
+test('syncPlan gives copies the source modification time and permissions unless told not to', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'render_v1.sh', '#!/bin/sh\n');
+    const sourcePath = path.join(left, 'render_v1.sh');
+    await fs.chmod(sourcePath, 0o750);
+    const edited = new Date('2025-03-04T05:06:07.250Z');
+    await fs.utimes(sourcePath, edited, edited);
+
+    const compare = await buildComparePlan(left, right);
+    const result = await syncPlan(compare.plan, undefined, { leftRoot: left, rightRoot: right });
+    const copied = await fs.stat(path.join(right, 'render.sh'));
+    assert.equal(copied.mtimeMs, edited.getTime());
+    assert.equal(copied.mode & 0o777, 0o750);
+    assert.deepEqual(result.succeededFiles[0].metadataWarnings, []);
+
+    await fs.rm(path.join(right, 'render.sh'));
+    await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      fastCopy: false,
+      preserveMetadata: { times: false, mode: false },
+    });
+    const fresh = await fs.stat(path.join(right, 'render.sh'));
+    assert.ok(fresh.mtimeMs > edited.getTime());
+  });
+});
+
+test('prepareSyncRecovery removes a journal with nothing left to do', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'one_v1.txt', '1111');
+
+    const compare = await buildComparePlan(left, right);
+    const journalPath = path.join(root, 'sync-recovery.json');
+    await assert.rejects(
+      () => syncPlan(compare.plan, undefined, {
+        leftRoot: left,
+        rightRoot: right,
+        journalPath,
+        shouldCancel: () => true,
+      }),
+      /cancelled/i
+    );
+
+    const journal = JSON.parse(await fs.readFile(journalPath, 'utf8'));
+    journal.completedTargetPaths = journal.plan.map((item) => item.targetPath);
+    await fs.writeFile(journalPath, JSON.stringify(journal));
+
+    assert.equal(await prepareSyncRecovery(journalPath), null);
+    await assert.rejects(() => fs.access(journalPath), /ENOENT/);
+  });
+});
+
+test('buildComparePlan reports destination files without a source as orphans', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'keep_v2.txt', 'keep');
+    await writeFile(right, 'keep.txt', 'keep');
+    await writeFile(right, 'nested/stale.txt', 'stale');
+    await writeFile(right, 'keep_v1.txt', 'old-name');
+    await writeFile(right, '.lempicka-trash/2024/old.txt', 'trashed');
+
+    const result = await buildComparePlan(left, right);
+    assert.equal(result.plan.length, 0);
+    assert.deepEqual(
+      result.orphans.map((item) => [item.relativePath, item.size]),
+      [
+        ['keep_v1.txt', 8],
+        [path.join('nested', 'stale.txt'), 5],
+      ]
+    );
+  });
+});
+
+test('syncPlan moves orphans to the destination trash folder', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'new_v1.txt', 'new');
+    await writeFile(right, 'nested/stale.txt', 'stale');
+
+    const compare = await buildComparePlan(left, right);
+    const result = await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      orphansToTrash: compare.orphans,
+    });
+
+    assert.equal(result.copied, 1);
+    assert.equal(result.trashed.length, 1);
+    assert.ok(result.trashDir.startsWith(path.join(right, SYNC_TRASH_DIR_NAME)));
+    await assert.rejects(() => fs.access(path.join(right, 'nested', 'stale.txt')), /ENOENT/);
+    assert.equal(await fs.readFile(result.trashed[0].trashPath, 'utf8'), 'stale');
+
+    const after = await buildComparePlan(left, right);
+    assert.equal(after.plan.length, 0);
+    assert.equal(after.orphans.length, 0);
+  });
+});
+
+test('buildComparePlan only skips the archive folder on the destination side', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, path.join(ARCHIVE_DIR_NAME, 'notes.txt'), 'notes');
+    await writeFile(right, path.join(ARCHIVE_DIR_NAME, 'old.txt'), 'old');
+
+    const compare = await buildComparePlan(left, right);
+    assert.deepEqual(compare.plan.map((item) => item.sourceRelativePath), [path.join(ARCHIVE_DIR_NAME, 'notes.txt')]);
+    assert.deepEqual(compare.orphans, []);
+  });
+});
+
+test('syncPlan refuses orphans outside the destination root', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(root, 'outside.txt', 'outside');
+
+    await assert.rejects(
+      () => syncPlan([], undefined, {
+        leftRoot: left,
+        rightRoot: right,
+        orphansToTrash: [{ relativePath: 'outside.txt', fullPath: path.join(root, 'outside.txt'), size: 7 }],
+      }),
+      /escapes selected destination/i
+    );
+    assert.equal(await fs.readFile(path.join(root, 'outside.txt'), 'utf8'), 'outside');
+  });
+});
+
+test('syncPlan refuses orphans whose relative path leaves the destination', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(right, 'stale.txt', 'stale');
+
+    await assert.rejects(
+      () => syncPlan([], undefined, {
+        leftRoot: left,
+        rightRoot: right,
+        orphansToTrash: [{ relativePath: '../../stale.txt', fullPath: path.join(right, 'stale.txt'), size: 5 }],
+      }),
+      /does not match its relative path/i
+    );
+    assert.equal(await fs.readFile(path.join(right, 'stale.txt'), 'utf8'), 'stale');
+    await assert.rejects(() => fs.access(path.join(root, 'stale.txt')));
+  });
+});
+
+test('sync recovery journal resumes pending orphan removal', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'one_v1.txt', '1111');
+    await writeFile(right, 'stale.txt', 'stale');
+
+    const compare = await buildComparePlan(left, right);
+    const journalPath = path.join(root, 'sync-recovery.json');
+    await assert.rejects(
+      () => syncPlan(compare.plan, undefined, {
+        leftRoot: left,
+        rightRoot: right,
+        orphansToTrash: compare.orphans,
+        journalPath,
+        shouldCancel: () => true,
+      }),
+      /cancelled/i
+    );
+
+    const summary = await prepareSyncRecovery(journalPath);
+    assert.equal(summary.pendingCount, 1);
+    assert.equal(summary.trashPendingCount, 1);
+
+    const resumed = await resumeSyncFromJournal(journalPath, undefined, { continueOnError: true });
+    assert.equal(resumed.copied, 1);
+    assert.equal(resumed.trashed.length, 1);
+    await assert.rejects(() => fs.access(path.join(right, 'stale.txt')), /ENOENT/);
+  });
+});
+
+test('buildComparePlan applies filter rules and reports what each rule excluded', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'keep_v1.txt', 'keep');
+    await writeFile(left, 'scratch_v1.tmp', 'tmp');
+    await writeFile(left, 'shots/renders/frame_v1.exr', 'exr');
+    await writeFile(left, 'art/cover_v1.psd', 'psd');
+    await writeFile(left, 'art/cover_v1.bak', 'bak');
+    await writeFile(left, '.lempickaignore', '*.bak\n');
+    await writeFile(right, 'old.tmp', 'old');
+    await writeFile(right, 'cover.bak', 'bak');
+
+    const result = await buildComparePlan(left, right, {
+      filters: { rules: ['*.tmp', '**/renders/**', 'art/*', '!*.psd'] },
+    });
+
+    assert.deepEqual(
+      result.plan.map((item) => item.targetRelativePath).sort(),
+      [path.join('art', 'cover.psd'), 'keep.txt']
+    );
+    assert.deepEqual(result.orphans.map((item) => item.relativePath), []);
+    assert.deepEqual(
+      result.filterStats.map((rule) => [rule.pattern, rule.origin, rule.sourceExcluded, rule.destinationExcluded]),
+      [
+        ['*.tmp', 'settings', 1, 1],
+        ['**/renders/**', 'settings', 1, 0],
+        ['art/*', 'settings', 0, 0],
+        ['*.bak', 'source-ignore-file', 1, 0],
+      ]
+    );
+  });
+});
+
+test('a destination ignore file keeps its files from being overwritten and skips excluded folders', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'keep_v2.txt', 'from source');
+    await writeFile(left, 'other_v1.txt', 'other');
+    await writeFile(left, 'shots/renders/a_v1.exr', 'a');
+    await writeFile(left, 'shots/renders/b_v1.exr', 'b');
+    await writeFile(right, 'keep.txt', 'hand edited');
+    await writeFile(right, 'cache/one.bin', '1');
+    await writeFile(right, 'cache/two.bin', '2');
+    await writeFile(right, '.lempickaignore', 'keep.txt\ncache/\n');
+
+    const compare = await buildComparePlan(left, right, { filters: { rules: ['**/renders/**'] } });
+    assert.deepEqual(compare.plan.map((item) => item.targetRelativePath), ['other.txt']);
+    assert.deepEqual(compare.orphans, []);
+    // Each skipped folder counts once, however many files it holds.
+    assert.deepEqual(
+      compare.filterStats.map((rule) => [rule.pattern, rule.sourceExcluded, rule.destinationExcluded]),
+      [['**/renders/**', 1, 0], ['keep.txt', 0, 1], ['cache/', 0, 1]]
+    );
+
+    await syncPlan(compare.plan, undefined, { leftRoot: left, rightRoot: right });
+    assert.equal(await fs.readFile(path.join(right, 'keep.txt'), 'utf8'), 'hand edited');
+    assert.equal(await fs.readFile(path.join(right, 'other.txt'), 'utf8'), 'other');
+  });
+});
+
+// Runs inside the synchronous progress callback, so the temp file is damaged before it is re-read.
+function corruptPendingWrite(dir) {
+  const tempName = fsSync.readdirSync(dir).find((name) => name.includes('.lempicka-write-'));
+  fsSync.truncateSync(path.join(dir, tempName), 1);
+}
+
+test('syncPlan verifies copies when requested', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'a_v1.txt', 'alpha');
+    await writeFile(left, 'b_v1.txt', 'bravo');
+
+    const compare = await buildComparePlan(left, right);
+    const verified = await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      verify: true,
+      verifyAlgorithm: 'crc32',
+    });
+    assert.equal(verified.verifiedCount, 2);
+    assert.equal(verified.unverifiedCount, 0);
+    assert.ok(verified.succeededFiles.every((item) => item.verified));
+
+    await writeFile(left, 'c_v1.txt', 'charlie');
+    const next = await buildComparePlan(left, right);
+    const unverified = await syncPlan(next.plan, undefined, { leftRoot: left, rightRoot: right });
+    assert.equal(unverified.verifiedCount, 0);
+    assert.equal(unverified.unverifiedCount, 1);
+  });
+});
+
+test('syncPlan retries a copy whose verification fails', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'a_v2.txt', 'new contents');
+    await writeFile(right, 'a.txt', 'old');
+
+    const compare = await buildComparePlan(left, right);
+    const phases = [];
+    let corrupted = false;
+    const result = await syncPlan(compare.plan, (progress) => {
+      phases.push(progress.phase);
+      if (progress.phase === 'verifying' && !corrupted) {
+        corrupted = true;
+        corruptPendingWrite(right);
+      }
+    }, {
+      leftRoot: left,
+      rightRoot: right,
+      verify: true,
+      retryBaseDelayMs: 50,
+    });
+
+    assert.ok(phases.includes('retrying'));
+    assert.equal(result.copied, 1);
+    assert.equal(result.verifiedCount, 1);
+    assert.equal(await fs.readFile(path.join(right, 'a.txt'), 'utf8'), 'new contents');
+  });
+});
+
+test('syncPlan keeps the original file when verification keeps failing', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'a_v2.txt', 'new contents');
+    await writeFile(right, 'a.txt', 'old');
+
+    const compare = await buildComparePlan(left, right);
+    const result = await syncPlan(compare.plan, (progress) => {
+      if (progress.phase === 'verifying') {
+        corruptPendingWrite(right);
+      }
+    }, {
+      leftRoot: left,
+      rightRoot: right,
+      verify: true,
+      retryCount: 0,
+      continueOnError: true,
+    });
+
+    assert.equal(result.copied, 0);
+    assert.equal(result.failed.length, 1);
+    assert.equal(result.failed[0].code, 'VERIFY_MISMATCH');
+    assert.equal(await fs.readFile(path.join(right, 'a.txt'), 'utf8'), 'old');
+    const leftovers = (await fs.readdir(right)).filter((name) => name.startsWith('.'));
+    assert.deepEqual(leftovers, []);
+  });
+});
+
 test('buildComparePlan rejects root and overlapping directories', async () => {
   await withTempDirs(async ({ left, right }) => {
     const filesystemRoot = path.parse(process.cwd()).root;
@@ -415,3 +1277,122 @@ test('syncPlan cleans temporary backup and write files after success', async ()
     );
   });
 });
+
+test('syncPlan archives replaced destination files and later compares ignore the archive', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'shots/clip_v2.txt', 'new-content-longer');
+    await writeFile(left, 'notes_v1.txt', 'notes');
+    await writeFile(right, 'shots/clip.txt', 'old');
+
+    const compare = await buildComparePlan(left, right);
+    const result = await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      directoriesToCreate: compare.directoriesToCreate,
+      archive: { location: '', keepRuns: 5 },
+    });
+
+    assert.equal(result.copied, 2);
+    assert.deepEqual(result.archived.map((item) => item.relativePath), [path.join('shots', 'clip.txt')]);
+    assert.equal(path.dirname(result.archiveDir), path.join(result.rightRoot, ARCHIVE_DIR_NAME));
+    assert.equal(await fs.readFile(result.archived[0].archivePath, 'utf8'), 'old');
+    assert.equal(await fs.readFile(path.join(right, 'shots/clip.txt'), 'utf8'), 'new-content-longer');
+
+    const runs = await listArchive(path.join(right, ARCHIVE_DIR_NAME));
+    assert.equal(runs.length, 1);
+    assert.deepEqual(runs[0].files.map((file) => [file.relativePath, file.sourceRelativePath, file.size]), [
+      [path.join('shots', 'clip.txt'), path.join('shots', 'clip_v2.txt'), 3],
+    ]);
+
+    const recompare = await buildComparePlan(left, right);
+    assert.deepEqual(recompare.plan, []);
+    assert.deepEqual(recompare.orphans, []);
+  });
+});
+
+test('syncPlan refuses an archive folder inside the source or destination', async () => {
+  await withTempDirs(async ({ left, right, root }) => {
+    await writeFile(left, 'clip_v2.txt', 'new');
+    await writeFile(right, 'clip.txt', 'old-content');
+    const compare = await buildComparePlan(left, right);
+
+    for (const location of [path.join(left, 'archive'), path.join(right, 'keep')]) {
+      await assert.rejects(
+        syncPlan(compare.plan, undefined, { leftRoot: left, rightRoot: right, archive: { location } }),
+        (error) => error.code === 'ARCHIVE_LOCATION_CONFLICT'
+      );
+    }
+
+    const result = await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      archive: { location: path.join(root, 'archive') },
+    });
+    assert.equal(result.archived.length, 1);
+    assert.equal(path.dirname(result.archiveDir), path.join(root, 'archive'));
+  });
+});
+
+test('syncPlan holds copies to the rate limit and picks up limit changes mid-sync', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    await writeFile(left, 'plate_v1.bin', Buffer.alloc(768 * 1024, 1));
+    await writeFile(left, 'matte_v1.bin', Buffer.alloc(768 * 1024, 2));
+    const compare = await buildComparePlan(left, right);
+
+    let bytesPerSecond = 2 * 1024 * 1024;
+    const progressEvents = [];
+    const startedAt = Date.now();
+    const result = await syncPlan(compare.plan, (progress) => {
+      progressEvents.push(progress);
+      if (progress.phase === 'copied') {
+        // The second file runs with the limit lifted.
+        bytesPerSecond = 0;
+      }
+    }, { leftRoot: left, rightRoot: right, rateLimit: () => ({ bytesPerSecond }) });
+    const elapsedMs = Date.now() - startedAt;
+
+    assert.equal(result.copied, 2);
+    assert.ok(elapsedMs >= 300, `first file should take about 375ms at 2 MB/s, took ${elapsedMs}ms`);
+    assert.ok(elapsedMs < 3000, `second file should not be throttled, took ${elapsedMs}ms`);
+    const limited = progressEvents.find((progress) => progress.rateLimitBps > 0);
+    assert.equal(limited.rateLimitBps, 2 * 1024 * 1024);
+    assert.equal(typeof limited.etaSeconds, 'number');
+    assert.equal(progressEvents[progressEvents.length - 1].rateLimitBps, 0);
+  });
+});
+
+test('syncPlan runs large files beside small ones within the worker bounds and reports the concurrency used', async () => {
+  await withTempDirs(async ({ left, right }) => {
+    for (let index = 0; index < 6; index += 1) {
+      await writeFile(left, `shots/frame${index}_v1.txt`, `frame ${index}`);
+    }
+    await writeFile(left, 'plate_v1.bin', Buffer.alloc(64 * 1024, 3));
+    const compare = await buildComparePlan(left, right);
+
+    const result = await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      continueOnError: true,
+      directoriesToCreate: compare.directoriesToCreate,
+      smallFileThresholdBytes: 1024,
+      concurrency: { minWorkers: 2, maxWorkers: 2, maxLargeWorkers: 1 },
+    });
+    assert.equal(result.copied, 7);
+    assert.equal(result.concurrency.finalWorkers, 2);
+    assert.equal(result.concurrency.peakActive, 2);
+    assert.equal(result.concurrency.largeOverlapped, 1);
+
+    await fs.rm(right, { recursive: true, force: true });
+    await fs.mkdir(right);
+    const sequential = await syncPlan(compare.plan, undefined, {
+      leftRoot: left,
+      rightRoot: right,
+      directoriesToCreate: compare.directoriesToCreate,
+      smallFileThresholdBytes: 1024,
+      concurrency: { minWorkers: 2, maxWorkers: 4 },
+    });
+    assert.equal(sequential.concurrency.maxWorkers, 1, 'without continueOnError files run one at a time');
+    assert.equal(sequential.concurrency.peakActive, 1);
+    assert.equal(sequential.concurrency.largeOverlapped, 0);
+  });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  BYTES_PER_MEGABYTE,
+  normalizeRateLimit,
+  parseScheduleRule,
+  rateLimitAt,
+  estimateTransferSeconds,
+  createRateLimiter,
+} = require('../src/core/throttle');
+
+function fakeClock() {
+  const clock = { time: 0, slept: 0 };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.time += ms;
+    clock.slept += ms;
+  };
+  return clock;
+}
+
+test('normalizeRateLimit drops invalid schedule windows and parseScheduleRule reads MB/s', () => {
+  const config = normalizeRateLimit({
+    bytesPerSecond: -5,
+    schedule: [
+      { start: '9:00', end: '18:00', bytesPerSecond: 2 * BYTES_PER_MEGABYTE },
+      { start: '10:00', end: '10:00', bytesPerSecond: 1 },
+      { start: '25:00', end: '06:00', bytesPerSecond: 1 },
+      'nonsense',
+    ],
+  });
+  assert.deepEqual(config, {
+    bytesPerSecond: 0,
+    schedule: [{ start: '09:00', end: '18:00', bytesPerSecond: 2 * BYTES_PER_MEGABYTE }],
+  });
+
+  assert.deepEqual(parseScheduleRule('22:00-06:00=0.5'), {
+    start: '22:00',
+    end: '06:00',
+    bytesPerSecond: BYTES_PER_MEGABYTE / 2,
+  });
+  assert.equal(parseScheduleRule('09:00=2'), null);
+});
+
+test('rateLimitAt applies the first matching window, including ones that wrap midnight', () => {
+  const config = normalizeRateLimit({
+    bytesPerSecond: 10,
+    schedule: [
+      { start: '09:00', end: '18:00', bytesPerSecond: 2 },
+      { start: '22:00', end: '06:00', bytesPerSecond: 0 },
+    ],
+  });
+  assert.equal(rateLimitAt(config, new Date(2026, 0, 5, 8, 59)), 10);
+  assert.equal(rateLimitAt(config, new Date(2026, 0, 5, 9, 0)), 2);
+  assert.equal(rateLimitAt(config, new Date(2026, 0, 5, 18, 0)), 10);
+  assert.equal(rateLimitAt(config, new Date(2026, 0, 5, 23, 30)), 0);
+  assert.equal(rateLimitAt(config, new Date(2026, 0, 5, 5, 59)), 0);
+});
+
+test('estimateTransferSeconds spends each schedule window at its own rate', () => {
+  const config = normalizeRateLimit({
+    schedule: [{ start: '09:00', end: '18:00', bytesPerSecond: 2 * BYTES_PER_MEGABYTE }],
+  });
+  const measured = 10 * BYTES_PER_MEGABYTE;
+  const from = new Date(2026, 0, 5, 17, 0);
+
+  // One hour at the 2 MB/s cap until 18:00, then one minute at the measured speed.
+  const remaining = (2 * BYTES_PER_MEGABYTE * 3600) + (measured * 60);
+  assert.equal(Math.round(estimateTransferSeconds(remaining, config, measured, from)), 3660);
+  assert.equal(estimateTransferSeconds(measured, normalizeRateLimit({}), measured, from), 1);
+  assert.equal(estimateTransferSeconds(100, normalizeRateLimit({}), 0, from), null);
+});
+
+test('createRateLimiter shares one budget between workers and follows live limit changes', async () => {
+  const clock = fakeClock();
+  let config = { bytesPerSecond: BYTES_PER_MEGABYTE };
+  const limiter = createRateLimiter(() => config, clock);
+
+  await Promise.all([
+    limiter.consume(BYTES_PER_MEGABYTE / 2),
+    limiter.consume(BYTES_PER_MEGABYTE / 2),
+  ]);
+  assert.ok(clock.time >= 1000 && clock.time < 1250, `took ${clock.time}ms`);
+
+  const before = clock.time;
+  const pending = limiter.consume(10 * BYTES_PER_MEGABYTE);
+  config = { bytesPerSecond: 0 };
+  await pending;
+  assert.ok(clock.time - before <= 200, 'removing the limit ends the wait');
+  assert.equal(limiter.currentLimit(), 0);
+
+  let stop = false;
+  config = { bytesPerSecond: 1 };
+  const cancelled = limiter.consume(BYTES_PER_MEGABYTE, () => stop);
+  stop = true;
+  await cancelled;
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  compileVersionPatterns,
+  normalizeVersioningConfig,
+  parseVersionedName,
+  previewVersionedName,
+} = require('../src/core/versioning');
+
+test('compileVersionPatterns defaults to the underscore v pattern', () => {
+  const patterns = compileVersionPatterns();
+  assert.deepEqual(patterns.map((pattern) => pattern.id), ['underscore-v']);
+});
+
+test('parseVersionedName tries patterns in the configured order', () => {
+  const patterns = compileVersionPatterns({
+    enabledPatternIds: ['underscore-v-suffix', 'underscore-v'],
+  });
+
+  const parsed = parseVersionedName('shot_V003_final.psd', patterns);
+  assert.equal(parsed.targetFileName, 'shot.psd');
+  assert.equal(parsed.version, 3);
+  assert.equal(parsed.patternId, 'underscore-v-suffix');
+});
+
+test('compileVersionPatterns accepts user-defined patterns with named groups', () => {
+  const patterns = compileVersionPatterns({
+    enabledPatternIds: ['custom-ver'],
+    customPatterns: [{ id: 'custom-ver', label: 'ver', pattern: '^(?<base>.*)_ver(?<version>\\d+)$' }],
+  });
+
+  const parsed = parseVersionedName('plate_ver7.exr', patterns);
+  assert.equal(parsed.targetFileName, 'plate.exr');
+  assert.equal(parsed.version, 7);
+  assert.equal(parsed.patternId, 'custom-ver');
+});
+
+test('parseVersionedName lets a custom pattern ordered first win over a built-in', () => {
+  const patterns = compileVersionPatterns({
+    enabledPatternIds: ['custom-keep-v', 'underscore-v'],
+    customPatterns: [{ id: 'custom-keep-v', label: 'keep v', pattern: '^(?<base>.*_v)(?<version>\\d+)$' }],
+  });
+
+  assert.deepEqual(patterns.map((pattern) => pattern.id), ['custom-keep-v', 'underscore-v']);
+  const parsed = parseVersionedName('shot_v003.psd', patterns);
+  assert.equal(parsed.targetFileName, 'shot_v.psd');
+  assert.equal(parsed.patternId, 'custom-keep-v');
+});
+
+test('compileVersionPatterns rejects custom patterns without base and version groups', () => {
+  assert.throws(
+    () => compileVersionPatterns({
+      enabledPatternIds: ['custom-bad'],
+      customPatterns: [{ id: 'custom-bad', label: 'bad', pattern: '^(.*)_v(\\d+)$' }],
+    }),
+    (error) => error.code === 'INVALID_VERSION_PATTERN'
+  );
+
+  assert.throws(
+    () => compileVersionPatterns({
+      enabledPatternIds: ['custom-broken'],
+      customPatterns: [{ id: 'custom-broken', label: 'broken', pattern: '^(?<base>.*' }],
+    }),
+    /not a valid regular expression/
+  );
+});
+
+test('normalizeVersioningConfig drops unknown pattern ids', () => {
+  const normalized = normalizeVersioningConfig({
+    enabledPatternIds: ['dot-v', 'missing', 'dot-v'],
+    customPatterns: 'nope',
+  });
+  assert.deepEqual(normalized, { enabledPatternIds: ['dot-v'], customPatterns: [] });
+});
+
+test('previewVersionedName reports the winning pattern and every candidate', () => {
+  const preview = previewVersionedName('name-v3.ext', {
+    enabledPatternIds: ['underscore-v', 'dash-v'],
+  });
+
+  assert.equal(preview.ok, true);
+  assert.equal(preview.parsed.targetFileName, 'name.ext');
+  assert.equal(preview.parsed.patternId, 'dash-v');
+  assert.deepEqual(preview.matches.map((match) => match.matched), [false, true]);
+});
+
+test('previewVersionedName returns an error for invalid custom patterns', () => {
+  const preview = previewVersionedName('name_v1.ext', {
+    enabledPatternIds: ['custom-x'],
+    customPatterns: [{ id: 'custom-x', pattern: '(' }],
+  });
+  assert.equal(preview.ok, false);
+  assert.match(preview.error, /custom-x/);
+});